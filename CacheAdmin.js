@@ -0,0 +1,55 @@
+const dotenv = require('dotenv');
+const ServiceFactory = require('./ServiceFactory');
+const SnsClient = require('./SnsClient');
+const SousChef = require('./SousChef');
+
+// load from .env
+dotenv.config();
+
+// usage: node CacheAdmin.js <purge|refresh> <ingredient|cuisine|search|recipe> <value>
+const action = process.argv[2];
+const type = process.argv[3];
+const value = process.argv.slice(4).join(' ');
+if (['purge', 'refresh'].indexOf(action) < 0 || ['ingredient', 'cuisine', 'search', 'recipe'].indexOf(type) < 0 || !value) {
+    console.log('Usage: node CacheAdmin.js <purge|refresh> <ingredient|cuisine|search|recipe> <value>');
+    process.exit(1);
+}
+
+// use the same graph, transport and recipe provider as the bot
+const serviceFactory = new ServiceFactory();
+const recipeStore = serviceFactory.createRecipeStore();
+
+const sousChef = new SousChef(
+    recipeStore,
+    null,
+    process.env.SPOONACULAR_KEY,
+    process.env.CONVERSATION_USERNAME,
+    process.env.CONVERSATION_PASSWORD,
+    process.env.CONVERSATION_WORKSPACE_ID,
+    new SnsClient(),
+    {
+        pageSize: (process.env.RECIPES_PER_PAGE ? parseInt(process.env.RECIPES_PER_PAGE) : undefined),
+        recipeProvider: serviceFactory.createRecipeProvider()
+    }
+);
+
+recipeStore.init()
+    .then(() => {
+        return (action == 'purge' ? sousChef.purge(type, value) : sousChef.forceRefresh(type, value));
+    })
+    .then((vertices) => {
+        if (vertices.length > 0) {
+            const profiles = (vertices.length > 1 ? ` (${vertices.length} cached copies, one per dietary profile)` : '');
+            console.log(`${action == 'purge' ? 'Purged' : 'Refreshed'} ${type} '${value}'${profiles}`);
+        }
+        else {
+            console.log(`No ${type} '${value}' found in the cache`);
+        }
+    })
+    .then(() => {
+        process.exit();
+    })
+    .catch((err) => {
+        console.log(`Error: ${err}`);
+        process.exit(1);
+    });
@@ -0,0 +1,134 @@
+'use strict';
+
+const DEFAULT_NUMBER = 5;
+
+class ChainedRecipeProvider {
+
+    /**
+     * Creates a new instance of ChainedRecipeProvider.
+     * Asks each provider in turn (i.e. a LocalRecipeProvider, then Spoonacular's RecipeClient), so the later providers
+     * are only called for what the earlier ones don't have. Implements the same methods as RecipeClient.
+     * Search results are the earlier providers' results followed by the later providers', and are paged across them.
+     * A provider that fails is skipped; the error is only passed on if every provider failed.
+     * @param {Array} providers - The providers, in the order they are asked
+     */
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    findByIngredients(ingredients, profile, offset, number) {
+        return this.findRecipes((provider, providerOffset, providerNumber) => {
+            return provider.findByIngredients(ingredients, profile, providerOffset, providerNumber);
+        }, offset, number);
+    }
+
+    findByCuisine(cuisine, profile, offset, number) {
+        return this.findRecipes((provider, providerOffset, providerNumber) => {
+            return provider.findByCuisine(cuisine, profile, providerOffset, providerNumber);
+        }, offset, number);
+    }
+
+    findByQuery(query, profile, offset, number) {
+        return this.findRecipes((provider, providerOffset, providerNumber) => {
+            return provider.findByQuery(query, profile, providerOffset, providerNumber);
+        }, offset, number);
+    }
+
+    /**
+     * Gets the recipe information from the first provider that has the recipe.
+     * @param id - The ID of the recipe
+     * @returns {Promise.<TResult>}
+     */
+    getInfoById(id) {
+        return this.findFirst((provider) => provider.getInfoById(id), (info) => !!info);
+    }
+
+    /**
+     * Gets the steps of the recipe from the first provider that has the recipe.
+     * @param id - The ID of the recipe
+     * @returns {Promise.<TResult>}
+     */
+    getStepsById(id) {
+        return this.findFirst((provider) => provider.getStepsById(id), (steps) => !!steps);
+    }
+
+    getSubstitutes(ingredient) {
+        return this.findFirst((provider) => provider.getSubstitutes(ingredient), (substitutes) => substitutes && substitutes.length > 0)
+            .then((substitutes) => {
+                return Promise.resolve(substitutes || []);
+            });
+    }
+
+    getMetrics() {
+        return {providers: this.providers.map((provider) => (provider.getMetrics ? provider.getMetrics() : {}))};
+    }
+
+    /**
+     * Gets a page of search results across the providers.
+     * Each provider is asked for every result up to the end of the page, so we know how many of the page's results it
+     * has. If it has fewer than that, the rest of the page comes from the next provider, skipping the results the
+     * earlier providers already listed on previous pages.
+     * @param find - Called with each provider, the offset and the number of results to ask it for
+     * @param offset - The number of results to skip
+     * @param number - The number of results to return
+     * @returns {Promise.<TResult>}
+     */
+    findRecipes(find, offset, number) {
+        offset = offset || 0;
+        number = number || DEFAULT_NUMBER;
+        let results = [];
+        let lastError = null;
+        let failures = 0;
+        const findNext = (i, providerOffset) => {
+            if (i >= this.providers.length || results.length >= number) {
+                if (failures == this.providers.length) {
+                    return Promise.reject(lastError);
+                }
+                return Promise.resolve(results);
+            }
+            return find(this.providers[i], 0, providerOffset + number - results.length)
+                .then((recipes) => {
+                    recipes = recipes || [];
+                    results = results.concat(recipes.slice(providerOffset));
+                    return findNext(i + 1, Math.max(providerOffset - recipes.length, 0));
+                }, (err) => {
+                    console.log(`Error searching recipe provider ${i + 1}: ${err}`);
+                    lastError = err;
+                    failures++;
+                    return findNext(i + 1, providerOffset);
+                });
+        };
+        return findNext(0, offset);
+    }
+
+    /**
+     * Gets the first answer from the providers that is found.
+     * @param get - Called with each provider to get its answer
+     * @param isFound - Returns true if the answer is found
+     * @returns {Promise.<TResult>} - The answer, or the last provider's answer if none of them found it
+     */
+    findFirst(get, isFound) {
+        let lastError = null;
+        let lastAnswer = null;
+        const getNext = (i) => {
+            if (i >= this.providers.length) {
+                return (lastError && lastAnswer === null ? Promise.reject(lastError) : Promise.resolve(lastAnswer));
+            }
+            return get(this.providers[i])
+                .then((answer) => {
+                    if (isFound(answer)) {
+                        return Promise.resolve(answer);
+                    }
+                    lastAnswer = answer;
+                    return getNext(i + 1);
+                }, (err) => {
+                    console.log(`Error calling recipe provider ${i + 1}: ${err}`);
+                    lastError = err;
+                    return getNext(i + 1);
+                });
+        };
+        return getNext(0);
+    }
+}
+
+module.exports = ChainedRecipeProvider;
@@ -0,0 +1,52 @@
+'use strict';
+
+const readline = require('readline');
+
+class ConsoleAdapter {
+
+    /**
+     * Creates a new instance of ConsoleAdapter.
+     * Reads messages from the terminal and prints the replies, so the bot can be run locally without Slack.
+     * Implements the same methods as SlackAdapter.
+     * @param {String} userId - The ID of the user talking to the bot (defaults to console)
+     */
+    constructor(userId) {
+        this.userId = userId || 'console';
+        this.readline = null;
+    }
+
+    /**
+     * Starts reading lines from stdin and passing them to onMessage. Exits when stdin is closed.
+     * @param {Function} onMessage - Called with each message ({userId, channelId, text})
+     * @returns {Promise.<TResult>}
+     */
+    start(onMessage) {
+        this.readline = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt: '> '
+        });
+        this.readline.on('line', (line) => {
+            if (line.trim().length == 0) {
+                this.readline.prompt();
+                return;
+            }
+            onMessage({userId: this.userId, channelId: 'console', text: line});
+        });
+        this.readline.on('close', () => {
+            process.exit();
+        });
+        console.log('sous-chef is running! Say "hi" to start, Ctrl+D to quit.');
+        this.readline.prompt();
+        return Promise.resolve();
+    }
+
+    sendReply(message, reply) {
+        // replies with buttons ({text, blocks}) fall back to their text
+        console.log(`\n${typeof reply == 'string' ? reply : reply.text}\n`);
+        this.readline.prompt();
+        return Promise.resolve();
+    }
+}
+
+module.exports = ConsoleAdapter;
@@ -0,0 +1,374 @@
+'use strict';
+
+// The diets Spoonacular can filter by
+const DIETS = ['gluten free', 'ketogenic', 'vegetarian', 'lacto vegetarian', 'ovo vegetarian', 'vegan', 'pescetarian', 'paleo', 'primal', 'whole30'];
+
+// The diets a recipe also satisfies if Spoonacular says it satisfies the key (i.e. a vegan recipe is also vegetarian)
+const IMPLIED_DIETS = {
+    'vegan': ['vegetarian', 'lacto vegetarian', 'ovo vegetarian', 'pescetarian'],
+    'lacto ovo vegetarian': ['vegetarian', 'pescetarian'],
+    'vegetarian': ['pescetarian'],
+    'lacto vegetarian': ['pescetarian'],
+    'ovo vegetarian': ['pescetarian'],
+    'pescatarian': ['pescetarian'],
+    'paleolithic': ['paleo']
+};
+
+// The intolerances Spoonacular can filter by, with the words that identify them in ingredient names.
+// Words are matched whole, with or without a plural ending (i.e. "egg" matches "eggs" but not "eggplant").
+// Only used to check recipes we already have, since Spoonacular does its own filtering for new searches.
+const INTOLERANCES = {
+    'dairy': ['milk', 'buttermilk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'whey', 'ghee', 'parmesan', 'mozzarella', 'ricotta'],
+    'egg': ['egg', 'mayonnaise'],
+    'gluten': ['wheat', 'flour', 'barley', 'rye', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'couscous', 'seitan'],
+    'grain': ['wheat', 'flour', 'cornflour', 'barley', 'rye', 'rice', 'oat', 'oatmeal', 'corn', 'cornmeal', 'cornstarch', 'polenta', 'quinoa', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'couscous'],
+    'peanut': ['peanut'],
+    'seafood': ['fish', 'shellfish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'shrimp', 'prawn', 'crab', 'crabmeat', 'lobster', 'clam', 'mussel', 'oyster', 'scallop', 'squid'],
+    'sesame': ['sesame', 'tahini'],
+    'shellfish': ['shellfish', 'shrimp', 'prawn', 'crab', 'crabmeat', 'lobster', 'clam', 'mussel', 'oyster', 'scallop', 'crayfish'],
+    'soy': ['soy', 'soybean', 'soya', 'tofu', 'edamame', 'miso', 'tempeh'],
+    'sulfite': ['wine', 'vinegar', 'raisin', 'prune', 'dried fruit', 'dried apricot', 'dried cranberry', 'dried cranberries'],
+    'tree nut': ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'pine nut', 'brazil nut'],
+    'wheat': ['wheat', 'flour', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'couscous', 'semolina']
+};
+
+// Ingredient names that contain one of the words above without triggering the intolerance (i.e. coconut milk is not dairy)
+const INTOLERANCE_EXCEPTIONS = {
+    'dairy': [
+        'coconut milk', 'coconut cream', 'coconut yogurt', 'almond milk', 'cashew milk', 'hemp milk', 'oat milk', 'rice milk',
+        'soy milk', 'peanut butter', 'almond butter', 'cashew butter', 'nut butter', 'apple butter', 'cocoa butter',
+        'butter bean', 'butter lettuce', 'cream of tartar'
+    ],
+    'seafood': ['oyster mushroom'],
+    'shellfish': ['oyster mushroom']
+};
+
+// Other ways users name an intolerance (i.e. "I'm allergic to peanuts" or "I can't eat nuts")
+const INTOLERANCE_ALIASES = {
+    'dairy': ['milk', 'lactose'],
+    'egg': ['eggs'],
+    'peanut': ['peanuts'],
+    'seafood': ['fish'],
+    'shellfish': ['shrimp', 'crab', 'lobster'],
+    'soy': ['soya'],
+    'sulfite': ['sulfites', 'sulphites'],
+    'tree nut': ['tree nuts', 'nuts', 'nut']
+};
+
+// The nutrient limits Spoonacular can filter searches by, with the per-serving amount of the recipe they limit
+const NUTRIENT_LIMITS = {
+    maxCalories: 'calories',
+    minProtein: 'protein',
+    maxCarbs: 'carbohydrates',
+    maxFat: 'fat'
+};
+
+// The limits used for "high protein", "low carb", "low fat" and "low calorie" (per serving)
+const NUTRIENT_PRESETS = {
+    'high protein': {minProtein: 25},
+    'low carb': {maxCarbs: 20},
+    'low fat': {maxFat: 15},
+    'low calorie': {maxCalories: 500}
+};
+
+// Limits like "under 500 calories" or "at least 30g protein" - the comparison, the amount and the nutrient
+const NUTRIENT_LIMIT_PATTERN = /\b(under|below|less\s+than|at\s+most|no\s+more\s+than|over|above|more\s+than|at\s+least)\s+(\d+)\s*(?:g\b|grams?\b)?\s*(?:of\s+)?(k?cal(?:orie)?s?|protein|carbs?|carbohydrates?|fat)\b/gi;
+const NUTRIENT_PRESET_PATTERN = /\b(high)[- ]protein\b|\blow[- ](carb|fat|cal(?:orie)?)s?\b/gi;
+
+class DietaryProfile {
+
+    /**
+     * Creates a new instance of DietaryProfile.
+     * @param {String} diet - One of the diets supported by Spoonacular (i.e. vegetarian), or null
+     * @param {Array} intolerances - The intolerances supported by Spoonacular (i.e. peanut)
+     * @param {Object} nutrientLimits - Optional per-serving limits for a single search ({maxCalories, minProtein, maxCarbs, maxFat}), they are not stored on the person vertex
+     */
+    constructor(diet, intolerances, nutrientLimits) {
+        this.diet = diet || null;
+        this.intolerances = (intolerances || []).slice().sort();
+        this.nutrientLimits = {};
+        for (let limit of Object.keys(NUTRIENT_LIMITS)) {
+            if (nutrientLimits && nutrientLimits[limit]) {
+                this.nutrientLimits[limit] = nutrientLimits[limit];
+            }
+        }
+    }
+
+    /**
+     * Creates the profile stored on a person vertex.
+     * @param userVertex - The person vertex
+     * @returns {DietaryProfile}
+     */
+    static fromVertex(userVertex) {
+        let properties = (userVertex && userVertex.properties) || {};
+        let diet = properties.diet ? properties.diet[0].value : null;
+        let intolerances = properties.intolerances ? properties.intolerances[0].value.split(',') : [];
+        return new DietaryProfile(diet, intolerances.filter((intolerance) => intolerance.length > 0));
+    }
+
+    /**
+     * Creates the profile a cached search was made with from its key (see getKey).
+     * @param key - The profile key (i.e. "diet=vegan;intolerances=dairy,egg;maxCalories=500"), empty for no profile
+     * @returns {DietaryProfile}
+     */
+    static fromKey(key) {
+        let diet = null;
+        let intolerances = [];
+        let nutrientLimits = {};
+        for (let part of (key || '').split(';')) {
+            const separator = part.indexOf('=');
+            const name = part.substring(0, separator);
+            const value = part.substring(separator + 1);
+            if (name == 'diet') {
+                diet = value;
+            }
+            else if (name == 'intolerances') {
+                intolerances = value.split(',');
+            }
+            else if (NUTRIENT_LIMITS[name]) {
+                nutrientLimits[name] = parseFloat(value);
+            }
+        }
+        return new DietaryProfile(diet, intolerances, nutrientLimits);
+    }
+
+    /**
+     * Finds the diet in a message (i.e. "I'm vegetarian").
+     * @param text - The text to search
+     * @returns {String} - The diet, or null if the text does not name one
+     */
+    static findDiet(text) {
+        text = text.toLowerCase().replace(/-/g, ' ').replace(/pescatarian/g, 'pescetarian');
+        // longest first so "lacto vegetarian" is not found as "vegetarian"
+        let diets = DIETS.slice().sort((a, b) => b.length - a.length);
+        for (let diet of diets) {
+            if (new RegExp(`\\b${diet}\\b`).test(text)) {
+                return diet;
+            }
+        }
+        if (/\bketo\b/.test(text)) {
+            return 'ketogenic';
+        }
+        return null;
+    }
+
+    /**
+     * Finds the intolerances in a message (i.e. "I'm allergic to peanuts and shellfish").
+     * @param text - The text to search
+     * @returns {Array} - The intolerances
+     */
+    static findIntolerances(text) {
+        text = text.toLowerCase();
+        let intolerances = [];
+        for (let intolerance of Object.keys(INTOLERANCES)) {
+            let names = [intolerance].concat(INTOLERANCE_ALIASES[intolerance] || []);
+            if (names.some((name) => new RegExp(`\\b${name}\\b`).test(text))) {
+                intolerances.push(intolerance);
+            }
+        }
+        return intolerances;
+    }
+
+    /**
+     * Finds the nutrient limits in a search (i.e. "chicken under 500 calories" or "high protein italian").
+     * @param text - The text to search
+     * @returns {{text: String, limits: Object}} - The text without the limits, and the limits ({maxCalories, minProtein, maxCarbs, maxFat})
+     */
+    static parseNutrientLimits(text) {
+        let limits = {};
+        text = text.replace(NUTRIENT_LIMIT_PATTERN, (phrase, comparison, amount, nutrient) => {
+            const minimum = /^(over|above|more|at\s+least)/i.test(comparison);
+            nutrient = nutrient.toLowerCase();
+            let limit;
+            if (nutrient.startsWith('protein')) {
+                limit = (minimum ? 'minProtein' : null);
+            }
+            else if (nutrient.startsWith('carb')) {
+                limit = (minimum ? null : 'maxCarbs');
+            }
+            else if (nutrient.startsWith('fat')) {
+                limit = (minimum ? null : 'maxFat');
+            }
+            else {
+                limit = (minimum ? null : 'maxCalories');
+            }
+            if (!limit) {
+                // Spoonacular can only limit these one way, leave the phrase in the search
+                return phrase;
+            }
+            limits[limit] = parseInt(amount);
+            return ' ';
+        });
+        text = text.replace(NUTRIENT_PRESET_PATTERN, (phrase, high, low) => {
+            const preset = (high ? 'high protein' : `low ${low.toLowerCase().startsWith('cal') ? 'calorie' : low.toLowerCase()}`);
+            Object.assign(limits, NUTRIENT_PRESETS[preset]);
+            return ' ';
+        });
+        // tidy up what is left of the search, i.e. "chicken and rice with" from "chicken and rice with under 500 calories"
+        text = text.replace(/\s+/g, ' ').replace(/[\s,]*\b(?:with|and|that\s+(?:is|are)|recipes?|ones)\s*$/i, '').replace(/^[\s,]+|[\s,]+$/g, '');
+        return {text: text, limits: limits};
+    }
+
+    /**
+     * Gets the diets a recipe satisfies from the recipe information returned by Spoonacular.
+     * @param recipeInfo - The recipe information
+     * @returns {Array}
+     */
+    static getRecipeDiets(recipeInfo) {
+        let diets = (recipeInfo['diets'] || []).map((diet) => diet.toLowerCase());
+        if (recipeInfo['vegan']) {
+            diets.push('vegan');
+        }
+        if (recipeInfo['vegetarian']) {
+            diets.push('vegetarian');
+        }
+        if (recipeInfo['glutenFree']) {
+            diets.push('gluten free');
+        }
+        if (recipeInfo['ketogenic']) {
+            diets.push('ketogenic');
+        }
+        if (recipeInfo['whole30']) {
+            diets.push('whole30');
+        }
+        for (let diet of diets.slice()) {
+            diets = diets.concat(IMPLIED_DIETS[diet] || []);
+        }
+        return diets.filter((diet, i) => diets.indexOf(diet) == i).sort();
+    }
+
+    /**
+     * Gets the intolerances that the specified ingredients trigger.
+     * @param ingredientNames - The names of the ingredients in a recipe
+     * @returns {Array}
+     */
+    static getAllergens(ingredientNames) {
+        let allergens = [];
+        for (let intolerance of Object.keys(INTOLERANCES)) {
+            let found = ingredientNames.some((name) => {
+                name = name.toLowerCase();
+                for (let exception of INTOLERANCE_EXCEPTIONS[intolerance] || []) {
+                    name = name.replace(DietaryProfile.getWordPattern(exception), ' ');
+                }
+                return INTOLERANCES[intolerance].some((word) => DietaryProfile.getWordPattern(word).test(name));
+            });
+            if (found) {
+                allergens.push(intolerance);
+            }
+        }
+        return allergens;
+    }
+
+    /**
+     * Gets the pattern that matches the word (or words) whole, with or without a plural ending.
+     * @param word - The word (i.e. "egg" or "coconut milk")
+     * @returns {RegExp}
+     */
+    static getWordPattern(word) {
+        return new RegExp(`\\b${word}(?:s|es)?\\b`, 'g');
+    }
+
+    static getSupportedIntolerances() {
+        return Object.keys(INTOLERANCES);
+    }
+
+    isEmpty() {
+        return !this.diet && this.intolerances.length == 0 && !this.hasNutrientLimits();
+    }
+
+    hasNutrientLimits() {
+        return Object.keys(this.nutrientLimits).length > 0;
+    }
+
+    /**
+     * Gets a copy of the profile for a single search, with the nutrient limits added to any it already has.
+     * @param nutrientLimits - The limits ({maxCalories, minProtein, maxCarbs, maxFat})
+     * @returns {DietaryProfile}
+     */
+    withNutrientLimits(nutrientLimits) {
+        return new DietaryProfile(this.diet, this.intolerances, Object.assign({}, this.nutrientLimits, nutrientLimits));
+    }
+
+    /**
+     * Gets the key that identifies the profile in cache keys. Empty for an empty profile, so searches without a profile
+     * use the same keys they always have.
+     * @returns {string}
+     */
+    getKey() {
+        let key = [];
+        if (this.diet) {
+            key.push(`diet=${this.diet}`);
+        }
+        if (this.intolerances.length > 0) {
+            key.push(`intolerances=${this.intolerances.join(',')}`);
+        }
+        for (let limit of Object.keys(this.nutrientLimits).sort()) {
+            key.push(`${limit}=${this.nutrientLimits[limit]}`);
+        }
+        return key.join(';');
+    }
+
+    /**
+     * Gets the properties to store on the person vertex.
+     * @returns {Object}
+     */
+    getProperties() {
+        return {diet: this.diet || '', intolerances: this.intolerances.join(',')};
+    }
+
+    /**
+     * Returns true if the recipe satisfies the diet, contains none of the intolerances and is within the nutrient limits.
+     * Recipes we do not have diets, allergens or nutrition for are only allowed if the profile does not filter by them.
+     * @param recipe - The recipe ({diets, allergens, calories, protein, carbohydrates, fat}) as returned by the recipe store
+     * @returns {boolean}
+     */
+    allowsRecipe(recipe) {
+        if (this.diet && (!recipe.diets || recipe.diets.indexOf(this.diet) < 0)) {
+            return false;
+        }
+        if (this.intolerances.length > 0 && (!recipe.allergens || this.intolerances.some((intolerance) => recipe.allergens.indexOf(intolerance) >= 0))) {
+            return false;
+        }
+        for (let limit of Object.keys(this.nutrientLimits)) {
+            const amount = recipe[NUTRIENT_LIMITS[limit]];
+            if (typeof amount != 'number') {
+                return false;
+            }
+            if (limit.startsWith('min') ? amount < this.nutrientLimits[limit] : amount > this.nutrientLimits[limit]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Describes the nutrient limits (i.e. "under 500 calories, at least 25g protein").
+     * @returns {String} - The description, or null if there are no limits
+     */
+    describeNutrientLimits() {
+        const descriptions = {
+            maxCalories: (amount) => `under ${amount} calories`,
+            minProtein: (amount) => `at least ${amount}g protein`,
+            maxCarbs: (amount) => `under ${amount}g carbs`,
+            maxFat: (amount) => `under ${amount}g fat`
+        };
+        const limits = Object.keys(this.nutrientLimits).map((limit) => descriptions[limit](this.nutrientLimits[limit]));
+        return (limits.length > 0 ? limits.join(', ') : null);
+    }
+
+    describe() {
+        if (this.isEmpty()) {
+            return 'You don\'t have any dietary preferences set.';
+        }
+        let description = [];
+        if (this.diet) {
+            description.push(`your diet is *${this.diet}*`);
+        }
+        if (this.intolerances.length > 0) {
+            description.push(`you can't eat *${this.intolerances.join(', ')}*`);
+        }
+        return `I've got it down that ${description.join(' and ')}.`;
+    }
+}
+
+module.exports = DietaryProfile;
@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_IDLE_TIMEOUT = 24 * 60 * 60 * 1000;
+
+class FileSessionStore {
+
+    /**
+     * Creates a new instance of FileSessionStore.
+     * Saves each conversation's state to its own JSON file in the specified directory, so sessions survive a restart
+     * and can be shared by several bot processes using the same directory. Files are written to a temporary file first and
+     * renamed, so another process never reads a half-written session.
+     * Implements the same methods as InMemorySessionStore.
+     * @param {String} dirPath - The directory to store the sessions in (created if it does not exist)
+     * @param {Object} options - Optional settings (idleTimeout - the number of milliseconds a session is kept after it was last saved, defaults to 24 hours)
+     */
+    constructor(dirPath, options) {
+        options = options || {};
+        this.dirPath = dirPath;
+        this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+        if (!fs.existsSync(this.dirPath)) {
+            fs.mkdirSync(this.dirPath);
+        }
+        this.expiryTimer = setInterval(() => {
+            this.removeExpiredSessions();
+        }, Math.min(this.idleTimeout, 60 * 60 * 1000));
+        this.expiryTimer.unref();
+    }
+
+    /**
+     * Gets the state for the specified session.
+     * @param {String} sessionKey - The key of the session (see SousChef.getSessionKey)
+     * @returns {Promise.<TResult>} - The state, or null if there is no session or it expired
+     */
+    get(sessionKey) {
+        return this.readSession(this.getFilePath(sessionKey))
+            .then((session) => {
+                if (session && this.isExpired(session)) {
+                    return this.delete(sessionKey)
+                        .then(() => {
+                            return Promise.resolve(null);
+                        });
+                }
+                return Promise.resolve(session ? session.state : null);
+            });
+    }
+
+    /**
+     * Saves the state for the specified session.
+     * @param {String} sessionKey - The key of the session (see SousChef.getSessionKey)
+     * @param {Object} state - The state
+     * @returns {Promise.<TResult>}
+     */
+    set(sessionKey, state) {
+        const filePath = this.getFilePath(sessionKey);
+        // unique per process, so two processes saving the same session don't write to the same temporary file
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const data = JSON.stringify({state: state, savedAt: Date.now()});
+        return new Promise((resolve, reject) => {
+            fs.writeFile(tempPath, data, 'utf8', (err) => {
+                if (err) {
+                    reject(err);
+                }
+                else {
+                    fs.rename(tempPath, filePath, (err) => {
+                        err ? reject(err) : resolve();
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Removes the specified session.
+     * @param {String} sessionKey - The key of the session (see SousChef.getSessionKey)
+     * @returns {Promise.<TResult>}
+     */
+    delete(sessionKey) {
+        return new Promise((resolve, reject) => {
+            fs.unlink(this.getFilePath(sessionKey), (err) => {
+                (err && err.code != 'ENOENT') ? reject(err) : resolve();
+            });
+        });
+    }
+
+    removeExpiredSessions() {
+        fs.readdir(this.dirPath, (err, fileNames) => {
+            if (err) {
+                console.log(`Error reading sessions from ${this.dirPath}: ${err}`);
+                return;
+            }
+            for (let fileName of fileNames.filter((fileName) => fileName.endsWith('.json'))) {
+                const filePath = path.join(this.dirPath, fileName);
+                this.readSession(filePath)
+                    .then((session) => {
+                        if (session && this.isExpired(session)) {
+                            fs.unlink(filePath, () => {});
+                        }
+                    });
+            }
+        });
+    }
+
+    readSession(filePath) {
+        return new Promise((resolve) => {
+            fs.readFile(filePath, 'utf8', (err, data) => {
+                if (err) {
+                    if (err.code != 'ENOENT') {
+                        console.log(`Error reading session from ${filePath}: ${err}`);
+                    }
+                    resolve(null);
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                }
+                catch (err) {
+                    console.log(`Invalid session in ${filePath}: ${err}`);
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    getFilePath(sessionKey) {
+        return path.join(this.dirPath, `${encodeURIComponent(sessionKey)}.json`);
+    }
+
+    isExpired(session) {
+        return Date.now() - session.savedAt > this.idleTimeout;
+    }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,59 @@
+'use strict';
+
+const rp = require('request-promise');
+
+class GremlinHttpTransport {
+
+    /**
+     * Creates a new instance of GremlinHttpTransport.
+     * Sends every Gremlin script as a separate POST to the Gremlin Server REST endpoint.
+     * @param {String} url - JanusGraph url
+     * @param {String} username - JanusGraph username
+     * @param {String} password - JanusGraph password
+     */
+    constructor(url, username, password) {
+        this.url = url;
+        this.authHeader = 'Basic ' + new Buffer(username + ':' + password).toString('base64');
+    }
+
+    getPostOptions(body) {
+        let options = {
+            method: 'POST',
+            uri: this.url,
+            headers: {
+                'Authorization': this.authHeader,
+                'Content-Type': 'application/json'
+            },
+            json: true,
+            body: body
+        };
+        return options;
+    }
+
+    /**
+     * Submits a Gremlin script to the server.
+     * Sessions are not supported over HTTP, so a script submitted with a session is rejected rather than run outside it.
+     * @param {String} gremlin - The Gremlin script
+     * @param {Object} bindings - The variables to bind to the script
+     * @param {Object} options - Optional settings (onData - called with the result data)
+     * @returns {Promise.<TResult>} - The response body ({requestId, status, result})
+     */
+    submit(gremlin, bindings, options) {
+        if (options && options.session) {
+            return Promise.reject(new Error('Sessions are only supported on the websocket transport.'));
+        }
+        return rp(this.getPostOptions({gremlin: gremlin, bindings: bindings}))
+            .then((responseBody) => {
+                if (options && options.onData && responseBody.result && responseBody.result.data) {
+                    options.onData(responseBody.result.data);
+                }
+                return Promise.resolve(responseBody);
+            });
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+module.exports = GremlinHttpTransport;
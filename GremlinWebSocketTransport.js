@@ -0,0 +1,255 @@
+'use strict';
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const MIME_TYPE = 'application/json';
+
+class GremlinWebSocketTransport {
+
+    /**
+     * Creates a new instance of GremlinWebSocketTransport.
+     * Keeps a single WebSocket open to Gremlin Server and multiplexes all in-flight requests over it,
+     * matching responses to requests by request ID.
+     * @param {String} url - Gremlin Server WebSocket url (i.e. wss://host:port/gremlin)
+     * @param {String} username - JanusGraph username
+     * @param {String} password - JanusGraph password
+     * @param {Object} options - Optional settings (maxReconnectAttempts, reconnectDelay, requestTimeout)
+     */
+    constructor(url, username, password, options) {
+        options = options || {};
+        this.url = url;
+        this.username = username;
+        this.password = password;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
+        this.reconnectDelay = options.reconnectDelay || 500;
+        this.requestTimeout = options.requestTimeout || 30000;
+        this.socket = null;
+        this.connecting = null;
+        this.pendingRequests = {};
+        this.closed = false;
+    }
+
+    /**
+     * Submits a Gremlin script to the server.
+     * Gremlin Server streams large results in batches (status 206); every batch is passed to options.onData
+     * as it arrives and the promise resolves with all of the batches combined once the final batch is received.
+     * Scripts in a session share one transaction, which stays open until it is committed by a script in the session
+     * (see JanusGraphClient.commitSession) or rolled back when the session is closed.
+     * @param {String} gremlin - The Gremlin script
+     * @param {Object} bindings - The variables to bind to the script
+     * @param {Object} options - Optional settings (session - the ID of the session to run the script in, onData - called with each batch of results)
+     * @returns {Promise.<TResult>} - The response ({requestId, status, result}) in the same shape returned by the REST endpoint
+     */
+    submit(gremlin, bindings, options) {
+        options = options || {};
+        let args = {
+            gremlin: gremlin,
+            bindings: bindings,
+            language: 'gremlin-groovy'
+        };
+        let processor = '';
+        if (options.session) {
+            processor = 'session';
+            args.session = options.session;
+        }
+        return this.send({op: 'eval', processor: processor, args: args}, options.onData);
+    }
+
+    /**
+     * Closes a session on the server, rolling back anything that was not committed.
+     * @param {String} session - The ID of the session to close
+     * @returns {Promise.<TResult>}
+     */
+    closeSession(session) {
+        return this.send({op: 'close', processor: 'session', args: {session: session}});
+    }
+
+    /**
+     * Creates a new session ID to pass to submit.
+     * @returns {String}
+     */
+    createSession() {
+        return this.createRequestId();
+    }
+
+    /**
+     * Closes the WebSocket. Any requests still in flight are rejected.
+     * @returns {Promise.<TResult>}
+     */
+    close() {
+        this.closed = true;
+        if (this.socket) {
+            this.socket.close();
+        }
+        return Promise.resolve();
+    }
+
+    send(message, onData) {
+        return this.connect()
+            .then((socket) => {
+                return new Promise((resolve, reject) => {
+                    let request = {
+                        message: Object.assign({requestId: this.createRequestId()}, message),
+                        resolve: resolve,
+                        reject: reject,
+                        onData: onData,
+                        data: []
+                    };
+                    request.timer = setTimeout(() => {
+                        this.completeRequest(request, new Error('Timed out waiting for response from server.'));
+                    }, this.requestTimeout);
+                    this.pendingRequests[request.message.requestId] = request;
+                    try {
+                        this.write(socket, request.message);
+                    }
+                    catch (err) {
+                        this.completeRequest(request, err);
+                    }
+                });
+            });
+    }
+
+    connect() {
+        if (this.socket && this.socket.readyState == WebSocket.OPEN) {
+            return Promise.resolve(this.socket);
+        }
+        if (!this.connecting) {
+            this.closed = false;
+            this.connecting = this.openSocket(0)
+                .then((socket) => {
+                    this.connecting = null;
+                    this.socket = socket;
+                    return Promise.resolve(socket);
+                })
+                .catch((err) => {
+                    this.connecting = null;
+                    return Promise.reject(err);
+                });
+        }
+        return this.connecting;
+    }
+
+    openSocket(attempt) {
+        return new Promise((resolve, reject) => {
+            console.log(`Opening WebSocket to ${this.url}...`);
+            const authHeader = 'Basic ' + new Buffer(this.username + ':' + this.password).toString('base64');
+            let socket = new WebSocket(this.url, {headers: {'Authorization': authHeader}});
+            let opened = false;
+            socket.on('open', () => {
+                opened = true;
+                resolve(socket);
+            });
+            socket.on('message', (data) => {
+                this.handleMessage(socket, data);
+            });
+            socket.on('error', (err) => {
+                console.log(`WebSocket error: ${err}`);
+                if (!opened) {
+                    reject(err);
+                }
+            });
+            socket.on('close', () => {
+                if (opened) {
+                    this.handleClose(socket);
+                }
+            });
+        })
+            .catch((err) => {
+                if (this.closed || attempt + 1 >= this.maxReconnectAttempts) {
+                    return Promise.reject(err);
+                }
+                const delay = this.reconnectDelay * Math.pow(2, attempt);
+                console.log(`Reconnecting WebSocket in ${delay}ms...`);
+                return new Promise((resolve) => {
+                    setTimeout(resolve, delay);
+                })
+                    .then(() => {
+                        return this.openSocket(attempt + 1);
+                    });
+            });
+    }
+
+    handleClose(socket) {
+        if (this.socket === socket) {
+            this.socket = null;
+        }
+        // scripts are not idempotent, so anything in flight is failed rather than resent - the next request reconnects
+        for (let requestId in this.pendingRequests) {
+            if (this.pendingRequests.hasOwnProperty(requestId)) {
+                this.completeRequest(this.pendingRequests[requestId], new Error('WebSocket closed before response was received.'));
+            }
+        }
+    }
+
+    handleMessage(socket, data) {
+        let response;
+        try {
+            response = JSON.parse(data.toString());
+        }
+        catch (err) {
+            console.log(`Invalid message received from server: ${err}`);
+            return;
+        }
+        let request = this.pendingRequests[response.requestId];
+        if (!request) {
+            return;
+        }
+        const code = response.status ? response.status.code : 0;
+        if (code == 407) {
+            // the server wants SASL PLAIN credentials for this request
+            const sasl = new Buffer('\0' + this.username + '\0' + this.password).toString('base64');
+            this.write(socket, {
+                requestId: response.requestId,
+                op: 'authentication',
+                processor: '',
+                args: {sasl: sasl, saslMechanism: 'PLAIN'}
+            });
+        }
+        else if (code == 200 || code == 204 || code == 206) {
+            let data = (response.result && response.result.data) || [];
+            if (data.length > 0) {
+                request.data = request.data.concat(data);
+                if (request.onData) {
+                    request.onData(data);
+                }
+            }
+            if (code != 206) {
+                response.status.code = 200;
+                response.result = Object.assign({}, response.result, {data: request.data});
+                this.completeRequest(request, null, response);
+            }
+        }
+        else {
+            const message = response.status ? response.status.message : 'Unknown error';
+            this.completeRequest(request, new Error(`Server returned error ${code}: ${message}`));
+        }
+    }
+
+    completeRequest(request, err, response) {
+        clearTimeout(request.timer);
+        delete this.pendingRequests[request.message.requestId];
+        if (err) {
+            request.reject(err);
+        }
+        else {
+            request.resolve(response);
+        }
+    }
+
+    write(socket, message) {
+        const mimeType = new Buffer(MIME_TYPE);
+        const body = new Buffer(JSON.stringify(message));
+        socket.send(Buffer.concat([new Buffer([mimeType.length]), mimeType, body]), {binary: true});
+    }
+
+    createRequestId() {
+        let bytes = crypto.randomBytes(16);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = bytes.toString('hex');
+        return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20)}`;
+    }
+}
+
+module.exports = GremlinWebSocketTransport;
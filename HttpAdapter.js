@@ -0,0 +1,132 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+
+const MAX_BODY_LENGTH = 64 * 1024;
+
+class HttpAdapter {
+
+    /**
+     * Creates a new instance of HttpAdapter.
+     * Accepts messages as JSON POSTed to /messages ({"userId": "...", "text": "..."}) and responds with the reply
+     * ({"reply": "..."}), so the bot can be embedded in a web app.
+     * Implements the same methods as SlackAdapter.
+     * Anyone who can reach the port could otherwise send messages as any user, so every request must send the API key.
+     * @param {Number} port - The port to listen on
+     * @param {Object} options - Settings (apiKey - required, requests must send it in an "Authorization: Bearer <apiKey>" header, getMetrics - if set, GET /metrics responds with the object it returns)
+     */
+    constructor(port, options) {
+        options = options || {};
+        this.port = port;
+        this.apiKey = options.apiKey;
+        this.getMetrics = options.getMetrics;
+        this.server = null;
+    }
+
+    /**
+     * Starts the HTTP server and passes each message to onMessage.
+     * @param {Function} onMessage - Called with each message ({userId, channelId, text})
+     * @returns {Promise.<TResult>} - Rejected if no API key is set
+     */
+    start(onMessage) {
+        if (!this.apiKey) {
+            return Promise.reject(new Error('The http chat adapter requires an API key (set HTTP_API_KEY).'));
+        }
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res, onMessage);
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                console.log(`sous-chef is listening on port ${this.server.address().port}!`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Responds to the request the message was received on.
+     * @param {Object} message - The message being replied to
+     * @param {String|Object} reply - The reply, either text or {text, blocks} - only the text is sent
+     * @returns {Promise.<TResult>}
+     */
+    sendReply(message, reply) {
+        if (message.response.finished) {
+            console.log(`Dropping reply to ${message.userId}, the request was already answered.`);
+        }
+        else {
+            this.sendJson(message.response, 200, {reply: (typeof reply == 'string' ? reply : reply.text)});
+        }
+        return Promise.resolve();
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            this.server.close(() => {
+                resolve();
+            });
+        });
+    }
+
+    handleRequest(req, res, onMessage) {
+        const isMetricsRequest = (req.method == 'GET' && req.url == '/metrics' && this.getMetrics);
+        if (!isMetricsRequest && (req.method != 'POST' || req.url != '/messages')) {
+            this.sendJson(res, 404, {error: 'Not found'});
+            return;
+        }
+        if (!this.isAuthorized(req)) {
+            this.sendJson(res, 401, {error: 'Unauthorized'});
+            return;
+        }
+        if (isMetricsRequest) {
+            this.sendJson(res, 200, this.getMetrics());
+            return;
+        }
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_LENGTH) {
+                this.sendJson(res, 413, {error: 'Request too large'});
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (res.finished) {
+                return;
+            }
+            let json;
+            try {
+                json = JSON.parse(body);
+            }
+            catch (err) {
+                this.sendJson(res, 400, {error: 'Invalid JSON'});
+                return;
+            }
+            if (!json || typeof json != 'object' || Array.isArray(json)) {
+                this.sendJson(res, 400, {error: 'Body must be a JSON object'});
+                return;
+            }
+            if (!json.userId || typeof json.text != 'string') {
+                this.sendJson(res, 400, {error: 'userId and text are required'});
+                return;
+            }
+            // the response is kept on the message so sendReply can answer the request
+            onMessage({userId: `${json.userId}`, channelId: 'http', text: json.text, response: res});
+        });
+    }
+
+    isAuthorized(req) {
+        // compared in constant time, so the key cannot be guessed from how long a wrong key takes to be refused
+        const expected = Buffer.from(`Bearer ${this.apiKey}`);
+        const actual = Buffer.from(`${req.headers['authorization'] || ''}`);
+        return actual.length == expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    sendJson(res, statusCode, body) {
+        res.writeHead(statusCode, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = HttpAdapter;
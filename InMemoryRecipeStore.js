@@ -0,0 +1,1422 @@
+'use strict';
+
+const fs = require('fs');
+
+// A selection that has not been rated is weighted as if it had been rated NEUTRAL_RATING (see JanusGraphRecipeStore)
+const NEUTRAL_RATING = 3;
+// The nutrition per serving stored as numbers on recipe vertices, so recipes can be filtered by nutrient limits
+const NUTRITION_KEYS = ['calories', 'protein', 'fat', 'carbohydrates'];
+
+class InMemoryRecipeStore {
+
+    /**
+     * Creates a new instance of InMemoryRecipeStore.
+     * Implements the same methods as JanusGraphRecipeStore and returns vertices, edges and paths in the same
+     * shape as the JanusGraph REST API, so SousChef can run without a graph database.
+     * @param {String} filePath - Optional path of a JSON file to load the graph from and save it to after every change
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.graph = {nextId: 1, vertices: {}, edges: {}};
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Loads the graph from the JSON file, if one was specified and it exists.
+     * @returns {Promise.<TResult>}
+     */
+    init() {
+        if (!this.filePath) {
+            return Promise.resolve(true);
+        }
+        return new Promise((resolve, reject) => {
+            fs.readFile(this.filePath, 'utf8', (err, data) => {
+                if (err && err.code == 'ENOENT') {
+                    console.log(`Graph file ${this.filePath} does not exist. Starting with an empty graph.`);
+                    resolve(true);
+                }
+                else if (err) {
+                    reject(err);
+                }
+                else {
+                    console.log(`Loading graph from ${this.filePath}...`);
+                    this.graph = JSON.parse(data);
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    // User
+
+    /**
+     * Adds a new user to the graph if a user with the specified ID does not already exist.
+     * @param userId - The ID of the user (typically the ID returned from Slack)
+     * @returns {Promise.<TResult>}
+     */
+    addUser(userId) {
+        let userVertex = {label: 'person'};
+        userVertex['name'] = userId;
+        return this.addVertexIfNotExists(userVertex, 'name');
+    }
+
+    /**
+     * Finds the user with the specified ID in the graph.
+     * @param userId - The ID of the user (typically the ID returned from Slack)
+     * @returns {Promise.<TResult>} - The person vertex, or null if the user does not exist
+     */
+    findUser(userId) {
+        return this.findVertex('person', 'name', userId);
+    }
+
+    /**
+     * Stores the user's dietary profile on the person vertex.
+     * @param userVertex - The existing vertex for the user
+     * @param profile - The DietaryProfile
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    updateDietaryProfile(userVertex, profile) {
+        return this.updateVertex(userVertex, profile.getProperties());
+    }
+
+    // Ingredients
+    // Every ingredient is its own ingredient vertex. A search for one or more ingredients is an ingredientSet vertex
+    // (which caches the matching recipes) with a contains edge to each of its ingredients.
+
+    /**
+     * Gets the unique name for a single ingredient to be stored in the graph.
+     * @param ingredient - The name of the ingredient
+     * @returns {string}
+     */
+    getUniqueIngredientName(ingredient) {
+        return ingredient.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Gets the sorted, de-duplicated list of unique ingredient names in the specified ingredientsStr.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @returns {Array}
+     */
+    getUniqueIngredientNames(ingredientsStr) {
+        let ingredients = [];
+        for (let ingredient of ingredientsStr.split(',')) {
+            ingredient = this.getUniqueIngredientName(ingredient);
+            if (ingredient.length > 0 && ingredients.indexOf(ingredient) < 0) {
+                ingredients.push(ingredient);
+            }
+        }
+        ingredients.sort();
+        return ingredients;
+    }
+
+    /**
+     * Gets the unique name for the ingredient set to be stored in the graph.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @returns {string}
+     */
+    getUniqueIngredientsName(ingredientsStr, profile) {
+        return this.addProfileKey(this.getUniqueIngredientNames(ingredientsStr).join(','), profile);
+    }
+
+    /**
+     * Finds the ingredient set based on the specified ingredientsStr in the graph.
+     * Only a search for exactly these ingredients, with the same dietary profile, is returned - its cached recipes, paging
+     * and request counts belong to that search alone. Searches that only overlap are linked through their ingredient
+     * vertices, so their recipes are found by findRecommendedRecipesForIngredient instead.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {Promise.<TResult>}
+     */
+    findIngredient(ingredientsStr, profile) {
+        return this.findVertex('ingredientSet', 'name', this.getUniqueIngredientsName(ingredientsStr, profile));
+    }
+
+    /**
+     * Finds the ingredient sets searched for with exactly these ingredients, with and without a dietary profile.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients
+     * @returns {Promise.<TResult>} - The vertices, empty if the ingredients were never searched for
+     */
+    findIngredientProfiles(ingredientsStr) {
+        return this.findVerticesForAllProfiles('ingredientSet', this.getUniqueIngredientsName(ingredientsStr));
+    }
+
+    /**
+     * Adds a new ingredient set to the graph if one based on the specified ingredientsStr does not already exist,
+     * links it to a vertex for each of its ingredients, and records the user's request for it.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @param matchingRecipes - The recipes that match the specified ingredientsStr
+     * @param userVertex - The existing vertex for the user
+     * @param profile - Optional DietaryProfile the recipes were searched for with
+     * @returns {Promise.<TResult>}
+     */
+    addIngredient(ingredientsStr, matchingRecipes, userVertex, profile) {
+        let ingredientSetVertex = {label: 'ingredientSet'};
+        ingredientSetVertex['name'] = this.getUniqueIngredientsName(ingredientsStr, profile);
+        ingredientSetVertex['detail'] = JSON.stringify(matchingRecipes);
+        ingredientSetVertex['fetchedAt'] = Date.now();
+        if (this.getProfileKey(profile)) {
+            ingredientSetVertex['profile'] = this.getProfileKey(profile);
+        }
+        let vertex = this.upsertVertexSync(ingredientSetVertex, 'name');
+        for (let ingredientName of this.getUniqueIngredientNames(ingredientsStr)) {
+            let ingredientVertex = this.upsertVertexSync({label: 'ingredient', name: ingredientName}, 'name');
+            this.updateEdgeSync({label: 'contains', outV: vertex.id, inV: ingredientVertex.id}, false);
+        }
+        this.updateEdgeSync({label: 'selects', outV: userVertex.id, inV: vertex.id}, true);
+        return this.save(vertex);
+    }
+
+    /**
+     * Creates or updates an edge between the specified user and ingredient.
+     * @param ingredientVertex - The existing vertex for the ingredient
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>}
+     */
+    recordIngredientRequestForUser(ingredientVertex, userVertex) {
+        return this.addUpdateEdge({
+            label: 'selects',
+            outV: userVertex.id,
+            inV: ingredientVertex.id,
+            properties: {'count': 1}
+        });
+    }
+
+    // Cuisine
+
+    /**
+     * Gets the unique name for the cuisine to be stored in the graph.
+     * @param cuisine - The cuisine specified by the user
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {string}
+     */
+    getUniqueCuisineName(cuisine, profile) {
+        return this.addProfileKey(cuisine.trim().toLowerCase(), profile);
+    }
+
+    /**
+     * Finds the cuisine with the specified name in the graph.
+     * @param cuisine - The cuisine specified by the user
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {Promise.<TResult>}
+     */
+    findCuisine(cuisine, profile) {
+        return this.findVertex('cuisine', 'name', this.getUniqueCuisineName(cuisine, profile));
+    }
+
+    /**
+     * Finds the cuisine searched for with and without a dietary profile.
+     * @param cuisine - The cuisine
+     * @returns {Promise.<TResult>} - The vertices, empty if the cuisine was never searched for
+     */
+    findCuisineProfiles(cuisine) {
+        return this.findVerticesForAllProfiles('cuisine', this.getUniqueCuisineName(cuisine));
+    }
+
+    /**
+     * Adds a new cuisine to the graph if a cuisine with the specified name does not already exist.
+     * @param cuisine - The cuisine specified by the user
+     * @param matchingRecipes - The recipes that match the specified cuisine
+     * @param userVertex - The existing vertex for the user
+     * @param profile - Optional DietaryProfile the recipes were searched for with
+     * @returns {Promise.<TResult>}
+     */
+    addCuisine(cuisine, matchingRecipes, userVertex, profile) {
+        let cuisineVertex = {label: 'cuisine'};
+        cuisineVertex['name'] = this.getUniqueCuisineName(cuisine, profile);
+        cuisineVertex['detail'] = JSON.stringify(matchingRecipes);
+        cuisineVertex['fetchedAt'] = Date.now();
+        if (this.getProfileKey(profile)) {
+            cuisineVertex['profile'] = this.getProfileKey(profile);
+        }
+        return this.addVertexIfNotExists(cuisineVertex, 'name')
+            .then((vertex) => {
+                return this.recordCuisineRequestForUser(vertex, userVertex)
+                    .then(() => {
+                        return Promise.resolve(vertex);
+                    });
+            });
+    }
+
+    /**
+     * Creates or updates an edge between the specified user and cuisine.
+     * @param cuisineVertex - The existing vertex for the cuisine
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>}
+     */
+    recordCuisineRequestForUser(cuisineVertex, userVertex) {
+        return this.addUpdateEdge({
+            label: 'selects',
+            outV: userVertex.id,
+            inV: cuisineVertex.id,
+            properties: {'count': 1}
+        });
+    }
+
+    // Search
+    // Same as JanusGraphRecipeStore: a search with more than one kind of criteria is a search vertex named by its
+    // normalized criteria and dietary profile.
+
+    /**
+     * Gets the unique name for the search to be stored in the graph.
+     * @param query - The SearchQuery
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {string}
+     */
+    getUniqueSearchName(query, profile) {
+        return this.addProfileKey(query.getKey(), profile);
+    }
+
+    /**
+     * Finds the search with the same criteria in the graph.
+     * @param query - The SearchQuery
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {Promise.<TResult>}
+     */
+    findSearch(query, profile) {
+        return this.findVertex('search', 'name', this.getUniqueSearchName(query, profile));
+    }
+
+    /**
+     * Finds the search with the same criteria made with and without a dietary profile.
+     * @param query - The SearchQuery
+     * @returns {Promise.<TResult>} - The vertices, empty if the search was never made
+     */
+    findSearchProfiles(query) {
+        return this.findVerticesForAllProfiles('search', this.getUniqueSearchName(query));
+    }
+
+    /**
+     * Adds a new search to the graph if a search with the same criteria does not already exist, and records the user's request for it.
+     * @param query - The SearchQuery
+     * @param matchingRecipes - The recipes that match the search
+     * @param userVertex - The existing vertex for the user
+     * @param profile - Optional DietaryProfile the recipes were searched for with
+     * @returns {Promise.<TResult>}
+     */
+    addSearch(query, matchingRecipes, userVertex, profile) {
+        let searchVertex = {label: 'search'};
+        searchVertex['name'] = this.getUniqueSearchName(query, profile);
+        searchVertex['detail'] = JSON.stringify(matchingRecipes);
+        searchVertex['fetchedAt'] = Date.now();
+        if (this.getProfileKey(profile)) {
+            searchVertex['profile'] = this.getProfileKey(profile);
+        }
+        return this.addVertexIfNotExists(searchVertex, 'name')
+            .then((vertex) => {
+                return this.recordSearchRequestForUser(vertex, userVertex)
+                    .then(() => {
+                        return Promise.resolve(vertex);
+                    });
+            });
+    }
+
+    /**
+     * Creates or updates an edge between the specified user and search.
+     * @param searchVertex - The existing vertex for the search
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>}
+     */
+    recordSearchRequestForUser(searchVertex, userVertex) {
+        return this.addUpdateEdge({
+            label: 'selects',
+            outV: userVertex.id,
+            inV: searchVertex.id,
+            properties: {'count': 1}
+        });
+    }
+
+    // Recipe
+
+    /**
+     * Gets the unique name for the recipe to be stored in the graph.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @returns {string}
+     */
+    getUniqueRecipeName(recipeId) {
+        return `${recipeId}`.trim().toLowerCase();
+    }
+
+    /**
+     * Finds the recipe with the specified ID in the graph.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @returns {Promise.<TResult>}
+     */
+    findRecipe(recipeId) {
+        return this.findVertex('recipe', 'name', this.getUniqueRecipeName(recipeId));
+    }
+
+    /**
+     * Adds a new recipe to the graph if a recipe with the specified name does not already exist.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param recipeTitle - The title of the recipe
+     * @param recipeDetail - The detailed instructions for making the recipe
+     * @param ingredientCuisineVertex - The existing vertex for either the ingredient or cuisine selected before the recipe
+     * @param userVertex - The existing vertex for the user
+     * @param recipeIngredients - The names of the ingredients the recipe uses (each one is linked to the recipe with a uses edge)
+     * @param dietaryInfo - Optional diets the recipe satisfies and intolerances it triggers ({diets, allergens}), used to filter recommendations by dietary profile
+     * @returns {Promise.<TResult>}
+     */
+    addRecipe(recipeId, recipeTitle, recipeDetail, ingredientCuisineVertex, userVertex, recipeIngredients, dietaryInfo) {
+        let recipeVertex = {label: 'recipe'};
+        recipeVertex['name'] = this.getUniqueRecipeName(recipeId);
+        recipeVertex['title'] = recipeTitle.trim();
+        recipeVertex['detail'] = recipeDetail;
+        recipeVertex['fetchedAt'] = Date.now();
+        Object.assign(recipeVertex, this.getDietaryInfoProperties(dietaryInfo));
+        let vertex = this.upsertVertexSync(recipeVertex, 'name');
+        for (let ingredient of recipeIngredients || []) {
+            ingredient = this.getUniqueIngredientName(ingredient);
+            if (ingredient.length > 0) {
+                let ingredientVertex = this.upsertVertexSync({label: 'ingredient', name: ingredient}, 'name');
+                this.updateEdgeSync({label: 'uses', outV: vertex.id, inV: ingredientVertex.id}, false);
+            }
+        }
+        return this.recordRecipeRequestForUser(vertex, ingredientCuisineVertex, userVertex);
+    }
+
+    /**
+     * Finds the recipe with the specified ID and, if it exists, records the user's selection of it (see recordRecipeRequestForUser).
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param ingredientCuisineVertex - The existing vertex for either the ingredient or cuisine selected before the recipe
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>} - The recipe vertex, or null if the recipe does not exist
+     */
+    selectRecipe(recipeId, ingredientCuisineVertex, userVertex) {
+        let recipeVertex = this.findVertexSync('recipe', 'name', this.getUniqueRecipeName(recipeId));
+        if (!recipeVertex) {
+            return Promise.resolve(null);
+        }
+        return this.recordRecipeRequestForUser(recipeVertex, ingredientCuisineVertex, userVertex);
+    }
+
+    /**
+     * Stores the user's rating of a recipe on the edge between the user and the recipe.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The vertex for the user
+     * @param rating - The rating from 1 to 5
+     * @returns {Promise.<TResult>} - The updated edge, or null if the user has not selected the recipe
+     */
+    rateRecipe(recipeId, userVertex, rating) {
+        let recipeVertex = this.findVertexSync('recipe', 'name', this.getUniqueRecipeName(recipeId));
+        let edge = recipeVertex ? this.findEdge('selects', userVertex.id, recipeVertex.id) : null;
+        if (!edge) {
+            return Promise.resolve(null);
+        }
+        edge.properties['rating'] = rating;
+        return this.save(edge);
+    }
+
+    /**
+     * Marks a recipe the user has selected as saved, so it is listed first in the user's favorites.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The vertex for the user
+     * @returns {Promise.<TResult>} - The updated edge, or null if the user has not selected the recipe
+     */
+    saveRecipe(recipeId, userVertex) {
+        let recipeVertex = this.findVertexSync('recipe', 'name', this.getUniqueRecipeName(recipeId));
+        let edge = recipeVertex ? this.findEdge('selects', userVertex.id, recipeVertex.id) : null;
+        if (!edge) {
+            return Promise.resolve(null);
+        }
+        edge.properties['saved'] = true;
+        return this.save(edge);
+    }
+
+    /**
+     * Finds the user's favorite recipes in the graph.
+     * Saved recipes come first, then recipes are ordered by how often the user selected them, weighted by the user's
+     * rating (see NEUTRAL_RATING).
+     * @param userVertex - The existing vertex for the user
+     * @param count - The max number of recipes to return
+     * @returns {Promise.<TResult>} - The recipes ({id, title, rating, saved}), rating is undefined for recipes the user has not rated
+     */
+    findFavoriteRecipesForUser(userVertex, count) {
+        let recipes = [];
+        let person = this.findVertexSync('person', 'name', userVertex.properties.name[0].value);
+        if (person) {
+            let edges = this.getEdges(person.id, 'out', 'selects').sort((a, b) => {
+                let saved = (b.properties.saved ? 1 : 0) - (a.properties.saved ? 1 : 0);
+                return saved || this.getSelectionWeight(b) - this.getSelectionWeight(a);
+            });
+            for (let edge of edges) {
+                let recipeVertex = this.graph.vertices[edge.inV];
+                if (recipeVertex.label == 'recipe' && recipes.length < count) {
+                    recipes.push({
+                        id: recipeVertex.properties.name[0].value,
+                        title: recipeVertex.properties.title[0].value,
+                        rating: edge.properties.rating,
+                        saved: !!edge.properties.saved
+                    });
+                }
+            }
+        }
+        return Promise.resolve(recipes);
+    }
+
+    /**
+     * Finds recipes the user has not selected yet that were selected by people who selected the same recipes as the user.
+     * Falls back to the most popular recipes if nobody shares a recipe with the user.
+     * @param userVertex - The vertex for the user
+     * @param count - The max number of recipes to return
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @returns {Promise.<TResult>} - The recipes ({id, title, score, sharedRecipeTitle}) ordered by score, sharedRecipeTitle is null for popular recipes
+     */
+    findSuggestedRecipesForUser(userVertex, count, profile) {
+        // same walk as the Gremlin script: person -selects-> recipe <-selects- person -selects-> recipe
+        let person = this.findVertexSync('person', 'name', userVertex.properties.name[0].value);
+        let isRecipe = (vertexId) => this.graph.vertices[vertexId].label == 'recipe';
+        let isOtherPerson = (vertexId) => this.graph.vertices[vertexId].label == 'person' && (!person || vertexId != person.id);
+        let myEdges = person ? this.getEdges(person.id, 'out', 'selects').filter((edge) => isRecipe(edge.inV)) : [];
+        let cooked = {};
+        for (let edge of myEdges) {
+            cooked[edge.inV] = true;
+        }
+        let scores = {};
+        let reasons = {};
+        for (let mine of myEdges) {
+            for (let theirs of this.getEdges(mine.inV, 'in', 'selects').filter((edge) => isOtherPerson(edge.outV))) {
+                for (let edge of this.getEdges(theirs.outV, 'out', 'selects')) {
+                    if (!isRecipe(edge.inV) || cooked[edge.inV]) {
+                        continue;
+                    }
+                    let weight = Math.min(this.getSelectionWeight(mine), this.getSelectionWeight(theirs)) * this.getSelectionWeight(edge);
+                    scores[edge.inV] = (scores[edge.inV] || 0) + weight;
+                    if (!reasons[edge.inV] || reasons[edge.inV].weight < weight) {
+                        reasons[edge.inV] = {weight: weight, recipeId: mine.inV};
+                    }
+                }
+            }
+        }
+        if (Object.keys(scores).length == 0) {
+            for (let id in this.graph.vertices) {
+                if (isRecipe(id) && !cooked[id]) {
+                    let weight = 0;
+                    for (let edge of this.getEdges(id, 'in', 'selects').filter((edge) => isOtherPerson(edge.outV))) {
+                        weight += this.getSelectionWeight(edge);
+                    }
+                    if (weight > 0) {
+                        scores[id] = weight;
+                    }
+                }
+            }
+        }
+        let recipes = Object.keys(scores)
+            .sort((a, b) => {
+                return scores[b] - scores[a];
+            })
+            .filter((id) => this.isRecipeAllowed(this.getRecipeDietaryInfo(this.graph.vertices[id]), profile))
+            .slice(0, count)
+            .map((id) => {
+                let recipeVertex = this.graph.vertices[id];
+                let reason = reasons[id];
+                return {
+                    id: recipeVertex.properties.name[0].value,
+                    title: recipeVertex.properties.title[0].value,
+                    score: scores[id],
+                    sharedRecipeTitle: reason ? this.graph.vertices[reason.recipeId].properties.title[0].value : null
+                };
+            });
+        return Promise.resolve(recipes);
+    }
+
+    /**
+     * Finds popular recipes using the specified ingredient.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @param userVertex - The vertex for the user requesting recommended recipes
+     * @param count - The max number of recipes to return
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @returns {Promise.<TResult>}
+     */
+    findRecommendedRecipesForIngredient(ingredientsStr, userVertex, count, profile) {
+        // recipes that use any of the ingredients, not just recipes found by searching for exactly the same ingredients
+        let recipeVertices = [];
+        for (let ingredientName of this.getUniqueIngredientNames(ingredientsStr)) {
+            let ingredientVertex = this.findVertexSync('ingredient', 'name', ingredientName);
+            for (let edge of (ingredientVertex ? this.getEdges(ingredientVertex.id, 'in', 'uses') : [])) {
+                recipeVertices.push(this.graph.vertices[edge.outV]);
+            }
+        }
+        return Promise.resolve(this.getRecommendedRecipes(recipeVertices, userVertex, count, profile));
+    }
+
+    /**
+     * Finds popular recipes using the specified cuisine.
+     * @param cuisine - The cuisine specified by the user
+     * @param userVertex - The vertex for the user requesting recommended recipes
+     * @param count - The max number of recipes to return
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @returns {Promise.<TResult>}
+     */
+    findRecommendedRecipesForCuisine(cuisine, userVertex, count, profile) {
+        let cuisineVertex = this.findVertexSync('cuisine', 'name', this.getUniqueCuisineName(cuisine, profile));
+        let recipeVertices = [];
+        for (let edge of (cuisineVertex ? this.getEdges(cuisineVertex.id, 'in', 'has') : [])) {
+            recipeVertices.push(this.graph.vertices[edge.outV]);
+        }
+        return Promise.resolve(this.getRecommendedRecipes(recipeVertices, userVertex, count, profile));
+    }
+
+    getRecommendedRecipes(recipeVertices, userVertex, count, profile) {
+        // same walk as the Gremlin query: recipe <-selects(liked)- other person
+        // a recipe can be reached through more than one ingredient - only count each user once
+        let userName = userVertex.properties.name[0].value;
+        let selections = [];
+        let recipeUserHash = {};
+        for (let recipeVertex of recipeVertices) {
+            if (!this.isRecipeAllowed(this.getRecipeDietaryInfo(recipeVertex), profile)) {
+                continue;
+            }
+            for (let edge of this.getEdges(recipeVertex.id, 'in', 'selects')) {
+                let personVertex = this.graph.vertices[edge.outV];
+                let recipeUserKey = `${recipeVertex.id}:${personVertex.id}`;
+                if (this.isLikedSelection(edge) && personVertex.label == 'person' && personVertex.properties.name[0].value != userName && !recipeUserHash[recipeUserKey]) {
+                    recipeUserHash[recipeUserKey] = true;
+                    selections.push({recipeVertex: recipeVertex, edge: edge});
+                }
+            }
+        }
+        let recipes = [];
+        let recipeHash = {};
+        for (let selection of selections) {
+            let recipeId = selection.recipeVertex.properties.name[0].value;
+            let recipe = recipeHash[recipeId];
+            if (!recipe) {
+                recipe = {
+                    id: recipeId,
+                    title: selection.recipeVertex.properties.title[0].value,
+                    calories: this.getRecipeNutrition(selection.recipeVertex).calories,
+                    recommendedUserCount: 1,
+                    score: this.getSelectionWeight(selection.edge)
+                };
+                recipes.push(recipe);
+                recipeHash[recipeId] = recipe;
+            }
+            else {
+                recipe.recommendedUserCount += 1;
+                recipe.score += this.getSelectionWeight(selection.edge);
+            }
+        }
+        recipes.sort((a, b) => {
+            return b.score - a.score;
+        });
+        return recipes.slice(0, count);
+    }
+
+    /**
+     * Returns true if the selection shows the user liked the recipe: selected more than once or rated above neutral,
+     * and never rated below neutral.
+     * @param edge - The selects edge
+     * @returns {boolean}
+     */
+    isLikedSelection(edge) {
+        let rating = edge.properties.rating;
+        return (this.getCount(edge) > 1 || rating > NEUTRAL_RATING) && !(rating < NEUTRAL_RATING);
+    }
+
+    /**
+     * Gets the weight of a user's selection of a recipe: the number of times it was selected scaled by the user's rating.
+     * @param edge - The selects edge
+     * @returns {number}
+     */
+    getSelectionWeight(edge) {
+        return (this.getCount(edge) || 1) * (edge.properties.rating || NEUTRAL_RATING) / NEUTRAL_RATING;
+    }
+
+    /**
+     * Creates or updates an edge between the specified user and recipe.
+     * Creates or updates an edge between the specified ingredient/cuisine (if not null) and recipe.
+     * @param recipeVertex - The existing vertex for the recipe
+     * @param ingredientCuisineVertex - The existing vertex for either the ingredient or cuisine selected before the recipe
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>}
+     */
+    recordRecipeRequestForUser(recipeVertex, ingredientCuisineVertex, userVertex) {
+        this.updateEdgeSync({label: 'selects', outV: userVertex.id, inV: recipeVertex.id}, true);
+        if (ingredientCuisineVertex) {
+            this.updateEdgeSync({label: 'selects', outV: ingredientCuisineVertex.id, inV: recipeVertex.id}, true);
+            this.updateEdgeSync({label: 'has', outV: recipeVertex.id, inV: ingredientCuisineVertex.id}, false);
+        }
+        return this.save(this.graph.vertices[recipeVertex.id]);
+    }
+
+    // Substitutions
+    // Same as JanusGraphRecipeStore: substitutes are cached as substitutes edges between ingredient vertices, counting
+    // how often users chose them.
+
+    /**
+     * Finds the cached substitutes for an ingredient, the ones users chose most often first.
+     * @param ingredient - The name of the ingredient
+     * @returns {Promise.<TResult>} - The substitutes ({name, description, count}), empty if none are cached
+     */
+    findSubstitutes(ingredient) {
+        let ingredientVertex = this.findVertexSync('ingredient', 'name', this.getUniqueIngredientName(ingredient));
+        if (!ingredientVertex) {
+            return Promise.resolve([]);
+        }
+        let edges = this.getEdges(ingredientVertex.id, 'out', 'substitutes').sort((a, b) => {
+            return this.getCount(b) - this.getCount(a) || a.properties.rank - b.properties.rank;
+        });
+        let substitutes = [];
+        for (let edge of edges) {
+            substitutes.push({
+                name: this.graph.vertices[edge.inV].properties.name[0].value,
+                description: edge.properties.description,
+                count: this.getCount(edge)
+            });
+        }
+        return Promise.resolve(substitutes);
+    }
+
+    /**
+     * Caches the substitutes for an ingredient.
+     * @param ingredient - The name of the ingredient
+     * @param substitutes - The substitutes ({name, description}) in the order they were returned
+     * @returns {Promise.<TResult>} - The ingredient vertex
+     */
+    addSubstitutes(ingredient, substitutes) {
+        let ingredientVertex = this.upsertVertexSync({label: 'ingredient', name: this.getUniqueIngredientName(ingredient)}, 'name');
+        substitutes.forEach((substitute, i) => {
+            let substituteVertex = this.upsertVertexSync({label: 'ingredient', name: this.getUniqueIngredientName(substitute.name)}, 'name');
+            let edge = {
+                label: 'substitutes',
+                outV: ingredientVertex.id,
+                inV: substituteVertex.id,
+                properties: {description: substitute.description, rank: i}
+            };
+            this.updateEdgeSync(edge, false);
+        });
+        return this.save(ingredientVertex);
+    }
+
+    /**
+     * Records that a user chose a substitute for an ingredient, so it is ranked higher the next time.
+     * @param ingredient - The name of the ingredient
+     * @param substitute - The name of the substitute
+     * @returns {Promise.<TResult>} - The substitutes edge, or null if the substitute is not cached
+     */
+    acceptSubstitute(ingredient, substitute) {
+        let ingredientVertex = this.findVertexSync('ingredient', 'name', this.getUniqueIngredientName(ingredient));
+        let substituteVertex = this.findVertexSync('ingredient', 'name', this.getUniqueIngredientName(substitute));
+        if (!ingredientVertex || !substituteVertex || !this.findEdge('substitutes', ingredientVertex.id, substituteVertex.id)) {
+            return Promise.resolve(null);
+        }
+        return this.addUpdateEdge({label: 'substitutes', outV: ingredientVertex.id, inV: substituteVertex.id});
+    }
+
+    // Shopping list
+    // Same as JanusGraphRecipeStore: recipes on the list are linked to the user with a lists edge, and what the user
+    // already has is stored on the person vertex as JSON.
+
+    /**
+     * Adds a recipe to the user's shopping list.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>} - The lists edge, or null if the recipe does not exist
+     */
+    addRecipeToShoppingList(recipeId, userVertex) {
+        let recipeVertex = this.findVertexSync('recipe', 'name', this.getUniqueRecipeName(recipeId));
+        if (!recipeVertex) {
+            return Promise.resolve(null);
+        }
+        return this.addEdgeIfNotExists({label: 'lists', outV: userVertex.id, inV: recipeVertex.id});
+    }
+
+    /**
+     * Finds the recipes on the user's shopping list.
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>} - The recipes ({id, title, ingredients}), ingredients is a list of {name, amount, unit, aisle}
+     */
+    findShoppingListRecipes(userVertex) {
+        let recipes = [];
+        for (let edge of this.getEdges(userVertex.id, 'out', 'lists')) {
+            let properties = this.graph.vertices[edge.inV].properties;
+            recipes.push({
+                id: properties.name[0].value,
+                title: properties.title[0].value,
+                ingredients: properties.ingredientAmounts ? JSON.parse(properties.ingredientAmounts[0].value) : []
+            });
+        }
+        return Promise.resolve(recipes);
+    }
+
+    /**
+     * Removes every recipe from the user's shopping list, and forgets what the user already has.
+     * @param userVertex - The existing vertex for the user
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    clearShoppingList(userVertex) {
+        for (let edge of this.getEdges(userVertex.id, 'out', 'lists')) {
+            delete this.graph.edges[edge.id];
+        }
+        return this.removeVertexProperties(userVertex, ['pantry']);
+    }
+
+    /**
+     * Stores what the user already has on the person vertex, so it is left off the shopping list.
+     * @param userVertex - The existing vertex for the user
+     * @param pantry - The items ({name, amount, unit}), amount is null if the user has all they need
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    updatePantry(userVertex, pantry) {
+        return this.updateVertex(userVertex, {pantry: JSON.stringify(pantry)});
+    }
+
+    // Meal plan
+    // Same as JanusGraphRecipeStore: a planned recipe is a planned edge from the user to the recipe with the date and
+    // meal it is planned for.
+
+    /**
+     * Plans a recipe for a meal, replacing the recipe already planned for it.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The existing vertex for the user
+     * @param date - The date to plan the recipe for (YYYY-MM-DD)
+     * @param meal - The meal to plan the recipe for (breakfast, lunch or dinner)
+     * @returns {Promise.<TResult>} - The planned edge, or null if the recipe does not exist
+     */
+    planRecipe(recipeId, userVertex, date, meal) {
+        let recipeVertex = this.findVertexSync('recipe', 'name', this.getUniqueRecipeName(recipeId));
+        if (!recipeVertex) {
+            return Promise.resolve(null);
+        }
+        for (let edge of this.getPlannedEdges(userVertex, date, date, meal)) {
+            delete this.graph.edges[edge.id];
+        }
+        // planned edges are MULTI, so they are always created rather than upserted
+        return this.save(this.createEdge({label: 'planned', outV: userVertex.id, inV: recipeVertex.id, properties: {date: date, meal: meal}}));
+    }
+
+    /**
+     * Finds the recipes the user planned between two dates.
+     * @param userVertex - The existing vertex for the user
+     * @param fromDate - The first date (YYYY-MM-DD)
+     * @param toDate - The last date (YYYY-MM-DD)
+     * @returns {Promise.<TResult>} - The planned recipes ({id, title, date, meal})
+     */
+    findPlannedRecipes(userVertex, fromDate, toDate) {
+        let recipes = [];
+        for (let edge of this.getPlannedEdges(userVertex, fromDate, toDate)) {
+            let properties = this.graph.vertices[edge.inV].properties;
+            recipes.push({
+                id: properties.name[0].value,
+                title: properties.title[0].value,
+                date: edge.properties.date,
+                meal: edge.properties.meal
+            });
+        }
+        return Promise.resolve(recipes);
+    }
+
+    /**
+     * Removes the recipes the user planned between two dates.
+     * @param userVertex - The existing vertex for the user
+     * @param fromDate - The first date (YYYY-MM-DD)
+     * @param toDate - The last date (YYYY-MM-DD)
+     * @param meal - Optional meal to remove (breakfast, lunch or dinner), every meal is removed if not specified
+     * @returns {Promise.<TResult>} - The number of planned recipes removed
+     */
+    removePlannedRecipes(userVertex, fromDate, toDate, meal) {
+        let edges = this.getPlannedEdges(userVertex, fromDate, toDate, meal);
+        for (let edge of edges) {
+            delete this.graph.edges[edge.id];
+        }
+        return this.save(null)
+            .then(() => Promise.resolve(edges.length));
+    }
+
+    getPlannedEdges(userVertex, fromDate, toDate, meal) {
+        return this.getEdges(userVertex.id, 'out', 'planned')
+            .filter((edge) => edge.properties.date >= fromDate && edge.properties.date <= toDate)
+            .filter((edge) => !meal || edge.properties.meal == meal);
+    }
+
+    // Dietary profile
+    // Same as JanusGraphRecipeStore: cached searches are keyed by dietary profile and recipes store their diets and allergens.
+
+    getProfileKey(profile) {
+        return (profile && profile.getKey()) || '';
+    }
+
+    addProfileKey(name, profile) {
+        const profileKey = this.getProfileKey(profile);
+        return profileKey ? `${name};${profileKey}` : name;
+    }
+
+    getDietaryInfoProperties(dietaryInfo) {
+        if (!dietaryInfo) {
+            return {};
+        }
+        return {diets: dietaryInfo.diets.join(','), allergens: dietaryInfo.allergens.join(',')};
+    }
+
+    /**
+     * Gets the dietary info ({diets, allergens}) and nutrition of a recipe from the values stored on its vertex.
+     * Either list is undefined if it was not stored (i.e. for recipes added before dietary profiles existed).
+     * @param recipeVertex - The recipe vertex
+     * @returns {Object} - The dietary info ({diets, allergens, calories, protein, fat, carbohydrates})
+     */
+    getRecipeDietaryInfo(recipeVertex) {
+        const split = (property) => {
+            return (property ? property[0].value.split(',').filter((item) => item.length > 0) : undefined);
+        };
+        const dietaryInfo = {diets: split(recipeVertex.properties.diets), allergens: split(recipeVertex.properties.allergens)};
+        return Object.assign(dietaryInfo, this.getRecipeNutrition(recipeVertex));
+    }
+
+    /**
+     * Gets the nutrition per serving ({calories, protein, fat, carbohydrates}) stored on the recipe vertex.
+     * Amounts that were not stored are undefined.
+     * @param recipeVertex - The recipe vertex
+     * @returns {Object}
+     */
+    getRecipeNutrition(recipeVertex) {
+        let nutrition = {};
+        for (let key of NUTRITION_KEYS) {
+            nutrition[key] = (recipeVertex.properties[key] ? recipeVertex.properties[key][0].value : undefined);
+        }
+        return nutrition;
+    }
+
+    isRecipeAllowed(dietaryInfo, profile) {
+        return !profile || profile.allowsRecipe(dietaryInfo);
+    }
+
+    // Cache
+
+    /**
+     * Replaces the cached Spoonacular results stored on the ingredient and resets its fetchedAt timestamp.
+     * @param ingredientVertex - The existing vertex for the ingredient
+     * @param matchingRecipes - The recipes that match the ingredient
+     * @returns {Promise.<TResult>}
+     */
+    updateIngredientDetail(ingredientVertex, matchingRecipes) {
+        return this.updateVertex(ingredientVertex, {detail: JSON.stringify(matchingRecipes), fetchedAt: Date.now()});
+    }
+
+    /**
+     * Adds a further page of Spoonacular results to the cached results stored on the ingredient.
+     * fetchedAt is left alone, so the results are still refreshed once the first page is stale.
+     * @param ingredientVertex - The existing vertex for the ingredient, with the current cached results
+     * @param matchingRecipes - The recipes to add, recipes that are already cached are skipped
+     * @returns {Promise.<TResult>}
+     */
+    appendIngredientDetail(ingredientVertex, matchingRecipes) {
+        return this.updateVertex(ingredientVertex, {detail: JSON.stringify(this.appendRecipes(ingredientVertex, matchingRecipes))});
+    }
+
+    /**
+     * Replaces the cached Spoonacular results stored on the cuisine and resets its fetchedAt timestamp.
+     * @param cuisineVertex - The existing vertex for the cuisine
+     * @param matchingRecipes - The recipes that match the cuisine
+     * @returns {Promise.<TResult>}
+     */
+    updateCuisineDetail(cuisineVertex, matchingRecipes) {
+        return this.updateVertex(cuisineVertex, {detail: JSON.stringify(matchingRecipes), fetchedAt: Date.now()});
+    }
+
+    /**
+     * Adds a further page of Spoonacular results to the cached results stored on the cuisine.
+     * fetchedAt is left alone, so the results are still refreshed once the first page is stale.
+     * @param cuisineVertex - The existing vertex for the cuisine, with the current cached results
+     * @param matchingRecipes - The recipes to add, recipes that are already cached are skipped
+     * @returns {Promise.<TResult>}
+     */
+    appendCuisineDetail(cuisineVertex, matchingRecipes) {
+        return this.updateVertex(cuisineVertex, {detail: JSON.stringify(this.appendRecipes(cuisineVertex, matchingRecipes))});
+    }
+
+    /**
+     * Replaces the cached Spoonacular results stored on the search and resets its fetchedAt timestamp.
+     * @param searchVertex - The existing vertex for the search
+     * @param matchingRecipes - The recipes that match the search
+     * @returns {Promise.<TResult>}
+     */
+    updateSearchDetail(searchVertex, matchingRecipes) {
+        return this.updateVertex(searchVertex, {detail: JSON.stringify(matchingRecipes), fetchedAt: Date.now()});
+    }
+
+    /**
+     * Adds a further page of Spoonacular results to the cached results stored on the search.
+     * @param searchVertex - The existing vertex for the search, with the current cached results
+     * @param matchingRecipes - The recipes to add, recipes that are already cached are skipped
+     * @returns {Promise.<TResult>}
+     */
+    appendSearchDetail(searchVertex, matchingRecipes) {
+        return this.updateVertex(searchVertex, {detail: JSON.stringify(this.appendRecipes(searchVertex, matchingRecipes))});
+    }
+
+    /**
+     * Replaces the cached title and instructions stored on the recipe and resets its fetchedAt timestamp.
+     * @param recipeVertex - The existing vertex for the recipe
+     * @param recipeTitle - The title of the recipe
+     * @param recipeDetail - The detailed instructions for making the recipe
+     * @param dietaryInfo - Optional diets the recipe satisfies and intolerances it triggers ({diets, allergens})
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeDetail(recipeVertex, recipeTitle, recipeDetail, dietaryInfo) {
+        let properties = {title: recipeTitle.trim(), detail: recipeDetail, fetchedAt: Date.now()};
+        return this.updateVertex(recipeVertex, Object.assign(properties, this.getDietaryInfoProperties(dietaryInfo)));
+    }
+
+    /**
+     * Stores the recipe's steps on the recipe, so they can be shown one at a time without calling Spoonacular.
+     * @param recipeVertex - The existing vertex for the recipe
+     * @param steps - The steps ({number, step, equipment, ingredients, minutes}), equipment and ingredients are lists of names and minutes is null if Spoonacular does not say how long the step takes
+     * @param readyInMinutes - How long the whole recipe takes
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeSteps(recipeVertex, steps, readyInMinutes) {
+        return this.updateVertex(recipeVertex, {steps: JSON.stringify(steps), readyInMinutes: readyInMinutes || 0});
+    }
+
+    /**
+     * Stores the recipe's nutrition per serving on the recipe. The main amounts are stored as numbers so recipes can be
+     * filtered by them, the key nutrients are stored as JSON to answer questions about them.
+     * @param recipeVertex - The existing vertex for the recipe
+     * @param nutrition - The nutrition ({calories, protein, fat, carbohydrates, nutrients}), nutrients is a list of {name, amount, unit, percentOfDailyNeeds}, or null if Spoonacular has none
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeNutrition(recipeVertex, nutrition) {
+        let properties = {nutrients: JSON.stringify(nutrition ? nutrition.nutrients : [])};
+        for (let key of NUTRITION_KEYS) {
+            if (nutrition && typeof nutrition[key] == 'number') {
+                properties[key] = nutrition[key];
+            }
+        }
+        return this.updateVertex(recipeVertex, properties);
+    }
+
+    /**
+     * Stores the amounts of the recipe's ingredients on the recipe, so they can be added to shopping lists.
+     * @param recipeVertex - The existing vertex for the recipe
+     * @param ingredients - The ingredients ({name, amount, unit, aisle})
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeIngredientAmounts(recipeVertex, ingredients) {
+        return this.updateVertex(recipeVertex, {ingredientAmounts: JSON.stringify(ingredients)});
+    }
+
+    appendRecipes(vertex, matchingRecipes) {
+        let recipes = vertex.properties.detail ? JSON.parse(vertex.properties.detail[0].value) : [];
+        let recipeIds = recipes.map((recipe) => `${recipe.id}`);
+        for (let recipe of matchingRecipes) {
+            if (recipeIds.indexOf(`${recipe.id}`) < 0) {
+                recipeIds.push(`${recipe.id}`);
+                recipes.push(recipe);
+            }
+        }
+        return recipes;
+    }
+
+    /**
+     * Removes the cached Spoonacular results from the ingredient, for every dietary profile it was searched for with, so
+     * they are fetched again the next time they are requested. The vertices are kept so the users' history is not lost.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients
+     * @returns {Promise.<TResult>} - The updated vertices, empty if the ingredient does not exist
+     */
+    purgeIngredient(ingredientsStr) {
+        return this.findIngredientProfiles(ingredientsStr)
+            .then((vertices) => {
+                return Promise.all(vertices.map((vertex) => this.purgeVertex(vertex)));
+            });
+    }
+
+    /**
+     * Removes the cached Spoonacular results from the cuisine, for every dietary profile it was searched for with, so they
+     * are fetched again the next time they are requested.
+     * @param cuisine - The cuisine
+     * @returns {Promise.<TResult>} - The updated vertices, empty if the cuisine does not exist
+     */
+    purgeCuisine(cuisine) {
+        return this.findCuisineProfiles(cuisine)
+            .then((vertices) => {
+                return Promise.all(vertices.map((vertex) => this.purgeVertex(vertex)));
+            });
+    }
+
+    /**
+     * Removes the cached Spoonacular results from the search, for every dietary profile it was made with, so they are
+     * fetched again the next time it is requested.
+     * @param query - The SearchQuery
+     * @returns {Promise.<TResult>} - The updated vertices, empty if the search does not exist
+     */
+    purgeSearch(query) {
+        return this.findSearchProfiles(query)
+            .then((vertices) => {
+                return Promise.all(vertices.map((vertex) => this.purgeVertex(vertex)));
+            });
+    }
+
+    /**
+     * Removes the cached instructions from the recipe so they are fetched again the next time the recipe is selected.
+     * The title is kept so the recipe can still be listed in favorites and recommendations.
+     * @param recipeId - The ID of the recipe
+     * @returns {Promise.<TResult>} - The updated vertex, or null if the recipe does not exist
+     */
+    purgeRecipe(recipeId) {
+        return this.findRecipe(recipeId)
+            .then((vertex) => {
+                return this.purgeVertex(vertex);
+            });
+    }
+
+    purgeVertex(vertex) {
+        if (!vertex) {
+            return Promise.resolve(null);
+        }
+        console.log(`Purging cached detail from ${vertex.label} vertex ${vertex.id}`);
+        return this.removeVertexProperties(vertex, ['detail', 'fetchedAt', 'steps', 'readyInMinutes', 'nutrients', 'calories', 'protein', 'fat', 'carbohydrates', 'ingredientAmounts']);
+    }
+
+    // Graph Helper Methods
+
+    /**
+     * Finds a vertex based on the specified label, propertyName, and propertyValue.
+     * @param label - The label value of the vertex
+     * @param propertyName - The property name to search for
+     * @param propertyValue - The value that should match for the specified property name
+     * @returns {Promise.<TResult>}
+     */
+    findVertex(label, propertyName, propertyValue) {
+        return Promise.resolve(this.copy(this.findVertexSync(label, propertyName, propertyValue)));
+    }
+
+    /**
+     * Finds the vertex with the specified name and the vertices cached for the same name under a dietary profile
+     * (see JanusGraphRecipeStore.findVerticesForAllProfiles).
+     * @param label - The label value of the vertices
+     * @param name - The name without a profile key
+     * @returns {Promise.<TResult>} - The vertices
+     */
+    findVerticesForAllProfiles(label, name) {
+        let vertices = [];
+        for (let id in this.graph.vertices) {
+            if (this.graph.vertices.hasOwnProperty(id)) {
+                let vertex = this.graph.vertices[id];
+                let vertexName = vertex.properties.name ? vertex.properties.name[0].value : null;
+                let profile = vertex.properties.profile ? vertex.properties.profile[0].value : null;
+                if (vertex.label == label && (vertexName == name || (profile && vertexName == `${name};${profile}`))) {
+                    vertices.push(this.copy(vertex));
+                }
+            }
+        }
+        return Promise.resolve(vertices);
+    }
+
+    /**
+     * Adds a new vertex to the graph if a vertex with the same value for uniquePropertyName does not exist.
+     * @param vertex - The vertex to add
+     * @param uniquePropertyName - The name of the property used to search for an existing vertex
+     * @returns {Promise.<TResult>}
+     */
+    addVertexIfNotExists(vertex, uniquePropertyName) {
+        return this.save(this.upsertVertexSync(vertex, uniquePropertyName));
+    }
+
+    /**
+     * Adds a new edge to the graph if an edge with the same label, outV and inV does not exist.
+     * @param edge - The edge to add
+     * @returns {Promise}
+     */
+    addEdgeIfNotExists(edge) {
+        return this.save(this.updateEdgeSync(edge, false));
+    }
+
+    /**
+     * Adds a new edge to the graph if an edge with the same label, outV and inV does not exist.
+     * Increments the count property on the edge.
+     * @param edge - The edge to add
+     * @returns {Promise}
+     */
+    addUpdateEdge(edge) {
+        return this.save(this.updateEdgeSync(edge, true));
+    }
+
+    /**
+     * Sets the specified properties on an existing vertex.
+     * @param vertex - The existing vertex
+     * @param properties - The properties to set
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    updateVertex(vertex, properties) {
+        let existingVertex = this.graph.vertices[vertex.id];
+        for (let property in properties) {
+            if (properties.hasOwnProperty(property)) {
+                existingVertex.properties[property] = [{id: `${existingVertex.id}-${property}`, value: properties[property]}];
+            }
+        }
+        return this.save(existingVertex);
+    }
+
+    /**
+     * Removes the specified properties from an existing vertex.
+     * @param vertex - The existing vertex
+     * @param propertyNames - The names of the properties to remove
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    removeVertexProperties(vertex, propertyNames) {
+        let existingVertex = this.graph.vertices[vertex.id];
+        for (let propertyName of propertyNames) {
+            delete existingVertex.properties[propertyName];
+        }
+        return this.save(existingVertex);
+    }
+
+    upsertVertexSync(vertex, uniquePropertyName) {
+        let propertyValue = `${vertex[uniquePropertyName]}`;
+        let existingVertex = this.findVertexSync(vertex.label, uniquePropertyName, propertyValue);
+        if (existingVertex) {
+            console.log(`Returning ${vertex.label} vertex where ${uniquePropertyName}=${propertyValue}`);
+            return existingVertex;
+        }
+        console.log(`Creating ${vertex.label} vertex where ${uniquePropertyName}=${propertyValue}`);
+        let newVertex = {id: this.graph.nextId++, label: vertex.label, type: 'vertex', properties: {}};
+        for (let property in vertex) {
+            if (vertex.hasOwnProperty(property) && property != 'label') {
+                newVertex.properties[property] = [{id: `${newVertex.id}-${property}`, value: vertex[property]}];
+            }
+        }
+        this.graph.vertices[newVertex.id] = newVertex;
+        return newVertex;
+    }
+
+    updateEdgeSync(edge, incrementCount) {
+        let existingEdge = this.findEdge(edge.label, edge.outV, edge.inV);
+        if (!existingEdge) {
+            console.log(`Creating edge from ${edge.outV} to ${edge.inV}`);
+            existingEdge = this.createEdge(edge);
+            if (incrementCount) {
+                existingEdge.properties['count'] = 0;
+            }
+        }
+        else {
+            console.log(`Edge from ${edge.outV} to ${edge.inV} exists.`);
+        }
+        if (incrementCount) {
+            existingEdge.properties['count'] = this.getCount(existingEdge) + 1;
+        }
+        return existingEdge;
+    }
+
+    // Maintenance
+
+    /**
+     * Migrates ingredient vertices created before every ingredient had its own vertex (named with the whole comma-separated
+     * search and holding the cached results) into an ingredientSet vertex that contains one ingredient vertex per ingredient.
+     * Recipes found through the old vertex are linked to each of its ingredients, since we do not know which ones they use.
+     * @returns {Promise.<TResult>} - The number of ingredient vertices that were migrated
+     */
+    migrateIngredients() {
+        let migrated = 0;
+        for (let id of Object.keys(this.graph.vertices)) {
+            let legacy = this.graph.vertices[id];
+            if (!legacy || legacy.label != 'ingredient' || !(legacy.properties.detail || legacy.properties.name[0].value.indexOf(',') >= 0)) {
+                continue;
+            }
+            let name = legacy.properties.name[0].value;
+            let ingredientSet = this.upsertVertexSync({label: 'ingredientSet', name: name}, 'name');
+            for (let key of ['detail', 'fetchedAt']) {
+                if (legacy.properties[key]) {
+                    ingredientSet.properties[key] = legacy.properties[key];
+                }
+            }
+            for (let edge of this.getEdges(legacy.id, 'out')) {
+                if (edge.label != 'uses') {
+                    edge.outV = ingredientSet.id;
+                    edge.outVLabel = ingredientSet.label;
+                }
+            }
+            for (let edge of this.getEdges(legacy.id, 'in')) {
+                if (edge.label != 'contains' && edge.label != 'uses') {
+                    edge.inV = ingredientSet.id;
+                    edge.inVLabel = ingredientSet.label;
+                }
+            }
+            let keepLegacy = false;
+            for (let ingredientName of this.getUniqueIngredientNames(name)) {
+                let ingredient = this.upsertVertexSync({label: 'ingredient', name: ingredientName}, 'name');
+                keepLegacy = keepLegacy || (ingredient.id == legacy.id);
+                this.updateEdgeSync({label: 'contains', outV: ingredientSet.id, inV: ingredient.id}, false);
+                for (let edge of this.getEdges(ingredientSet.id, 'in', 'has')) {
+                    this.updateEdgeSync({label: 'uses', outV: edge.outV, inV: ingredient.id}, false);
+                }
+            }
+            if (keepLegacy) {
+                delete legacy.properties.detail;
+                delete legacy.properties.fetchedAt;
+            }
+            else {
+                for (let edge of this.getEdges(legacy.id, 'out').concat(this.getEdges(legacy.id, 'in'))) {
+                    delete this.graph.edges[edge.id];
+                }
+                delete this.graph.vertices[legacy.id];
+            }
+            migrated++;
+        }
+        console.log(`Migrated ${migrated} ingredient vertices.`);
+        // moving edges can leave parallel edges behind (i.e. a user who searched for both "rice,chicken" and "chicken,rice")
+        return this.mergeDuplicates()
+            .then(() => {
+                return Promise.resolve(migrated);
+            });
+    }
+
+    /**
+     * Merges vertices that share a label and name, and parallel edges with the same label between the same two vertices.
+     * Only graphs loaded from a file written by an older version can contain duplicates - upserts here are synchronous.
+     * @returns {Promise.<TResult>} - The number of vertices and edges that were merged ({vertices, edges})
+     */
+    mergeDuplicates() {
+        let merged = {vertices: 0, edges: 0};
+        let keptVertices = {};
+        for (let id of Object.keys(this.graph.vertices)) {
+            let vertex = this.graph.vertices[id];
+            let key = `${vertex.label}:${vertex.properties.name ? vertex.properties.name[0].value : id}`;
+            let keep = keptVertices[key];
+            if (!keep) {
+                keptVertices[key] = vertex;
+                continue;
+            }
+            // point the duplicate's edges at the vertex we are keeping
+            for (let edge of this.getEdges(vertex.id, 'out').concat(this.getEdges(vertex.id, 'in'))) {
+                edge.outV = (edge.outV == vertex.id ? keep.id : edge.outV);
+                edge.inV = (edge.inV == vertex.id ? keep.id : edge.inV);
+            }
+            for (let property in vertex.properties) {
+                if (vertex.properties.hasOwnProperty(property) && !keep.properties[property]) {
+                    keep.properties[property] = vertex.properties[property];
+                }
+            }
+            delete this.graph.vertices[id];
+            merged.vertices++;
+        }
+        let keptEdges = {};
+        for (let id of Object.keys(this.graph.edges)) {
+            let edge = this.graph.edges[id];
+            let key = `${edge.label}:${edge.outV}:${edge.inV}`;
+            let keep = keptEdges[key];
+            if (edge.outV == edge.inV) {
+                delete this.graph.edges[id];
+            }
+            else if (!keep) {
+                keptEdges[key] = edge;
+            }
+            else {
+                keep.properties = keep.properties || {};
+                for (let property in edge.properties) {
+                    if (property == 'count') {
+                        keep.properties.count = this.getCount(keep) + this.getCount(edge);
+                    }
+                    else if (edge.properties.hasOwnProperty(property) && keep.properties[property] === undefined) {
+                        keep.properties[property] = edge.properties[property];
+                    }
+                }
+                delete this.graph.edges[id];
+                merged.edges++;
+            }
+        }
+        console.log(`Merged ${merged.vertices} duplicate vertices and ${merged.edges} duplicate edges.`);
+        return this.save(null)
+            .then(() => {
+                return Promise.resolve(merged);
+            });
+    }
+
+    findVertexSync(label, propertyName, propertyValue) {
+        for (let id in this.graph.vertices) {
+            if (this.graph.vertices.hasOwnProperty(id)) {
+                let vertex = this.graph.vertices[id];
+                let property = vertex.properties[propertyName];
+                if (vertex.label == label && property && property[0].value == propertyValue) {
+                    return vertex;
+                }
+            }
+        }
+        return null;
+    }
+
+    findEdge(label, outV, inV) {
+        for (let edge of this.getEdges(outV, 'out', label)) {
+            if (edge.inV == inV) {
+                return edge;
+            }
+        }
+        return null;
+    }
+
+    getEdges(vertexId, direction, label) {
+        let edges = [];
+        for (let id in this.graph.edges) {
+            if (this.graph.edges.hasOwnProperty(id)) {
+                let edge = this.graph.edges[id];
+                let matchesDirection = (direction == 'out' ? edge.outV == vertexId : edge.inV == vertexId);
+                if (matchesDirection && (!label || edge.label == label)) {
+                    edges.push(edge);
+                }
+            }
+        }
+        return edges;
+    }
+
+    createEdge(edge) {
+        let outVertex = this.graph.vertices[edge.outV];
+        let inVertex = this.graph.vertices[edge.inV];
+        let newEdge = {
+            id: `${this.graph.nextId++}`,
+            label: edge.label,
+            type: 'edge',
+            outV: outVertex.id,
+            outVLabel: outVertex.label,
+            inV: inVertex.id,
+            inVLabel: inVertex.label,
+            properties: Object.assign({}, edge.properties)
+        };
+        this.graph.edges[newEdge.id] = newEdge;
+        return newEdge;
+    }
+
+    getCount(edge) {
+        return (edge.properties && edge.properties.count) || 0;
+    }
+
+    /**
+     * Writes the graph to the JSON file (if one was specified) and resolves with a copy of the element that changed.
+     * Writes are chained so they never overlap.
+     * @param element - The vertex or edge that was added or updated
+     * @returns {Promise.<TResult>}
+     */
+    save(element) {
+        let result = this.copy(element);
+        if (!this.filePath) {
+            return Promise.resolve(result);
+        }
+        const data = JSON.stringify(this.graph);
+        this.saving = this.saving
+            .then(() => {
+                return new Promise((resolve, reject) => {
+                    const tempPath = `${this.filePath}.tmp`;
+                    fs.writeFile(tempPath, data, 'utf8', (err) => {
+                        if (err) {
+                            reject(err);
+                        }
+                        else {
+                            fs.rename(tempPath, this.filePath, (err) => {
+                                err ? reject(err) : resolve();
+                            });
+                        }
+                    });
+                });
+            })
+            .catch((err) => {
+                console.log(`Error saving graph to ${this.filePath}: ${err}`);
+            });
+        return this.saving.then(() => {
+            return Promise.resolve(result);
+        });
+    }
+
+    copy(element) {
+        return element ? JSON.parse(JSON.stringify(element)) : null;
+    }
+}
+
+module.exports = InMemoryRecipeStore;
@@ -0,0 +1,73 @@
+'use strict';
+
+const DEFAULT_IDLE_TIMEOUT = 24 * 60 * 60 * 1000;
+
+class InMemorySessionStore {
+
+    /**
+     * Creates a new instance of InMemorySessionStore.
+     * Keeps each conversation's state in this process. Sessions that have not been used for idleTimeout
+     * milliseconds are removed, so the store does not grow forever.
+     * Session stores implement get, set and delete; all of them return promises so durable stores can be swapped in.
+     * @param {Object} options - Optional settings (idleTimeout - the number of milliseconds a session is kept after it was last saved, defaults to 24 hours)
+     */
+    constructor(options) {
+        options = options || {};
+        this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+        this.sessions = {};
+        // sweep expired sessions regularly, without keeping the process alive just for the timer
+        this.expiryTimer = setInterval(() => {
+            this.removeExpiredSessions();
+        }, Math.min(this.idleTimeout, 60 * 60 * 1000));
+        this.expiryTimer.unref();
+    }
+
+    /**
+     * Gets the state for the specified session.
+     * @param {String} sessionKey - The key of the session (see SousChef.getSessionKey)
+     * @returns {Promise.<TResult>} - The state, or null if there is no session or it expired
+     */
+    get(sessionKey) {
+        let session = this.sessions[sessionKey];
+        if (session && this.isExpired(session)) {
+            delete this.sessions[sessionKey];
+            session = null;
+        }
+        return Promise.resolve(session ? session.state : null);
+    }
+
+    /**
+     * Saves the state for the specified session.
+     * @param {String} sessionKey - The key of the session (see SousChef.getSessionKey)
+     * @param {Object} state - The state
+     * @returns {Promise.<TResult>}
+     */
+    set(sessionKey, state) {
+        this.sessions[sessionKey] = {state: state, savedAt: Date.now()};
+        return Promise.resolve();
+    }
+
+    /**
+     * Removes the specified session.
+     * @param {String} sessionKey - The key of the session (see SousChef.getSessionKey)
+     * @returns {Promise.<TResult>}
+     */
+    delete(sessionKey) {
+        delete this.sessions[sessionKey];
+        return Promise.resolve();
+    }
+
+    removeExpiredSessions() {
+        for (let sessionKey of Object.keys(this.sessions)) {
+            if (this.isExpired(this.sessions[sessionKey])) {
+                delete this.sessions[sessionKey];
+            }
+        }
+    }
+
+    isExpired(session) {
+        return Date.now() - session.savedAt > this.idleTimeout;
+    }
+}
+
+module.exports = InMemorySessionStore;
@@ -1,6 +1,7 @@
 'use strict';
 
-const rp = require('request-promise');
+const GremlinHttpTransport = require('./GremlinHttpTransport');
+const GremlinWebSocketTransport = require('./GremlinWebSocketTransport');
 
 class JanusGraphClient {
 
@@ -9,34 +10,76 @@ class JanusGraphClient {
      * @param {String} url - JanusGraph url
      * @param {String} username - JanusGraph username
 	 * @param {String} password - JanusGraph password
+	 * @param {Object} options - Optional settings (transport - 'http' (default) or 'websocket', webSocketUrl - the Gremlin Server WebSocket url, defaults to the url with a ws/wss scheme and a /gremlin path)
      */
-    constructor(url, username, password) {
+    constructor(url, username, password, options) {
     	this.url = url;
     	this.username = username;
     	this.password = password;
-    	this.authHeader = 'Basic '+ new Buffer(this.username + ":" + this.password).toString("base64");
+    	options = options || {};
+    	if (options.transport == 'websocket') {
+    		let webSocketUrl = options.webSocketUrl || this.getWebSocketUrl(url);
+    		this.transport = new GremlinWebSocketTransport(webSocketUrl, username, password, options);
+    	}
+    	else {
+    		this.transport = new GremlinHttpTransport(url, username, password);
+    	}
     }
 
-    getPostOptions(body) {
-    	let options = {
-			method: 'POST',
-			uri: this.url,
-			headers: {
-				"Authorization": this.authHeader,
-				"Content-Type": "application/json"
-			},
-			json: true,
-			body: body
-		};
-    	return options;
+	getWebSocketUrl(url) {
+		let webSocketUrl = url.replace(/^http/i, 'ws').replace(/\/+$/, '');
+		if (!/\/gremlin$/.test(webSocketUrl)) {
+			webSocketUrl += '/gremlin';
+		}
+		return webSocketUrl;
+	}
+
+	/**
+	 * Closes the underlying transport (i.e. the WebSocket, if one is open).
+	 * @returns {Promise.<TResult>}
+	 */
+	close() {
+		return this.transport.close();
+	}
+
+	/**
+	 * Creates a new session to pass to runGremlinQuery in options.session, so that several scripts share variables
+	 * and a transaction on the server, committed by commitSession. Sessions are only supported on the WebSocket transport.
+	 * @returns {Promise.<TResult>} - The ID of the session
+	 */
+	createSession() {
+		if (!this.transport.createSession) {
+			return Promise.reject(new Error('Sessions are only supported on the websocket transport.'));
+		}
+		return Promise.resolve(this.transport.createSession());
+	}
+
+	/**
+	 * Commits the transaction the scripts run in the session so far share. Scripts in a session are not committed on
+	 * their own, so call this once they have all succeeded.
+	 * @param {String} graphId - The id of the graph the scripts ran against
+	 * @param {String} session - The ID of the session
+	 * @returns {Promise.<TResult>}
+	 */
+	commitSession(graphId, session) {
+		return this.runGremlinQuery(graphId, 'graph.tx().commit();0;', {}, {session: session});
+	}
+
+	/**
+	 * Closes a session created by createSession, rolling back anything that was not committed.
+	 * @param {String} session - The ID of the session
+	 * @returns {Promise.<TResult>}
+	 */
+	closeSession(session) {
+		if (!this.transport.closeSession) {
+			return Promise.reject(new Error('Sessions are only supported on the websocket transport.'));
+		}
+		return this.transport.closeSession(session);
 	}
 
 	graphExists(id) {
     	console.log(`Checking if graph exists with id '${id}'...`);
-		const body = {
-			gremlin: `def graph=ConfiguredGraphFactory.open("${id}");0;`
-		};
-		return rp(this.getPostOptions(body))
+		return this.transport.submit('def graph=ConfiguredGraphFactory.open(graphId);0;', {graphId: id})
 			.then((responseBody) => {
 				return Promise.resolve(responseBody.status && responseBody.status.code && responseBody.status.code == 200);
 			})
@@ -55,10 +98,7 @@ class JanusGraphClient {
 				}
 				else {
 					console.log('Graph does not exist. Creating new graph...');
-					const body = {
-						gremlin: `def graph=ConfiguredGraphFactory.create("${id}");0;`
-					};
-					return rp(this.getPostOptions(body))
+					return this.transport.submit('def graph=ConfiguredGraphFactory.create(graphId);0;', {graphId: id})
 						.then((responseBody) => {
 							return Promise.resolve(responseBody.status && responseBody.status.code && responseBody.status.code == 200);
 						});
@@ -66,10 +106,21 @@ class JanusGraphClient {
 			});
 	}
 
-	runGremlinQuery(graphId, gremlinQuery) {
-		let gremlin = `def graph=ConfiguredGraphFactory.open("${graphId}");`;
+	/**
+	 * Runs a Gremlin script against the specified graph.
+	 * Values should never be spliced into the script - pass them in the bindings map instead and refer to them
+	 * by name in the script. This keeps user input from being evaluated as code and lets the Gremlin server
+	 * cache the compiled script.
+	 * @param {String} graphId - The id of the graph to run the script against (available to the script as graph)
+	 * @param {String} gremlinQuery - The Gremlin script
+	 * @param {Object} bindings - The variables to bind to the script (optional)
+	 * @param {Object} options - Optional transport settings (session - the ID of a session from createSession to run the script in, onData - called with each batch of results as it arrives)
+	 * @returns {Promise.<TResult>}
+	 */
+	runGremlinQuery(graphId, gremlinQuery, bindings, options) {
+		let gremlin = 'def graph=ConfiguredGraphFactory.open(graphId);';
 		gremlin +=  gremlinQuery;
-		return rp(this.getPostOptions({'gremlin': gremlin}))
+		return this.transport.submit(gremlin, Object.assign({}, bindings, {graphId: graphId}), options)
 			.then((responseBody) => {
 				if (responseBody.status && responseBody.status.code && responseBody.status.code == 200) {
 					return Promise.resolve(responseBody);
@@ -81,21 +132,20 @@ class JanusGraphClient {
 	}
 
 	createVertex(graphId, vertex) {
-		let gremlinQuery = `graph.addVertex(T.label, "${vertex.label}"`;
+		let properties = {};
 		for (let property in vertex) {
 			if (vertex.hasOwnProperty(property) && property != 'label') {
-				let value = vertex[property];
-				if (this.isStringValue(value)) {
-					gremlinQuery += `, "${property}", "${this.escapeStringValue(value)}"`
-				}
-				else {
-					gremlinQuery += `, "${property}", ${value}`
-				}
-				
+				properties[property] = vertex[property];
 			}
 		}
-		gremlinQuery += ');';
-		return this.runGremlinQuery(graphId, gremlinQuery)
+		let gremlinQuery = 'def v = graph.addVertex(T.label, vertexLabel);';
+		gremlinQuery += 'vertexProperties.each { key, value -> v.property(key, value) };';
+		gremlinQuery += 'v;';
+		const bindings = {
+			vertexLabel: vertex.label,
+			vertexProperties: properties
+		};
+		return this.runGremlinQuery(graphId, gremlinQuery, bindings)
 			.then((response) => {
 				if (response.result && response.result.data && response.result.data.length > 0) {
 					return Promise.resolve(response.result.data[0]);
@@ -108,22 +158,18 @@ class JanusGraphClient {
 
 	createEdge(graphId, label, outV, inV, properties) {
 		let gremlinQuery = 'def g = graph.traversal();';
-		gremlinQuery += `def outV = g.V(${outV}).next();`;
-		gremlinQuery += `def inV = g.V(${inV}).next();`;
-		gremlinQuery += `outV.addEdge("${label}", inV`;
-		for (let property in properties) {
-			if (properties.hasOwnProperty(property)) {
-				let value = properties[property];
-				if (this.isStringValue(value)) {
-					gremlinQuery += `, "${property}", "${this.escapeStringValue(value)}"`
-				}
-				else {
-					gremlinQuery += `, "${property}", ${value}`
-				}
-			}
-		}
-		gremlinQuery += ');';
-		return this.runGremlinQuery(graphId, gremlinQuery)
+		gremlinQuery += 'def outVertex = g.V(outV).next();';
+		gremlinQuery += 'def inVertex = g.V(inV).next();';
+		gremlinQuery += 'def e = outVertex.addEdge(edgeLabel, inVertex);';
+		gremlinQuery += 'edgeProperties.each { key, value -> e.property(key, value) };';
+		gremlinQuery += 'e;';
+		const bindings = {
+			edgeLabel: label,
+			outV: outV,
+			inV: inV,
+			edgeProperties: properties || {}
+		};
+		return this.runGremlinQuery(graphId, gremlinQuery, bindings)
 			.then((response) => {
 				if (response.result && response.result.data && response.result.data.length > 0) {
 					return Promise.resolve(response.result.data[0]);
@@ -136,32 +182,14 @@ class JanusGraphClient {
 
 	updateEdge(graphId, edgeId, properties) {
 		let gremlinQuery = 'def g = graph.traversal();';
-		gremlinQuery += `g.E("${edgeId}")`;
-		for (let property in properties) {
-			if (properties.hasOwnProperty(property)) {
-				let value = properties[property];
-				if (this.isStringValue(value)) {
-					gremlinQuery += `.property("${property}", "${this.escapeStringValue(value)}")`
-				}
-				else {
-					gremlinQuery += `.property("${property}", ${value})`
-				}
-			}
-		}
-		gremlinQuery += ';';
-		return this.runGremlinQuery(graphId, gremlinQuery);
-	}
-	
-	isStringValue(value) {
-    	return Object.prototype.toString.call(value) == '[object String]';
-	}
-
-	escapeStringValue(value) {
-		// first escape escaped double quotes, then all double quotes
-		value = value.replace(new RegExp('\\\\\"', 'g'), '\\\\\"');
-		value = value.replace(new RegExp('\"', 'g'), '\\\"');
-		// escape dollar signs
-		return value.replace(new RegExp('\\$', 'g'), '\\\$');
+		gremlinQuery += 'def e = g.E(edgeId).next();';
+		gremlinQuery += 'edgeProperties.each { key, value -> e.property(key, value) };';
+		gremlinQuery += 'e;';
+		const bindings = {
+			edgeId: edgeId,
+			edgeProperties: properties || {}
+		};
+		return this.runGremlinQuery(graphId, gremlinQuery, bindings);
 	}
 }
 
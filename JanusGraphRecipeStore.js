@@ -1,15 +1,261 @@
 'use strict';
 
+// The graph schema declared by init(). Keys and labels that already exist are left alone, so new entries can be
+// added here and picked up the next time the bot starts against an existing graph. SIMPLE edge labels and keys with
+// LOCK consistency are locked when they are written, so concurrent upserts of the same edge or increments of the same
+// count fail with a locking exception and are retried (see runGremlinQueryWithRetry) instead of being lost.
+const GRAPH_SCHEMA = {
+    vertexLabels: ['person', 'ingredient', 'ingredientSet', 'cuisine', 'search', 'recipe'],
+    edgeLabels: {
+        selects: 'SIMPLE',
+        has: 'SIMPLE',
+        contains: 'SIMPLE',
+        uses: 'SIMPLE',
+        lists: 'SIMPLE',
+        planned: 'MULTI',
+        substitutes: 'SIMPLE'
+    },
+    propertyKeys: {
+        name: {dataType: 'String', cardinality: 'SINGLE'},
+        title: {dataType: 'String', cardinality: 'SINGLE'},
+        detail: {dataType: 'String', cardinality: 'SINGLE'},
+        count: {dataType: 'Integer', cardinality: 'SINGLE', consistency: 'LOCK'},
+        rating: {dataType: 'Integer', cardinality: 'SINGLE'},
+        saved: {dataType: 'Boolean', cardinality: 'SINGLE'},
+        fetchedAt: {dataType: 'Long', cardinality: 'SINGLE'},
+        diet: {dataType: 'String', cardinality: 'SINGLE'},
+        intolerances: {dataType: 'String', cardinality: 'SINGLE'},
+        diets: {dataType: 'String', cardinality: 'SINGLE'},
+        allergens: {dataType: 'String', cardinality: 'SINGLE'},
+        profile: {dataType: 'String', cardinality: 'SINGLE'},
+        steps: {dataType: 'String', cardinality: 'SINGLE'},
+        readyInMinutes: {dataType: 'Integer', cardinality: 'SINGLE'},
+        nutrients: {dataType: 'String', cardinality: 'SINGLE'},
+        calories: {dataType: 'Double', cardinality: 'SINGLE'},
+        protein: {dataType: 'Double', cardinality: 'SINGLE'},
+        fat: {dataType: 'Double', cardinality: 'SINGLE'},
+        carbohydrates: {dataType: 'Double', cardinality: 'SINGLE'},
+        ingredientAmounts: {dataType: 'String', cardinality: 'SINGLE'},
+        pantry: {dataType: 'String', cardinality: 'SINGLE'},
+        date: {dataType: 'String', cardinality: 'SINGLE'},
+        meal: {dataType: 'String', cardinality: 'SINGLE'},
+        description: {dataType: 'String', cardinality: 'SINGLE'},
+        rank: {dataType: 'Integer', cardinality: 'SINGLE'}
+    },
+    indexes: [
+        {name: 'personByName', label: 'person', keys: ['name'], unique: true},
+        {name: 'ingredientByName', label: 'ingredient', keys: ['name'], unique: true},
+        {name: 'ingredientSetByName', label: 'ingredientSet', keys: ['name'], unique: true},
+        {name: 'cuisineByName', label: 'cuisine', keys: ['name'], unique: true},
+        {name: 'searchByName', label: 'search', keys: ['name'], unique: true},
+        {name: 'recipeByName', label: 'recipe', keys: ['name'], unique: true}
+    ]
+};
+
+// The nutrition per serving stored as numbers on recipe vertices, so recipes can be filtered by nutrient limits
+const NUTRITION_KEYS = ['calories', 'protein', 'fat', 'carbohydrates'];
+
+const CREATE_SCHEMA_SCRIPT = `
+def mgmt = graph.openManagement();
+def createdIndexes = [];
+try {
+    vertexLabels.each { name ->
+        if (!mgmt.containsVertexLabel(name)) { mgmt.makeVertexLabel(name).make(); }
+    };
+    def lock = { element ->
+        if (mgmt.getConsistency(element) != org.janusgraph.core.schema.ConsistencyModifier.LOCK) { mgmt.setConsistency(element, org.janusgraph.core.schema.ConsistencyModifier.LOCK); }
+    };
+    edgeLabels.each { name, multiplicity ->
+        def edgeLabel = mgmt.containsEdgeLabel(name) ? mgmt.getEdgeLabel(name) : mgmt.makeEdgeLabel(name).multiplicity(org.janusgraph.core.Multiplicity.valueOf(multiplicity)).make();
+        if (multiplicity == 'SIMPLE') { lock(edgeLabel); }
+    };
+    propertyKeys.each { name, key ->
+        def propertyKey = mgmt.containsPropertyKey(name) ? mgmt.getPropertyKey(name) : mgmt.makePropertyKey(name).dataType(Class.forName('java.lang.' + key.dataType)).cardinality(org.janusgraph.core.Cardinality.valueOf(key.cardinality)).make();
+        if (key.consistency == 'LOCK') { lock(propertyKey); }
+    };
+    indexes.each { index ->
+        if (!mgmt.containsGraphIndex(index.name)) {
+            def builder = mgmt.buildIndex(index.name, org.apache.tinkerpop.gremlin.structure.Vertex.class);
+            index.keys.each { key -> builder.addKey(mgmt.getPropertyKey(key)) };
+            builder.indexOnly(mgmt.getVertexLabel(index.label));
+            if (index.unique) { builder.unique(); }
+            def graphIndex = builder.buildCompositeIndex();
+            if (index.unique) { mgmt.setConsistency(graphIndex, org.janusgraph.core.schema.ConsistencyModifier.LOCK); }
+            createdIndexes << index.name;
+        }
+    };
+    mgmt.commit();
+}
+catch (e) {
+    mgmt.rollback();
+    throw e;
+}
+createdIndexes.each { name ->
+    org.janusgraph.graphdb.database.management.ManagementSystem.awaitGraphIndexStatus(graph, name).call();
+    def reindexMgmt = graph.openManagement();
+    reindexMgmt.updateIndex(reindexMgmt.getGraphIndex(name), org.janusgraph.core.schema.SchemaAction.REINDEX).get();
+    reindexMgmt.commit();
+};
+createdIndexes;`;
+
+// Functions prepended to upsert queries. Each one looks up and creates/updates an element in a single traversal.
+const UPSERT_FUNCTIONS = `
+def upsertVertex = { vertexLabel, propertyName, propertyValue, vertexProperties ->
+    def addVertex = __.addV(vertexLabel);
+    vertexProperties.each { key, value -> addVertex = addVertex.property(key, value) };
+    g.V().hasLabel(vertexLabel).has(propertyName, propertyValue).fold().coalesce(__.unfold(), addVertex).next();
+};
+def upsertEdge = { edgeLabel, outV, inV, edgeProperties, incrementCount ->
+    def addEdge = __.addE(edgeLabel).from('o');
+    edgeProperties.each { key, value -> if (!incrementCount || key != 'count') { addEdge = addEdge.property(key, value) } };
+    if (incrementCount) { addEdge = addEdge.property('count', 0) };
+    def traversal = g.V(outV).as('o').V(inV).coalesce(__.inE(edgeLabel).where(__.outV().as('o')), addEdge);
+    if (incrementCount) { traversal = traversal.sideEffect { def e = it.get(); e.property('count', e.property('count').orElse(0) + 1) } };
+    traversal.next();
+};`;
+
+// Parallel edges are merged when they have the same label and point to the same vertex. Planned edges are MULTI, so a
+// recipe can be planned for several meals; they are merged by date and meal instead, since a user has at most one
+// recipe planned per meal. Edges of other MULTI labels are moved but never merged.
+const MERGE_DUPLICATES_SCRIPT = `
+def merged = [vertices: 0, edges: 0];
+def edgeKey = { edge, inVertex ->
+    if (edge.label() == 'planned') { return [edge.label(), edge.property('date').orElse(null), edge.property('meal').orElse(null)] };
+    if (edgeLabels[edge.label()] == 'MULTI') { return null };
+    [edge.label(), inVertex.id()];
+};
+def mergeEdge = { source, target ->
+    source.properties().each { p ->
+        if (p.key() == 'count') { target.property('count', target.property('count').orElse(0) + p.value()) }
+        else if (!target.property(p.key()).isPresent()) { target.property(p.key(), p.value()) }
+    };
+    source.remove();
+    merged.edges++;
+};
+def moveEdge = { edge, outVertex, inVertex ->
+    def key = edgeKey(edge, inVertex);
+    def existing = (key == null ? null : outVertex.edges(Direction.OUT, edge.label()).toList().find { it != edge && edgeKey(it, it.inVertex()) == key });
+    if (existing != null) { mergeEdge(edge, existing); return };
+    def copy = outVertex.addEdge(edge.label(), inVertex);
+    edge.properties().each { p -> copy.property(p.key(), p.value()) };
+    edge.remove();
+};
+vertexLabels.each { vertexLabel ->
+    g.V().hasLabel(vertexLabel).toList().groupBy { it.property('name').orElse(null) }.each { name, vertices ->
+        if (name == null || vertices.size() < 2) { return };
+        vertices = vertices.sort { it.id() };
+        def keep = vertices[0];
+        vertices.drop(1).each { duplicate ->
+            duplicate.edges(Direction.OUT).toList().each { e -> if (e.inVertex() != keep) { moveEdge(e, keep, e.inVertex()) } else { e.remove() } };
+            duplicate.edges(Direction.IN).toList().each { e -> if (e.outVertex() != keep) { moveEdge(e, e.outVertex(), keep) } else { e.remove() } };
+            duplicate.properties().each { p -> if (!keep.property(p.key()).isPresent()) { keep.property(p.key(), p.value()) } };
+            duplicate.remove();
+            merged.vertices++;
+        };
+    };
+};
+g.V().toList().each { v ->
+    v.edges(Direction.OUT).toList().groupBy { edgeKey(it, it.inVertex()) }.each { key, edges ->
+        if (key == null) { return };
+        edges.drop(1).each { e -> mergeEdge(e, edges[0]) };
+    };
+};
+graph.tx().commit();
+merged;`;
+
+// Converts ingredient vertices from before every ingredient had its own vertex (named with the whole comma-separated
+// search and holding the cached results) into an ingredientSet vertex that contains one ingredient vertex per ingredient.
+// Recipes found through the old vertex are linked to each of its ingredients, since we do not know which ones they use.
+const MIGRATE_INGREDIENTS_SCRIPT = `
+def migrated = 0;
+def moveEdge = { edge, outVertex, inVertex ->
+    def target = upsertEdge(edge.label(), outVertex.id(), inVertex.id(), [:], false);
+    edge.properties().each { p ->
+        if (p.key() == 'count') { target.property('count', target.property('count').orElse(0) + p.value()) }
+        else { target.property(p.key(), p.value()) }
+    };
+    edge.remove();
+};
+g.V().hasLabel('ingredient').toList().findAll { it.property('detail').isPresent() || it.value('name').contains(',') }.each { legacy ->
+    def name = legacy.value('name');
+    def ingredientSet = upsertVertex('ingredientSet', 'name', name, [name: name]);
+    ['detail', 'fetchedAt'].each { key -> if (legacy.property(key).isPresent()) { ingredientSet.property(key, legacy.value(key)) } };
+    legacy.edges(Direction.OUT).toList().findAll { it.label() != 'uses' }.each { e -> moveEdge(e, ingredientSet, e.inVertex()) };
+    legacy.edges(Direction.IN).toList().findAll { it.label() != 'contains' && it.label() != 'uses' }.each { e -> moveEdge(e, e.outVertex(), ingredientSet) };
+    def ingredients = name.split(',').collect { it.trim() }.findAll { it.length() > 0 }.unique().collect { ingredientName ->
+        upsertVertex('ingredient', 'name', ingredientName, [name: ingredientName])
+    };
+    ingredients.each { ingredient ->
+        upsertEdge('contains', ingredientSet.id(), ingredient.id(), [:], false);
+        g.V(ingredientSet).in('has').hasLabel('recipe').toList().each { recipe -> upsertEdge('uses', recipe.id(), ingredient.id(), [:], false) };
+    };
+    if (ingredients.any { it.id() == legacy.id() }) { legacy.properties('detail', 'fetchedAt').each { it.remove() } }
+    else { legacy.remove() };
+    migrated++;
+};
+graph.tx().commit();
+migrated;`;
+
+// Ratings go from 1 to 5. A selection that has not been rated is weighted as if it had been rated NEUTRAL_RATING,
+// so a selection's weight is its count scaled by rating / NEUTRAL_RATING.
+const NEUTRAL_RATING = 3;
+
+// Only selections that show the user liked the recipe are used for recommendations: selected more than once or rated
+// above neutral, and never rated below neutral.
+const LIKED_SELECTION_FILTER = `.or(__.has("count", gt(1)), __.has("rating", gt(${NEUTRAL_RATING}))).not(__.has("rating", lt(${NEUTRAL_RATING})))`;
+
+// Scores the recipes selected by people who selected the same recipes as the user (person->recipe<-person->recipe).
+// Each path adds the weight of the shared recipe for both people (the smaller of their selection weights) times the other
+// person's selection weight for the candidate. Recipes the user has already selected are excluded. Users without any overlap get the most
+// popular recipes instead. Each suggestion names the shared recipe that contributed the most to its score.
+// recipeCount is null when the caller filters the suggestions itself (i.e. by dietary profile) and needs all of them.
+const SUGGEST_RECIPES_SCRIPT = `
+def selectionWeight = { e -> e.property('count').orElse(1) * e.property('rating').orElse(${NEUTRAL_RATING}) / ${NEUTRAL_RATING} };
+def user = g.V().hasLabel('person').has('name', userName).tryNext().orElse(null);
+def cooked = user == null ? [] as Set : g.V(user).out('selects').hasLabel('recipe').toSet();
+def scores = [:];
+def reasons = [:];
+if (user != null) {
+    user.edges(Direction.OUT, 'selects').findAll { it.inVertex().label() == 'recipe' }.each { mine ->
+        def shared = mine.inVertex();
+        shared.edges(Direction.IN, 'selects').findAll { it.outVertex().label() == 'person' && it.outVertex() != user }.each { theirs ->
+            theirs.outVertex().edges(Direction.OUT, 'selects').findAll { it.inVertex().label() == 'recipe' && !cooked.contains(it.inVertex()) }.each { e ->
+                def candidate = e.inVertex();
+                def weight = Math.min(selectionWeight(mine), selectionWeight(theirs)) * selectionWeight(e);
+                scores[candidate] = (scores[candidate] ?: 0) + weight;
+                def reason = reasons[candidate];
+                if (reason == null || reason.weight < weight) { reasons[candidate] = [weight: weight, recipe: shared] };
+            };
+        };
+    };
+};
+if (scores.isEmpty()) {
+    g.V().hasLabel('recipe').toList().findAll { !cooked.contains(it) }.each { recipe ->
+        def weight = recipe.edges(Direction.IN, 'selects').findAll { it.outVertex().label() == 'person' && it.outVertex() != user }.sum { selectionWeight(it) } ?: 0;
+        if (weight > 0) { scores[recipe] = weight };
+    };
+};
+def sorted = scores.sort { a, b -> b.value <=> a.value };
+(recipeCount == null ? sorted : sorted.take(recipeCount)).collect { recipe, score ->
+    [id: recipe.value('name'), title: recipe.value('title'), score: score, sharedRecipeTitle: reasons[recipe] ? reasons[recipe].recipe.value('title') : null,
+     diets: recipe.property('diets').orElse(null), allergens: recipe.property('allergens').orElse(null)]
+};`;
+
+const RETRY_DELAY = 100;
+
 class JanusGraphRecipeStore {
 
     /**
      * Creates a new instance of JanusGraphRecipeStore.
      * @param {Object} graphClient - The instance of the JanusGraphClient to use
      * @param {String} graphId - The id of the graph to use
+     * @param {Object} options - Optional settings (maxRetries - the number of times to retry an upsert that fails because of a conflict, defaults to 3)
      */
-    constructor(graphClient, graphId) {
+    constructor(graphClient, graphId, options) {
+        options = options || {};
         this.graphClient = graphClient;
         this.graphId = graphId;
+        this.maxRetries = (options.maxRetries === undefined ? 3 : options.maxRetries);
     }
 
     /**
@@ -17,7 +263,29 @@ class JanusGraphRecipeStore {
      * @returns {Promise.<TResult>}
      */
     init() {
-        return this.graphClient.getOrCreateGraph(this.graphId);
+        return this.graphClient.getOrCreateGraph(this.graphId)
+            .then(() => {
+                return this.createSchema();
+            });
+    }
+
+    /**
+     * Declares the vertex labels, edge labels, property keys and indexes in GRAPH_SCHEMA using the JanusGraph management API.
+     * Anything that already exists is skipped, except that locks missing from existing labels and keys are added, so this
+     * is safe to run every time the bot starts.
+     * Indexes created against a graph that already has data are reindexed so existing vertices can be found through them.
+     * @returns {Promise.<TResult>}
+     */
+    createSchema() {
+        console.log('Creating graph schema...');
+        return this.graphClient.runGremlinQuery(this.graphId, CREATE_SCHEMA_SCRIPT, GRAPH_SCHEMA)
+            .then((response) => {
+                let createdIndexes = (response.result && response.result.data) || [];
+                if (createdIndexes.length > 0) {
+                    console.log(`Created indexes: ${createdIndexes.join(', ')}`);
+                }
+                return Promise.resolve(true);
+            });
     }
 
     // User
@@ -36,49 +304,125 @@ class JanusGraphRecipeStore {
             });
     }
 
+    /**
+     * Finds the user with the specified ID in Graph.
+     * @param userId - The ID of the user (typically the ID returned from Slack)
+     * @returns {Promise.<TResult>} - The person vertex, or null if the user does not exist
+     */
+    findUser(userId) {
+        return this.findVertex('person', 'name', userId);
+    }
+
+    /**
+     * Stores the user's dietary profile on the person vertex.
+     * @param userVertex - The existing Graph vertex for the user
+     * @param profile - The DietaryProfile
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    updateDietaryProfile(userVertex, profile) {
+        return this.updateVertex(userVertex, profile.getProperties());
+    }
+
     // Ingredients
+    // Every ingredient is its own ingredient vertex. A search for one or more ingredients is an ingredientSet vertex
+    // (which caches the matching recipes) with a contains edge to each of its ingredients.
 
     /**
-     * Gets the unique name for the ingredient to be stored in Graph.
-     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * Gets the unique name for a single ingredient to be stored in Graph.
+     * @param ingredient - The name of the ingredient
      * @returns {string}
      */
-    getUniqueIngredientsName(ingredientsStr) {
-        let ingredients = ingredientsStr.trim().toLowerCase().split(',');
-        for (let i = 0; i < ingredients.length; i++) {
-            ingredients[i] = ingredients[i].trim();
+    getUniqueIngredientName(ingredient) {
+        return ingredient.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Gets the sorted, de-duplicated list of unique ingredient names in the specified ingredientsStr.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @returns {Array}
+     */
+    getUniqueIngredientNames(ingredientsStr) {
+        let ingredients = [];
+        for (let ingredient of ingredientsStr.split(',')) {
+            ingredient = this.getUniqueIngredientName(ingredient);
+            if (ingredient.length > 0 && ingredients.indexOf(ingredient) < 0) {
+                ingredients.push(ingredient);
+            }
         }
         ingredients.sort();
-        return ingredients.join(',');
+        return ingredients;
     }
 
     /**
-     * Finds the ingredient based on the specified ingredientsStr in Graph.
+     * Gets the unique name for the ingredient set to be stored in Graph.
      * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @returns {string}
+     */
+    getUniqueIngredientsName(ingredientsStr, profile) {
+        return this.addProfileKey(this.getUniqueIngredientNames(ingredientsStr).join(','), profile);
+    }
+
+    /**
+     * Finds the ingredient set based on the specified ingredientsStr in Graph.
+     * Only a search for exactly these ingredients, with the same dietary profile, is returned - its cached recipes, paging
+     * and request counts belong to that search alone. Searches that only overlap are linked through their ingredient
+     * vertices, so their recipes are found by findRecommendedRecipesForIngredient instead.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
+     * @param profile - Optional DietaryProfile of the user
      * @returns {Promise.<TResult>}
      */
-    findIngredient(ingredientsStr) {
-        return this.findVertex('ingredient', 'name', this.getUniqueIngredientsName(ingredientsStr));
+    findIngredient(ingredientsStr, profile) {
+        return this.findVertex('ingredientSet', 'name', this.getUniqueIngredientsName(ingredientsStr, profile));
     }
 
     /**
-     * Adds a new ingredient to Graph if an ingredient based on the specified ingredientsStr does not already exist.
+     * Finds the ingredient sets searched for with exactly these ingredients, with and without a dietary profile.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients
+     * @returns {Promise.<TResult>} - The vertices, empty if the ingredients were never searched for
+     */
+    findIngredientProfiles(ingredientsStr) {
+        return this.findVerticesForAllProfiles('ingredientSet', this.getUniqueIngredientsName(ingredientsStr));
+    }
+
+    /**
+     * Adds a new ingredient set to Graph if one based on the specified ingredientsStr does not already exist,
+     * links it to a vertex for each of its ingredients, and records the user's request for it.
      * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
      * @param matchingRecipes - The recipes that match the specified ingredientsStr
      * @param userVertex - The existing Graph vertex for the user
+     * @param profile - Optional DietaryProfile the recipes were searched for with
      * @returns {Promise.<TResult>}
      */
-    addIngredient(ingredientsStr, matchingRecipes, userVertex) {
-        let ingredientVertex = {label: 'ingredient'};
-        ingredientVertex['name'] = this.getUniqueIngredientsName(ingredientsStr);
-        ingredientVertex['detail'] = JSON.stringify(matchingRecipes).replace(/'/g, '\\\'');
-        return this.addVertexIfNotExists(ingredientVertex, 'name')
-            .then((vertex) => {
-                return this.recordIngredientRequestForUser(vertex, userVertex)
-                    .then(() => {
-                        return Promise.resolve(vertex);
-                    });
-            });
+    addIngredient(ingredientsStr, matchingRecipes, userVertex, profile) {
+        let ingredientSetVertex = {label: 'ingredientSet'};
+        ingredientSetVertex['name'] = this.getUniqueIngredientsName(ingredientsStr, profile);
+        ingredientSetVertex['detail'] = JSON.stringify(matchingRecipes);
+        ingredientSetVertex['fetchedAt'] = Date.now();
+        if (this.getProfileKey(profile)) {
+            ingredientSetVertex['profile'] = this.getProfileKey(profile);
+        }
+        console.log(`Upserting ingredientSet vertex where name=${ingredientSetVertex.name}`);
+        let query = 'try {';
+        query += 'def ingredientSet = upsertVertex("ingredientSet", "name", ingredientSetName, ingredientSetProperties);';
+        query += 'ingredientNames.each { ingredientName ->';
+        query += '    def ingredient = upsertVertex("ingredient", "name", ingredientName, [name: ingredientName]);';
+        query += '    upsertEdge("contains", ingredientSet.id(), ingredient.id(), [:], false);';
+        query += '};';
+        query += 'upsertEdge("selects", userId, ingredientSet.id(), [:], true);';
+        query += 'graph.tx().commit();';
+        query += 'return ingredientSet;';
+        query += '}';
+        query += 'catch (e) {';
+        query += 'graph.tx().rollback();';
+        query += 'throw e;';
+        query += '}';
+        const bindings = {
+            ingredientSetName: ingredientSetVertex.name,
+            ingredientSetProperties: this.getElementProperties(ingredientSetVertex),
+            ingredientNames: this.getUniqueIngredientNames(ingredientsStr),
+            userId: userVertex.id
+        };
+        return this.runUpsertQuery(query, bindings);
     }
 
     /**
@@ -103,19 +447,30 @@ class JanusGraphRecipeStore {
     /**
      * Gets the unique name for the cuisine to be stored in Graph.
      * @param cuisine - The cuisine specified by the user
+     * @param profile - Optional DietaryProfile of the user
      * @returns {string}
      */
-    getUniqueCuisineName(cuisine) {
-        return cuisine.trim().toLowerCase();
+    getUniqueCuisineName(cuisine, profile) {
+        return this.addProfileKey(cuisine.trim().toLowerCase(), profile);
     }
 
     /**
      * Finds the cuisine with the specified name in Graph.
      * @param cuisine - The cuisine specified by the user
+     * @param profile - Optional DietaryProfile of the user
      * @returns {Promise.<TResult>}
      */
-    findCuisine(cuisine) {
-        return this.findVertex('cuisine', 'name', this.getUniqueCuisineName(cuisine));
+    findCuisine(cuisine, profile) {
+        return this.findVertex('cuisine', 'name', this.getUniqueCuisineName(cuisine, profile));
+    }
+
+    /**
+     * Finds the cuisine searched for with and without a dietary profile.
+     * @param cuisine - The cuisine
+     * @returns {Promise.<TResult>} - The vertices, empty if the cuisine was never searched for
+     */
+    findCuisineProfiles(cuisine) {
+        return this.findVerticesForAllProfiles('cuisine', this.getUniqueCuisineName(cuisine));
     }
 
     /**
@@ -123,12 +478,17 @@ class JanusGraphRecipeStore {
      * @param cuisine - The cuisine specified by the user
      * @param matchingRecipes - The recipes that match the specified cuisine
      * @param userVertex - The existing Graph vertex for the user
+     * @param profile - Optional DietaryProfile the recipes were searched for with
      * @returns {Promise.<TResult>}
      */
-    addCuisine(cuisine, matchingRecipes, userVertex) {
+    addCuisine(cuisine, matchingRecipes, userVertex, profile) {
         let cuisineVertex = {label: 'cuisine'};
-        cuisineVertex['name'] = this.getUniqueCuisineName(cuisine);
-        cuisineVertex['detail'] = JSON.stringify(matchingRecipes).replace(/'/g, '\\\'');
+        cuisineVertex['name'] = this.getUniqueCuisineName(cuisine, profile);
+        cuisineVertex['detail'] = JSON.stringify(matchingRecipes);
+        cuisineVertex['fetchedAt'] = Date.now();
+        if (this.getProfileKey(profile)) {
+            cuisineVertex['profile'] = this.getProfileKey(profile);
+        }
         return this.addVertexIfNotExists(cuisineVertex, 'name')
             .then((vertex) => {
                 return this.recordCuisineRequestForUser(vertex, userVertex)
@@ -155,6 +515,80 @@ class JanusGraphRecipeStore {
         return this.addUpdateEdge(edge);
     }
 
+    // Search
+    // A search with more than one kind of criteria (i.e. "quick italian dinner with chicken") is a search vertex which
+    // caches the matching recipes, named by its normalized criteria (see SearchQuery.getKey) and dietary profile.
+
+    /**
+     * Gets the unique name for the search to be stored in Graph.
+     * @param query - The SearchQuery
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {string}
+     */
+    getUniqueSearchName(query, profile) {
+        return this.addProfileKey(query.getKey(), profile);
+    }
+
+    /**
+     * Finds the search with the same criteria in Graph.
+     * @param query - The SearchQuery
+     * @param profile - Optional DietaryProfile of the user
+     * @returns {Promise.<TResult>}
+     */
+    findSearch(query, profile) {
+        return this.findVertex('search', 'name', this.getUniqueSearchName(query, profile));
+    }
+
+    /**
+     * Finds the search with the same criteria made with and without a dietary profile.
+     * @param query - The SearchQuery
+     * @returns {Promise.<TResult>} - The vertices, empty if the search was never made
+     */
+    findSearchProfiles(query) {
+        return this.findVerticesForAllProfiles('search', this.getUniqueSearchName(query));
+    }
+
+    /**
+     * Adds a new search to Graph if a search with the same criteria does not already exist, and records the user's request for it.
+     * @param query - The SearchQuery
+     * @param matchingRecipes - The recipes that match the search
+     * @param userVertex - The existing Graph vertex for the user
+     * @param profile - Optional DietaryProfile the recipes were searched for with
+     * @returns {Promise.<TResult>}
+     */
+    addSearch(query, matchingRecipes, userVertex, profile) {
+        let searchVertex = {label: 'search'};
+        searchVertex['name'] = this.getUniqueSearchName(query, profile);
+        searchVertex['detail'] = JSON.stringify(matchingRecipes);
+        searchVertex['fetchedAt'] = Date.now();
+        if (this.getProfileKey(profile)) {
+            searchVertex['profile'] = this.getProfileKey(profile);
+        }
+        return this.addVertexIfNotExists(searchVertex, 'name')
+            .then((vertex) => {
+                return this.recordSearchRequestForUser(vertex, userVertex)
+                    .then(() => {
+                        return Promise.resolve(vertex);
+                    });
+            });
+    }
+
+    /**
+     * Creates or updates an edge between the specified user and search.
+     * @param searchVertex - The existing Graph vertex for the search
+     * @param userVertex - The existing Graph vertex for the user
+     * @returns {Promise.<TResult>}
+     */
+    recordSearchRequestForUser(searchVertex, userVertex) {
+        let edge = {
+            label: 'selects',
+            outV: userVertex.id,
+            inV: searchVertex.id,
+            properties: {'count': 1}
+        };
+        return this.addUpdateEdge(edge);
+    }
+
     // Recipe
 
     /**
@@ -182,45 +616,142 @@ class JanusGraphRecipeStore {
      * @param recipeDetail - The detailed instructions for making the recipe
      * @param ingredientCuisineVertex - The existing Graph vertex for either the ingredient or cuisine selected before the recipe
      * @param userVertex - The existing Graph vertex for the user
+     * @param recipeIngredients - The names of the ingredients the recipe uses (each one is linked to the recipe with a uses edge)
+     * @param dietaryInfo - Optional diets the recipe satisfies and intolerances it triggers ({diets, allergens}), used to filter recommendations by dietary profile
      * @returns {Promise.<TResult>}
      */
-    addRecipe(recipeId, recipeTitle, recipeDetail, ingredientCuisineVertex, userVertex) {
+    addRecipe(recipeId, recipeTitle, recipeDetail, ingredientCuisineVertex, userVertex, recipeIngredients, dietaryInfo) {
         let recipeVertex = {label: 'recipe'};
         recipeVertex['name'] = this.getUniqueRecipeName(recipeId);
-        recipeVertex['title'] = recipeTitle.trim().replace(/'/g, '\\\'');
-        recipeVertex['detail'] = recipeDetail.replace(/'/g, '\\\'').replace(/\n/g, '\\\\n');
-        return this.addVertexIfNotExists(recipeVertex, 'name')
-            .then((vertex) => {
-                // add one edge from the ingredient/cuisine to the recipe
-                recipeVertex = vertex;
-                return this.recordRecipeRequestForUser(recipeVertex, ingredientCuisineVertex, userVertex);
-            })
-            .then(() => {
-                return Promise.resolve(recipeVertex);
-            });
+        recipeVertex['title'] = recipeTitle.trim();
+        recipeVertex['detail'] = recipeDetail;
+        recipeVertex['fetchedAt'] = Date.now();
+        Object.assign(recipeVertex, this.getDietaryInfoProperties(dietaryInfo));
+        console.log(`Upserting recipe vertex where name=${recipeVertex.name} and recording selection`);
+        let query = this.getRecipeSelectionQuery('upsertVertex("recipe", "name", recipeName, recipeProperties)');
+        let bindings = this.getRecipeSelectionBindings(recipeVertex.name, ingredientCuisineVertex, userVertex);
+        bindings.recipeProperties = this.getElementProperties(recipeVertex);
+        bindings.recipeIngredientNames = [];
+        for (let ingredient of recipeIngredients || []) {
+            ingredient = this.getUniqueIngredientName(ingredient);
+            if (ingredient.length > 0 && bindings.recipeIngredientNames.indexOf(ingredient) < 0) {
+                bindings.recipeIngredientNames.push(ingredient);
+            }
+        }
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Finds the recipe with the specified ID and, if it exists, records the user's selection of it (see recordRecipeRequestForUser).
+     * The lookup and all of the edge updates are sent to the server as a single script.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param ingredientCuisineVertex - The existing Graph vertex for either the ingredient or cuisine selected before the recipe
+     * @param userVertex - The existing Graph vertex for the user
+     * @returns {Promise.<TResult>} - The recipe vertex, or null if the recipe does not exist
+     */
+    selectRecipe(recipeId, ingredientCuisineVertex, userVertex) {
+        let query = this.getRecipeSelectionQuery('g.V().hasLabel("recipe").has("name", recipeName).tryNext().orElse(null)');
+        const bindings = this.getRecipeSelectionBindings(this.getUniqueRecipeName(recipeId), ingredientCuisineVertex, userVertex);
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Stores the user's rating of a recipe on the edge between the user and the recipe.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The existing Graph vertex for the user
+     * @param rating - The rating from 1 to 5
+     * @returns {Promise.<TResult>} - The updated edge, or null if the user has not selected the recipe
+     */
+    rateRecipe(recipeId, userVertex, rating) {
+        let query = 'def e = g.V(userId).outE("selects").where(__.inV().hasLabel("recipe").has("name", recipeName)).tryNext().orElse(null);';
+        query += ' if (e != null) { e.property("rating", rating) }; e';
+        const bindings = {
+            userId: userVertex.id,
+            recipeName: this.getUniqueRecipeName(recipeId),
+            rating: rating
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Marks a recipe the user has selected as saved, so it is listed first in the user's favorites.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The existing Graph vertex for the user
+     * @returns {Promise.<TResult>} - The updated edge, or null if the user has not selected the recipe
+     */
+    saveRecipe(recipeId, userVertex) {
+        let query = 'def e = g.V(userId).outE("selects").where(__.inV().hasLabel("recipe").has("name", recipeName)).tryNext().orElse(null);';
+        query += ' if (e != null) { e.property("saved", true) }; e';
+        const bindings = {
+            userId: userVertex.id,
+            recipeName: this.getUniqueRecipeName(recipeId)
+        };
+        return this.runUpsertQuery(query, bindings);
     }
 
     /**
      * Finds the user's favorite recipes in Graph.
+     * Saved recipes come first, then recipes are ordered by how often the user selected them, weighted by the user's
+     * rating (see NEUTRAL_RATING).
      * @param userVertex - The existing Graph vertex for the user
      * @param count - The max number of recipes to return
-     * @returns {Promise.<TResult>}
+     * @returns {Promise.<TResult>} - The recipes ({id, title, rating, saved}), rating is undefined for recipes the user has not rated
      */
     findFavoriteRecipesForUser(userVertex, count) {
-        let query = `g.V().hasLabel("person").has("name", "${userVertex.properties['name'][0]['value']}").outE().order().by("count", decr).inV().hasLabel("recipe").limit(${count})`;
-        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`)
+        let query = `g.V().hasLabel("person").has("name", userName).outE("selects").as("selection").inV().hasLabel("recipe").as("recipe").select("selection", "recipe")`;
+        const bindings = {
+            userName: userVertex.properties['name'][0]['value']
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`, bindings)
             .then((response) => {
                 if (response.result && response.result.data && response.result.data.length > 0) {
+                    let selections = response.result.data.sort((a, b) => {
+                        let saved = (b.selection.properties.saved ? 1 : 0) - (a.selection.properties.saved ? 1 : 0);
+                        return saved || this.getSelectionWeight(b.selection) - this.getSelectionWeight(a.selection);
+                    });
                     let recipes = [];
-                    let recipeVertices = response.result.data;
-                    for (let recipeVertex of recipeVertices) {
+                    for (let selection of selections.slice(0, count)) {
                         let recipe = {
-                            id: recipeVertex.properties.name[0].value,
-                            title: recipeVertex.properties.title[0].value,
+                            id: selection.recipe.properties.name[0].value,
+                            title: selection.recipe.properties.title[0].value,
+                            rating: selection.selection.properties.rating,
+                            saved: !!selection.selection.properties.saved
                         }
                         recipes.push(recipe);
                     }
-					return Promise.resolve(recipes);
+                    return Promise.resolve(recipes);
+                }
+                else {
+                    return Promise.resolve([]);
+                }
+            });
+    }
+
+    /**
+     * Finds recipes the user has not selected yet that were selected by people who selected the same recipes as the user.
+     * Falls back to the most popular recipes if nobody shares a recipe with the user.
+     * @param userVertex - The existing Graph vertex for the user
+     * @param count - The max number of recipes to return
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @returns {Promise.<TResult>} - The recipes ({id, title, score, sharedRecipeTitle}) ordered by score, sharedRecipeTitle is null for popular recipes
+     */
+    findSuggestedRecipesForUser(userVertex, count, profile) {
+        const filter = (profile && !profile.isEmpty());
+        const bindings = {
+            userName: userVertex.properties['name'][0]['value'],
+            recipeCount: (filter ? null : count)
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${SUGGEST_RECIPES_SCRIPT}`, bindings)
+            .then((response) => {
+                if (response.result && response.result.data && response.result.data.length > 0) {
+                    let recipes = response.result.data.filter((recipe) => {
+                        return this.isRecipeAllowed(this.getDietaryInfo(recipe.diets, recipe.allergens), profile);
+                    });
+                    for (let recipe of recipes) {
+                        delete recipe.diets;
+                        delete recipe.allergens;
+                    }
+                    return Promise.resolve(recipes.slice(0, count));
                 }
                 else {
                     return Promise.resolve([]);
@@ -233,16 +764,21 @@ class JanusGraphRecipeStore {
      * @param ingredientsStr - The ingredient or comma-separated list of ingredients specified by the user
      * @param userVertex - The Graph vertex for the user requesting recommended recipes
      * @param count - The max number of recipes to return
+     * @param profile - Optional DietaryProfile to filter the recipes by
      * @returns {Promise.<TResult>}
      */
-    findRecommendedRecipesForIngredient(ingredientsStr, userVertex, count) {
-        ingredientsStr = this.getUniqueIngredientsName(ingredientsStr);
-        let query = `g.V().hasLabel("ingredient").has("name","${ingredientsStr}")`;
-        query += `.in("has")`;
-        query += `.inE().has("count",gt(1)).order().by("count", decr)`;
-        query += `.outV().hasLabel("person").has("name",neq("${userVertex.properties.name[0].value}"))`;
+    findRecommendedRecipesForIngredient(ingredientsStr, userVertex, count, profile) {
+        // recipes that use any of the ingredients, not just recipes found by searching for exactly the same ingredients
+        let query = `g.V().hasLabel("ingredient").has("name", within(ingredientNames))`;
+        query += `.in("uses").hasLabel("recipe")`;
+        query += `.inE("selects")${LIKED_SELECTION_FILTER}`;
+        query += `.outV().hasLabel("person").has("name", neq(userName))`;
         query += `.path()`;
-        return this.getRecommendedRecipes(query, count);
+        const bindings = {
+            ingredientNames: this.getUniqueIngredientNames(ingredientsStr),
+            userName: userVertex.properties.name[0].value
+        };
+        return this.getRecommendedRecipes(query, bindings, count, profile);
     }
 
     /**
@@ -250,46 +786,66 @@ class JanusGraphRecipeStore {
      * @param cuisine - The cuisine specified by the user
      * @param userVertex - The Graph vertex for the user requesting recommended recipes
      * @param count - The max number of recipes to return
+     * @param profile - Optional DietaryProfile to filter the recipes by
      * @returns {Promise.<TResult>}
      */
-    findRecommendedRecipesForCuisine(cuisine, userVertex, count) {
-        cuisine = this.getUniqueCuisineName(cuisine);
-        let query = `g.V().hasLabel("cuisine").has("name","${cuisine}")`;
+    findRecommendedRecipesForCuisine(cuisine, userVertex, count, profile) {
+        cuisine = this.getUniqueCuisineName(cuisine, profile);
+        let query = `g.V().hasLabel("cuisine").has("name", cuisineName)`;
         query += `.in("has")`;
-        query += `.inE().has("count",gt(1)).order().by("count", decr)`;
-        query += `.outV().hasLabel("person").has("name",neq("${userVertex.properties.name[0].value}"))`;
+        query += `.inE("selects")${LIKED_SELECTION_FILTER}`;
+        query += `.outV().hasLabel("person").has("name", neq(userName))`;
         query += `.path()`;
-        return this.getRecommendedRecipes(query, count);
+        const bindings = {
+            cuisineName: cuisine,
+            userName: userVertex.properties.name[0].value
+        };
+        return this.getRecommendedRecipes(query, bindings, count, profile);
     }
 
-    getRecommendedRecipes(query, count) {
-        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`)
+    getRecommendedRecipes(query, bindings, count, profile) {
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`, bindings)
             .then((response) => {
                 if (response.result && response.result.data && response.result.data.length > 0) {
                     let recipes = [];
                     let recipeHash = {};
+                    let recipeUserHash = {};
                     let paths = response.result.data;
                     for (let path of paths) {
                         let recipeVertex = path.objects[1];
+                        let selectionEdge = path.objects[2];
+                        let userVertex = path.objects[path.objects.length - 1];
                         let recipeId = recipeVertex.properties.name[0].value;
+                        if (!this.isRecipeAllowed(this.getRecipeDietaryInfo(recipeVertex), profile)) {
+                            continue;
+                        }
+                        // a recipe can be reached through more than one ingredient - only count each user once
+                        let recipeUserKey = `${recipeId}:${userVertex.id}`;
+                        if (recipeUserHash[recipeUserKey]) {
+                            continue;
+                        }
+                        recipeUserHash[recipeUserKey] = true;
                         let recipe = recipeHash[recipeId];
                         if (! recipe) {
-                            if (recipes.length >= count) {
-                                continue;
-                            }
                             recipe = {
                                 id: recipeId,
                                 title: recipeVertex.properties.title[0].value,
-                                recommendedUserCount: 1
+                                calories: this.getRecipeNutrition(recipeVertex).calories,
+                                recommendedUserCount: 1,
+                                score: this.getSelectionWeight(selectionEdge)
                             };
                             recipes.push(recipe);
                             recipeHash[recipeId] = recipe;
                         }
                         else {
                             recipe.recommendedUserCount += 1;
+                            recipe.score += this.getSelectionWeight(selectionEdge);
                         }
                     }
-                    return Promise.resolve(recipes);
+                    recipes.sort((a, b) => {
+                        return b.score - a.score;
+                    });
+                    return Promise.resolve(recipes.slice(0, count));
                 }
                 else {
 					return Promise.resolve([]);
@@ -297,50 +853,546 @@ class JanusGraphRecipeStore {
             });
     }
 
+    /**
+     * Gets the weight of a user's selection of a recipe: the number of times it was selected scaled by the user's rating.
+     * @param edge - The selects edge
+     * @returns {number}
+     */
+    getSelectionWeight(edge) {
+        let properties = edge.properties || {};
+        return (properties.count || 1) * (properties.rating || NEUTRAL_RATING) / NEUTRAL_RATING;
+    }
+
     /**
      * Creates or updates an edge between the specified user and recipe.
      * Stores the number of times the recipe has been accessed by the user in the edge.
      * Creates or updates an edge between the specified ingredient/cuisine (if not None) and recipe.
      * Stores the number of times the recipe has been accessed by the ingredient/cuisine in the edge.
+     * All of the edges are updated by a single script in one transaction.
      * @param recipeVertex - The existing Graph vertex for the recipe
      * @param ingredientCuisineVertex - The existing Graph vertex for either the ingredient or cuisine selected before the recipe
      * @param userVertex - The existing Graph vertex for the user
      * @returns {Promise.<TResult>}
      */
     recordRecipeRequestForUser(recipeVertex, ingredientCuisineVertex, userVertex) {
-        // add one edge from the user to the recipe (this will let us find a user's favorite recipes, etc)
-        let edge = {
-            label: 'selects',
-            outV: userVertex.id,
-            inV: recipeVertex.id,
-            properties: {'count': 1}
+        let query = this.getRecipeSelectionQuery('g.V(recipeId).next()');
+        let bindings = this.getRecipeSelectionBindings(null, ingredientCuisineVertex, userVertex);
+        bindings.recipeId = recipeVertex.id;
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Builds a script that finds or creates the recipe using recipeLookup and records the user's selection of it in one transaction:
+     * user -selects-> recipe and, if an ingredient/cuisine was searched first, ingredient/cuisine -selects-> recipe and recipe -has-> ingredient/cuisine.
+     * Also links the recipe to each of the ingredients in recipeIngredientNames with a uses edge.
+     * The script returns the recipe vertex, or nothing if recipeLookup returns null.
+     * @param recipeLookup - A Gremlin expression that returns the recipe vertex
+     * @returns {string}
+     */
+    getRecipeSelectionQuery(recipeLookup) {
+        let query = 'try {';
+        query += `def recipe = ${recipeLookup};`;
+        query += 'if (recipe == null) { return [] };';
+        query += 'upsertEdge("selects", userId, recipe.id(), [:], true);';
+        query += 'ingredientCuisineIds.each { ingredientCuisineId ->';
+        query += '    upsertEdge("selects", ingredientCuisineId, recipe.id(), [:], true);';
+        query += '    upsertEdge("has", recipe.id(), ingredientCuisineId, [:], false);';
+        query += '};';
+        query += 'recipeIngredientNames.each { ingredientName ->';
+        query += '    def ingredient = upsertVertex("ingredient", "name", ingredientName, [name: ingredientName]);';
+        query += '    upsertEdge("uses", recipe.id(), ingredient.id(), [:], false);';
+        query += '};';
+        query += 'graph.tx().commit();';
+        query += 'return recipe;';
+        query += '}';
+        query += 'catch (e) {';
+        query += 'graph.tx().rollback();';
+        query += 'throw e;';
+        query += '}';
+        return query;
+    }
+
+    getRecipeSelectionBindings(recipeName, ingredientCuisineVertex, userVertex) {
+        return {
+            recipeName: recipeName,
+            userId: userVertex.id,
+            ingredientCuisineIds: (ingredientCuisineVertex ? [ingredientCuisineVertex.id] : []),
+            recipeIngredientNames: []
         };
-        return this.addUpdateEdge(edge)
-            .then(() => {
-                if (ingredientCuisineVertex) {
-                    // add one edge from the ingredient/cuisine to the recipe
-                    let edge = {
-                        label: 'selects',
-                        outV: ingredientCuisineVertex.id,
-                        inV: recipeVertex.id,
-                        properties: {'count': 1}
-                    };
-                    return this.addUpdateEdge(edge)
-                        .then(() => {
-                            edge = {
-                                label: 'has',
-                                outV: recipeVertex.id,
-                                inV: ingredientCuisineVertex.id
-                            };
-                            return this.addEdgeIfNotExists(edge)
-                        });
+    }
+
+    // Substitutions
+    // Substitutes are cached as substitutes edges from an ingredient to what can be used instead (also an ingredient
+    // vertex), with the description of how to substitute it and its rank in the original answer. The count on the
+    // edge is the number of times users chose that substitute.
+
+    /**
+     * Finds the cached substitutes for an ingredient, the ones users chose most often first.
+     * @param ingredient - The name of the ingredient
+     * @returns {Promise.<TResult>} - The substitutes ({name, description, count}), empty if none are cached
+     */
+    findSubstitutes(ingredient) {
+        let query = 'g.V().hasLabel("ingredient").has("name", ingredientName).outE("substitutes").as("substitution")';
+        query += '.inV().hasLabel("ingredient").as("substitute").select("substitution", "substitute")';
+        const bindings = {
+            ingredientName: this.getUniqueIngredientName(ingredient)
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`, bindings)
+            .then((response) => {
+                let substitutions = ((response.result && response.result.data) || []).sort((a, b) => {
+                    return (b.substitution.properties.count || 0) - (a.substitution.properties.count || 0) || a.substitution.properties.rank - b.substitution.properties.rank;
+                });
+                let substitutes = [];
+                for (let substitution of substitutions) {
+                    substitutes.push({
+                        name: substitution.substitute.properties.name[0].value,
+                        description: substitution.substitution.properties.description,
+                        count: substitution.substitution.properties.count || 0
+                    });
                 }
-                else {
-                    return Promise.resolve(null);
+                return Promise.resolve(substitutes);
+            });
+    }
+
+    /**
+     * Caches the substitutes for an ingredient.
+     * @param ingredient - The name of the ingredient
+     * @param substitutes - The substitutes ({name, description}) in the order they were returned
+     * @returns {Promise.<TResult>} - The ingredient vertex
+     */
+    addSubstitutes(ingredient, substitutes) {
+        let query = 'try {';
+        query += 'def ingredient = upsertVertex("ingredient", "name", ingredientName, [name: ingredientName]);';
+        query += 'substitutes.eachWithIndex { substitute, i ->';
+        query += '    def substituteVertex = upsertVertex("ingredient", "name", substitute.name, [name: substitute.name]);';
+        query += '    upsertEdge("substitutes", ingredient.id(), substituteVertex.id(), [description: substitute.description, rank: i], false);';
+        query += '};';
+        query += 'graph.tx().commit();';
+        query += 'return ingredient;';
+        query += '}';
+        query += 'catch (e) {';
+        query += 'graph.tx().rollback();';
+        query += 'throw e;';
+        query += '}';
+        const bindings = {
+            ingredientName: this.getUniqueIngredientName(ingredient),
+            substitutes: substitutes.map((substitute) => {
+                return {name: this.getUniqueIngredientName(substitute.name), description: substitute.description};
+            })
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Records that a user chose a substitute for an ingredient, so it is ranked higher the next time.
+     * @param ingredient - The name of the ingredient
+     * @param substitute - The name of the substitute
+     * @returns {Promise.<TResult>} - The substitutes edge, or null if the substitute is not cached
+     */
+    acceptSubstitute(ingredient, substitute) {
+        let query = 'def i = g.V().hasLabel("ingredient").has("name", ingredientName).tryNext().orElse(null);';
+        query += ' def s = g.V().hasLabel("ingredient").has("name", substituteName).tryNext().orElse(null);';
+        query += ' (i == null || s == null || !g.V(i).outE("substitutes").where(__.inV().is(s)).hasNext()) ? null : upsertEdge("substitutes", i.id(), s.id(), [:], true)';
+        const bindings = {
+            ingredientName: this.getUniqueIngredientName(ingredient),
+            substituteName: this.getUniqueIngredientName(substitute)
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    // Shopping list
+    // The recipes on a user's shopping list are linked to the user with a lists edge. What the user already has is
+    // stored on the person vertex as JSON.
+
+    /**
+     * Adds a recipe to the user's shopping list.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The existing Graph vertex for the user
+     * @returns {Promise.<TResult>} - The lists edge, or null if the recipe does not exist
+     */
+    addRecipeToShoppingList(recipeId, userVertex) {
+        let query = 'def r = g.V().hasLabel("recipe").has("name", recipeName).tryNext().orElse(null);';
+        query += ' r == null ? null : upsertEdge("lists", userId, r.id(), [:], false)';
+        const bindings = {
+            userId: userVertex.id,
+            recipeName: this.getUniqueRecipeName(recipeId)
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Finds the recipes on the user's shopping list.
+     * @param userVertex - The existing Graph vertex for the user
+     * @returns {Promise.<TResult>} - The recipes ({id, title, ingredients}), ingredients is a list of {name, amount, unit, aisle}
+     */
+    findShoppingListRecipes(userVertex) {
+        const bindings = {
+            userId: userVertex.id
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, 'def g = graph.traversal(); g.V(userId).out("lists").hasLabel("recipe")', bindings)
+            .then((response) => {
+                let recipes = [];
+                for (let recipeVertex of (response.result && response.result.data) || []) {
+                    let properties = recipeVertex.properties;
+                    recipes.push({
+                        id: properties.name[0].value,
+                        title: properties.title[0].value,
+                        ingredients: properties.ingredientAmounts ? JSON.parse(properties.ingredientAmounts[0].value) : []
+                    });
+                }
+                return Promise.resolve(recipes);
+            });
+    }
+
+    /**
+     * Removes every recipe from the user's shopping list, and forgets what the user already has.
+     * @param userVertex - The existing Graph vertex for the user
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    clearShoppingList(userVertex) {
+        let query = 'g.V(userId).outE("lists").drop().iterate(); def v = g.V(userId).next(); v.properties("pantry").each { it.remove() }; v';
+        const bindings = {
+            userId: userVertex.id
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Stores what the user already has on the person vertex, so it is left off the shopping list.
+     * @param userVertex - The existing Graph vertex for the user
+     * @param pantry - The items ({name, amount, unit}), amount is null if the user has all they need
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    updatePantry(userVertex, pantry) {
+        return this.updateVertex(userVertex, {pantry: JSON.stringify(pantry)});
+    }
+
+    // Meal plan
+    // A planned recipe is a planned edge from the user to the recipe with the date (YYYY-MM-DD) and meal it is planned
+    // for. There is at most one planned edge per date and meal; the same recipe can be planned more than once.
+
+    /**
+     * Plans a recipe for a meal, replacing the recipe already planned for it.
+     * @param recipeId - The ID of the recipe (typically the ID of the recipe returned from Spoonacular)
+     * @param userVertex - The existing Graph vertex for the user
+     * @param date - The date to plan the recipe for (YYYY-MM-DD)
+     * @param meal - The meal to plan the recipe for (breakfast, lunch or dinner)
+     * @returns {Promise.<TResult>} - The planned edge, or null if the recipe does not exist
+     */
+    planRecipe(recipeId, userVertex, date, meal) {
+        let query = 'def r = g.V().hasLabel("recipe").has("name", recipeName).tryNext().orElse(null); def e = null;';
+        query += ' if (r != null) {';
+        query += ' g.V(userId).outE("planned").has("date", planDate).has("meal", meal).drop().iterate();';
+        query += ' e = g.V(userId).as("o").V(r).addE("planned").from("o").property("date", planDate).property("meal", meal).next()';
+        query += ' }; e';
+        const bindings = {
+            userId: userVertex.id,
+            recipeName: this.getUniqueRecipeName(recipeId),
+            planDate: date,
+            meal: meal
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Finds the recipes the user planned between two dates.
+     * @param userVertex - The existing Graph vertex for the user
+     * @param fromDate - The first date (YYYY-MM-DD)
+     * @param toDate - The last date (YYYY-MM-DD)
+     * @returns {Promise.<TResult>} - The planned recipes ({id, title, date, meal})
+     */
+    findPlannedRecipes(userVertex, fromDate, toDate) {
+        let query = 'g.V(userId).outE("planned").has("date", gte(fromDate)).has("date", lte(toDate)).as("plan")';
+        query += '.inV().hasLabel("recipe").as("recipe").select("plan", "recipe")';
+        const bindings = {
+            userId: userVertex.id,
+            fromDate: fromDate,
+            toDate: toDate
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`, bindings)
+            .then((response) => {
+                let recipes = [];
+                for (let result of (response.result && response.result.data) || []) {
+                    recipes.push({
+                        id: result.recipe.properties.name[0].value,
+                        title: result.recipe.properties.title[0].value,
+                        date: result.plan.properties.date,
+                        meal: result.plan.properties.meal
+                    });
                 }
+                return Promise.resolve(recipes);
             });
     }
 
+    /**
+     * Removes the recipes the user planned between two dates.
+     * @param userVertex - The existing Graph vertex for the user
+     * @param fromDate - The first date (YYYY-MM-DD)
+     * @param toDate - The last date (YYYY-MM-DD)
+     * @param meal - Optional meal to remove (breakfast, lunch or dinner), every meal is removed if not specified
+     * @returns {Promise.<TResult>} - The number of planned recipes removed
+     */
+    removePlannedRecipes(userVertex, fromDate, toDate, meal) {
+        let query = 'def edges = g.V(userId).outE("planned").has("date", gte(fromDate)).has("date", lte(toDate))';
+        query += (meal ? '.has("meal", meal)' : '');
+        query += '.toList(); edges.each { it.remove() }; edges.size()';
+        let bindings = {
+            userId: userVertex.id,
+            fromDate: fromDate,
+            toDate: toDate
+        };
+        if (meal) {
+            bindings.meal = meal;
+        }
+        return this.runUpsertQuery(query, bindings)
+            .then((count) => Promise.resolve(count || 0));
+    }
+
+    // Dietary profile
+    // Cached searches (ingredient sets, cuisines and searches) are keyed by the dietary profile they were searched for with.
+    // Recipes store the diets they satisfy and the intolerances they trigger, so recommendations can be filtered.
+
+    getProfileKey(profile) {
+        return (profile && profile.getKey()) || '';
+    }
+
+    addProfileKey(name, profile) {
+        const profileKey = this.getProfileKey(profile);
+        return profileKey ? `${name};${profileKey}` : name;
+    }
+
+    getDietaryInfoProperties(dietaryInfo) {
+        if (!dietaryInfo) {
+            return {};
+        }
+        return {diets: dietaryInfo.diets.join(','), allergens: dietaryInfo.allergens.join(',')};
+    }
+
+    getRecipeDietaryInfo(recipeVertex) {
+        const properties = recipeVertex.properties;
+        const dietaryInfo = this.getDietaryInfo(properties.diets && properties.diets[0].value, properties.allergens && properties.allergens[0].value);
+        return Object.assign(dietaryInfo, this.getRecipeNutrition(recipeVertex));
+    }
+
+    /**
+     * Gets the nutrition per serving ({calories, protein, fat, carbohydrates}) stored on the recipe vertex.
+     * Amounts that were not stored are undefined.
+     * @param recipeVertex - The recipe vertex
+     * @returns {Object}
+     */
+    getRecipeNutrition(recipeVertex) {
+        let nutrition = {};
+        for (let key of NUTRITION_KEYS) {
+            nutrition[key] = (recipeVertex.properties[key] ? recipeVertex.properties[key][0].value : undefined);
+        }
+        return nutrition;
+    }
+
+    /**
+     * Gets the dietary info ({diets, allergens}) of a recipe from the values stored on its vertex.
+     * Either list is undefined if it was not stored (i.e. for recipes added before dietary profiles existed).
+     * @param diets - The comma-separated diets
+     * @param allergens - The comma-separated allergens
+     * @returns {{diets: Array, allergens: Array}}
+     */
+    getDietaryInfo(diets, allergens) {
+        const split = (value) => {
+            return (typeof value == 'string' ? value.split(',').filter((item) => item.length > 0) : undefined);
+        };
+        return {diets: split(diets), allergens: split(allergens)};
+    }
+
+    isRecipeAllowed(dietaryInfo, profile) {
+        return !profile || profile.allowsRecipe(dietaryInfo);
+    }
+
+    // Cache
+
+    /**
+     * Replaces the cached Spoonacular results stored on the ingredient and resets its fetchedAt timestamp.
+     * @param ingredientVertex - The existing Graph vertex for the ingredient
+     * @param matchingRecipes - The recipes that match the ingredient
+     * @returns {Promise.<TResult>}
+     */
+    updateIngredientDetail(ingredientVertex, matchingRecipes) {
+        return this.updateVertex(ingredientVertex, {detail: JSON.stringify(matchingRecipes), fetchedAt: Date.now()});
+    }
+
+    /**
+     * Adds a further page of Spoonacular results to the cached results stored on the ingredient.
+     * fetchedAt is left alone, so the results are still refreshed once the first page is stale.
+     * @param ingredientVertex - The existing Graph vertex for the ingredient, with the current cached results
+     * @param matchingRecipes - The recipes to add, recipes that are already cached are skipped
+     * @returns {Promise.<TResult>}
+     */
+    appendIngredientDetail(ingredientVertex, matchingRecipes) {
+        return this.updateVertex(ingredientVertex, {detail: JSON.stringify(this.appendRecipes(ingredientVertex, matchingRecipes))});
+    }
+
+    /**
+     * Replaces the cached Spoonacular results stored on the cuisine and resets its fetchedAt timestamp.
+     * @param cuisineVertex - The existing Graph vertex for the cuisine
+     * @param matchingRecipes - The recipes that match the cuisine
+     * @returns {Promise.<TResult>}
+     */
+    updateCuisineDetail(cuisineVertex, matchingRecipes) {
+        return this.updateVertex(cuisineVertex, {detail: JSON.stringify(matchingRecipes), fetchedAt: Date.now()});
+    }
+
+    /**
+     * Adds a further page of Spoonacular results to the cached results stored on the cuisine.
+     * fetchedAt is left alone, so the results are still refreshed once the first page is stale.
+     * @param cuisineVertex - The existing Graph vertex for the cuisine, with the current cached results
+     * @param matchingRecipes - The recipes to add, recipes that are already cached are skipped
+     * @returns {Promise.<TResult>}
+     */
+    appendCuisineDetail(cuisineVertex, matchingRecipes) {
+        return this.updateVertex(cuisineVertex, {detail: JSON.stringify(this.appendRecipes(cuisineVertex, matchingRecipes))});
+    }
+
+    /**
+     * Replaces the cached Spoonacular results stored on the search and resets its fetchedAt timestamp.
+     * @param searchVertex - The existing Graph vertex for the search
+     * @param matchingRecipes - The recipes that match the search
+     * @returns {Promise.<TResult>}
+     */
+    updateSearchDetail(searchVertex, matchingRecipes) {
+        return this.updateVertex(searchVertex, {detail: JSON.stringify(matchingRecipes), fetchedAt: Date.now()});
+    }
+
+    /**
+     * Adds a further page of Spoonacular results to the cached results stored on the search.
+     * @param searchVertex - The existing Graph vertex for the search, with the current cached results
+     * @param matchingRecipes - The recipes to add, recipes that are already cached are skipped
+     * @returns {Promise.<TResult>}
+     */
+    appendSearchDetail(searchVertex, matchingRecipes) {
+        return this.updateVertex(searchVertex, {detail: JSON.stringify(this.appendRecipes(searchVertex, matchingRecipes))});
+    }
+
+    /**
+     * Replaces the cached title and instructions stored on the recipe and resets its fetchedAt timestamp.
+     * @param recipeVertex - The existing Graph vertex for the recipe
+     * @param recipeTitle - The title of the recipe
+     * @param recipeDetail - The detailed instructions for making the recipe
+     * @param dietaryInfo - Optional diets the recipe satisfies and intolerances it triggers ({diets, allergens})
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeDetail(recipeVertex, recipeTitle, recipeDetail, dietaryInfo) {
+        let properties = {title: recipeTitle.trim(), detail: recipeDetail, fetchedAt: Date.now()};
+        return this.updateVertex(recipeVertex, Object.assign(properties, this.getDietaryInfoProperties(dietaryInfo)));
+    }
+
+    /**
+     * Stores the recipe's steps on the recipe, so they can be shown one at a time without calling Spoonacular.
+     * @param recipeVertex - The existing Graph vertex for the recipe
+     * @param steps - The steps ({number, step, equipment, ingredients, minutes}), equipment and ingredients are lists of names and minutes is null if Spoonacular does not say how long the step takes
+     * @param readyInMinutes - How long the whole recipe takes
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeSteps(recipeVertex, steps, readyInMinutes) {
+        return this.updateVertex(recipeVertex, {steps: JSON.stringify(steps), readyInMinutes: readyInMinutes || 0});
+    }
+
+    /**
+     * Stores the recipe's nutrition per serving on the recipe. The main amounts are stored as numbers so recipes can be
+     * filtered by them, the key nutrients are stored as JSON to answer questions about them.
+     * @param recipeVertex - The existing Graph vertex for the recipe
+     * @param nutrition - The nutrition ({calories, protein, fat, carbohydrates, nutrients}), nutrients is a list of {name, amount, unit, percentOfDailyNeeds}, or null if Spoonacular has none
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeNutrition(recipeVertex, nutrition) {
+        let properties = {nutrients: JSON.stringify(nutrition ? nutrition.nutrients : [])};
+        for (let key of NUTRITION_KEYS) {
+            if (nutrition && typeof nutrition[key] == 'number') {
+                properties[key] = nutrition[key];
+            }
+        }
+        return this.updateVertex(recipeVertex, properties);
+    }
+
+    /**
+     * Stores the amounts of the recipe's ingredients on the recipe, so they can be added to shopping lists.
+     * @param recipeVertex - The existing Graph vertex for the recipe
+     * @param ingredients - The ingredients ({name, amount, unit, aisle})
+     * @returns {Promise.<TResult>}
+     */
+    updateRecipeIngredientAmounts(recipeVertex, ingredients) {
+        return this.updateVertex(recipeVertex, {ingredientAmounts: JSON.stringify(ingredients)});
+    }
+
+    appendRecipes(vertex, matchingRecipes) {
+        let recipes = vertex.properties.detail ? JSON.parse(vertex.properties.detail[0].value) : [];
+        let recipeIds = recipes.map((recipe) => `${recipe.id}`);
+        for (let recipe of matchingRecipes) {
+            if (recipeIds.indexOf(`${recipe.id}`) < 0) {
+                recipeIds.push(`${recipe.id}`);
+                recipes.push(recipe);
+            }
+        }
+        return recipes;
+    }
+
+    /**
+     * Removes the cached Spoonacular results from the ingredient, for every dietary profile it was searched for with, so
+     * they are fetched again the next time they are requested. The vertices are kept so the users' history is not lost.
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients
+     * @returns {Promise.<TResult>} - The updated vertices, empty if the ingredient does not exist
+     */
+    purgeIngredient(ingredientsStr) {
+        return this.findIngredientProfiles(ingredientsStr)
+            .then((vertices) => {
+                return Promise.all(vertices.map((vertex) => this.purgeVertex(vertex)));
+            });
+    }
+
+    /**
+     * Removes the cached Spoonacular results from the cuisine, for every dietary profile it was searched for with, so they
+     * are fetched again the next time they are requested.
+     * @param cuisine - The cuisine
+     * @returns {Promise.<TResult>} - The updated vertices, empty if the cuisine does not exist
+     */
+    purgeCuisine(cuisine) {
+        return this.findCuisineProfiles(cuisine)
+            .then((vertices) => {
+                return Promise.all(vertices.map((vertex) => this.purgeVertex(vertex)));
+            });
+    }
+
+    /**
+     * Removes the cached Spoonacular results from the search, for every dietary profile it was made with, so they are
+     * fetched again the next time it is requested.
+     * @param query - The SearchQuery
+     * @returns {Promise.<TResult>} - The updated vertices, empty if the search does not exist
+     */
+    purgeSearch(query) {
+        return this.findSearchProfiles(query)
+            .then((vertices) => {
+                return Promise.all(vertices.map((vertex) => this.purgeVertex(vertex)));
+            });
+    }
+
+    /**
+     * Removes the cached instructions from the recipe so they are fetched again the next time the recipe is selected.
+     * The title is kept so the recipe can still be listed in favorites and recommendations.
+     * @param recipeId - The ID of the recipe
+     * @returns {Promise.<TResult>} - The updated vertex, or null if the recipe does not exist
+     */
+    purgeRecipe(recipeId) {
+        return this.findRecipe(recipeId)
+            .then((vertex) => {
+                return this.purgeVertex(vertex);
+            });
+    }
+
+    purgeVertex(vertex) {
+        if (!vertex) {
+            return Promise.resolve(null);
+        }
+        console.log(`Purging cached detail from ${vertex.label} vertex ${vertex.id}`);
+        return this.removeVertexProperties(vertex, ['detail', 'fetchedAt', 'steps', 'readyInMinutes', 'nutrients', 'calories', 'protein', 'fat', 'carbohydrates', 'ingredientAmounts']);
+    }
+
     // Graph Helper Methods
 
     /**
@@ -351,8 +1403,13 @@ class JanusGraphRecipeStore {
      * @returns {Promise.<TResult>}
      */
     findVertex(label, propertyName, propertyValue) {
-        let query = `g.V().hasLabel("${label}").has("${propertyName}", "${propertyValue}")`;
-        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`)
+        let query = 'g.V().hasLabel(vertexLabel).has(propertyName, propertyValue)';
+        const bindings = {
+            vertexLabel: label,
+            propertyName: propertyName,
+            propertyValue: propertyValue
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`, bindings)
             .then((response) => {
 				if (response.result && response.result.data && response.result.data.length > 0) {
 					return Promise.resolve(response.result.data[0]);
@@ -363,75 +1420,208 @@ class JanusGraphRecipeStore {
             });
     }
 
+    /**
+     * Finds the vertex with the specified name and the vertices cached for the same name under a dietary profile
+     * (named with the name, a semicolon and the profile key, which is also stored in their profile property).
+     * The name alone is not enough to tell them apart, since search names contain semicolons too.
+     * @param label - The label value of the vertices
+     * @param name - The name without a profile key
+     * @returns {Promise.<TResult>} - The vertices
+     */
+    findVerticesForAllProfiles(label, name) {
+        let query = `g.V().hasLabel(vertexLabel).has('name', vertexName).toList() + `;
+        query += `g.V().hasLabel(vertexLabel).has('profile').toList().findAll { it.value('name') == vertexName + ';' + it.value('profile') }`;
+        const bindings = {
+            vertexLabel: label,
+            vertexName: name
+        };
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`, bindings)
+            .then((response) => {
+                return Promise.resolve((response.result && response.result.data) || []);
+            });
+    }
+
     /**
      * Adds a new vertex to Graph if a vertex with the same value for uniquePropertyName does not exist.
+     * The lookup and create happen in a single traversal on the server, so concurrent calls do not create duplicates.
      * @param vertex - The vertex to add
      * @param uniquePropertyName - The name of the property used to search for an existing vertex (the value will be extracted from the vertex provided)
      * @returns {Promise.<TResult>}
      */
     addVertexIfNotExists(vertex, uniquePropertyName) {
         let propertyValue = `${vertex[uniquePropertyName]}`;
-        let query = `g.V().hasLabel("${vertex.label}").has("${uniquePropertyName}", "${propertyValue}")`;
-        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`)
-            .then((response) =>  {
-                if (response.result && response.result.data && response.result.data.length > 0) {
-                    console.log(`Returning ${vertex.label} vertex where ${uniquePropertyName}=${propertyValue}`);
-                    return Promise.resolve(response.result.data[0]);
-                }
-                else {
-                    console.log(`Creating ${vertex.label} vertex where ${uniquePropertyName}=${propertyValue}`);
-                    return this.graphClient.createVertex(this.graphId, vertex);
-                }
-            });
+        console.log(`Upserting ${vertex.label} vertex where ${uniquePropertyName}=${propertyValue}`);
+        let query = 'upsertVertex(vertexLabel, propertyName, propertyValue, vertexProperties)';
+        const bindings = {
+            vertexLabel: vertex.label,
+            propertyName: uniquePropertyName,
+            propertyValue: propertyValue,
+            vertexProperties: this.getElementProperties(vertex)
+        };
+        return this.runUpsertQuery(query, bindings);
     }
 
     /**
-     * Adds a new edge to Graph if an edge with the same out_v and in_v does not exist.
+     * Adds a new edge to Graph if an edge with the same label, out_v and in_v does not exist.
      * @param edge - The edge to add
      * @returns {Promise}
      */
     addEdgeIfNotExists(edge) {
-        let query = `g.V(${edge.outV}).outE().inV().hasId(${edge.inV}).path()`;
-        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`)
-            .then((response) => {
-				if (response.result && response.result.data && response.result.data.length > 0) {
-					console.log(`Edge from ${edge.outV} to ${edge.inV} exists.`);
-					return Promise.resolve(response.result.data[0]);
-				}
-				else {
-					console.log(`Creating edge from ${edge.outV} to ${edge.inV}`);
-					return this.graphClient.createEdge(this.graphId, edge.label, edge.outV, edge.inV, edge.properties);
-				}
-			});
+        console.log(`Upserting ${edge.label} edge from ${edge.outV} to ${edge.inV}`);
+        let query = 'upsertEdge(edgeLabel, outV, inV, edgeProperties, false)';
+        const bindings = {
+            edgeLabel: edge.label,
+            outV: edge.outV,
+            inV: edge.inV,
+            edgeProperties: edge.properties || {}
+        };
+        return this.runUpsertQuery(query, bindings);
     }
 
     /**
-     * Adds a new edge to Graph if an edge with the same out_v and in_v does not exist.
-     * Increments the count property on the edge.
+     * Adds a new edge to Graph if an edge with the same label, out_v and in_v does not exist.
+     * Increments the count property on the edge in the same traversal. The increment is still a read and a write, so
+     * two concurrent calls are only both counted because count is locked (see GRAPH_SCHEMA) and the one that loses
+     * the lock is retried.
      * @param edge - The edge to add
      * @returns {Promise}
      */
     addUpdateEdge(edge) {
-        let query = `g.V(${edge.outV}).outE().inV().hasId(${edge.inV}).path()`;
-        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${query}`)
+        console.log(`Upserting ${edge.label} edge from ${edge.outV} to ${edge.inV} and incrementing count`);
+        let query = 'upsertEdge(edgeLabel, outV, inV, edgeProperties, true)';
+        const bindings = {
+            edgeLabel: edge.label,
+            outV: edge.outV,
+            inV: edge.inV,
+            edgeProperties: edge.properties || {}
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Sets the specified properties on an existing vertex.
+     * @param vertex - The existing vertex
+     * @param properties - The properties to set
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    updateVertex(vertex, properties) {
+        let query = 'def v = g.V(vertexId).next(); vertexProperties.each { key, value -> v.property(key, value) }; v';
+        const bindings = {
+            vertexId: vertex.id,
+            vertexProperties: properties
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Removes the specified properties from an existing vertex.
+     * @param vertex - The existing vertex
+     * @param propertyNames - The names of the properties to remove
+     * @returns {Promise.<TResult>} - The updated vertex
+     */
+    removeVertexProperties(vertex, propertyNames) {
+        let query = 'def v = g.V(vertexId).next(); propertyNames.each { name -> v.properties(name).each { it.remove() } }; v';
+        const bindings = {
+            vertexId: vertex.id,
+            propertyNames: propertyNames
+        };
+        return this.runUpsertQuery(query, bindings);
+    }
+
+    /**
+     * Runs a query that uses the upsertVertex/upsertEdge functions and returns the first element in the result.
+     * @param query - The Gremlin query
+     * @param bindings - The variables to bind to the query
+     * @returns {Promise.<TResult>}
+     */
+    runUpsertQuery(query, bindings) {
+        return this.runGremlinQueryWithRetry(`def g = graph.traversal(); ${UPSERT_FUNCTIONS} ${query}`, bindings)
             .then((response) => {
                 if (response.result && response.result.data && response.result.data.length > 0) {
-                    console.log(`Edge from ${edge.outV} to ${edge.inV} exists.`);
-                    edge = response.result.data[0].objects[1];
-                    let count = 0;
-                    if (!edge.properties) {
-                        edge.properties = {};
-                    }
-                    if (edge.properties.count) {
-                        count = edge.properties.count;
-                    }
-                    edge.properties['count'] = count + 1;
-                    return this.graphClient.updateEdge(this.graphId, edge.id, edge.properties);
+                    return Promise.resolve(response.result.data[0]);
                 }
                 else {
-                    console.log(`Creating edge from ${edge.outV} to ${edge.inV}`);
-                    return this.graphClient.createEdge(this.graphId, edge.label, edge.outV, edge.inV, edge.properties);
+                    return Promise.resolve(null);
+                }
+            });
+    }
+
+    /**
+     * Runs a Gremlin query, retrying it when JanusGraph rejects the transaction because of a lock or uniqueness conflict
+     * (i.e. another bot process upserted the same vertex or edge at the same moment).
+     * @param query - The Gremlin query
+     * @param bindings - The variables to bind to the query
+     * @param attempt - The number of attempts made so far (used internally)
+     * @returns {Promise.<TResult>}
+     */
+    runGremlinQueryWithRetry(query, bindings, attempt) {
+        attempt = attempt || 0;
+        return this.graphClient.runGremlinQuery(this.graphId, query, bindings)
+            .catch((err) => {
+                if (attempt < this.maxRetries && this.isConflictError(err)) {
+                    const delay = RETRY_DELAY * Math.pow(2, attempt) * (1 + Math.random());
+                    console.log(`Conflict running query. Retrying in ${Math.round(delay)}ms...`);
+                    return new Promise((resolve) => {
+                        setTimeout(resolve, delay);
+                    })
+                        .then(() => {
+                            return this.runGremlinQueryWithRetry(query, bindings, attempt + 1);
+                        });
+                }
+                return Promise.reject(err);
+            });
+    }
+
+    isConflictError(err) {
+        return /LockingException|Lock expired|uniqueness constraint|SchemaViolationException|multiplicity constraint/i.test(`${err && err.message}`);
+    }
+
+    getElementProperties(element) {
+        let properties = {};
+        for (let property in element) {
+            if (element.hasOwnProperty(property) && property != 'label') {
+                properties[property] = element[property];
+            }
+        }
+        return properties;
+    }
+
+    // Maintenance
+
+    /**
+     * Migrates ingredient vertices created before every ingredient had its own vertex (see MIGRATE_INGREDIENTS_SCRIPT).
+     * Safe to run more than once - vertices that have already been migrated are skipped.
+     * @returns {Promise.<TResult>} - The number of ingredient vertices that were migrated
+     */
+    migrateIngredients() {
+        console.log('Migrating ingredient vertices to ingredient sets...');
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${UPSERT_FUNCTIONS} ${MIGRATE_INGREDIENTS_SCRIPT}`)
+            .then((response) => {
+                let migrated = 0;
+                if (response.result && response.result.data && response.result.data.length > 0) {
+                    migrated = response.result.data[0];
+                }
+                console.log(`Migrated ${migrated} ingredient vertices.`);
+                return Promise.resolve(migrated);
+            });
+    }
+
+    /**
+     * Merges vertices that share a label and name (i.e. duplicates created before the unique indexes and upserts existed),
+     * and merges parallel edges with the same label between the same two vertices (planned edges by date and meal).
+     * The edges of a duplicate vertex are moved to the vertex that is kept and counts are summed.
+     * @returns {Promise.<TResult>} - The number of vertices and edges that were merged ({vertices, edges})
+     */
+    mergeDuplicates() {
+        console.log('Merging duplicate vertices and edges...');
+        return this.graphClient.runGremlinQuery(this.graphId, `def g = graph.traversal(); ${MERGE_DUPLICATES_SCRIPT}`, {vertexLabels: GRAPH_SCHEMA.vertexLabels, edgeLabels: GRAPH_SCHEMA.edgeLabels})
+            .then((response) => {
+                let merged = {vertices: 0, edges: 0};
+                if (response.result && response.result.data && response.result.data.length > 0) {
+                    merged = response.result.data[0];
                 }
+                console.log(`Merged ${merged.vertices} duplicate vertices and ${merged.edges} duplicate edges.`);
+                return Promise.resolve(merged);
             });
     }
 }
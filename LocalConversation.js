@@ -0,0 +1,353 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// The lowest similarity between a message and an intent's examples for the intent to be recognized
+const MIN_INTENT_CONFIDENCE = 0.5;
+// Guards against go_to jumps that loop forever in a badly edited workspace
+const MAX_JUMPS = 10;
+
+class LocalConversation {
+
+    /**
+     * Creates a new instance of LocalConversation.
+     * A rule-based stand-in for Watson Conversation that runs the intents, entities and dialog nodes of a workspace
+     * (i.e. workspace.json) in this process, so the bot keeps working when Watson is down or not configured.
+     * Intents are recognized by how many words a message shares with the intent's examples, entities by their values
+     * and synonyms. Dialog nodes support the conditions and go_to jumps the Watson dialog editor creates; context
+     * values can use <?input_text?> for the message text.
+     * Implements the message method of ConversationV1, and keeps the dialog stack in the context the same way, so a
+     * conversation can switch between Watson and the local dialog.
+     * @param {Object} workspace - The workspace, as exported from Watson Conversation
+     */
+    constructor(workspace) {
+        this.intents = workspace.intents || [];
+        this.entities = workspace.entities || [];
+        this.nodes = {};
+        this.children = {};
+        for (let node of workspace.dialog_nodes || []) {
+            this.nodes[node.dialog_node] = node;
+        }
+        for (let node of workspace.dialog_nodes || []) {
+            const parent = node.parent || '';
+            this.children[parent] = this.children[parent] || [];
+            this.children[parent].push(node);
+        }
+        for (let parent of Object.keys(this.children)) {
+            this.children[parent] = this.sortSiblings(this.children[parent]);
+        }
+    }
+
+    /**
+     * Sends a message to the dialog.
+     * @param {Object} request - The request ({input: {text}, context})
+     * @param {Function} callback - Called with (error, response) - the response has the same fields as a Watson response ({input, context, output: {text, nodes_visited}, intents, entities})
+     */
+    message(request, callback) {
+        let response;
+        try {
+            response = this.respond(request);
+        }
+        catch (err) {
+            callback(err);
+            return;
+        }
+        callback(null, response);
+    }
+
+    respond(request) {
+        const text = (request.input && request.input.text) || '';
+        let context = JSON.parse(JSON.stringify(request.context || {}));
+        const system = context.system || {};
+        const turn = {
+            text: text,
+            context: context,
+            intents: this.findIntents(text),
+            entities: this.findEntities(text),
+            conversationStart: !system.dialog_turn_counter,
+            output: [],
+            visited: []
+        };
+        // continue from the node the dialog stopped at, or from the top if none of its children match
+        let node = null;
+        const waitingAt = this.getDialogStackNode(system);
+        if (waitingAt && this.nodes[waitingAt]) {
+            node = this.findMatchingNode(this.children[waitingAt] || [], turn);
+        }
+        if (!node) {
+            node = this.findMatchingNode(this.children[''] || [], turn);
+        }
+        const nextWaitingAt = (node ? this.executeNode(node, turn) : null);
+        context.conversation_id = context.conversation_id || crypto.randomBytes(16).toString('hex');
+        context.system = Object.assign({}, system, {
+            dialog_stack: [{dialog_node: nextWaitingAt || 'root'}],
+            dialog_turn_counter: (system.dialog_turn_counter || 0) + 1,
+            dialog_request_counter: (system.dialog_request_counter || 0) + 1
+        });
+        return {
+            input: {text: text},
+            context: context,
+            output: {text: turn.output, nodes_visited: turn.visited},
+            intents: turn.intents.slice(0, 1),
+            entities: turn.entities
+        };
+    }
+
+    /**
+     * Runs the node and follows its go_to jumps.
+     * @param {Object} node - The dialog node
+     * @param {Object} turn - The message being handled
+     * @returns {String} - The node whose children the next message is matched against, or null to start from the top
+     */
+    executeNode(node, turn) {
+        for (let jumps = 0; jumps <= MAX_JUMPS; jumps++) {
+            turn.visited.push(node.dialog_node);
+            if (node.context) {
+                Object.assign(turn.context, this.resolveContextValue(node.context, turn));
+            }
+            const output = this.getOutputText(node.output);
+            if (output) {
+                turn.output.push(output);
+            }
+            if (!node.go_to) {
+                return (this.children[node.dialog_node] ? node.dialog_node : null);
+            }
+            const target = this.nodes[node.go_to.dialog_node];
+            if (!target) {
+                throw new Error(`Dialog node ${node.dialog_node} jumps to unknown node ${node.go_to.dialog_node}.`);
+            }
+            if (node.go_to.selector == 'user_input') {
+                // wait for the next message and match it against the target and its siblings
+                return target.parent || null;
+            }
+            if (node.go_to.selector == 'condition') {
+                // the target's siblings are tried in order if its condition is false
+                const siblings = this.children[target.parent || ''];
+                node = this.findMatchingNode(siblings.slice(siblings.indexOf(target)), turn);
+                if (!node) {
+                    return null;
+                }
+            }
+            else {
+                node = target;
+            }
+        }
+        throw new Error(`Dialog jumped more than ${MAX_JUMPS} times, check the go_to settings in the workspace.`);
+    }
+
+    findMatchingNode(nodes, turn) {
+        for (let node of nodes) {
+            if (this.evaluateCondition(node.conditions, turn)) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Evaluates a dialog node condition (i.e. "#yes", "@cuisine", "$selection_valid == true" or "conversation_start").
+     * Conditions can be combined with && and ||, and negated with !. Parentheses are not supported.
+     * @param {String} condition - The condition
+     * @param {Object} turn - The message being handled
+     * @returns {boolean}
+     */
+    evaluateCondition(condition, turn) {
+        if (!condition) {
+            return false;
+        }
+        return condition.split('||').some((part) => {
+            return part.split('&&').every((term) => this.evaluateTerm(term.trim(), turn));
+        });
+    }
+
+    evaluateTerm(term, turn) {
+        if (term.startsWith('!')) {
+            return !this.evaluateTerm(term.substring(1).trim(), turn);
+        }
+        if (term == 'true' || term == 'anything_else') {
+            return true;
+        }
+        if (term == 'false') {
+            return false;
+        }
+        if (term == 'conversation_start') {
+            return turn.conversationStart;
+        }
+        let match = /^#(\S+)$/.exec(term);
+        if (match) {
+            return turn.intents.length > 0 && turn.intents[0].intent == match[1];
+        }
+        match = /^@([\w-]+)(?::\(?([^)]+)\)?)?$/.exec(term);
+        if (match) {
+            return turn.entities.some((entity) => {
+                return entity.entity == match[1] && (!match[2] || entity.value.toLowerCase() == match[2].toLowerCase());
+            });
+        }
+        match = /^\$([\w.]+)\s*(==|!=)\s*(.+)$/.exec(term);
+        if (match) {
+            const equal = this.getContextVariable(turn.context, match[1]) === this.parseLiteral(match[3].trim());
+            return (match[2] == '==' ? equal : !equal);
+        }
+        match = /^\$([\w.]+)$/.exec(term);
+        if (match) {
+            return !!this.getContextVariable(turn.context, match[1]);
+        }
+        console.log(`Unsupported dialog condition '${term}'.`);
+        return false;
+    }
+
+    getContextVariable(context, name) {
+        let value = context;
+        for (let key of name.split('.')) {
+            value = (value === null || value === undefined ? undefined : value[key]);
+        }
+        return value;
+    }
+
+    parseLiteral(literal) {
+        const quoted = /^(['"])(.*)\1$/.exec(literal);
+        if (quoted) {
+            return quoted[2];
+        }
+        if (literal == 'true' || literal == 'false') {
+            return literal == 'true';
+        }
+        if (literal == 'null') {
+            return null;
+        }
+        if (!isNaN(parseFloat(literal))) {
+            return parseFloat(literal);
+        }
+        return literal;
+    }
+
+    /**
+     * Replaces <?input_text?> (or <? input.text ?>) in the context values set by a node with the message text.
+     * @param value - The context value
+     * @param {Object} turn - The message being handled
+     * @returns {*}
+     */
+    resolveContextValue(value, turn) {
+        if (typeof value == 'string') {
+            return value.replace(/<\?\s*input[._]text\s*\?>/g, turn.text);
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => this.resolveContextValue(item, turn));
+        }
+        if (value && typeof value == 'object') {
+            let resolved = {};
+            for (let key of Object.keys(value)) {
+                resolved[key] = this.resolveContextValue(value[key], turn);
+            }
+            return resolved;
+        }
+        return value;
+    }
+
+    getOutputText(output) {
+        let text = output && output.text;
+        if (text && text.values) {
+            text = text.values;
+        }
+        if (Array.isArray(text)) {
+            // Watson picks one of several responses, the local dialog always uses the first
+            text = text[0];
+        }
+        return text || null;
+    }
+
+    /**
+     * Gets the node the dialog stopped at from the system context, in either of the formats Watson has used.
+     * @param {Object} system - The system context
+     * @returns {String} - The node ID, or null if the dialog is at the top
+     */
+    getDialogStackNode(system) {
+        const stack = system.dialog_stack || [];
+        if (stack.length == 0) {
+            return null;
+        }
+        const top = stack[stack.length - 1];
+        const nodeId = (typeof top == 'string' ? top : top.dialog_node);
+        return (nodeId == 'root' ? null : nodeId);
+    }
+
+    /**
+     * Finds the intents of a message, scored by the words it shares with the closest example of each intent.
+     * @param {String} text - The message
+     * @returns {Array} - The intents ({intent, confidence}) with the most likely first
+     */
+    findIntents(text) {
+        const words = this.getWords(text);
+        if (words.length == 0) {
+            return [];
+        }
+        let intents = [];
+        for (let intent of this.intents) {
+            let confidence = 0;
+            for (let example of intent.examples || []) {
+                const exampleWords = this.getWords(example.text);
+                const shared = words.filter((word) => exampleWords.indexOf(word) >= 0).length;
+                confidence = Math.max(confidence, 2 * shared / (words.length + exampleWords.length));
+            }
+            if (confidence >= MIN_INTENT_CONFIDENCE) {
+                intents.push({intent: intent.intent, confidence: confidence});
+            }
+        }
+        return intents.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Finds the entity values and synonyms in a message, longest first so "eastern european" is not found as "european".
+     * @param {String} text - The message
+     * @returns {Array} - The entities ({entity, value, location}) in the order they appear in the message
+     */
+    findEntities(text) {
+        let candidates = [];
+        for (let entity of this.entities) {
+            for (let value of entity.values || []) {
+                for (let name of [value.value].concat(value.synonyms || [])) {
+                    candidates.push({entity: entity.entity, value: value.value, name: name.toLowerCase()});
+                }
+            }
+        }
+        candidates.sort((a, b) => b.name.length - a.name.length);
+        let lowerText = text.toLowerCase();
+        let found = [];
+        for (let candidate of candidates) {
+            const escaped = candidate.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`\\b${escaped}\\b`).exec(lowerText);
+            if (match) {
+                found.push({entity: candidate.entity, value: candidate.value, location: [match.index, match.index + candidate.name.length]});
+                // blank out the match so shorter values inside it are not found as well
+                lowerText = lowerText.substring(0, match.index) + ' '.repeat(candidate.name.length) + lowerText.substring(match.index + candidate.name.length);
+            }
+        }
+        return found.sort((a, b) => a.location[0] - b.location[0]);
+    }
+
+    getWords(text) {
+        return text.toLowerCase()
+            .replace(/'/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter((word) => word.length > 0)
+            // a crude stem, so "favorites" matches "favorite"
+            .map((word) => (word.length > 3 && word.endsWith('s') ? word.substring(0, word.length - 1) : word));
+    }
+
+    sortSiblings(nodes) {
+        let sorted = [];
+        let previous = null;
+        while (sorted.length < nodes.length) {
+            const next = nodes.find((node) => (node.previous_sibling || null) == previous && sorted.indexOf(node) < 0);
+            if (!next) {
+                // a broken chain of siblings, keep the remaining nodes in the order they were declared
+                return sorted.concat(nodes.filter((node) => sorted.indexOf(node) < 0));
+            }
+            sorted.push(next);
+            previous = next.dialog_node;
+        }
+        return sorted;
+    }
+}
+
+module.exports = LocalConversation;
@@ -0,0 +1,286 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const DietaryProfile = require('./DietaryProfile');
+const ShoppingList = require('./ShoppingList');
+
+const DEFAULT_NUMBER = 5;
+
+class LocalRecipeProvider {
+
+    /**
+     * Creates a new instance of LocalRecipeProvider.
+     * Searches a local corpus of recipes instead of calling Spoonacular, so the bot can be developed, demoed and tested
+     * without a network connection. Implements the same methods as RecipeClient.
+     * The corpus is one or more files of recipes in the format Spoonacular returns recipe information in (with
+     * extendedIngredients, cuisines, analyzedInstructions and nutrition). .json files hold an array of recipes and
+     * .jsonl files hold one recipe per line. Recipe IDs should not clash with Spoonacular's (i.e. "local-1").
+     * @param {String} corpusPath - The corpus file, or a directory of corpus files
+     */
+    constructor(corpusPath) {
+        this.corpusPath = corpusPath;
+        this.recipes = null;
+        this.loading = null;
+    }
+
+    /**
+     * Loads the corpus the first time it is needed.
+     * @returns {Promise.<TResult>} - The recipes
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.readCorpus()
+                .then((recipes) => {
+                    console.log(`Loaded ${recipes.length} recipes from ${this.corpusPath}.`);
+                    this.recipes = recipes;
+                    return Promise.resolve(recipes);
+                });
+        }
+        return this.loading;
+    }
+
+    readCorpus() {
+        return new Promise((resolve, reject) => {
+            fs.stat(this.corpusPath, (err, stats) => {
+                if (err) {
+                    reject(err);
+                }
+                else if (stats.isDirectory()) {
+                    fs.readdir(this.corpusPath, (err, files) => {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        const corpusFiles = files
+                            .filter((file) => /\.jsonl?$/.test(file))
+                            .sort()
+                            .map((file) => path.join(this.corpusPath, file));
+                        resolve(corpusFiles);
+                    });
+                }
+                else {
+                    resolve([this.corpusPath]);
+                }
+            });
+        })
+            .then((files) => {
+                return Promise.all(files.map((file) => this.readCorpusFile(file)));
+            })
+            .then((fileRecipes) => {
+                return Promise.resolve([].concat.apply([], fileRecipes));
+            });
+    }
+
+    readCorpusFile(file) {
+        return new Promise((resolve, reject) => {
+            fs.readFile(file, 'utf8', (err, data) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                try {
+                    if (file.endsWith('.jsonl')) {
+                        resolve(data.split('\n').filter((line) => line.trim().length > 0).map((line) => JSON.parse(line)));
+                    }
+                    else {
+                        const json = JSON.parse(data);
+                        resolve(Array.isArray(json) ? json : json.recipes || []);
+                    }
+                }
+                catch (err) {
+                    reject(new Error(`Invalid recipe corpus ${file}: ${err.message}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Finds recipes that use the specified ingredients, the ones that use the most of them first and then the ones
+     * missing the fewest other ingredients (the same ranking Spoonacular uses).
+     * @param ingredients - The ingredient or comma-separated list of ingredients
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @param offset - Optional number of results to skip, to get further pages of results
+     * @param number - Optional number of results to return, defaults to 5
+     * @returns {Promise.<TResult>}
+     */
+    findByIngredients(ingredients, profile, offset, number) {
+        const keys = this.getIngredientKeys(ingredients.split(','));
+        return this.load()
+            .then((recipes) => {
+                const matches = recipes
+                    .filter((recipe) => this.allowsRecipe(recipe, profile))
+                    .map((recipe) => this.getIngredientMatch(recipe, keys))
+                    .filter((match) => match.usedIngredientCount > 0);
+                return Promise.resolve(this.getPage(this.sortIngredientMatches(matches), offset, number));
+            });
+    }
+
+    /**
+     * Finds recipes for the specified cuisine.
+     * @param cuisine - The cuisine
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @param offset - Optional number of results to skip, to get further pages of results
+     * @param number - Optional number of results to return, defaults to 5
+     * @returns {Promise.<TResult>}
+     */
+    findByCuisine(cuisine, profile, offset, number) {
+        const key = cuisine.trim().toLowerCase();
+        return this.load()
+            .then((recipes) => {
+                const matches = recipes
+                    .filter((recipe) => this.hasCuisine(recipe, key))
+                    .filter((recipe) => this.allowsRecipe(recipe, profile))
+                    .map((recipe) => this.getSummary(recipe));
+                return Promise.resolve(this.getPage(matches, offset, number));
+            });
+    }
+
+    /**
+     * Finds recipes that match every criteria of a combined search (i.e. "quick italian dinner with chicken").
+     * Recipes are searched for the meal type by their dishTypes (i.e. "main course" or "dessert"). Recipes that use
+     * the ingredients are ranked the same way as findByIngredients.
+     * @param query - The SearchQuery ({cuisine, ingredients, excludeIngredients, maxReadyTime, type})
+     * @param profile - Optional DietaryProfile to filter the recipes by
+     * @param offset - Optional number of results to skip, to get further pages of results
+     * @param number - Optional number of results to return, defaults to 5
+     * @returns {Promise.<TResult>}
+     */
+    findByQuery(query, profile, offset, number) {
+        const keys = this.getIngredientKeys(query.ingredients);
+        const excludedKeys = this.getIngredientKeys(query.excludeIngredients);
+        return this.load()
+            .then((recipes) => {
+                const matches = recipes
+                    .filter((recipe) => !query.cuisine || this.hasCuisine(recipe, query.cuisine))
+                    .filter((recipe) => !query.type || (recipe['dishTypes'] || []).some((dishType) => dishType.toLowerCase() == query.type))
+                    .filter((recipe) => !query.maxReadyTime || recipe['readyInMinutes'] <= query.maxReadyTime)
+                    .filter((recipe) => this.getIngredientMatch(recipe, excludedKeys).usedIngredientCount == 0)
+                    .filter((recipe) => this.allowsRecipe(recipe, profile))
+                    .map((recipe) => this.getIngredientMatch(recipe, keys))
+                    .filter((match) => keys.length == 0 || match.usedIngredientCount > 0);
+                return Promise.resolve(this.getPage(this.sortIngredientMatches(matches), offset, number));
+            });
+    }
+
+    /**
+     * Gets the recipe information.
+     * @param id - The ID of the recipe
+     * @returns {Promise.<TResult>} - The recipe information, or null if the recipe is not in the corpus
+     */
+    getInfoById(id) {
+        return this.load()
+            .then(() => {
+                return Promise.resolve(this.findRecipe(id));
+            });
+    }
+
+    /**
+     * Gets the steps of the recipe.
+     * @param id - The ID of the recipe
+     * @returns {Promise.<TResult>} - The steps, or null if the recipe is not in the corpus
+     */
+    getStepsById(id) {
+        return this.load()
+            .then(() => {
+                const recipe = this.findRecipe(id);
+                if (!recipe) {
+                    return Promise.resolve(null);
+                }
+                const instructions = recipe['analyzedInstructions'] || [];
+                return Promise.resolve(instructions.length > 0 ? instructions[0]['steps'] || [] : []);
+            });
+    }
+
+    /**
+     * The corpus has no substitutes, SousChef falls back to its own table (see Substitutions).
+     * @returns {Promise.<TResult>}
+     */
+    getSubstitutes() {
+        return Promise.resolve([]);
+    }
+
+    getMetrics() {
+        return {recipes: (this.recipes ? this.recipes.length : 0)};
+    }
+
+    hasCuisine(recipe, cuisine) {
+        return (recipe['cuisines'] || []).some((recipeCuisine) => recipeCuisine.toLowerCase() == cuisine);
+    }
+
+    getIngredientKeys(ingredients) {
+        return ingredients
+            .map((ingredient) => ShoppingList.getNameKey(ingredient))
+            .filter((key) => key.length > 0);
+    }
+
+    /**
+     * Matches the recipe's ingredients against the ingredients searched for.
+     * @param recipe - The recipe information
+     * @param keys - The name keys of the ingredients searched for (see ShoppingList.getNameKey)
+     * @returns {Object} - The recipe as it is listed in search results, with usedIngredientCount and missedIngredientCount
+     */
+    getIngredientMatch(recipe, keys) {
+        const names = (recipe['extendedIngredients'] || []).map((ingredient) => ` ${ShoppingList.getNameKey(ingredient['name'] || '')} `);
+        let match = this.getSummary(recipe);
+        match.usedIngredientCount = keys.filter((key) => names.some((name) => name.indexOf(` ${key} `) >= 0)).length;
+        match.missedIngredientCount = Math.max(names.length - match.usedIngredientCount, 0);
+        return match;
+    }
+
+    sortIngredientMatches(matches) {
+        return matches.sort((a, b) => b.usedIngredientCount - a.usedIngredientCount || a.missedIngredientCount - b.missedIngredientCount);
+    }
+
+    findRecipe(id) {
+        return this.recipes.find((recipe) => `${recipe['id']}` == `${id}`) || null;
+    }
+
+    /**
+     * Returns true if the recipe fits the dietary profile, working out its diets, allergens and nutrition the same way
+     * SousChef does for recipes from Spoonacular.
+     * @param recipe - The recipe information
+     * @param profile - Optional DietaryProfile
+     * @returns {boolean}
+     */
+    allowsRecipe(recipe, profile) {
+        if (!profile || profile.isEmpty()) {
+            return true;
+        }
+        const ingredients = (recipe['extendedIngredients'] || []).map((ingredient) => ingredient['name']);
+        let dietaryInfo = this.getSummary(recipe);
+        dietaryInfo.diets = DietaryProfile.getRecipeDiets(recipe);
+        dietaryInfo.allergens = DietaryProfile.getAllergens(ingredients);
+        return profile.allowsRecipe(dietaryInfo);
+    }
+
+    /**
+     * Gets the recipe as it is listed in search results.
+     * @param recipe - The recipe information
+     * @returns {Object} - The result ({id, title, image, readyInMinutes, servings, calories, protein, fat, carbohydrates})
+     */
+    getSummary(recipe) {
+        let summary = {
+            id: recipe['id'],
+            title: recipe['title'],
+            image: recipe['image'],
+            readyInMinutes: recipe['readyInMinutes'],
+            servings: recipe['servings']
+        };
+        const nutrients = (recipe['nutrition'] && recipe['nutrition']['nutrients']) || [];
+        for (let nutrient of nutrients) {
+            const name = (nutrient['name'] || nutrient['title'] || '').toLowerCase();
+            if (['calories', 'protein', 'fat', 'carbohydrates'].indexOf(name) >= 0) {
+                summary[name] = nutrient['amount'];
+            }
+        }
+        return summary;
+    }
+
+    getPage(matches, offset, number) {
+        offset = offset || 0;
+        return matches.slice(offset, offset + (number || DEFAULT_NUMBER));
+    }
+}
+
+module.exports = LocalRecipeProvider;
@@ -0,0 +1,154 @@
+'use strict';
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Short names for days (i.e. "tue" or "thurs"), checked after the full names
+const DAY_ABBREVIATIONS = {sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6};
+// The meals a day can be planned for, in the order they are listed
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+// The meal used when the user names a day but not a meal (i.e. "put this on Tuesday")
+const DEFAULT_MEAL = 'dinner';
+// Plans cover today and the 6 days after it
+const PLAN_DAYS = 7;
+
+class MealPlan {
+
+    /**
+     * Creates a new instance of MealPlan.
+     * The user's plan for the week starting today, with at most one recipe per meal.
+     * Days are keyed by date (YYYY-MM-DD) in the bot's local time, the same way they are stored on planned edges.
+     * @param {Array} entries - The planned recipes ({id, title, date, meal}) as returned by the recipe store
+     * @param {Date} today - The first day of the plan
+     */
+    constructor(entries, today) {
+        this.dates = MealPlan.getPlanDates(today);
+        this.entries = (entries || []).filter((entry) => this.dates.indexOf(entry.date) >= 0);
+    }
+
+    static getDateKey(date) {
+        const pad = (value) => (value < 10 ? `0${value}` : `${value}`);
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static parseDateKey(dateKey) {
+        const parts = dateKey.split('-').map((part) => parseInt(part));
+        return new Date(parts[0], parts[1] - 1, parts[2]);
+    }
+
+    /**
+     * Gets the dates of the plan starting on the specified day.
+     * @param today - The first day of the plan
+     * @returns {Array} - The dates (YYYY-MM-DD)
+     */
+    static getPlanDates(today) {
+        let dates = [];
+        for (let i = 0; i < PLAN_DAYS; i++) {
+            dates.push(MealPlan.getDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() + i)));
+        }
+        return dates;
+    }
+
+    /**
+     * Finds the day and meal in a message (i.e. "Tuesday dinner", "lunch tomorrow" or "tonight").
+     * Days of the week are the next one on or after today, so the slot is always in this week's plan.
+     * @param text - The text to search
+     * @param today - The first day of the plan
+     * @returns {Object} - The slot ({date, meal}), or null if the text does not name a day
+     */
+    static parseSlot(text, today) {
+        text = text.toLowerCase();
+        let offset = null;
+        let meal = null;
+        if (/\btonight\b/.test(text)) {
+            offset = 0;
+            meal = 'dinner';
+        }
+        else if (/\btoday\b/.test(text)) {
+            offset = 0;
+        }
+        else if (/\btomorrow\b/.test(text)) {
+            offset = 1;
+        }
+        else {
+            let day = DAYS.findIndex((name) => new RegExp(`\\b${name}\\b`).test(text));
+            if (day < 0) {
+                const abbreviation = Object.keys(DAY_ABBREVIATIONS).find((name) => new RegExp(`\\b${name}\\b`).test(text));
+                day = (abbreviation ? DAY_ABBREVIATIONS[abbreviation] : -1);
+            }
+            if (day >= 0) {
+                offset = (day - today.getDay() + 7) % 7;
+            }
+        }
+        if (offset === null) {
+            return null;
+        }
+        if (!meal) {
+            meal = MEALS.find((name) => new RegExp(`\\b${name}\\b`).test(text)) || (/\bsupper\b/.test(text) ? 'dinner' : DEFAULT_MEAL);
+        }
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+        return {date: MealPlan.getDateKey(date), meal: meal};
+    }
+
+    /**
+     * Describes a slot the way the user would say it (i.e. "Tuesday dinner").
+     * @param slot - The slot ({date, meal})
+     * @returns {string}
+     */
+    static describeSlot(slot) {
+        const day = DAYS[MealPlan.parseDateKey(slot.date).getDay()];
+        return `${day.charAt(0).toUpperCase()}${day.substring(1)} ${slot.meal}`;
+    }
+
+    getEntry(slot) {
+        return this.entries.find((entry) => entry.date == slot.date && entry.meal == slot.meal) || null;
+    }
+
+    /**
+     * Gets the meals the user plans: dinner, plus any other meal planned this week.
+     * @returns {Array}
+     */
+    getPlannedMeals() {
+        return MEALS.filter((meal) => meal == DEFAULT_MEAL || this.entries.some((entry) => entry.meal == meal));
+    }
+
+    /**
+     * Gets the slots without a recipe, for the meals the user plans (see getPlannedMeals).
+     * @returns {Array} - The slots ({date, meal}) in date order
+     */
+    getEmptySlots() {
+        let slots = [];
+        for (let date of this.dates) {
+            for (let meal of this.getPlannedMeals()) {
+                if (!this.getEntry({date: date, meal: meal})) {
+                    slots.push({date: date, meal: meal});
+                }
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * Formats the plan for Slack, one line per planned meal under each day.
+     * @returns {string}
+     */
+    format() {
+        let lines = ['Here\'s your plan for this week:'];
+        for (let date of this.dates) {
+            const day = MealPlan.parseDateKey(date);
+            const dayName = DAYS[day.getDay()];
+            lines.push('', `*${dayName.charAt(0).toUpperCase()}${dayName.substring(1)}, ${MONTHS[day.getMonth()]} ${day.getDate()}*`);
+            const entries = this.entries
+                .filter((entry) => entry.date == date)
+                .sort((a, b) => MEALS.indexOf(a.meal) - MEALS.indexOf(b.meal));
+            if (entries.length == 0) {
+                lines.push('• _Nothing planned_');
+            }
+            for (let entry of entries) {
+                lines.push(`• ${entry.meal.charAt(0).toUpperCase()}${entry.meal.substring(1)}: ${entry.title}`);
+            }
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = MealPlan;
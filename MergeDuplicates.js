@@ -0,0 +1,19 @@
+const dotenv = require('dotenv');
+const JanusGraphRecipeStore = require('./JanusGraphRecipeStore');
+const ServiceFactory = require('./ServiceFactory');
+
+// load from .env
+dotenv.config();
+
+const recipeStore = new JanusGraphRecipeStore(new ServiceFactory().createGraphClient(), process.env.GRAPH_ID);
+
+recipeStore.mergeDuplicates()
+    .then((merged) => {
+        console.log(`Merged ${merged.vertices} vertices and ${merged.edges} edges in graph '${process.env.GRAPH_ID}'`);
+    })
+    .catch((err) => {
+        console.log(`Error merging duplicates: ${err}`);
+    })
+    .then(() => {
+        process.exit()
+    });
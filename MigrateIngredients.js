@@ -0,0 +1,23 @@
+const dotenv = require('dotenv');
+const JanusGraphRecipeStore = require('./JanusGraphRecipeStore');
+const ServiceFactory = require('./ServiceFactory');
+
+// load from .env
+dotenv.config();
+
+const recipeStore = new JanusGraphRecipeStore(new ServiceFactory().createGraphClient(), process.env.GRAPH_ID);
+
+// init creates the ingredientSet label and contains/uses edge labels before any data is migrated
+recipeStore.init()
+    .then(() => {
+        return recipeStore.migrateIngredients();
+    })
+    .then((migrated) => {
+        console.log(`Migrated ${migrated} ingredient searches in graph '${process.env.GRAPH_ID}'`);
+    })
+    .catch((err) => {
+        console.log(`Error migrating ingredients: ${err}`);
+    })
+    .then(() => {
+        process.exit()
+    });
@@ -1,162 +1,379 @@
 'use strict';
 
 const https = require('https');
+const RecipeServiceErrors = require('./RecipeServiceError');
 const host = 'spoonacular-recipe-food-nutrition-v1.p.mashape.com';
 
+const RecipeServiceError = RecipeServiceErrors.RecipeServiceError;
+const RecipeServiceBusyError = RecipeServiceErrors.RecipeServiceBusyError;
+const RecipeQuotaExceededError = RecipeServiceErrors.RecipeQuotaExceededError;
+
+const DEFAULT_NUMBER = 5;
+const DEFAULT_TIMEOUT = 10 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 500;
+// The longest to wait before a retry, even if Spoonacular asks for longer in a Retry-After header
+const MAX_RETRY_DELAY = 10 * 1000;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT = 60 * 1000;
+
 class RecipeClient {
 
-    constructor(apiKey) {
+    /**
+     * Creates a new instance of RecipeClient.
+     * The recipe provider for Spoonacular: findByIngredients, findByCuisine, findByQuery, getInfoById, getStepsById and
+     * getSubstitutes are the methods SousChef uses, LocalRecipeProvider and ChainedRecipeProvider implement the same ones.
+     * Every request goes through get(), which times out slow requests, retries requests that failed with a 5xx or 429
+     * with exponential backoff, and stops sending requests for a while (a circuit breaker) after too many requests in
+     * a row failed. Failures are rejected with the errors in RecipeServiceError.
+     * @param {String} apiKey - The Spoonacular API key
+     * @param {Object} options - Optional settings (timeout - the number of milliseconds to wait for a response, defaults to 10 seconds, maxRetries - the number of times to retry a request that failed with a 5xx, 429 or timeout, defaults to 2, retryDelay - the number of milliseconds before the first retry, doubled for each retry after it, failureThreshold - the number of requests in a row that have to fail to open the circuit breaker, defaults to 5, resetTimeout - the number of milliseconds the circuit breaker stays open, defaults to 1 minute)
+     */
+    constructor(apiKey, options) {
+        options = options || {};
         this.apiKey = apiKey;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.maxRetries = (options.maxRetries === undefined ? DEFAULT_MAX_RETRIES : options.maxRetries);
+        this.retryDelay = (options.retryDelay === undefined ? DEFAULT_RETRY_DELAY : options.retryDelay);
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        this.resetTimeout = options.resetTimeout || DEFAULT_RESET_TIMEOUT;
+        this.consecutiveFailures = 0;
+        this.circuitOpenUntil = 0;
+        this.quotaResetsAt = 0;
+        this.metrics = {
+            requests: 0,
+            succeeded: 0,
+            failed: 0,
+            retries: 0,
+            timeouts: 0,
+            rateLimited: 0,
+            rejected: 0,
+            quota: {}
+        };
     }
 
-    findByIngredients(ingredients) {
-        return new Promise((resolve, reject) => {
-            let queryStr = `?fillIngredients=false&ingredients=${encodeURIComponent(ingredients)}&limitLicense=false&number=5&ranking=1`;
-            let options = {
-                hostname: host,
-                port: 443,
-                path: `/recipes/findByIngredients${queryStr}`,
-                rejectUnauthorized: false,
-                headers: {
-                    'X-Mashape-Key': this.apiKey,
-                    'Accept': 'application/json'
-                }
-            };
-            let req = https.get(options, (res) => {
-                let json = null;
-                res.on('data', function (chunk) {
-                    if (json == null) {
-                        json = '';
-                    }
-                    json += chunk;
+    /**
+     * Finds recipes that use the specified ingredients.
+     * findByIngredients can't filter by diet, intolerances or nutrients, so searches with a dietary profile use searchComplex instead.
+     * @param ingredients - The ingredient or comma-separated list of ingredients
+     * @param profile - Optional dietary profile ({diet, intolerances, nutrientLimits}) to filter the recipes by
+     * @param offset - Optional number of results to skip, to get further pages of results
+     * @param number - Optional number of results to return, defaults to 5
+     * @returns {Promise.<TResult>}
+     */
+    findByIngredients(ingredients, profile, offset, number) {
+        offset = offset || 0;
+        number = number || DEFAULT_NUMBER;
+        const profileQueryStr = (profile ? this.getDietaryProfileQuery(profile) : '');
+        if (profileQueryStr.length > 0) {
+            let queryStr = `?fillIngredients=true&includeIngredients=${encodeURIComponent(ingredients)}&limitLicense=false&number=${number}&offset=${offset}&ranking=1`;
+            queryStr += profileQueryStr;
+            return this.get(`/recipes/searchComplex${queryStr}`)
+                .then((response) => {
+                    return Promise.resolve(response.results);
                 });
-                res.on('end', function () {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(JSON.parse(json));
-                    }
-                    else {
-                        reject(res.statusCode);
-                    }
-                })
-            });
-            req.on('error', (e) => {
-                reject(e);
+        }
+        // findByIngredients has no offset, so ask for the earlier pages as well and skip them
+        let queryStr = `?fillIngredients=false&ingredients=${encodeURIComponent(ingredients)}&limitLicense=false&number=${offset + number}&ranking=1`;
+        return this.get(`/recipes/findByIngredients${queryStr}`)
+            .then((recipes) => {
+                return Promise.resolve(recipes.slice(offset));
             });
-        });
     }
 
-    findByCuisine(cuisine) {
-        return new Promise((resolve, reject) => {
-            let queryStr = `?number=5&query=+&cuisine=${encodeURIComponent(cuisine)}`;
-            let options = {
-                hostname: host,
-                port: 443,
-                path: `/recipes/search${queryStr}`,
-                rejectUnauthorized: false,
-                headers: {
-                    'X-Mashape-Key': this.apiKey,
-                    'Accept': 'application/json'
-                }
-            };
-            let req = https.get(options, (res) => {
-                let json = null;
-                res.on('data', function (chunk) {
-                    if (json == null) {
-                        json = '';
-                    }
-                    json += chunk;
-                });
-                res.on('end', function () {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(JSON.parse(json).results);
-                    }
-                    else {
-                        reject(res.statusCode);
-                    }
-                })
+    /**
+     * Finds recipes for the specified cuisine.
+     * search can't filter by nutrients, so searches with nutrient limits use searchComplex instead.
+     * @param cuisine - The cuisine
+     * @param profile - Optional dietary profile ({diet, intolerances, nutrientLimits}) to filter the recipes by
+     * @param offset - Optional number of results to skip, to get further pages of results
+     * @param number - Optional number of results to return, defaults to 5
+     * @returns {Promise.<TResult>}
+     */
+    findByCuisine(cuisine, profile, offset, number) {
+        let queryStr = `?number=${number || DEFAULT_NUMBER}&offset=${offset || 0}&query=+&cuisine=${encodeURIComponent(cuisine)}`;
+        let path = '/recipes/search';
+        if (profile) {
+            queryStr += this.getDietaryProfileQuery(profile);
+            if (this.getNutrientLimitsQuery(profile).length > 0) {
+                path = '/recipes/searchComplex';
+                queryStr += '&limitLicense=false';
+            }
+        }
+        return this.get(`${path}${queryStr}`)
+            .then((response) => {
+                return Promise.resolve(response.results);
             });
-            req.on('error', (e) => {
-                reject(e);
+    }
+
+    /**
+     * Finds recipes that match every criteria of a combined search (i.e. "quick italian dinner with chicken") with searchComplex.
+     * @param query - The SearchQuery ({cuisine, ingredients, excludeIngredients, maxReadyTime, type})
+     * @param profile - Optional dietary profile ({diet, intolerances, nutrientLimits}) to filter the recipes by
+     * @param offset - Optional number of results to skip, to get further pages of results
+     * @param number - Optional number of results to return, defaults to 5
+     * @returns {Promise.<TResult>}
+     */
+    findByQuery(query, profile, offset, number) {
+        let queryStr = `?limitLicense=false&number=${number || DEFAULT_NUMBER}&offset=${offset || 0}`;
+        if (query.cuisine) {
+            queryStr += `&cuisine=${encodeURIComponent(query.cuisine)}`;
+        }
+        if (query.ingredients.length > 0) {
+            queryStr += `&fillIngredients=true&includeIngredients=${encodeURIComponent(query.ingredients.join(','))}&ranking=1`;
+        }
+        if (query.excludeIngredients.length > 0) {
+            queryStr += `&excludeIngredients=${encodeURIComponent(query.excludeIngredients.join(','))}`;
+        }
+        if (query.maxReadyTime) {
+            queryStr += `&maxReadyTime=${query.maxReadyTime}`;
+        }
+        if (query.type) {
+            queryStr += `&type=${encodeURIComponent(query.type)}`;
+        }
+        if (profile) {
+            queryStr += this.getDietaryProfileQuery(profile);
+        }
+        return this.get(`/recipes/searchComplex${queryStr}`)
+            .then((response) => {
+                return Promise.resolve(response.results);
             });
-        });
     }
 
+    /**
+     * Gets the recipe information, including its nutrition per serving.
+     * @param id - The ID of the recipe
+     * @returns {Promise.<TResult>}
+     */
     getInfoById(id) {
-        return new Promise((resolve, reject) => {
-            let queryStr = `?includeNutrition=false`;
-            let options = {
-                hostname: host,
-                port: 443,
-                path: `/recipes/${id}/information${queryStr}`,
-                rejectUnauthorized: false,
-                headers: {
-                    'X-Mashape-Key': this.apiKey,
-                    'Accept': 'application/json'
+        let queryStr = `?includeNutrition=true`;
+        return this.get(`/recipes/${id}/information${queryStr}`);
+    }
+
+    getStepsById(id) {
+        return this.get(`/recipes/${id}/analyzedInstructions`)
+            .then((response) => {
+                try {
+                    return Promise.resolve(response[0].steps);
                 }
-            };
-            let req = https.get(options, (res) => {
-                let json = null;
-                res.on('data', function (chunk) {
-                    if (json == null) {
-                        json = '';
-                    }
-                    json += chunk;
-                });
-                res.on('end', function () {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(JSON.parse(json));
-                    }
-                    else {
-                        reject(res.statusCode);
+                catch (err) {
+                    return Promise.resolve([]);
+                }
+            });
+    }
+
+    /**
+     * Gets the substitutes for an ingredient.
+     * @param ingredient - The name of the ingredient
+     * @returns {Promise.<TResult>} - The descriptions of the substitutes (i.e. "1 cup = 1 cup plain yogurt"), empty if Spoonacular doesn't know the ingredient
+     */
+    getSubstitutes(ingredient) {
+        let queryStr = `?ingredientName=${encodeURIComponent(ingredient)}`;
+        return this.get(`/food/ingredients/substitutes${queryStr}`)
+            .then((response) => {
+                // unknown ingredients come back with status "failure" and no substitutes
+                return Promise.resolve((response && response.substitutes) || []);
+            });
+    }
+
+    getDietaryProfileQuery(profile) {
+        let queryStr = '';
+        if (profile.diet) {
+            queryStr += `&diet=${encodeURIComponent(profile.diet)}`;
+        }
+        if (profile.intolerances.length > 0) {
+            queryStr += `&intolerances=${encodeURIComponent(profile.intolerances.join(','))}`;
+        }
+        queryStr += this.getNutrientLimitsQuery(profile);
+        return queryStr;
+    }
+
+    getNutrientLimitsQuery(profile) {
+        let queryStr = '';
+        const limits = profile.nutrientLimits || {};
+        // the limits are named after the searchComplex parameters (i.e. maxCalories)
+        for (let limit of Object.keys(limits)) {
+            queryStr += `&${limit}=${encodeURIComponent(limits[limit])}`;
+        }
+        return queryStr;
+    }
+
+    /**
+     * Gets the request counts, the state of the circuit breaker and the quota Spoonacular reported on its last response.
+     * @returns {Object} - The metrics (requests, succeeded, failed, retries, timeouts, rateLimited, rejected - requests not sent because the circuit breaker was open or the quota was used up, circuit - closed, open or half-open, quota - {requestPoints, usedPoints, leftPoints, requestsLimit, requestsRemaining, updatedAt})
+     */
+    getMetrics() {
+        let metrics = JSON.parse(JSON.stringify(this.metrics));
+        metrics.circuit = this.getCircuitState();
+        if (this.quotaResetsAt > Date.now()) {
+            metrics.quota.exceededUntil = new Date(this.quotaResetsAt).toISOString();
+        }
+        return metrics;
+    }
+
+    getCircuitState() {
+        if (this.consecutiveFailures < this.failureThreshold) {
+            return 'closed';
+        }
+        return (Date.now() < this.circuitOpenUntil ? 'open' : 'half-open');
+    }
+
+    /**
+     * Sends a GET request to Spoonacular, retrying it if it fails with a 5xx, 429, timeout or connection error.
+     * Requests are rejected without being sent while the circuit breaker is open or the daily quota is used up.
+     * Once the circuit breaker has been open for resetTimeout, one request is sent to find out if Spoonacular has
+     * recovered (half-open): the circuit closes if it succeeds and opens again if it fails.
+     * @param path - The path and query string
+     * @returns {Promise.<TResult>} - The parsed response
+     */
+    get(path) {
+        const now = Date.now();
+        if (now < this.quotaResetsAt) {
+            this.metrics.rejected++;
+            return Promise.reject(new RecipeQuotaExceededError('The daily Spoonacular quota is used up.', new Date(this.quotaResetsAt)));
+        }
+        const circuit = this.getCircuitState();
+        if (circuit == 'open') {
+            this.metrics.rejected++;
+            return Promise.reject(new RecipeServiceBusyError('Not calling Spoonacular, too many requests failed.', null, this.circuitOpenUntil - now));
+        }
+        if (circuit == 'half-open') {
+            // keep the circuit open for everyone else while this request finds out if Spoonacular has recovered
+            this.circuitOpenUntil = now + this.resetTimeout;
+        }
+        return this.getWithRetry(path, 0)
+            .then((response) => {
+                this.metrics.succeeded++;
+                this.consecutiveFailures = 0;
+                this.circuitOpenUntil = 0;
+                return Promise.resolve(response);
+            })
+            .catch((err) => {
+                this.metrics.failed++;
+                if (err instanceof RecipeServiceBusyError) {
+                    this.consecutiveFailures++;
+                    if (this.consecutiveFailures >= this.failureThreshold) {
+                        console.log(`${this.consecutiveFailures} Spoonacular requests failed in a row. Not calling Spoonacular for ${this.resetTimeout}ms.`);
+                        this.circuitOpenUntil = Date.now() + this.resetTimeout;
                     }
-                })
+                }
+                return Promise.reject(err);
             });
-            req.on('error', (e) => {
-                reject(e);
+    }
+
+    getWithRetry(path, attempt) {
+        return this.send(path)
+            .catch((err) => {
+                if (!(err instanceof RecipeServiceBusyError) || attempt >= this.maxRetries) {
+                    return Promise.reject(err);
+                }
+                const backoff = this.retryDelay * Math.pow(2, attempt) * (1 + Math.random());
+                const delay = Math.min(err.retryAfter || backoff, MAX_RETRY_DELAY);
+                console.log(`${err.message} Retrying in ${Math.round(delay)}ms...`);
+                this.metrics.retries++;
+                return new Promise((resolve) => {
+                    setTimeout(resolve, delay);
+                })
+                    .then(() => {
+                        return this.getWithRetry(path, attempt + 1);
+                    });
             });
-        });
     }
 
-    getStepsById(id) {
+    send(path) {
+        this.metrics.requests++;
         return new Promise((resolve, reject) => {
             let options = {
                 hostname: host,
                 port: 443,
-                path: `/recipes/${id}/analyzedInstructions`,
+                path: path,
                 rejectUnauthorized: false,
                 headers: {
                     'X-Mashape-Key': this.apiKey,
                     'Accept': 'application/json'
                 }
             };
+            const rejectWithError = (err) => {
+                reject(err instanceof RecipeServiceError ? err : new RecipeServiceBusyError(`Error calling Spoonacular: ${err.message}.`));
+            };
             let req = https.get(options, (res) => {
-                let json = null;
+                this.updateQuota(res.headers);
+                res.on('error', rejectWithError);
+                let json = '';
                 res.on('data', function (chunk) {
-                    if (json == null) {
-                        json = '';
-                    }
                     json += chunk;
                 });
-                res.on('end', function () {
+                res.on('end', () => {
                     if (res.statusCode >= 200 && res.statusCode < 300) {
                         try {
-                            let steps = JSON.parse(json)[0].steps;
-                            resolve(steps);
+                            resolve(JSON.parse(json));
                         }
                         catch (err) {
-                            resolve([]);
+                            reject(new RecipeServiceError(`Invalid response from Spoonacular: ${err.message}`, res.statusCode));
                         }
                     }
                     else {
-                        reject(res.statusCode);
+                        reject(this.getStatusError(res));
                     }
-                })
+                });
             });
-            req.on('error', (e) => {
-                reject(e);
+            req.setTimeout(this.timeout, () => {
+                this.metrics.timeouts++;
+                req.destroy(new RecipeServiceBusyError(`Spoonacular did not respond within ${this.timeout}ms.`));
             });
+            req.on('error', rejectWithError);
         });
     }
+
+    /**
+     * Gets the error to reject a request with from a response that was not successful.
+     * 402 means the daily quota is used up, requests are then not sent until it resets at midnight UTC.
+     * @param res - The response
+     * @returns {RecipeServiceError}
+     */
+    getStatusError(res) {
+        if (res.statusCode == 402) {
+            const now = new Date();
+            this.quotaResetsAt = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+            console.log(`The daily Spoonacular quota is used up. Not calling Spoonacular until ${new Date(this.quotaResetsAt).toISOString()}.`);
+            return new RecipeQuotaExceededError('The daily Spoonacular quota is used up.', new Date(this.quotaResetsAt));
+        }
+        if (res.statusCode == 429) {
+            this.metrics.rateLimited++;
+            const retryAfter = parseInt(res.headers['retry-after']);
+            return new RecipeServiceBusyError('Spoonacular rate limited the request.', 429, isNaN(retryAfter) ? null : retryAfter * 1000);
+        }
+        if (res.statusCode >= 500) {
+            return new RecipeServiceBusyError(`Spoonacular returned ${res.statusCode}.`, res.statusCode);
+        }
+        return new RecipeServiceError(`Spoonacular returned ${res.statusCode}.`, res.statusCode);
+    }
+
+    /**
+     * Records the quota reported in the response headers: Spoonacular reports the points the request cost, the points
+     * used today and the points left, and the API gateway reports its own request limit.
+     * @param headers - The response headers
+     */
+    updateQuota(headers) {
+        const quotaHeaders = {
+            'x-api-quota-request': 'requestPoints',
+            'x-api-quota-used': 'usedPoints',
+            'x-api-quota-left': 'leftPoints',
+            'x-ratelimit-requests-limit': 'requestsLimit',
+            'x-ratelimit-requests-remaining': 'requestsRemaining'
+        };
+        let updated = false;
+        for (let header of Object.keys(quotaHeaders)) {
+            const value = parseFloat(headers[header]);
+            if (!isNaN(value)) {
+                this.metrics.quota[quotaHeaders[header]] = value;
+                updated = true;
+            }
+        }
+        if (updated) {
+            this.metrics.quota.updatedAt = new Date().toISOString();
+        }
+    }
 }
 
-module.exports = RecipeClient;
\ No newline at end of file
+module.exports = RecipeClient;
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * An error from the recipe service (Spoonacular), rejected by RecipeClient instead of the bare status code.
+ */
+class RecipeServiceError extends Error {
+
+    /**
+     * Creates a new instance of RecipeServiceError.
+     * @param {String} message - The error message
+     * @param {Number} statusCode - The HTTP status code, or null if the request did not get a response
+     */
+    constructor(message, statusCode) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode || null;
+    }
+}
+
+/**
+ * The recipe service timed out, failed or rate limited the bot after every retry, or the circuit breaker is open
+ * because too many requests failed in a row. Results already in the cache can still be used.
+ */
+class RecipeServiceBusyError extends RecipeServiceError {
+
+    /**
+     * Creates a new instance of RecipeServiceBusyError.
+     * @param {String} message - The error message
+     * @param {Number} statusCode - The HTTP status code, or null if the request did not get a response
+     * @param {Number} retryAfter - The number of milliseconds until the service is expected to accept requests again, if known
+     */
+    constructor(message, statusCode, retryAfter) {
+        super(message, statusCode);
+        this.retryAfter = retryAfter || null;
+    }
+}
+
+/**
+ * The bot has used up its daily Spoonacular quota. Requests are not sent again until the quota resets.
+ */
+class RecipeQuotaExceededError extends RecipeServiceError {
+
+    /**
+     * Creates a new instance of RecipeQuotaExceededError.
+     * @param {String} message - The error message
+     * @param {Date} resetsAt - When the quota resets
+     */
+    constructor(message, resetsAt) {
+        super(message, 402);
+        this.resetsAt = resetsAt;
+    }
+}
+
+module.exports = {
+    RecipeServiceError: RecipeServiceError,
+    RecipeServiceBusyError: RecipeServiceBusyError,
+    RecipeQuotaExceededError: RecipeQuotaExceededError
+};
@@ -0,0 +1,252 @@
+'use strict';
+
+// The cuisines Spoonacular can search by, longest first so "eastern european" is not found as "european"
+const CUISINES = [
+    'african', 'american', 'british', 'cajun', 'caribbean', 'chinese', 'eastern european', 'european', 'french',
+    'german', 'greek', 'indian', 'irish', 'italian', 'japanese', 'jewish', 'korean', 'latin american', 'mediterranean',
+    'mexican', 'middle eastern', 'nordic', 'southern', 'spanish', 'thai', 'vietnamese'
+].sort((a, b) => b.length - a.length);
+
+// The names users give meals, and the Spoonacular meal type they are searched for as
+const MEAL_TYPES = {
+    'breakfast': 'breakfast',
+    'brunch': 'breakfast',
+    'lunch': 'main course',
+    'dinner': 'main course',
+    'supper': 'main course',
+    'main course': 'main course',
+    'main dish': 'main course',
+    'side dish': 'side dish',
+    'dessert': 'dessert',
+    'appetizer': 'appetizer',
+    'starter': 'appetizer',
+    'salad': 'salad',
+    'soup': 'soup',
+    'snack': 'snack',
+    'drink': 'drink'
+};
+
+// The max ready time for "quick" or "fast" recipes, in minutes
+const QUICK_READY_TIME = 30;
+
+// Times like "under 30 minutes", "in an hour" or "30-minute" - the amount and the unit
+const READY_TIME_PATTERN = /\b(?:(?:ready\s+)?(?:in|under|within|below|less\s+than|at\s+most|no\s+more\s+than|takes?|taking)\s+)?(\d+|an?|one|half\s+an)\s*-?\s*(minutes?|mins?|hours?|hrs?)\b(?:\s+or\s+less)?/gi;
+const QUICK_PATTERN = /\b(?:quick|fast|speedy)\b/gi;
+// Ingredients to leave out, up to the next part of the search (i.e. "without mushrooms" in "without mushrooms with chicken")
+const EXCLUDE_PATTERN = /\b(?:without|but\s+not|excluding|except|minus|hold\s+the|no)\s+(.+?)(?=\s+(?:with|using|for|in|under|that)\b|[.!?;]|$)/gi;
+// How many people the recipe is for (i.e. "for 4 people" or "serves two"), and any other numbers - recipes are not
+// searched for by servings
+const SERVINGS_PATTERN = /\b(?:(?:for|serves?|serving|feeds?)\s+)?(?:a\s+(?:family|group|party)\s+of\s+)?(?:\d+|one|two|three|four|five|six|seven|eight|nine|ten|twelve)(?:\s+(?:people|persons?|servings?|portions?|guests?))?\b|\b(?:people|persons?|servings?|portions?|guests?)\b/gi;
+// Clauses describing the recipe rather than an ingredient (i.e. "that is quick" in "tuna that is quick"), up to the next
+// ingredient
+const CLAUSE_PATTERN = /\b(?:that|which)(?:'s|\s+(?:is|are|serves?|feeds?|makes?))\b.*?(?=\s*(?:,|&|\+|\b(?:with|using|and|or|plus)\b)|$)/gi;
+// Words that join ingredients, and words that are not part of any ingredient
+const SEPARATOR_PATTERN = /\s*(?:,|&|\+|\b(?:with|using|and|or|plus|including|containing|made\s+with|that\s+uses?)\b)\s*/gi;
+const FILLER_PATTERN = /\b(?:i(?:'d|\s+would)?\s+(?:like|want|need)|(?:can|could)\s+you|(?:show|give|find|get)(?:\s+me)?|let'?s|(?:how|what)\s+about|i'?m\s+(?:looking|craving)(?:\s+for)?|looking\s+for|something|anything|some|an?|the|me|please|recipes?|ideas?|dish(?:es)?|meals?|food|easy|simple|ready|cook|make|tonight|today|for|to|of|i)\b/gi;
+
+class SearchQuery {
+
+    /**
+     * Creates a new instance of SearchQuery.
+     * A search with more than one kind of criteria (i.e. "quick italian dinner with chicken without mushrooms"),
+     * searched for with Spoonacular's searchComplex instead of by ingredients or cuisine.
+     * @param {Object} criteria - The criteria ({cuisine, ingredients, excludeIngredients, maxReadyTime, type}), ingredients and excludeIngredients are lists of names, maxReadyTime is in minutes and type is a Spoonacular meal type (i.e. main course)
+     */
+    constructor(criteria) {
+        criteria = criteria || {};
+        this.cuisine = (criteria.cuisine ? criteria.cuisine.trim().toLowerCase() : null);
+        this.ingredients = SearchQuery.getIngredientNames(criteria.ingredients);
+        this.excludeIngredients = SearchQuery.getIngredientNames(criteria.excludeIngredients);
+        this.maxReadyTime = criteria.maxReadyTime || null;
+        this.type = criteria.type || null;
+    }
+
+    /**
+     * Finds the criteria in a search (i.e. "quick italian dinner with chicken under 30 minutes").
+     * Nutrient limits are not criteria, they are found by DietaryProfile.parseNutrientLimits and added to the profile
+     * the search is made with.
+     * @param text - The text to search
+     * @returns {SearchQuery}
+     */
+    static parse(text) {
+        let criteria = {};
+        text = ` ${text.toLowerCase().replace(/[.!?]/g, ' ')} `;
+        text = text.replace(READY_TIME_PATTERN, (phrase, amount, unit) => {
+            if (/^\d+$/.test(amount)) {
+                amount = parseInt(amount);
+            }
+            else {
+                amount = (amount.startsWith('half') ? 0.5 : 1);
+            }
+            criteria.maxReadyTime = Math.round(unit.startsWith('h') ? amount * 60 : amount);
+            return ' ';
+        });
+        text = text.replace(QUICK_PATTERN, () => {
+            criteria.maxReadyTime = criteria.maxReadyTime || QUICK_READY_TIME;
+            return ' ';
+        });
+        for (let cuisine of CUISINES) {
+            const pattern = new RegExp(`\\b${cuisine}\\b`);
+            if (!criteria.cuisine && pattern.test(text)) {
+                criteria.cuisine = cuisine;
+                text = text.replace(pattern, ' ');
+            }
+        }
+        for (let meal of Object.keys(MEAL_TYPES)) {
+            const pattern = new RegExp(`\\b${meal}s?\\b`);
+            if (!criteria.type && pattern.test(text)) {
+                criteria.type = MEAL_TYPES[meal];
+                text = text.replace(pattern, ' ');
+            }
+        }
+        criteria.excludeIngredients = [];
+        text = text.replace(EXCLUDE_PATTERN, (phrase, ingredients) => {
+            criteria.excludeIngredients = criteria.excludeIngredients.concat(SearchQuery.splitIngredients(ingredients));
+            return ' ';
+        });
+        criteria.ingredients = SearchQuery.splitIngredients(text);
+        return new SearchQuery(criteria);
+    }
+
+    /**
+     * Creates the search identified by the key (see getKey). Anything else in the key, i.e. the dietary profile a
+     * cached search was made with, is ignored.
+     * @param key - The key (i.e. "cuisine=italian;ingredients=chicken;maxReadyTime=30")
+     * @returns {SearchQuery}
+     */
+    static fromKey(key) {
+        let criteria = {};
+        for (let part of key.split(';')) {
+            const index = part.indexOf('=');
+            const name = part.substring(0, index);
+            const value = part.substring(index + 1);
+            if (name == 'ingredients' || name == 'excludeIngredients') {
+                criteria[name] = value.split(',');
+            }
+            else if (name == 'maxReadyTime') {
+                criteria[name] = parseInt(value);
+            }
+            else if (name == 'cuisine' || name == 'type') {
+                criteria[name] = value;
+            }
+        }
+        return new SearchQuery(criteria);
+    }
+
+    /**
+     * Splits the ingredients in the text, leaving out numbers, clauses and words that are not part of any ingredient.
+     * @param text - The text (i.e. "some chicken and rice for 4 people")
+     * @returns {Array}
+     */
+    static splitIngredients(text) {
+        return text.replace(CLAUSE_PATTERN, ' ')
+            .replace(SERVINGS_PATTERN, ' ')
+            .replace(FILLER_PATTERN, ' ')
+            .split(SEPARATOR_PATTERN)
+            .map((ingredient) => ingredient.replace(/\s+/g, ' ').trim())
+            .filter((ingredient) => ingredient.length > 0);
+    }
+
+    /**
+     * Gets the sorted, de-duplicated list of ingredient names, the same way the recipe stores name ingredients.
+     * @param ingredients - The ingredient names
+     * @returns {Array}
+     */
+    static getIngredientNames(ingredients) {
+        let names = [];
+        for (let ingredient of (ingredients || [])) {
+            ingredient = ingredient.trim().toLowerCase().replace(/\s+/g, ' ');
+            if (ingredient.length > 0 && names.indexOf(ingredient) < 0) {
+                names.push(ingredient);
+            }
+        }
+        names.sort();
+        return names;
+    }
+
+    /**
+     * Joins the names into a list to show the user (i.e. "chicken, rice and peas").
+     * @param names - The names
+     * @returns {String}
+     */
+    static joinNames(names) {
+        return (names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join(''));
+    }
+
+    /**
+     * Returns true if the search has more than one kind of criteria, so it can't be searched for by ingredients or
+     * cuisine alone.
+     * @returns {boolean}
+     */
+    isCombined() {
+        const criteria = [this.cuisine, this.ingredients.length > 0, this.excludeIngredients.length > 0, this.maxReadyTime, this.type];
+        return criteria.filter((criterion) => !!criterion).length > 1;
+    }
+
+    /**
+     * Gets the criteria, i.e. to keep in the user's session and create the SearchQuery again from.
+     * @returns {Object} - The criteria ({cuisine, ingredients, excludeIngredients, maxReadyTime, type})
+     */
+    getCriteria() {
+        return {
+            cuisine: this.cuisine,
+            ingredients: this.ingredients,
+            excludeIngredients: this.excludeIngredients,
+            maxReadyTime: this.maxReadyTime,
+            type: this.type
+        };
+    }
+
+    /**
+     * Gets the key that identifies the search in cache keys. Searches with the same criteria have the same key however
+     * they were worded (i.e. "quick italian dinner with chicken" and "chicken italian main course in 30 minutes").
+     * @returns {string}
+     */
+    getKey() {
+        let key = [];
+        if (this.cuisine) {
+            key.push(`cuisine=${this.cuisine}`);
+        }
+        if (this.ingredients.length > 0) {
+            key.push(`ingredients=${this.ingredients.join(',')}`);
+        }
+        if (this.excludeIngredients.length > 0) {
+            key.push(`excludeIngredients=${this.excludeIngredients.join(',')}`);
+        }
+        if (this.maxReadyTime) {
+            key.push(`maxReadyTime=${this.maxReadyTime}`);
+        }
+        if (this.type) {
+            key.push(`type=${this.type}`);
+        }
+        return key.join(';');
+    }
+
+    /**
+     * Describes the search (i.e. "Italian main course recipes with chicken, without mushrooms, ready in 30 minutes or less").
+     * @returns {String}
+     */
+    describe() {
+        let recipes = [];
+        if (this.cuisine) {
+            recipes.push(this.cuisine.replace(/\b\w/g, (letter) => letter.toUpperCase()));
+        }
+        if (this.type) {
+            recipes.push(this.type);
+        }
+        recipes.push('recipes');
+        if (this.ingredients.length > 0) {
+            recipes.push(`with ${SearchQuery.joinNames(this.ingredients)}`);
+        }
+        let description = [recipes.join(' ')];
+        if (this.excludeIngredients.length > 0) {
+            description.push(`without ${SearchQuery.joinNames(this.excludeIngredients)}`);
+        }
+        if (this.maxReadyTime) {
+            description.push(`ready in ${this.maxReadyTime} minutes or less`);
+        }
+        return description.join(', ');
+    }
+}
+
+module.exports = SearchQuery;
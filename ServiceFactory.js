@@ -0,0 +1,67 @@
+'use strict';
+
+const ChainedRecipeProvider = require('./ChainedRecipeProvider');
+const InMemoryRecipeStore = require('./InMemoryRecipeStore');
+const JanusGraphClient = require('./JanusGraphClient');
+const JanusGraphRecipeStore = require('./JanusGraphRecipeStore');
+const LocalRecipeProvider = require('./LocalRecipeProvider');
+const RecipeClient = require('./RecipeClient');
+
+class ServiceFactory {
+
+    /**
+     * Creates the services the bot and the admin scripts share from the environment (i.e. .env), so they all talk to
+     * the same graph and recipe provider the same way.
+     * @param {Object} env - The environment variables (defaults to process.env)
+     */
+    constructor(env) {
+        this.env = env || process.env;
+    }
+
+    /**
+     * Creates the JanusGraph client (JANUSGRAPH_TRANSPORT=websocket keeps a WebSocket open to JANUSGRAPH_WS_URL).
+     * @returns {JanusGraphClient}
+     */
+    createGraphClient() {
+        return new JanusGraphClient(
+            this.env.JANUSGRAPH_URL,
+            this.env.JANUSGRAPH_USERNAME,
+            this.env.JANUSGRAPH_PASSWORD,
+            {
+                transport: this.env.JANUSGRAPH_TRANSPORT,
+                webSocketUrl: this.env.JANUSGRAPH_WS_URL
+            }
+        );
+    }
+
+    /**
+     * Creates the recipe store (RECIPE_STORE=memory runs without JanusGraph, optionally persisted to RECIPE_STORE_FILE).
+     * @returns {JanusGraphRecipeStore|InMemoryRecipeStore}
+     */
+    createRecipeStore() {
+        if (this.env.RECIPE_STORE == 'memory') {
+            return new InMemoryRecipeStore(this.env.RECIPE_STORE_FILE);
+        }
+        return new JanusGraphRecipeStore(this.createGraphClient(), this.env.GRAPH_ID);
+    }
+
+    /**
+     * Creates the recipe provider (RECIPE_PROVIDER=local searches the recipes in RECIPE_CORPUS instead of Spoonacular,
+     * local,spoonacular searches them first and falls back to Spoonacular).
+     * @returns {RecipeClient|LocalRecipeProvider|ChainedRecipeProvider}
+     */
+    createRecipeProvider() {
+        const recipeProviders = (this.env.RECIPE_PROVIDER || 'spoonacular').split(',').map((name) => {
+            if (name.trim() == 'local') {
+                return new LocalRecipeProvider(this.env.RECIPE_CORPUS || 'sample-recipes.jsonl');
+            }
+            return new RecipeClient(this.env.SPOONACULAR_KEY, {
+                timeout: (this.env.SPOONACULAR_TIMEOUT_SECONDS ? parseFloat(this.env.SPOONACULAR_TIMEOUT_SECONDS) * 1000 : undefined),
+                maxRetries: (this.env.SPOONACULAR_MAX_RETRIES ? parseInt(this.env.SPOONACULAR_MAX_RETRIES) : undefined)
+            });
+        });
+        return (recipeProviders.length == 1 ? recipeProviders[0] : new ChainedRecipeProvider(recipeProviders));
+    }
+}
+
+module.exports = ServiceFactory;
@@ -0,0 +1,259 @@
+'use strict';
+
+// Units that can be converted into each other, with the size of each unit in grams or milliliters.
+// Amounts of the same ingredient in units that can't be converted (i.e. "2 cloves" and "1 tsp") are listed separately.
+const UNITS = {
+    'g': {measure: 'weight', size: 1},
+    'gram': {measure: 'weight', size: 1},
+    'kg': {measure: 'weight', size: 1000},
+    'kilogram': {measure: 'weight', size: 1000},
+    'oz': {measure: 'weight', size: 28.35},
+    'ounce': {measure: 'weight', size: 28.35},
+    'lb': {measure: 'weight', size: 453.59},
+    'pound': {measure: 'weight', size: 453.59},
+    'ml': {measure: 'volume', size: 1},
+    'milliliter': {measure: 'volume', size: 1},
+    'l': {measure: 'volume', size: 1000},
+    'liter': {measure: 'volume', size: 1000},
+    'litre': {measure: 'volume', size: 1000},
+    'tsp': {measure: 'volume', size: 4.93},
+    'teaspoon': {measure: 'volume', size: 4.93},
+    'tbsp': {measure: 'volume', size: 14.79},
+    'tablespoon': {measure: 'volume', size: 14.79},
+    'fl oz': {measure: 'volume', size: 29.57},
+    'cup': {measure: 'volume', size: 236.59},
+    'pint': {measure: 'volume', size: 473.18},
+    'quart': {measure: 'volume', size: 946.35}
+};
+
+// The aisle for ingredients Spoonacular does not give one
+const OTHER_AISLE = 'Other';
+
+class ShoppingList {
+
+    /**
+     * Creates a new instance of ShoppingList.
+     * Merges the ingredients of the recipes on a user's list into one item per ingredient, adding up the amounts that
+     * are in compatible units, and takes away what the user already has.
+     * @param {Array} recipes - The recipes on the list ({id, title, ingredients}), ingredients as returned by parseIngredients
+     * @param {Array} pantry - What the user already has ({name, amount, unit}), amount is null if the user has all they need
+     */
+    constructor(recipes, pantry) {
+        this.recipes = recipes || [];
+        this.pantry = pantry || [];
+    }
+
+    /**
+     * Gets the ingredients to store on a recipe from the extendedIngredients returned by Spoonacular.
+     * @param extendedIngredients - The ingredients from the recipe information
+     * @returns {Array} - The ingredients ({name, amount, unit, aisle})
+     */
+    static parseIngredients(extendedIngredients) {
+        return (extendedIngredients || [])
+            .filter((ingredient) => ingredient['name'])
+            .map((ingredient) => {
+                // aisles like "Baking;Spices and Seasonings" list every aisle the ingredient can be found in
+                const aisle = (ingredient['aisle'] || '').split(';')[0].trim();
+                return {
+                    name: ingredient['name'].toLowerCase().trim(),
+                    amount: ingredient['amount'] || 0,
+                    unit: (ingredient['unit'] || '').trim(),
+                    aisle: aisle || OTHER_AISLE
+                };
+            });
+    }
+
+    /**
+     * Finds what the user says they already have (i.e. "2 eggs, 200g butter and flour").
+     * @param text - The text to search
+     * @returns {Array} - The items ({name, amount, unit}), amount is null for items without an amount
+     */
+    static parsePantryItems(text) {
+        let items = [];
+        for (let part of text.split(/,|\band\b/i)) {
+            part = part.trim().replace(/[.!]+$/, '').replace(/^(?:some|a|an)\s+/i, '');
+            if (part.length == 0) {
+                continue;
+            }
+            const match = /^(\d+\/\d+|\d+(?:\.\d+)?)\s*(.*)$/.exec(part);
+            if (!match) {
+                items.push({name: part.toLowerCase(), amount: null, unit: ''});
+                continue;
+            }
+            let amount = match[1].indexOf('/') > 0 ? parseInt(match[1].split('/')[0]) / parseInt(match[1].split('/')[1]) : parseFloat(match[1]);
+            let rest = match[2].trim();
+            let unit = '';
+            const unitMatch = /^([a-z]+(?:\s+oz)?)\.?\s+(?:of\s+)?(.+)$/i.exec(rest);
+            if (unitMatch && ShoppingList.getUnit(unitMatch[1])) {
+                unit = unitMatch[1];
+                rest = unitMatch[2];
+            }
+            items.push({name: rest.toLowerCase(), amount: amount, unit: unit});
+        }
+        return items;
+    }
+
+    static getUnit(unit) {
+        return UNITS[ShoppingList.getUnitKey(unit)] || null;
+    }
+
+    static getUnitKey(unit) {
+        const key = (unit || '').toLowerCase().replace(/\./g, '').trim();
+        // Spoonacular uses both "Tbsp" and "T" for tablespoons and "t" for teaspoons
+        if (unit == 'T') {
+            return 'tbsp';
+        }
+        if (unit == 't') {
+            return 'tsp';
+        }
+        return (key.length > 2 && key.endsWith('s') && !UNITS[key] ? key.substring(0, key.length - 1) : key);
+    }
+
+    /**
+     * Gets the key ingredients are matched by, so "eggs" matches "egg" and "tomatoes" matches "tomato".
+     * @param name - The name of the ingredient
+     * @returns {string}
+     */
+    static getNameKey(name) {
+        let key = name.toLowerCase().trim().replace(/\s+/g, ' ');
+        if (key.endsWith('ies')) {
+            return key.substring(0, key.length - 3) + 'y';
+        }
+        if (key.endsWith('oes')) {
+            return key.substring(0, key.length - 2);
+        }
+        if (key.endsWith('s') && !key.endsWith('ss')) {
+            return key.substring(0, key.length - 1);
+        }
+        return key;
+    }
+
+    /**
+     * Converts an amount to another unit.
+     * @param amount - The amount
+     * @param fromUnit - The unit of the amount
+     * @param toUnit - The unit to convert to
+     * @returns {number} - The converted amount, or null if the units can't be converted into each other
+     */
+    static convert(amount, fromUnit, toUnit) {
+        if (ShoppingList.getUnitKey(fromUnit) == ShoppingList.getUnitKey(toUnit)) {
+            return amount;
+        }
+        const from = ShoppingList.getUnit(fromUnit);
+        const to = ShoppingList.getUnit(toUnit);
+        if (!from || !to || from.measure != to.measure) {
+            return null;
+        }
+        return amount * from.size / to.size;
+    }
+
+    /**
+     * Gets the items to buy: one item per ingredient, sorted by aisle and name.
+     * @returns {Array} - The items ({name, aisle, quantities}), quantities is a list of {amount, unit} in units that can't be added up
+     */
+    getItems() {
+        let items = [];
+        let itemHash = {};
+        for (let recipe of this.recipes) {
+            for (let ingredient of recipe.ingredients || []) {
+                const key = ShoppingList.getNameKey(ingredient.name);
+                let item = itemHash[key];
+                if (!item) {
+                    item = {name: ingredient.name, aisle: ingredient.aisle || OTHER_AISLE, quantities: []};
+                    itemHash[key] = item;
+                    items.push(item);
+                }
+                this.addQuantity(item, ingredient.amount, ingredient.unit);
+            }
+        }
+        for (let have of this.pantry) {
+            const item = itemHash[ShoppingList.getNameKey(have.name)];
+            if (item) {
+                this.subtractQuantity(item, have.amount, have.unit);
+            }
+        }
+        return items
+            .filter((item) => item.quantities.length > 0)
+            .sort((a, b) => a.aisle.localeCompare(b.aisle) || a.name.localeCompare(b.name));
+    }
+
+    addQuantity(item, amount, unit) {
+        for (let quantity of item.quantities) {
+            const converted = ShoppingList.convert(amount, unit, quantity.unit);
+            if (converted !== null) {
+                quantity.amount += converted;
+                return;
+            }
+        }
+        item.quantities.push({amount: amount, unit: unit});
+    }
+
+    subtractQuantity(item, amount, unit) {
+        if (amount === null || amount === undefined) {
+            item.quantities = [];
+            return;
+        }
+        for (let quantity of item.quantities) {
+            const converted = ShoppingList.convert(amount, unit, quantity.unit);
+            if (converted !== null) {
+                quantity.amount -= converted;
+            }
+        }
+        item.quantities = item.quantities.filter((quantity) => quantity.amount > 0.001);
+    }
+
+    isEmpty() {
+        return this.getItems().length == 0;
+    }
+
+    /**
+     * Formats the list grouped by aisle.
+     * @param format - slack for Slack formatting, markdown for a Markdown checklist or text for plain text
+     * @returns {string}
+     */
+    format(format) {
+        const items = this.getItems();
+        const titles = this.recipes.map((recipe) => recipe.title).join(', ');
+        let lines = [];
+        if (format == 'markdown') {
+            lines.push('# Shopping list', '', `_For: ${titles}_`);
+        }
+        else if (format == 'slack') {
+            lines.push(`Here's your shopping list for *${titles}*:`);
+        }
+        else {
+            lines.push(`Shopping list for ${titles}`);
+        }
+        let aisle = null;
+        for (let item of items) {
+            if (item.aisle != aisle) {
+                aisle = item.aisle;
+                if (format == 'markdown') {
+                    lines.push('', `## ${aisle}`);
+                }
+                else if (format == 'slack') {
+                    lines.push('', `*${aisle}*`);
+                }
+                else {
+                    lines.push('', `${aisle}:`);
+                }
+            }
+            const bullet = (format == 'markdown' ? '- [ ]' : (format == 'slack' ? '•' : '-'));
+            lines.push(`${bullet} ${this.formatItem(item)}`);
+        }
+        return lines.join('\n');
+    }
+
+    formatItem(item) {
+        const quantities = item.quantities
+            .filter((quantity) => quantity.amount > 0)
+            .map((quantity) => {
+                // round to at most 2 decimal places and drop trailing zeros
+                const amount = `${parseFloat(quantity.amount.toFixed(2))}`;
+                return (quantity.unit ? `${amount} ${quantity.unit}` : amount);
+            });
+        return (quantities.length > 0 ? `${quantities.join(' + ')} ${item.name}` : item.name);
+    }
+}
+
+module.exports = ShoppingList;
@@ -0,0 +1,214 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const querystring = require('querystring');
+const SlackBot = require('slackbots');
+
+const MAX_BODY_LENGTH = 64 * 1024;
+// Slack recommends rejecting requests signed more than 5 minutes ago, so a captured request can't be replayed later
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+// Threads the bot has not heard from in this long need another @-mention to get its attention
+const THREAD_IDLE_TIMEOUT = 24 * 60 * 60 * 1000;
+
+class SlackAdapter {
+
+    /**
+     * Creates a new instance of SlackAdapter.
+     * Receives direct messages sent to the bot over the Slack RTM API and posts the replies back to the same channel.
+     * In public and private channels the bot answers when it is @-mentioned, and carries on the conversation in a thread
+     * under the message that mentioned it.
+     * Chat adapters implement start and sendReply. Messages are passed to SousChef as {userId, channelId, threadId, text},
+     * threadId is only set for messages in a channel.
+     * If a signing secret is set, button clicks are received on an interactivity endpoint (POST /slack/actions) and
+     * passed to SousChef as messages with an action ({id, value}).
+     * @param {String} slackToken - The Slack bot token
+     * @param {Object} options - Optional settings (botId - the bot's user ID, looked up when the bot connects if not set, signingSecret - the Slack app's signing secret, port - the port the interactivity endpoint listens on, defaults to 3000)
+     */
+    constructor(slackToken, options) {
+        options = options || {};
+        this.slackToken = slackToken;
+        this.botId = options.botId;
+        this.signingSecret = options.signingSecret;
+        this.port = options.port || 3000;
+        this.slackBot = null;
+        this.server = null;
+        // the threads the bot is talking in, keyed by channel and thread, with the time of the last message
+        this.activeThreads = {};
+    }
+
+    /**
+     * Connects to Slack and starts passing messages to onMessage.
+     * @param {Function} onMessage - Called with each message ({userId, channelId, threadId, text}) sent to the bot
+     * @returns {Promise.<TResult>}
+     */
+    start(onMessage) {
+        this.slackBot = new SlackBot({
+            token: this.slackToken,
+            name: 'souschef'
+        });
+        this.slackBot.on('start', () => {
+            if (!this.botId) {
+                this.botId = this.slackBot.self.id;
+            }
+            console.log('sous-chef is connected and running!');
+        });
+        this.slackBot.on('message', (data) => {
+            if (data.type == 'message' && data.channel.startsWith('D')) {
+                if (!data.bot_id) {
+                    onMessage({userId: data.user, channelId: data.channel, text: data.text});
+                }
+                else {
+                    // ignore messages from the bot (messages we sent)
+                }
+            }
+            else if (data.type == 'message' && !data.subtype && !data.bot_id && data.text) {
+                this.handleChannelMessage(data, onMessage);
+            }
+        });
+        if (!this.signingSecret) {
+            console.log('SLACK_SIGNING_SECRET is not set. Buttons will not work, users will have to type their choices.');
+            return Promise.resolve();
+        }
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res, onMessage);
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => {
+                console.log(`sous-chef is listening for Slack actions on port ${this.server.address().port}!`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Posts a reply to the channel the message was received on.
+     * @param {Object} message - The message being replied to
+     * @param {String|Object} reply - The reply, either text or {text, blocks} - the text is shown in notifications
+     * @returns {Promise.<TResult>}
+     */
+    sendReply(message, reply) {
+        let params = {};
+        if (message.threadId) {
+            params['thread_ts'] = message.threadId;
+        }
+        if (typeof reply == 'string') {
+            return this.slackBot.postMessage(message.channelId, reply, params);
+        }
+        params['blocks'] = reply.blocks;
+        return this.slackBot.postMessage(message.channelId, reply.text, params);
+    }
+
+    close() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this.server.close(() => {
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Passes on a message in a public or private channel if it mentions the bot, or if it is a reply in a thread the
+     * bot is talking in. The mention is removed from the text.
+     * @param {Object} data - The message event
+     * @param {Function} onMessage - Called with the message ({userId, channelId, threadId, text})
+     */
+    handleChannelMessage(data, onMessage) {
+        const mention = `<@${this.botId}>`;
+        // a mention outside a thread starts a new thread under the message
+        const threadId = data.thread_ts || data.ts;
+        const threadKey = `${data.channel}:${threadId}`;
+        const now = Date.now();
+        if (data.text.indexOf(mention) < 0 && !(data.thread_ts && now - (this.activeThreads[threadKey] || 0) < THREAD_IDLE_TIMEOUT)) {
+            return;
+        }
+        for (let key of Object.keys(this.activeThreads)) {
+            if (now - this.activeThreads[key] >= THREAD_IDLE_TIMEOUT) {
+                delete this.activeThreads[key];
+            }
+        }
+        this.activeThreads[threadKey] = now;
+        onMessage({userId: data.user, channelId: data.channel, threadId: threadId, text: data.text.split(mention).join(' ').trim()});
+    }
+
+    handleRequest(req, res, onMessage) {
+        if (req.method != 'POST' || req.url != '/slack/actions') {
+            this.sendStatus(res, 404);
+            return;
+        }
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_LENGTH) {
+                this.sendStatus(res, 413);
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (res.finished) {
+                return;
+            }
+            if (!this.isSignatureValid(req.headers, body)) {
+                this.sendStatus(res, 401);
+                return;
+            }
+            let payload;
+            try {
+                payload = JSON.parse(querystring.parse(body).payload);
+            }
+            catch (err) {
+                this.sendStatus(res, 400);
+                return;
+            }
+            // Slack expects an answer within 3 seconds, so acknowledge the click and post the reply separately
+            this.sendStatus(res, 200);
+            if (payload.type == 'block_actions' && payload.actions && payload.actions.length > 0 && payload.channel) {
+                const action = payload.actions[0];
+                let message = {
+                    userId: payload.user.id,
+                    channelId: payload.channel.id,
+                    text: action.value || '',
+                    action: {id: action.action_id, value: action.value}
+                };
+                if (payload.message && payload.message.thread_ts) {
+                    message.threadId = payload.message.thread_ts;
+                }
+                onMessage(message);
+            }
+        });
+    }
+
+    /**
+     * Returns true if the request was signed with the signing secret recently.
+     * See https://api.slack.com/authentication/verifying-requests-from-slack
+     * @param {Object} headers - The request headers
+     * @param {String} body - The raw request body
+     * @returns {boolean}
+     */
+    isSignatureValid(headers, body) {
+        const timestamp = headers['x-slack-request-timestamp'];
+        const signature = headers['x-slack-signature'];
+        if (!timestamp || !signature) {
+            return false;
+        }
+        if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+            return false;
+        }
+        const hmac = crypto.createHmac('sha256', this.signingSecret);
+        hmac.update(`v0:${timestamp}:${body}`);
+        const expected = Buffer.from(`v0=${hmac.digest('hex')}`);
+        const actual = Buffer.from(signature);
+        return actual.length == expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    sendStatus(res, statusCode) {
+        res.writeHead(statusCode);
+        res.end();
+    }
+}
+
+module.exports = SlackAdapter;
@@ -1,5 +1,7 @@
 'use strict';
 
+const SearchQuery = require('./SearchQuery');
+
 class SnsClient {
 
     constructor(apiUrl, apiKey) {
@@ -43,6 +45,10 @@ class SnsClient {
         this.postMessage('favorites', state, `${state.userId} requested their favorite recipes.`);
     }
 
+    postSuggestionsMessage(state) {
+        this.postMessage('suggestions', state, `${state.userId} requested suggested recipes.`);
+    }
+
     postIngredientMessage(state, ingredientStr) {
         this.postMessage('ingredient', state, `${state.userId} requested recipes for ingredient \'${ingredientStr}\'.`);
     }
@@ -51,22 +57,39 @@ class SnsClient {
         this.postMessage('ingredient', state, `${state.userId} requested recipes for cuisine \'${cuisineStr}\'.`);
     }
 
+    postSearchMessage(state, searchStr) {
+        this.postMessage('search', state, `${state.userId} requested ${searchStr}.`);
+    }
+
     postRecipeMessage(state, recipeId, recipeTitle) {
         this.postMessage('ingredient', state, `${state.userId} selected recipe \'${recipeTitle}\'.`, recipeId);
     }
 
+    postRatingMessage(state, recipeId, recipeTitle, rating) {
+        this.postMessage('rating', state, `${state.userId} rated recipe \'${recipeTitle}\' ${rating}/5.`, recipeId);
+    }
+
     postMessage(action, state, message, recipeId) {
         if (!this.enabled) {
             return;
         }
         let ingredient;
         let cuisine;
+        let search;
         if (state.ingredientCuisine) {
-            if (state.ingredientCuisine['label'] == 'ingredient') {
-                ingredient = state.ingredientCuisine.properties['name'][0].value;
+            let name = state.ingredientCuisine.properties['name'][0].value;
+            if (state.ingredientCuisine.properties['profile']) {
+                // leave out the dietary profile the results were cached for (i.e. ";diet=vegetarian")
+                name = name.substring(0, name.length - state.ingredientCuisine.properties['profile'][0].value.length - 1);
+            }
+            if (state.ingredientCuisine['label'] == 'cuisine') {
+                cuisine = name;
+            }
+            else if (state.ingredientCuisine['label'] == 'search') {
+                search = SearchQuery.fromKey(name).describe();
             }
             else {
-                cuisine = state.ingredientCuisine.properties['name'][0].value;
+                ingredient = name;
             }
         }
         let body = JSON.stringify({
@@ -80,6 +103,7 @@ class SnsClient {
                     user: state.userId,
                     ingredient: ingredient,
                     cuisine: cuisine,
+                    search: search,
                     recipe: recipeId
                 }
             }
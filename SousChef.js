@@ -1,46 +1,150 @@
 'use strict';
 
 const ConversationV1 = require('watson-developer-cloud/conversation/v1');
+const DietaryProfile = require('./DietaryProfile');
+const InMemorySessionStore = require('./InMemorySessionStore');
+const LocalConversation = require('./LocalConversation');
+const MealPlan = require('./MealPlan');
 const RecipeClient = require('./RecipeClient');
-const SlackBot = require('slackbots');
+const RecipeServiceErrors = require('./RecipeServiceError');
+const SearchQuery = require('./SearchQuery');
+const ShoppingList = require('./ShoppingList');
+const Substitutions = require('./Substitutions');
 
-const MAX_RECIPES = 5;
+const DEFAULT_PAGE_SIZE = 5;
+const DEFAULT_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_CONVERSATION_TIMEOUT = 10 * 1000;
+// Slack rejects section blocks with more than 3000 characters of text
+const MAX_BLOCK_TEXT_LENGTH = 3000;
+// The number of substitutes suggested for an ingredient
+const MAX_SUBSTITUTES = 3;
+// The nutrients stored on recipes for questions like "how much sugar is in it?", in the order they are listed
+const KEY_NUTRIENTS = ['Calories', 'Protein', 'Fat', 'Saturated Fat', 'Carbohydrates', 'Sugar', 'Fiber', 'Sodium', 'Cholesterol'];
+// The names users give the key nutrients, without a plural s
+const NUTRIENT_NAMES = {
+    'calorie': 'Calories',
+    'kcal': 'Calories',
+    'protein': 'Protein',
+    'fat': 'Fat',
+    'saturated fat': 'Saturated Fat',
+    'carb': 'Carbohydrates',
+    'carbohydrate': 'Carbohydrates',
+    'sugar': 'Sugar',
+    'fiber': 'Fiber',
+    'fibre': 'Fiber',
+    'sodium': 'Sodium',
+    'salt': 'Sodium',
+    'cholesterol': 'Cholesterol'
+};
+
+// Messages that are handled directly instead of being sent to Watson Conversation, so they work at any point in the dialog.
+// The handler is called with the user's state and the result of matching the pattern against the message.
+// Commands marked cooking are only handled in cooking mode, so words like "next" still reach Watson the rest of the time.
+// Commands marked searching are only handled while the user has the results of an ingredient, cuisine or combined search listed.
+// Commands marked substituting are only handled after the bot suggested substitutes for an ingredient.
+const COMMANDS = [
+    {pattern: /^\s*(?:cook\s+(?:it|this)|step\s+by\s+step|cooking\s+mode|resume(?:\s+cooking)?)\s*[.!]?\s*$/i, handler: 'handleCookMessage'},
+    {pattern: /^\s*(?:next|next\s+step|done)\s*[.!]?\s*$/i, handler: 'handleNextStepMessage', cooking: true},
+    {pattern: /^\s*(?:back|go\s+back|previous(?:\s+step)?)\s*[.!]?\s*$/i, handler: 'handlePreviousStepMessage', cooking: true},
+    {pattern: /^\s*(?:repeat(?:\s+that)?|again|say\s+that\s+again)\s*[.!?]?\s*$/i, handler: 'handleRepeatStepMessage', cooking: true},
+    {pattern: /^\s*(?:what\s+(?:equipment|tools)(?:\s+do\s+i\s+need)?|equipment)\s*[.!?]?\s*$/i, handler: 'handleEquipmentMessage', cooking: true},
+    {pattern: /^\s*how\s+(?:long|much\s+(?:time|longer))(?:\s+(?:is\s+)?left)?\s*[.!?]?\s*$/i, handler: 'handleTimeLeftMessage', cooking: true},
+    {pattern: /^\s*(?:stop|quit|exit|finish(?:ed)?)\s+cooking\s*[.!]?\s*$/i, handler: 'handleStopCookingMessage', cooking: true},
+    {pattern: /^\s*rate\b(.*)$/i, handler: 'handleRateMessage'},
+    {pattern: /^\s*(?:i'?m|i am)\s+(not\s+|no longer\s+)?(?:a\s+|an\s+)?((?:lacto[- ]|ovo[- ])?vegetarian|vegan|pesc[ae]tarian|keto|ketogenic|paleo|primal|whole30|gluten[- ]free)\b/i, handler: 'handleDietMessage'},
+    {pattern: /^\s*(?:i'?m|i am)\s+(not\s+|no longer\s+)?(?:allergic|intolerant)\s+to\s+(.+)$/i, handler: 'handleIntoleranceMessage'},
+    {pattern: /^\s*i\s+(?:can'?t|cannot|don'?t)\s+eat\s+()(.+)$/i, handler: 'handleIntoleranceMessage'},
+    {pattern: /^\s*(?:show|what(?:'s|\s+is))\s+my\s+(?:diet|dietary profile|profile)\b/i, handler: 'handleShowProfileMessage'},
+    {pattern: /^\s*(?:clear|reset)\s+my\s+(?:diet|dietary profile|profile)\b/i, handler: 'handleClearProfileMessage'},
+    {pattern: /^\s*(?:show\s+)?more(?:\s+(?:results|recipes))?\s*[.!]?\s*$/i, handler: 'handleMoreMessage'},
+    {pattern: /^\s*save(?:\s+(?:it|this|that))?(?:\s+recipe)?\s*[.!]?\s*$/i, handler: 'handleSaveMessage'},
+    {pattern: /^\s*add\s+(?:it|this|that)(?:\s+recipe)?\s+to\s+(?:my\s+)?(?:shopping\s+)?list\s*[.!]?\s*$/i, handler: 'handleAddToListMessage'},
+    {pattern: /^\s*(?:(?:show|view)(?:\s+me)?|what'?s\s+on|what\s+is\s+on)\s+my\s+(?:shopping\s+)?list\s*[.!?]?\s*$/i, handler: 'handleShowListMessage'},
+    {pattern: /^\s*(?:clear|empty|reset)\s+my\s+(?:shopping\s+)?list\s*[.!]?\s*$/i, handler: 'handleClearListMessage'},
+    {pattern: /^\s*export\s+my\s+(?:shopping\s+)?list(?:\s+as\s+(markdown|md|text|plain\s+text))?\s*[.!]?\s*$/i, handler: 'handleExportListMessage'},
+    {pattern: /^\s*(?:put|plan|add|schedule)\s+(?:it|this|that)(?:\s+recipe)?\s+(?:on|for)\s+(.+?)\s*[.!]?\s*$/i, handler: 'handlePlanMessage'},
+    {pattern: /^\s*(?:(?:show|view)(?:\s+me)?|what'?s|what\s+is)\s+my\s+(?:meal\s+)?plan(?:\s+(?:for\s+)?this\s+week)?\s*[.!?]?\s*$/i, handler: 'handleShowPlanMessage'},
+    {pattern: /^\s*(?:remove|delete|cancel)\s+(.+?)\s+from\s+my\s+(?:meal\s+)?plan\s*[.!]?\s*$/i, handler: 'handleRemovePlanMessage'},
+    {pattern: /^\s*(?:clear|empty|reset)\s+my\s+(?:meal\s+)?plan\s*[.!]?\s*$/i, handler: 'handleClearPlanMessage'},
+    {pattern: /^\s*swap\s+(.+?)(?:\s+(?:and|with)\s+(.+?))?\s*[.!]?\s*$/i, handler: 'handleSwapPlanMessage'},
+    {pattern: /^\s*(?:fill(?:\s+in)?|plan)\s+(?:(?:the\s+)?empty\s+(?:slots|days|meals)|my\s+(?:meal\s+)?plan|my\s+week|(?:the\s+)?rest\s+of\s+(?:my|the)\s+week)\s*[.!]?\s*$/i, handler: 'handleFillPlanMessage'},
+    {pattern: /^\s*i(?:\s+already\s+have|'ve\s+already\s+got|\s+have\s+already\s+got)\s+(.+)$/i, handler: 'handlePantryMessage'},
+    {pattern: /^\s*(?:what\s+(?:can|could|should)\s+i\s+(?:use|substitute)\s+(?:instead\s+of|for)|(?:what(?:'s|\s+is)\s+)?(?:a\s+|the\s+)?(?:good\s+)?substitut(?:e|ion)s?\s+for|i\s+(?:don'?t|do\s+not)\s+have(?:\s+any)?)\s+(?:the\s+|some\s+|any\s+)?(.+?)(?:\s+in\s+(?:it|this|that)(?:\s+recipe)?)?\s*[.!?]?\s*$/i, handler: 'handleSubstituteMessage'},
+    {pattern: /^\s*(?:i'?ll\s+)?(?:use|try)\s+(?:the\s+)?(first|second|third|1st|2nd|3rd|\d)(?:\s+one)?\s*[.!]?\s*$/i, handler: 'handleUseSubstituteMessage', substituting: true},
+    {pattern: /^\s*(?:how\s+(?:many|much)\s+(calories|kcal|protein|saturated\s+fat|fat|carbs|carbohydrates|sugar|fiber|fibre|sodium|salt|cholesterol)\b.*|(?:show\s+(?:me\s+)?|what(?:'s|\s+is)\s+)?(?:the\s+)?nutrition(?:al)?(?:\s+(?:info|information|facts))?(?:\s+for\s+(?:it|this|that))?\s*[.!?]?\s*)$/i, handler: 'handleNutritionMessage'},
+    {pattern: /^\s*(?:show\s+me\s+|only\s+|just\s+)?(?:the\s+)?((?:high|low)[- ]\w+|(?:under|below|less\s+than|at\s+most|no\s+more\s+than|over|above|more\s+than|at\s+least)\s+\d+.*?)(?:\s+(?:ones|recipes|options))?\s*[.!?]?\s*$/i, handler: 'handleNutrientLimitsMessage', searching: true}
+];
+
+// Buttons the user can click in replies with blocks (see getRecipeListReply and getRecipeReply).
+// The handler is called with the user's state and the value of the button.
+const ACTIONS = {
+    'select_recipe': 'handleSelectAction',
+    'more_results': 'handleMoreMessage',
+    'save_recipe': 'handleSaveMessage',
+    'start_over': 'handleStartOverAction',
+    'start_cooking': 'handleCookMessage',
+    'next_step': 'handleNextStepMessage',
+    'previous_step': 'handlePreviousStepMessage',
+    'repeat_step': 'handleRepeatStepMessage',
+    'stop_cooking': 'handleStopCookingMessage',
+    'add_to_list': 'handleAddToListMessage',
+    'use_substitute': 'handleUseSubstituteAction'
+};
 
 class SousChef {
 
-    constructor(recipeStore, slackToken, recipeClientApiKey, conversationUsername, conversationPassword, conversationWorkspaceId, snsClient) {
-        this.userStateMap = {};
+    /**
+     * Creates a new instance of SousChef.
+     * @param {Object} recipeStore - The store used to cache recipes and record user history (i.e. JanusGraphRecipeStore)
+     * @param {Object} chatAdapter - The adapter used to receive messages and send replies (i.e. SlackAdapter)
+     * @param {String} recipeClientApiKey - The Spoonacular API key, used if options.recipeProvider is not set
+     * @param {String} conversationUsername - The Watson Conversation username
+     * @param {String} conversationPassword - The Watson Conversation password
+     * @param {String} conversationWorkspaceId - The Watson Conversation workspace ID
+     * @param {Object} snsClient - The SnsClient to post notifications to
+     * @param {Object} options - Optional settings (cacheTtl - the number of milliseconds after which cached Spoonacular results are refreshed in the background, 0 to never refresh, sessionStore - where each user's conversation state is kept, defaults to an InMemorySessionStore, conversationEngine - watson to use Watson Conversation and fall back to the local dialog when it fails, or local to always use the local dialog, defaults to watson, conversationTimeout - the number of milliseconds to wait for Watson Conversation before falling back, workspace - the workspace the local dialog runs, defaults to workspace.json, pageSize - the number of recipes listed at a time, defaults to 5, showCalories - true to show the calories per serving in recipe lists and instructions, recipeProvider - where recipes are searched for and fetched from (a RecipeClient, LocalRecipeProvider or ChainedRecipeProvider), defaults to a RecipeClient for Spoonacular, recipeClient - settings for the default RecipeClient, i.e. timeout and maxRetries)
+     */
+    constructor(recipeStore, chatAdapter, recipeClientApiKey, conversationUsername, conversationPassword, conversationWorkspaceId, snsClient, options) {
+        options = options || {};
+        this.sessionStore = options.sessionStore || new InMemorySessionStore();
+        this.sessionQueues = {};
         this.recipeStore = recipeStore;
-        this.recipeClient = new RecipeClient(recipeClientApiKey);
-        this.slackToken = slackToken;
-        this.conversationService = new ConversationV1({
-            username: conversationUsername,
-            password: conversationPassword,
-            version_date: '2016-07-01'
-        });
+        this.recipeProvider = options.recipeProvider || new RecipeClient(recipeClientApiKey, options.recipeClient);
+        this.chatAdapter = chatAdapter;
+        this.conversationService = null;
+        if (options.conversationEngine != 'local' && conversationUsername && conversationPassword && conversationWorkspaceId) {
+            this.conversationService = new ConversationV1({
+                username: conversationUsername,
+                password: conversationPassword,
+                version_date: '2016-07-01'
+            });
+        }
+        else if (options.conversationEngine != 'local') {
+            console.log('Watson Conversation is not configured. Using the local dialog.');
+        }
         this.conversationWorkspaceId = conversationWorkspaceId;
+        this.conversationTimeout = options.conversationTimeout || DEFAULT_CONVERSATION_TIMEOUT;
+        this.localConversation = new LocalConversation(options.workspace || require('./workspace.json'));
         this.snsClient = snsClient;
+        this.cacheTtl = (options.cacheTtl === undefined ? DEFAULT_CACHE_TTL : options.cacheTtl);
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.showCalories = !!options.showCalories;
+        this.refreshing = {};
+    }
+
+    /**
+     * Gets the metrics to monitor the bot with (i.e. how many Spoonacular requests failed and how much quota is left).
+     * @returns {Object}
+     */
+    getMetrics() {
+        return {recipeProvider: (this.recipeProvider.getMetrics ? this.recipeProvider.getMetrics() : {})};
     }
 
     run() {
         this.recipeStore.init()
             .then(() => {
-                this.slackBot = new SlackBot({
-                    token: this.slackToken,
-                    name: 'souschef'
-                });
-                this.slackBot.on('start', () => {
-                    console.log('sous-chef is connected and running!');
-                });
-                this.slackBot.on('message', (data) => {
-                    if (data.type == 'message' && data.channel.startsWith('D')) {
-                        if (!data.bot_id) {
-                            this.processMessage(data);
-                        }
-                        else {
-                            // ignore messages from the bot (messages we sent)
-                        }
-                    }
+                return this.chatAdapter.start((message) => {
+                    this.processMessage(message);
                 });
             })
             .catch((error) => {
@@ -49,34 +153,145 @@ class SousChef {
             });
     }
 
-    processMessage(data) {
-        // get or create state for the user
+    /**
+     * Handles a message received by the chat adapter and sends the reply through it.
+     * @param message - The message ({userId, channelId, threadId, text}), or a button click ({userId, channelId, threadId, text, action}) - threadId is only set for messages in a channel thread, adapters may add their own fields to reply with
+     * @returns {Promise.<TResult>}
+     */
+    processMessage(message) {
+        // handle each session's messages one at a time, so a message never loads a session an earlier message is still changing
+        const sessionKey = this.getSessionKey(message);
+        const previous = this.sessionQueues[sessionKey] || Promise.resolve();
+        const current = previous.then(() => {
+            return this.handleMessage(message, sessionKey);
+        });
+        this.sessionQueues[sessionKey] = current;
+        return current.then(() => {
+            if (this.sessionQueues[sessionKey] === current) {
+                delete this.sessionQueues[sessionKey];
+            }
+        });
+    }
+
+    /**
+     * Gets the key the conversation state for the message is kept under.
+     * Direct messages are keyed by user. Messages in a channel thread are keyed by channel, thread and user, so people
+     * talking to the bot in the same channel each have their own conversation.
+     * @param message - The message
+     * @returns {String}
+     */
+    getSessionKey(message) {
+        if (message.threadId) {
+            return `${message.channelId}:${message.threadId}:${message.userId}`;
+        }
+        return message.userId;
+    }
+
+    handleMessage(data, sessionKey) {
         let message = data.text;
-        let messageSender = data.user;
-        let state = this.userStateMap[messageSender];
-        if (!state) {
-            state = {
-                userId: messageSender
-            };
-            this.userStateMap[messageSender] = state;
+        let messageSender = data.userId;
+        let state;
+        return this.sessionStore.get(sessionKey)
+            .then((savedState) => {
+                // get or create state for the user
+                state = savedState || {userId: messageSender};
+                return this.reloadUser(state);
+            })
+            .then(() => {
+                if (data.action) {
+                    return this.handleAction(state, data.action);
+                }
+                let command = this.findCommand(message, state);
+                if (command) {
+                    return this[command.handler](state, command.match);
+                }
+                else {
+                    return this.sendMessageToConversation(state, message);
+                }
+            })
+            .then((reply) => {
+                return this.chatAdapter.sendReply(data, reply);
+            })
+            .catch((err) => {
+                console.log(`Error: ${err}`);
+                if (state) {
+                    this.clearUserState(state);
+                }
+                return this.chatAdapter.sendReply(data, this.getErrorReply(err));
+            })
+            .then(() => {
+                return (state ? this.saveUserState(sessionKey, state) : Promise.resolve());
+            })
+            .catch((err) => {
+                console.log(`Error saving session ${sessionKey} for ${messageSender}: ${err}`);
+            });
+    }
+
+    saveUserState(sessionKey, state) {
+        let session = Object.assign({}, state);
+        delete session.profile;
+        return this.sessionStore.set(sessionKey, session);
+    }
+
+    findCommand(message, state) {
+        for (let command of COMMANDS) {
+            if (command.cooking && !state.cooking) {
+                continue;
+            }
+            if (command.searching && !(state.recipeCursor && state.recipeCursor.query)) {
+                continue;
+            }
+            if (command.substituting && !state.substitution) {
+                continue;
+            }
+            let match = command.pattern.exec(message);
+            if (match) {
+                return {handler: command.handler, match: match};
+            }
         }
+        return null;
+    }
+
+    handleAction(state, action) {
+        const handler = ACTIONS[action.id];
+        if (!handler) {
+            return Promise.reject(new Error(`Unknown action '${action.id}'.`));
+        }
+        return this[handler](state, action.value);
+    }
+
+    sendMessageToConversation(state, message) {
         // make call to conversation service
         let request = {
-            input: {text: data.text},
+            input: {text: message},
             context: state.conversationContext,
             workspace_id: this.conversationWorkspaceId,
         };
-        this.sendRequestToConversation(request)
+        return this.sendRequestToConversation(request)
             .then((response) => {
                 state.conversationContext = response.context;
                 if (state.conversationContext['is_favorites']) {
                     return this.handleFavoritesMessage(state);
                 }
+                else if (state.conversationContext['is_suggestions']) {
+                    return this.handleSuggestionsMessage(state);
+                }
                 else if (state.conversationContext['is_ingredients']) {
-                    return this.handleIngredientsMessage(state, message);
+                    const search = DietaryProfile.parseNutrientLimits(message);
+                    const query = SearchQuery.parse(search.text);
+                    if (query.isCombined()) {
+                        return this.handleSearchMessage(state, query, search.limits);
+                    }
+                    // a message with nothing but limits (i.e. "low fat") is searched for as it is
+                    return (search.text ? this.handleIngredientsMessage(state, search.text, search.limits) : this.handleIngredientsMessage(state, message));
                 }
                 else if (response.entities && response.entities.length > 0 && response.entities[0].entity == 'cuisine') {
-                    return this.handleCuisineMessage(state, response.entities[0].value);
+                    const search = DietaryProfile.parseNutrientLimits(message);
+                    const query = SearchQuery.parse(search.text);
+                    if (query.isCombined()) {
+                        return this.handleSearchMessage(state, query, search.limits);
+                    }
+                    return this.handleCuisineMessage(state, response.entities[0].value, search.limits);
                 }
                 else if (state.conversationContext['is_selection']) {
                     return this.handleSelectionMessage(state);
@@ -84,21 +299,40 @@ class SousChef {
                 else {
                     return this.handleStartMessage(state, response);
                 }
-            })
-            .then((reply) => {
-                this.slackBot.postMessage(data.channel, reply, {});
-            })
-            .catch((err) => {
-                console.log(`Error: ${err}`);
-                this.clearUserState(state);
-                const reply = "Sorry, something went wrong! Say anything to me to start over...";
-                this.slackBot.postMessage(data.channel, reply, {});
             });
     }
 
+    /**
+     * Sends the request to Watson Conversation, or to the local dialog if Watson is not used or the call fails or times out.
+     * Both keep the dialog stack in the context, so the next message can go to Watson again.
+     * @param request - The request ({input, context, workspace_id})
+     * @returns {Promise.<TResult>} - The response
+     */
     sendRequestToConversation(request) {
+        if (!this.conversationService) {
+            return this.sendRequestToService(this.localConversation, request);
+        }
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error(`No response after ${this.conversationTimeout}ms`));
+            }, this.conversationTimeout);
+        });
+        return Promise.race([this.sendRequestToService(this.conversationService, request), timeout])
+            .then((response) => {
+                clearTimeout(timer);
+                return Promise.resolve(response);
+            })
+            .catch((error) => {
+                clearTimeout(timer);
+                console.log(`Error calling Watson Conversation: ${error}. Using the local dialog.`);
+                return this.sendRequestToService(this.localConversation, request);
+            });
+    }
+
+    sendRequestToService(conversationService, request) {
         return new Promise((resolve, reject) => {
-            this.conversationService.message(request, (error, response) => {
+            conversationService.message(request, (error, response) => {
                 if (error) {
                     reject(error);
                 }
@@ -114,18 +348,104 @@ class SousChef {
         for (let i = 0; i < response.output['text'].length; i++) {
             reply += response.output['text'][i] + '\n';
         }
-        if (state.user) {
-            this.sendStartMessageToSns(state);
-            return Promise.resolve(reply);
+        if (state.cooking && !state.conversationStarted) {
+            reply += `\nYou were cooking *${state.cooking.title}*. Say "resume" to carry on from step ${state.cooking.step + 1}.\n`;
         }
-        else {
-            return this.recipeStore.addUser(state.userId)
-                .then((user) => {
+        return this.getUser(state)
+            .then(() => {
+                this.sendStartMessageToSns(state);
+                return Promise.resolve(reply);
+            });
+    }
+
+    /**
+     * Reloads the user vertex saved with the session, so a diet or intolerance changed in another session (i.e. in a DM
+     * while this session is a channel thread) or by another bot process is used from the next message on.
+     * The profile is not saved with the session, it is always rebuilt from the reloaded vertex.
+     * @param state - The conversation state
+     * @returns {Promise.<TResult>}
+     */
+    reloadUser(state) {
+        if (!state.user) {
+            return Promise.resolve(null);
+        }
+        return this.recipeStore.findUser(state.userId)
+            .then((user) => {
+                if (user) {
                     state.user = user;
-                    this.sendStartMessageToSns(state);
-                    return Promise.resolve(reply);
-                });
+                }
+                state.profile = DietaryProfile.fromVertex(state.user);
+                return Promise.resolve(state.user);
+            });
+    }
+
+    getUser(state) {
+        if (state.user) {
+            return Promise.resolve(state.user);
+        }
+        return this.recipeStore.addUser(state.userId)
+            .then((user) => {
+                state.user = user;
+                state.profile = DietaryProfile.fromVertex(user);
+                return Promise.resolve(user);
+            });
+    }
+
+    // Dietary profile
+
+    handleDietMessage(state, match) {
+        const clear = !!match[1];
+        const diet = DietaryProfile.findDiet(match[2]);
+        return this.getUser(state)
+            .then(() => {
+                if (clear && state.profile.diet != diet) {
+                    return Promise.resolve(`I didn't have you down as ${diet}. ${state.profile.describe()}`);
+                }
+                return this.updateDietaryProfile(state, new DietaryProfile(clear ? null : diet, state.profile.intolerances));
+            });
+    }
+
+    handleIntoleranceMessage(state, match) {
+        const remove = !!match[1];
+        const intolerances = DietaryProfile.findIntolerances(match[2]);
+        if (intolerances.length == 0) {
+            const supported = DietaryProfile.getSupportedIntolerances().join(', ');
+            return Promise.resolve(`Sorry, I can only filter out recipes with ${supported}.`);
         }
+        return this.getUser(state)
+            .then(() => {
+                let updated = state.profile.intolerances.filter((intolerance) => intolerances.indexOf(intolerance) < 0);
+                if (!remove) {
+                    updated = updated.concat(intolerances);
+                }
+                return this.updateDietaryProfile(state, new DietaryProfile(state.profile.diet, updated));
+            });
+    }
+
+    handleShowProfileMessage(state) {
+        return this.getUser(state)
+            .then(() => {
+                return Promise.resolve(state.profile.describe());
+            });
+    }
+
+    handleClearProfileMessage(state) {
+        return this.getUser(state)
+            .then(() => {
+                return this.updateDietaryProfile(state, new DietaryProfile(null, []));
+            });
+    }
+
+    updateDietaryProfile(state, profile) {
+        return this.recipeStore.updateDietaryProfile(state.user, profile)
+            .then((user) => {
+                state.user = user;
+                state.profile = profile;
+                if (profile.isEmpty()) {
+                    return Promise.resolve('Got it! I\'ll show you recipes for any diet.');
+                }
+                return Promise.resolve(`Got it! ${profile.describe()} I'll only show you recipes that fit.`);
+            });
     }
 
     sendStartMessageToSns(state) {
@@ -136,30 +456,82 @@ class SousChef {
     }
 
     handleFavoritesMessage(state) {
-        return this.recipeStore.findFavoriteRecipesForUser(state.user, MAX_RECIPES)
+        return this.recipeStore.findFavoriteRecipesForUser(state.user, this.pageSize)
             .then((recipes) => {
+                this.setFavoriteReasons(recipes);
                 // update state
                 state.conversationContext['recipes'] = recipes;
                 state.ingredientCuisine = null;
+                state.recipeCursor = {type: 'favorites'};
                 // post to sns and return response
                 this.snsClient.postFavoritesMessage(state);
-                const response = this.getRecipeListResponse(recipes);
+                const response = this.getRecipeListReply(recipes, true, 0);
+                return Promise.resolve(response);
+            });
+    }
+
+    handleSuggestionsMessage(state) {
+        return this.recipeStore.findSuggestedRecipesForUser(state.user, this.pageSize, state.profile)
+            .then((recipes) => {
+                this.setSuggestionReasons(recipes);
+                // update state
+                state.conversationContext['recipes'] = recipes;
+                state.ingredientCuisine = null;
+                state.recipeCursor = {type: 'suggestions'};
+                // post to sns and return response
+                this.snsClient.postSuggestionsMessage(state);
+                const response = this.getRecipeListReply(recipes, true, 0);
                 return Promise.resolve(response);
             });
     }
 
-    handleIngredientsMessage(state, message) {
+    setFavoriteReasons(recipes) {
+        for (let recipe of recipes) {
+            if (recipe.saved) {
+                recipe.reason = (recipe.rating ? `saved, you rated this ${recipe.rating}/5` : 'saved');
+            }
+            else if (recipe.rating) {
+                recipe.reason = `you rated this ${recipe.rating}/5`;
+            }
+        }
+    }
+
+    setSuggestionReasons(recipes) {
+        for (let recipe of recipes) {
+            if (recipe.sharedRecipeTitle) {
+                recipe.reason = `people who cooked ${recipe.sharedRecipeTitle} also cooked this`;
+            }
+            else {
+                recipe.reason = 'popular with other users';
+            }
+        }
+    }
+
+    /**
+     * Lists recipes that use the ingredients, from the cache if they have been searched for before.
+     * @param state - The user's state
+     * @param message - The ingredient or comma-separated list of ingredients
+     * @param nutrientLimits - Optional nutrient limits ({maxCalories, minProtein, maxCarbs, maxFat}) for this search
+     * @returns {Promise.<TResult>}
+     */
+    handleIngredientsMessage(state, message, nutrientLimits) {
         // we want to get a list of recipes based on the ingredients (message)
         // first we see if we already have the ingredients in our datastore
         let ingredientsStr = message;
-        return this.recipeStore.findIngredient(ingredientsStr)
+        const profile = this.getSearchProfile(state, nutrientLimits);
+        return this.recipeStore.findIngredient(ingredientsStr, profile)
             .then((ingredient) => {
-                if (ingredient) {
+                if (ingredient && ingredient.properties.detail) {
                     console.log(`Ingredient exists for ${ingredientsStr}. Returning recipes from datastore.`);
+                    if (this.isCacheStale(ingredient)) {
+                        this.refreshIngredientInBackground(ingredient, ingredientsStr, profile);
+                    }
                     // get recipes from datastore
                     let matchingRecipes = [];
                     // get recommended recipes first
-                    return this.recipeStore.findRecommendedRecipesForIngredient(ingredientsStr, state.user, MAX_RECIPES)
+                    // the number of cached results listed so far, where "more" carries on from
+                    let offset = 0;
+                    return this.recipeStore.findRecommendedRecipesForIngredient(ingredientsStr, state.user, this.pageSize, profile)
                         .then((recommendedRecipes) => {
                             let recipeIds = [];
                             for (let recipe of recommendedRecipes) {
@@ -167,14 +539,15 @@ class SousChef {
                                 recipeIds.push(recipe.id);
                                 matchingRecipes.push(recipe);
                             }
-                            if (matchingRecipes.length < MAX_RECIPES) {
+                            if (matchingRecipes.length < this.pageSize) {
                                 let recipes = JSON.parse(ingredient.properties.detail[0].value);
                                 for (let recipe of recipes) {
+                                    offset++;
                                     let recipe_id = recipe.id + '';
                                     if (recipeIds.indexOf(recipe_id) < 0) {
                                         recipeIds.push(recipe_id);
                                         matchingRecipes.push(recipe);
-                                        if (matchingRecipes.length >= MAX_RECIPES) {
+                                        if (matchingRecipes.length >= this.pageSize) {
                                             break;
                                         }
                                     }
@@ -183,47 +556,80 @@ class SousChef {
                             return this.recipeStore.recordIngredientRequestForUser(ingredient, state.user)
                         })
                         .then(() => {
-                            return Promise.resolve({ingredient: ingredient, recipes: matchingRecipes});
+                            return Promise.resolve({ingredient: ingredient, recipes: matchingRecipes, offset: offset});
                         });
                 }
                 else {
                     // we don't have the ingredients in our datastore yet, so get list of recipes from Spoonacular
-                    console.log(`Ingredient does not exist for ${ingredientsStr}. Querying Spoonacular for recipes.`);
-                    return this.recipeClient.findByIngredients(ingredientsStr)
+                    console.log(`Ingredient does not exist for ${ingredientsStr}. Querying the recipe provider for recipes.`);
+                    return this.recipeProvider.findByIngredients(ingredientsStr, profile, 0, this.pageSize)
                         .then((matchingRecipes) => {
+                            if (matchingRecipes.length == 0) {
+                                // nothing to cache - the next search asks the recipe provider again
+                                return Promise.resolve(null);
+                            }
+                            if (ingredient) {
+                                // the cached results were purged, so store the new results on the existing ingredient
+                                return this.recipeStore.updateIngredientDetail(ingredient, matchingRecipes)
+                                    .then((ingredient) => {
+                                        return this.recipeStore.recordIngredientRequestForUser(ingredient, state.user)
+                                            .then(() => {
+                                                return Promise.resolve(ingredient);
+                                            });
+                                    });
+                            }
                             // add ingredient to datastore
-                            return this.recipeStore.addIngredient(ingredientsStr, matchingRecipes, state.user)
+                            return this.recipeStore.addIngredient(ingredientsStr, matchingRecipes, state.user, profile)
                         })
                         .then((ingredient) => {
-                            return Promise.resolve({ingredient: ingredient, recipes: JSON.parse(ingredient.properties.detail[0].value)});
+                            let recipes = (ingredient ? JSON.parse(ingredient.properties.detail[0].value) : []);
+                            return Promise.resolve({ingredient: ingredient, recipes: recipes, offset: recipes.length});
                         });
                 }
             })
             .then((result) => {
                 let ingredient = result.ingredient;
                 let matchingRecipes = result.recipes;
+                if (matchingRecipes.length == 0) {
+                    this.clearUserState(state);
+                    return Promise.resolve(this.getNoRecipesReply(`recipes with ${SearchQuery.joinNames(this.recipeStore.getUniqueIngredientNames(ingredientsStr))}`, profile));
+                }
                 // update state
                 state.conversationContext['recipes'] = matchingRecipes;
                 state.ingredientCuisine = ingredient;
+                state.recipeCursor = {type: 'ingredient', query: ingredientsStr, name: ingredient.properties.name[0].value, offset: result.offset, diet: profile.diet, intolerances: profile.intolerances, nutrientLimits: profile.nutrientLimits};
                 // post to sns and return response
                 this.snsClient.postIngredientMessage(state, ingredientsStr);
-                const response = this.getRecipeListResponse(matchingRecipes);
+                const response = this.getRecipeListReply(matchingRecipes, true, 0);
                 return Promise.resolve(response);
             });
     }
 
-    handleCuisineMessage(state, message) {
+    /**
+     * Lists recipes for the cuisine, from the cache if it has been searched for before.
+     * @param state - The user's state
+     * @param message - The cuisine
+     * @param nutrientLimits - Optional nutrient limits ({maxCalories, minProtein, maxCarbs, maxFat}) for this search
+     * @returns {Promise.<TResult>}
+     */
+    handleCuisineMessage(state, message, nutrientLimits) {
         // we want to get a list of recipes based on the cuisine (message)
         // first we see if we already have the cuisines in our datastore
         let cuisineStr = message;
-        return this.recipeStore.findCuisine(cuisineStr)
+        const profile = this.getSearchProfile(state, nutrientLimits);
+        return this.recipeStore.findCuisine(cuisineStr, profile)
             .then((cuisine) => {
-                if (cuisine) {
+                if (cuisine && cuisine.properties.detail) {
                     console.log(`Cuisine exists for ${cuisineStr}. Returning recipes from datastore.`);
+                    if (this.isCacheStale(cuisine)) {
+                        this.refreshCuisineInBackground(cuisine, cuisineStr, profile);
+                    }
                     // get recipes from datastore
                     let matchingRecipes = [];
                     // get recommended recipes first
-                    return this.recipeStore.findRecommendedRecipesForCuisine(cuisineStr, state.user, MAX_RECIPES)
+                    // the number of cached results listed so far, where "more" carries on from
+                    let offset = 0;
+                    return this.recipeStore.findRecommendedRecipesForCuisine(cuisineStr, state.user, this.pageSize, profile)
                         .then((recommendedRecipes) => {
                             let recipeIds = [];
                             for (let recipe of recommendedRecipes) {
@@ -231,14 +637,15 @@ class SousChef {
                                 recipeIds.push(recipe.id);
                                 matchingRecipes.push(recipe);
                             }
-                            if (matchingRecipes.length < MAX_RECIPES) {
+                            if (matchingRecipes.length < this.pageSize) {
                                 let recipes = JSON.parse(cuisine.properties.detail[0].value);
                                 for (let recipe of recipes) {
+                                    offset++;
                                     let recipe_id = recipe.id + '';
                                     if (recipeIds.indexOf(recipe_id) < 0) {
                                         recipeIds.push(recipe_id);
                                         matchingRecipes.push(recipe);
-                                        if (matchingRecipes.length >= MAX_RECIPES) {
+                                        if (matchingRecipes.length >= this.pageSize) {
                                             break;
                                         }
                                     }
@@ -247,69 +654,188 @@ class SousChef {
                             return this.recipeStore.recordCuisineRequestForUser(cuisine, state.user)
                         })
                         .then(() => {
-                            return Promise.resolve({cuisine: cuisine, recipes: matchingRecipes});
+                            return Promise.resolve({cuisine: cuisine, recipes: matchingRecipes, offset: offset});
                         });
                 }
                 else {
                     // we don't have the cuisine in our datastore yet, so get list of recipes from Spoonacular
-                    console.log(`Cuisine does not exist for ${cuisineStr}. Querying Spoonacular for recipes.`);
-                    return this.recipeClient.findByCuisine(cuisineStr)
+                    console.log(`Cuisine does not exist for ${cuisineStr}. Querying the recipe provider for recipes.`);
+                    return this.recipeProvider.findByCuisine(cuisineStr, profile, 0, this.pageSize)
                         .then((matchingRecipes) => {
+                            if (matchingRecipes.length == 0) {
+                                // nothing to cache - the next search asks the recipe provider again
+                                return Promise.resolve(null);
+                            }
+                            if (cuisine) {
+                                // the cached results were purged, so store the new results on the existing cuisine
+                                return this.recipeStore.updateCuisineDetail(cuisine, matchingRecipes)
+                                    .then((cuisine) => {
+                                        return this.recipeStore.recordCuisineRequestForUser(cuisine, state.user)
+                                            .then(() => {
+                                                return Promise.resolve(cuisine);
+                                            });
+                                    });
+                            }
                             // add cuisine to datastore
-                            return this.recipeStore.addCuisine(cuisineStr, matchingRecipes, state.user)
+                            return this.recipeStore.addCuisine(cuisineStr, matchingRecipes, state.user, profile)
                         })
                         .then((cuisine) => {
-                            return Promise.resolve({cuisine: cuisine, recipes: JSON.parse(cuisine.properties.detail[0].value)});
+                            let recipes = (cuisine ? JSON.parse(cuisine.properties.detail[0].value) : []);
+                            return Promise.resolve({cuisine: cuisine, recipes: recipes, offset: recipes.length});
                         });
                 }
             })
             .then((result) => {
                 let cuisine = result.cuisine;
                 let matchingRecipes = result.recipes;
+                if (matchingRecipes.length == 0) {
+                    this.clearUserState(state);
+                    return Promise.resolve(this.getNoRecipesReply(`${cuisineStr.trim()} recipes`, profile));
+                }
                 // update state
                 state.conversationContext['recipes'] = matchingRecipes;
                 state.ingredientCuisine = cuisine;
+                state.recipeCursor = {type: 'cuisine', query: cuisineStr, name: cuisine.properties.name[0].value, offset: result.offset, diet: profile.diet, intolerances: profile.intolerances, nutrientLimits: profile.nutrientLimits};
                 // post to sns and return response
                 this.snsClient.postCuisineMessage(state, cuisineStr);
-                const response = this.getRecipeListResponse(matchingRecipes);
+                const response = this.getRecipeListReply(matchingRecipes, true, 0);
                 return Promise.resolve(response);
             });
     }
 
+    /**
+     * Lists recipes for a search with more than one kind of criteria (i.e. "quick italian dinner with chicken under 30
+     * minutes"), from the cache if a search with the same criteria has been made before.
+     * @param state - The user's state
+     * @param query - The SearchQuery
+     * @param nutrientLimits - Optional nutrient limits ({maxCalories, minProtein, maxCarbs, maxFat}) for this search
+     * @returns {Promise.<TResult>}
+     */
+    handleSearchMessage(state, query, nutrientLimits) {
+        const profile = this.getSearchProfile(state, nutrientLimits);
+        const searchKey = query.getKey();
+        return this.recipeStore.findSearch(query, profile)
+            .then((search) => {
+                if (search && search.properties.detail) {
+                    console.log(`Search exists for ${searchKey}. Returning recipes from datastore.`);
+                    if (this.isCacheStale(search)) {
+                        this.refreshSearchInBackground(search, query, profile);
+                    }
+                    const recipes = JSON.parse(search.properties.detail[0].value).slice(0, this.pageSize);
+                    return this.recipeStore.recordSearchRequestForUser(search, state.user)
+                        .then(() => {
+                            return Promise.resolve({search: search, recipes: recipes});
+                        });
+                }
+                else {
+                    console.log(`Search does not exist for ${searchKey}. Querying the recipe provider for recipes.`);
+                    return this.recipeProvider.findByQuery(query, profile, 0, this.pageSize)
+                        .then((matchingRecipes) => {
+                            if (matchingRecipes.length == 0) {
+                                // nothing to cache - the next search asks the recipe provider again
+                                return Promise.resolve(null);
+                            }
+                            if (search) {
+                                // the cached results were purged, so store the new results on the existing search
+                                return this.recipeStore.updateSearchDetail(search, matchingRecipes)
+                                    .then((search) => {
+                                        return this.recipeStore.recordSearchRequestForUser(search, state.user)
+                                            .then(() => {
+                                                return Promise.resolve(search);
+                                            });
+                                    });
+                            }
+                            return this.recipeStore.addSearch(query, matchingRecipes, state.user, profile);
+                        })
+                        .then((search) => {
+                            return Promise.resolve({search: search, recipes: (search ? JSON.parse(search.properties.detail[0].value) : [])});
+                        });
+                }
+            })
+            .then((result) => {
+                if (result.recipes.length == 0) {
+                    this.clearUserState(state);
+                    return Promise.resolve(this.getNoRecipesReply(query.describe(), profile));
+                }
+                // update state
+                state.conversationContext['recipes'] = result.recipes;
+                state.ingredientCuisine = result.search;
+                state.recipeCursor = {type: 'search', query: searchKey, name: result.search.properties.name[0].value, criteria: query.getCriteria(), offset: result.recipes.length, diet: profile.diet, intolerances: profile.intolerances, nutrientLimits: profile.nutrientLimits};
+                // post to sns and return response
+                this.snsClient.postSearchMessage(state, query.describe());
+                return Promise.resolve(this.getRecipeListReply(result.recipes, true, 0, `Let's see here...\nI've found these ${query.describe()}:`));
+            });
+    }
+
+    /**
+     * Gets the profile to search with: the user's dietary profile plus any nutrient limits for the search.
+     * @param state - The user's state
+     * @param nutrientLimits - Optional nutrient limits ({maxCalories, minProtein, maxCarbs, maxFat})
+     * @returns {DietaryProfile}
+     */
+    getSearchProfile(state, nutrientLimits) {
+        return (state.profile || new DietaryProfile(null, [])).withNutrientLimits(nutrientLimits || {});
+    }
+
+    /**
+     * Runs the user's last ingredient, cuisine or combined search again with more nutrient limits (i.e. "show me high protein ones").
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, the limits are in match[1]
+     * @returns {Promise.<TResult>}
+     */
+    handleNutrientLimitsMessage(state, match) {
+        const limits = DietaryProfile.parseNutrientLimits(match[1]).limits;
+        if (Object.keys(limits).length == 0) {
+            return Promise.resolve('Sorry, I can only narrow recipes down by calories, protein, carbs and fat (i.e. "under 500 calories", "high protein" or "low carb").');
+        }
+        const cursor = state.recipeCursor;
+        const nutrientLimits = Object.assign({}, cursor.nutrientLimits, limits);
+        if (cursor.type == 'ingredient') {
+            return this.handleIngredientsMessage(state, cursor.query, nutrientLimits);
+        }
+        else if (cursor.type == 'search') {
+            return this.handleSearchMessage(state, new SearchQuery(cursor.criteria), nutrientLimits);
+        }
+        return this.handleCuisineMessage(state, cursor.query, nutrientLimits);
+    }
+
     handleSelectionMessage(state) {
         let selection = -1;
         if (state.conversationContext['selection']) {
             selection = parseInt(state.conversationContext['selection']);
         }
-        if (selection >= 1 && selection <= MAX_RECIPES) {
+        // selection numbers carry on across pages, so the user can pick a recipe from any page listed so far
+        let recipes = state.conversationContext['recipes'] || [];
+        if (selection >= 1 && selection <= recipes.length) {
             // we want to get a the recipe based on the selection
             // first we see if we already have the recipe in our datastore
-            let recipes = state.conversationContext['recipes'];
+            // if we do the store increments the count on the ingredient/cuisine-recipe and the user-recipe in the same request
             let recipeId = `${recipes[selection - 1]["id"]}`;
-            return this.recipeStore.findRecipe(recipeId)
+            return this.recipeStore.selectRecipe(recipeId, state.ingredientCuisine, state.user)
                 .then((recipe) => {
-                    if (recipe) {
+                    if (recipe && recipe.properties.detail) {
                         console.log(`Recipe exists for ${recipeId}. Returning recipe steps from datastore.`);
-                        // increment the count on the ingredient/cuisine-recipe and the user-recipe
-                        return this.recipeStore.recordRecipeRequestForUser(recipe, state.ingredientCuisine, state.user)
-                            .then(() => {
-                                return Promise.resolve(recipe);
-                            });
+                        if (this.isCacheStale(recipe)) {
+                            this.refreshRecipeInBackground(recipe, recipeId);
+                        }
+                        return Promise.resolve(recipe);
                     }
                     else {
-                        console.log(`Recipe does not exist for ${recipeId}. Querying Spoonacular for details.`);
-                        let recipeInfo;
-                        let recipeSteps;
-                        return this.recipeClient.getInfoById(recipeId)
-                            .then((response) => {
-                                recipeInfo = response;
-                                return this.recipeClient.getStepsById(recipeId);
-                            })
-                            .then((response) => {
-                                recipeSteps = response;
-                                let recipeDetail = this.getRecipeInstructionsResponse(recipeInfo, recipeSteps);
+                        console.log(`Recipe does not exist for ${recipeId}. Querying the recipe provider for details.`);
+                        let result;
+                        return this.getRecipeDetail(recipeId)
+                            .then((recipeDetail) => {
+                                result = recipeDetail;
+                                if (recipe) {
+                                    // the cached instructions were purged - the selection was already recorded by selectRecipe
+                                    return this.recipeStore.updateRecipeDetail(recipe, result.title, result.detail, result.dietaryInfo);
+                                }
                                 // add recipe to datastore
-                                return this.recipeStore.addRecipe(recipeId, recipeInfo['title'], recipeDetail, state.ingredientCuisine, state.user);
+                                let recipeIngredients = this.getRecipeIngredientNames(result.ingredients, recipes[selection - 1], state.ingredientCuisine);
+                                return this.recipeStore.addRecipe(recipeId, result.title, result.detail, state.ingredientCuisine, state.user, recipeIngredients, result.dietaryInfo);
+                            })
+                            .then((recipe) => {
+                                return this.updateRecipeExtras(recipe, result);
                             });
                     }
                 })
@@ -317,7 +843,9 @@ class SousChef {
                     let recipeDetail = recipe.properties.detail[0].value.replace(/\\n/g, '\n');
                     this.snsClient.postRecipeMessage(state, recipeId, recipe.properties['title'][0].value);
                     this.clearUserState(state);
-                    return Promise.resolve(recipeDetail);
+                    // remembered across conversations so the user can rate the recipe after cooking it
+                    state.lastRecipe = {id: recipeId, title: recipe.properties['title'][0].value};
+                    return Promise.resolve(this.getRecipeReply(recipeId, recipeDetail, this.showCalories ? this.getNutritionSummary(recipe) : null));
                 });
         }
         else {
@@ -326,27 +854,1397 @@ class SousChef {
         }
     }
 
-    clearUserState(state) {
-        state.ingredientCuisine = null;
-        state.conversationContext = null;
-        state.conversationStarted = false;
+    /**
+     * Selects the recipe whose button the user clicked in a recipe list.
+     * @param state - The user's state
+     * @param recipeId - The ID of the recipe
+     * @returns {Promise.<TResult>}
+     */
+    handleSelectAction(state, recipeId) {
+        let recipes = (state.conversationContext && state.conversationContext['recipes']) || [];
+        let index = recipes.findIndex((recipe) => `${recipe.id}` == recipeId);
+        if (index < 0) {
+            // the button belongs to a list the user has moved on from
+            return Promise.resolve('That list has expired! Say anything to me to start over...');
+        }
+        state.conversationContext['selection'] = `${index + 1}`;
+        return this.handleSelectionMessage(state);
     }
 
-    getRecipeListResponse(matchingRecipes) {
-        let response = 'Let\'s see here...\nI\'ve found these recipes: \n';
-        for (let i = 0; i < matchingRecipes.length; i++) {
-            let recipe = matchingRecipes[i];
-            response += `${(i + 1)}.${recipe.title}`;
-            if (recipe.recommended) {
-                let users = recipe.recommendedUserCount;
-                let s1 = (users==1?"":"s");
-                let s2 = (users==1?"s":"");
-                response += ` *(${users} other user${s1} like${s2} this)`;
+    /**
+     * Lists the next page of recipes for the user's last search, favorites or suggestions.
+     * The recipes are added to the end of the current list and numbered after it, so the user can still select a
+     * recipe from an earlier page by its number.
+     * @param state - The user's state
+     * @returns {Promise.<TResult>}
+     */
+    handleMoreMessage(state) {
+        let listed = (state.conversationContext && state.conversationContext['recipes']) || [];
+        if (!state.recipeCursor || listed.length == 0) {
+            return Promise.resolve('I don\'t have any more recipes to show you. Say anything to me to find some...');
+        }
+        return this.getNextPage(state, listed)
+            .then((recipes) => {
+                if (recipes.length == 0) {
+                    return Promise.resolve('That\'s all the recipes I have for that! Pick one of the recipes above or say anything to me to start over...');
+                }
+                state.conversationContext['recipes'] = listed.concat(recipes);
+                return Promise.resolve(this.getRecipeListReply(recipes, true, listed.length));
+            });
+    }
+
+    /**
+     * Gets the next page of recipes after the ones listed, and moves the user's cursor past them.
+     * Searches are paged through the results cached on the ingredient, cuisine or search first. Once those run out the next
+     * page is fetched from Spoonacular and added to the cache, so the next user to page through gets it from the cache.
+     * The page is always added to the vertex the list came from (the cursor keeps its unique name and the profile it was
+     * searched with), even if the user's diet has changed since.
+     * @param state - The user's state
+     * @param listed - The recipes listed so far
+     * @returns {Promise.<TResult>} - The recipes, empty if there are no more
+     */
+    getNextPage(state, listed) {
+        const cursor = state.recipeCursor;
+        const listedIds = listed.map((recipe) => `${recipe.id}`);
+        const isNew = (recipe) => listedIds.indexOf(`${recipe.id}`) < 0;
+        if (cursor.type == 'favorites' || cursor.type == 'suggestions') {
+            // the store ranks these on the fly, so ask for everything up to the end of the next page
+            let recipesPromise;
+            if (cursor.type == 'favorites') {
+                recipesPromise = this.recipeStore.findFavoriteRecipesForUser(state.user, listed.length + this.pageSize);
             }
-            response += '\n';
+            else {
+                recipesPromise = this.recipeStore.findSuggestedRecipesForUser(state.user, listed.length + this.pageSize, state.profile);
+            }
+            return recipesPromise
+                .then((recipes) => {
+                    recipes = recipes.filter(isNew).slice(0, this.pageSize);
+                    if (cursor.type == 'favorites') {
+                        this.setFavoriteReasons(recipes);
+                    }
+                    else {
+                        this.setSuggestionReasons(recipes);
+                    }
+                    return Promise.resolve(recipes);
+                });
         }
-        response += '\nPlease enter the corresponding number of your choice.';
-        return response;
+        // fetch with the profile the list was searched with, so the page belongs on the same vertex
+        const profile = new DietaryProfile(cursor.diet, cursor.intolerances, cursor.nutrientLimits);
+        let search;
+        if (cursor.type == 'ingredient') {
+            search = {
+                label: 'ingredientSet',
+                fetch: (offset) => this.recipeProvider.findByIngredients(cursor.query, profile, offset, this.pageSize),
+                append: (vertex, recipes) => this.recipeStore.appendIngredientDetail(vertex, recipes)
+            };
+        }
+        else if (cursor.type == 'search') {
+            const query = new SearchQuery(cursor.criteria);
+            search = {
+                label: 'search',
+                fetch: (offset) => this.recipeProvider.findByQuery(query, profile, offset, this.pageSize),
+                append: (vertex, recipes) => this.recipeStore.appendSearchDetail(vertex, recipes)
+            };
+        }
+        else {
+            search = {
+                label: 'cuisine',
+                fetch: (offset) => this.recipeProvider.findByCuisine(cursor.query, profile, offset, this.pageSize),
+                append: (vertex, recipes) => this.recipeStore.appendCuisineDetail(vertex, recipes)
+            };
+        }
+        let page = [];
+        return this.recipeStore.findVertex(search.label, 'name', cursor.name)
+            .then((vertex) => {
+                if (!vertex || !vertex.properties.detail) {
+                    return Promise.resolve(page);
+                }
+                page = this.takeCachedRecipes(vertex, cursor, isNew, this.pageSize);
+                if (page.length >= this.pageSize) {
+                    return Promise.resolve(page);
+                }
+                const cachedCount = JSON.parse(vertex.properties.detail[0].value).length;
+                console.log(`Fetching more recipes for ${cursor.type} ${cursor.query} from the recipe provider, starting at ${cachedCount}.`);
+                return search.fetch(cachedCount)
+                    .then((matchingRecipes) => {
+                        return search.append(vertex, matchingRecipes);
+                    })
+                    .then((vertex) => {
+                        state.ingredientCuisine = vertex;
+                        return Promise.resolve(page.concat(this.takeCachedRecipes(vertex, cursor, isNew, this.pageSize - page.length)));
+                    });
+            });
+    }
+
+    takeCachedRecipes(vertex, cursor, isNew, count) {
+        const cached = JSON.parse(vertex.properties.detail[0].value);
+        let recipes = [];
+        while (cursor.offset < cached.length && recipes.length < count) {
+            const recipe = cached[cursor.offset++];
+            if (isNew(recipe)) {
+                recipes.push(recipe);
+            }
+        }
+        return recipes;
+    }
+
+    /**
+     * Saves a recipe so it is listed first in the user's favorites.
+     * @param state - The user's state
+     * @param recipeId - The ID of the recipe whose button the user clicked, or not a string to save the user's last recipe
+     * @returns {Promise.<TResult>}
+     */
+    handleSaveMessage(state, recipeId) {
+        if (typeof recipeId != 'string') {
+            if (!state.lastRecipe) {
+                return Promise.resolve('You haven\'t picked a recipe yet! Say anything to me to find one...');
+            }
+            recipeId = state.lastRecipe.id;
+        }
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.saveRecipe(recipeId, state.user);
+            })
+            .then((edge) => {
+                if (!edge) {
+                    return Promise.resolve(null);
+                }
+                return this.recipeStore.findRecipe(recipeId);
+            })
+            .then((recipe) => {
+                if (!recipe) {
+                    return Promise.resolve('Sorry, I couldn\'t find that recipe.');
+                }
+                return Promise.resolve(`Saved *${recipe.properties.title[0].value}*! It will be at the top of your favorites.`);
+            });
+    }
+
+    handleStartOverAction(state) {
+        this.clearUserState(state);
+        return Promise.resolve('Ok, let\'s start over! Say anything to me to find a recipe...');
+    }
+
+    // Cooking mode
+    // Shows the steps of a recipe one at a time. The step the user is on is kept in state.cooking, which is not cleared
+    // when the conversation starts over, so the user can come back to the recipe later.
+
+    /**
+     * Starts cooking mode for the user's last recipe, or resumes the recipe the user is cooking.
+     * @param state - The user's state
+     * @param recipeId - The ID of the recipe whose button the user clicked, or not a string to use the user's last recipe
+     * @returns {Promise.<TResult>}
+     */
+    handleCookMessage(state, recipeId) {
+        if (typeof recipeId != 'string') {
+            if (state.cooking) {
+                return this.getCookingStepReply(state, 'Welcome back! ');
+            }
+            if (!state.lastRecipe) {
+                return Promise.resolve('You haven\'t picked a recipe yet! Say anything to me to find one...');
+            }
+            recipeId = state.lastRecipe.id;
+        }
+        return this.findCookingRecipe(recipeId)
+            .then((recipe) => {
+                if (!this.hasCookingSteps(recipe)) {
+                    return Promise.resolve('Sorry, I don\'t have step by step instructions for that recipe.');
+                }
+                state.cooking = {id: recipeId, title: recipe.title, step: 0};
+                const intro = `Let's cook *${recipe.title}*! Say "next", "back" or "repeat" to move through the steps, "what equipment do I need", "how long left" or "stop cooking".\n\n`;
+                return this.getCookingStepReply(state, intro, recipe);
+            });
+    }
+
+    handleNextStepMessage(state) {
+        return this.moveCookingStep(state, 1);
+    }
+
+    handlePreviousStepMessage(state) {
+        return this.moveCookingStep(state, -1);
+    }
+
+    handleRepeatStepMessage(state) {
+        return this.moveCookingStep(state, 0);
+    }
+
+    moveCookingStep(state, offset) {
+        if (!state.cooking) {
+            return Promise.resolve('You aren\'t cooking anything right now. Say "cook it" after picking a recipe to go through it step by step.');
+        }
+        return this.findCookingRecipe(state.cooking.id)
+            .then((recipe) => {
+                if (!this.hasCookingSteps(recipe)) {
+                    return this.stopCookingWithoutSteps(state);
+                }
+                const step = state.cooking.step + offset;
+                if (step >= recipe.steps.length) {
+                    const title = state.cooking.title;
+                    state.cooking = null;
+                    return Promise.resolve(`That was the last step. Enjoy your *${title}*! Let me know how it was by saying "rate" followed by 1 to 5.`);
+                }
+                if (step < 0) {
+                    return this.getCookingStepReply(state, 'This is the first step.\n\n', recipe);
+                }
+                state.cooking.step = step;
+                return this.getCookingStepReply(state, '', recipe);
+            });
+    }
+
+    handleEquipmentMessage(state) {
+        return this.findCookingRecipe(state.cooking.id)
+            .then((recipe) => {
+                if (!this.hasCookingSteps(recipe)) {
+                    return this.stopCookingWithoutSteps(state);
+                }
+                let allEquipment = [];
+                for (let step of recipe.steps) {
+                    allEquipment = allEquipment.concat(step.equipment.filter((name) => allEquipment.indexOf(name) < 0));
+                }
+                if (allEquipment.length == 0) {
+                    return Promise.resolve('The recipe doesn\'t say what equipment you need.');
+                }
+                const stepEquipment = recipe.steps[state.cooking.step].equipment;
+                let reply = `For the whole recipe you need: ${allEquipment.join(', ')}.`;
+                if (stepEquipment.length > 0) {
+                    reply += `\nFor this step: ${stepEquipment.join(', ')}.`;
+                }
+                return Promise.resolve(reply);
+            });
+    }
+
+    /**
+     * Tells the user how long the current and remaining steps take.
+     * Spoonacular only gives some steps a length, so if none of the remaining steps have one the recipe's total time is
+     * split evenly between the steps.
+     * @param state - The user's state
+     * @returns {Promise.<TResult>}
+     */
+    handleTimeLeftMessage(state) {
+        return this.findCookingRecipe(state.cooking.id)
+            .then((recipe) => {
+                if (!this.hasCookingSteps(recipe)) {
+                    return this.stopCookingWithoutSteps(state);
+                }
+                const remaining = recipe.steps.slice(state.cooking.step);
+                const timedSteps = remaining.filter((step) => step.minutes);
+                const stepsLeft = `${remaining.length} step${remaining.length == 1 ? '' : 's'} left, including this one`;
+                if (timedSteps.length > 0) {
+                    const minutes = timedSteps.reduce((total, step) => total + step.minutes, 0);
+                    const untimed = (timedSteps.length < remaining.length ? ', plus whatever the other steps take' : '');
+                    return Promise.resolve(`You have ${stepsLeft}. They take about ${minutes} minutes${untimed}.`);
+                }
+                if (recipe.readyInMinutes) {
+                    const minutes = Math.round(recipe.readyInMinutes * remaining.length / recipe.steps.length);
+                    return Promise.resolve(`You have ${stepsLeft}, about ${minutes} minutes of the ${recipe.readyInMinutes} the recipe takes.`);
+                }
+                return Promise.resolve(`You have ${stepsLeft}.`);
+            });
+    }
+
+    handleStopCookingMessage(state) {
+        if (!state.cooking) {
+            return Promise.resolve('You aren\'t cooking anything right now.');
+        }
+        const title = state.cooking.title;
+        state.cooking = null;
+        return Promise.resolve(`Ok, I've stopped cooking *${title}*. Say "cook it" to start it again from the beginning.`);
+    }
+
+    /**
+     * Gets the steps stored on the recipe.
+     * @param recipeId - The ID of the recipe
+     * @returns {Promise.<TResult>} - The recipe ({title, steps, readyInMinutes}), or null if the recipe is not in the store - steps is empty if the provider has no instructions for it
+     */
+    findCookingRecipe(recipeId) {
+        return this.findRecipeWith(recipeId, 'steps')
+            .then((recipe) => {
+                if (!recipe) {
+                    return Promise.resolve(null);
+                }
+                return Promise.resolve({
+                    title: recipe.properties.title[0].value,
+                    steps: (recipe.properties.steps ? JSON.parse(recipe.properties.steps[0].value) : []),
+                    readyInMinutes: recipe.properties.readyInMinutes ? recipe.properties.readyInMinutes[0].value : 0
+                });
+            });
+    }
+
+    hasCookingSteps(recipe) {
+        return !!recipe && recipe.steps.length > 0;
+    }
+
+    /**
+     * Leaves cooking mode when the recipe being cooked is no longer in the store or has lost its steps (i.e. it was
+     * purged and the provider no longer has instructions for it).
+     * @param state - The user's state
+     * @returns {Promise.<TResult>}
+     */
+    stopCookingWithoutSteps(state) {
+        const title = state.cooking.title;
+        state.cooking = null;
+        return Promise.resolve(`Sorry, I don't have step by step instructions for *${title}* anymore, so I've stopped cooking it.`);
+    }
+
+    /**
+     * Finds the recipe in the store. Recipes cached before steps, nutrition and ingredient amounts were stored get them
+     * from Spoonacular once.
+     * @param recipeId - The ID of the recipe
+     * @param property - The property the recipe needs (steps, nutrients or ingredientAmounts)
+     * @returns {Promise.<TResult>} - The recipe vertex, or null if the recipe is not in the store
+     */
+    findRecipeWith(recipeId, property) {
+        return this.recipeStore.findRecipe(recipeId)
+            .then((recipe) => {
+                if (!recipe || recipe.properties[property]) {
+                    return Promise.resolve(recipe);
+                }
+                console.log(`Recipe ${recipeId} has no ${property}. Querying the recipe provider for details.`);
+                return this.getRecipeDetail(recipeId)
+                    .then((result) => {
+                        return this.updateRecipeExtras(recipe, result);
+                    });
+            });
+    }
+
+    getCookingStepReply(state, intro, recipe) {
+        const recipePromise = (recipe ? Promise.resolve(recipe) : this.findCookingRecipe(state.cooking.id));
+        return recipePromise
+            .then((recipe) => {
+                if (!this.hasCookingSteps(recipe)) {
+                    return this.stopCookingWithoutSteps(state);
+                }
+                const step = recipe.steps[state.cooking.step];
+                let text = `${intro}*Step ${state.cooking.step + 1} of ${recipe.steps.length}*: ${step.step}`;
+                if (step.equipment.length > 0) {
+                    text += `\n_Equipment_: ${step.equipment.join(', ')}`;
+                }
+                if (step.minutes) {
+                    text += `\n_Takes about_: ${step.minutes} minutes`;
+                }
+                const button = (label, actionId) => {
+                    return {type: 'button', text: {type: 'plain_text', text: label}, action_id: actionId, value: state.cooking.id};
+                };
+                const blocks = [
+                    {type: 'section', text: {type: 'mrkdwn', text: text}},
+                    {type: 'actions', elements: [button('Back', 'previous_step'), button('Repeat', 'repeat_step'), button('Next', 'next_step'), button('Stop cooking', 'stop_cooking')]}
+                ];
+                return Promise.resolve({text: text, blocks: blocks});
+            });
+    }
+
+    // Substitutions
+    // Substitutes are cached in the graph the first time an ingredient is asked about, from Spoonacular or, when it
+    // can't be reached or doesn't know the ingredient, from the local table (see Substitutions).
+
+    /**
+     * Suggests what to use instead of an ingredient (i.e. "what can I use instead of buttermilk?"). When the user has
+     * picked a recipe that uses the ingredient, the reply says how much of it the recipe needs.
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, the ingredient is in match[1]
+     * @returns {Promise.<TResult>}
+     */
+    handleSubstituteMessage(state, match) {
+        const ingredient = match[1].toLowerCase().trim();
+        const lastRecipe = state.cooking || state.lastRecipe;
+        let substitutes;
+        return this.findSubstitutes(ingredient)
+            .then((found) => {
+                substitutes = found.slice(0, MAX_SUBSTITUTES).map((substitute) => {
+                    return {name: substitute.name, description: substitute.description};
+                });
+                if (substitutes.length == 0 || !lastRecipe) {
+                    return Promise.resolve(null);
+                }
+                return this.findRecipeWith(lastRecipe.id, 'ingredientAmounts');
+            })
+            .then((recipe) => {
+                if (substitutes.length == 0) {
+                    state.substitution = null;
+                    return Promise.resolve(`Sorry, I don't know what to use instead of ${ingredient}.`);
+                }
+                state.substitution = {ingredient: ingredient, substitutes: substitutes};
+                const recipeIngredient = (recipe ? this.findRecipeIngredient(recipe, ingredient) : null);
+                return Promise.resolve(this.getSubstitutesReply(ingredient, substitutes, recipeIngredient, recipeIngredient ? lastRecipe.title : null));
+            });
+    }
+
+    /**
+     * Records which substitute the user chose (i.e. "use the second one"), so it is suggested first next time.
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, match[1] is the number of the substitute
+     * @returns {Promise.<TResult>}
+     */
+    handleUseSubstituteMessage(state, match) {
+        const numbers = {first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3};
+        const index = (numbers[match[1].toLowerCase()] || parseInt(match[1])) - 1;
+        const substitute = state.substitution.substitutes[index];
+        if (!substitute) {
+            return Promise.resolve(`Please choose a substitute between 1 and ${state.substitution.substitutes.length}.`);
+        }
+        return this.acceptSubstitute(state, state.substitution.ingredient, substitute.name);
+    }
+
+    /**
+     * Records the substitute whose button the user clicked.
+     * @param state - The user's state
+     * @param value - The value of the button: the ingredient and the substitute as JSON
+     * @returns {Promise.<TResult>}
+     */
+    handleUseSubstituteAction(state, value) {
+        const substitution = JSON.parse(value);
+        return this.acceptSubstitute(state, substitution.ingredient, substitution.substitute);
+    }
+
+    acceptSubstitute(state, ingredient, substitute) {
+        return this.recipeStore.acceptSubstitute(ingredient, substitute)
+            .then(() => {
+                state.substitution = null;
+                return Promise.resolve(`Ok, ${substitute} instead of ${ingredient} it is! I'll suggest it first next time.`);
+            });
+    }
+
+    /**
+     * Finds the substitutes for an ingredient in the graph, or from Spoonacular or the local table the first time the
+     * ingredient is asked about.
+     * @param ingredient - The name of the ingredient
+     * @returns {Promise.<TResult>} - The substitutes ({name, description, count}), the ones users chose most often first
+     */
+    findSubstitutes(ingredient) {
+        return this.recipeStore.findSubstitutes(ingredient)
+            .then((substitutes) => {
+                if (substitutes.length > 0) {
+                    return Promise.resolve(substitutes);
+                }
+                console.log(`Substitutes do not exist for ${ingredient}. Querying the recipe provider for substitutes.`);
+                return this.recipeProvider.getSubstitutes(ingredient)
+                    .catch((err) => {
+                        console.log(`Error getting substitutes for ${ingredient}: ${err}. Using the local table.`);
+                        return Promise.resolve([]);
+                    })
+                    .then((descriptions) => {
+                        substitutes = Substitutions.parse(descriptions);
+                        if (substitutes.length == 0) {
+                            substitutes = Substitutions.find(ingredient);
+                        }
+                        if (substitutes.length == 0) {
+                            return Promise.resolve([]);
+                        }
+                        return this.recipeStore.addSubstitutes(ingredient, substitutes)
+                            .then(() => {
+                                return this.recipeStore.findSubstitutes(ingredient);
+                            });
+                    });
+            });
+    }
+
+    /**
+     * Finds the ingredient in the recipe's ingredients, matching "eggs" to "egg" and "buttermilk" to "low fat buttermilk".
+     * @param recipe - The recipe vertex
+     * @param ingredient - The name of the ingredient
+     * @returns {Object} - The recipe's ingredient ({name, amount, unit, aisle}), or null if the recipe doesn't use it
+     */
+    findRecipeIngredient(recipe, ingredient) {
+        const ingredients = (recipe.properties.ingredientAmounts ? JSON.parse(recipe.properties.ingredientAmounts[0].value) : []);
+        const key = ShoppingList.getNameKey(ingredient);
+        return ingredients.find((recipeIngredient) => ShoppingList.getNameKey(recipeIngredient.name) == key) ||
+            ingredients.find((recipeIngredient) => ` ${ShoppingList.getNameKey(recipeIngredient.name)} `.indexOf(` ${key} `) >= 0) ||
+            null;
+    }
+
+    /**
+     * Gets the reply listing the substitutes, with a button to choose each one for chat adapters that support blocks.
+     * @param ingredient - The name of the ingredient
+     * @param substitutes - The substitutes ({name, description})
+     * @param recipeIngredient - The ingredient in the recipe the user picked, or null if the recipe doesn't use it
+     * @param recipeTitle - The title of the recipe the user picked
+     * @returns {Object} - The reply ({text, blocks})
+     */
+    getSubstitutesReply(ingredient, substitutes, recipeIngredient, recipeTitle) {
+        let intro = `Instead of ${ingredient}, you can use:`;
+        if (recipeIngredient) {
+            const amount = `${parseFloat(recipeIngredient.amount.toFixed(2))}${recipeIngredient.unit ? ' ' + recipeIngredient.unit : ''}`;
+            intro = `*${recipeTitle}* needs ${amount} ${recipeIngredient.name}. Instead, you can use:`;
+        }
+        let lines = [intro];
+        let blocks = [{type: 'section', text: {type: 'mrkdwn', text: intro}}];
+        for (let i = 0; i < substitutes.length; i++) {
+            lines.push(`${i + 1}. ${substitutes[i].description}`);
+            blocks.push({
+                type: 'section',
+                text: {type: 'mrkdwn', text: `*${i + 1}.* ${substitutes[i].description}`},
+                accessory: {type: 'button', text: {type: 'plain_text', text: 'Use this'}, action_id: 'use_substitute', value: JSON.stringify({ingredient: ingredient, substitute: substitutes[i].name})}
+            });
+        }
+        const prompt = 'Say "use the first one" (or second, or third) to let me know which one you used.';
+        blocks.push({type: 'context', elements: [{type: 'mrkdwn', text: prompt}]});
+        const text = `${lines.join('\n')}\n\n${prompt}`;
+        return {text: text, blocks: blocks};
+    }
+
+    // Shopping list
+    // The recipes on the list and what the user already has are stored in the graph, the list is merged from them
+    // each time it is shown (see ShoppingList).
+
+    /**
+     * Adds the user's last recipe, or the recipe whose button the user clicked, to the user's shopping list.
+     * @param state - The user's state
+     * @param recipeId - The ID of the recipe whose button the user clicked, or not a string to add the recipe the user is cooking or picked last
+     * @returns {Promise.<TResult>}
+     */
+    handleAddToListMessage(state, recipeId) {
+        if (typeof recipeId != 'string') {
+            const lastRecipe = state.cooking || state.lastRecipe;
+            if (!lastRecipe) {
+                return Promise.resolve('You haven\'t picked a recipe yet! Say anything to me to find one...');
+            }
+            recipeId = lastRecipe.id;
+        }
+        let title;
+        return this.getUser(state)
+            .then(() => {
+                return this.findRecipeWith(recipeId, 'ingredientAmounts');
+            })
+            .then((recipe) => {
+                if (!recipe) {
+                    return Promise.resolve(null);
+                }
+                title = recipe.properties.title[0].value;
+                return this.recipeStore.addRecipeToShoppingList(recipeId, state.user);
+            })
+            .then((edge) => {
+                if (!edge) {
+                    return Promise.resolve('Sorry, I couldn\'t find that recipe.');
+                }
+                return this.getShoppingList(state)
+                    .then((shoppingList) => {
+                        const count = shoppingList.getItems().length;
+                        return Promise.resolve(`Added *${title}* to your shopping list, it has ${count} item${count == 1 ? '' : 's'} now. Say "show my list" to see it, or tell me what you already have (i.e. "I already have eggs and 200g flour").`);
+                    });
+            });
+    }
+
+    handleShowListMessage(state) {
+        return this.getShoppingList(state)
+            .then((shoppingList) => {
+                if (shoppingList.recipes.length == 0) {
+                    return Promise.resolve('Your shopping list is empty. Say "add it to my list" after picking a recipe.');
+                }
+                if (shoppingList.isEmpty()) {
+                    return Promise.resolve('You already have everything on your shopping list!');
+                }
+                return Promise.resolve(shoppingList.format('slack'));
+            });
+    }
+
+    handleClearListMessage(state) {
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.clearShoppingList(state.user);
+            })
+            .then((user) => {
+                state.user = user;
+                return Promise.resolve('Ok, I\'ve cleared your shopping list.');
+            });
+    }
+
+    /**
+     * Sends the shopping list as plain text or as a Markdown checklist, in a code block so it can be copied as it is.
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, match[1] is the format (defaults to plain text)
+     * @returns {Promise.<TResult>}
+     */
+    handleExportListMessage(state, match) {
+        const format = (match[1] && /^m/i.test(match[1]) ? 'markdown' : 'text');
+        return this.getShoppingList(state)
+            .then((shoppingList) => {
+                if (shoppingList.recipes.length == 0) {
+                    return Promise.resolve('Your shopping list is empty. Say "add it to my list" after picking a recipe.');
+                }
+                return Promise.resolve('```\n' + shoppingList.format(format) + '\n```');
+            });
+    }
+
+    /**
+     * Remembers what the user already has (i.e. "I already have 2 eggs and flour"), so it is left off the shopping list.
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, the items are in match[1]
+     * @returns {Promise.<TResult>}
+     */
+    handlePantryMessage(state, match) {
+        const items = ShoppingList.parsePantryItems(match[1]);
+        if (items.length == 0) {
+            return Promise.resolve('Sorry, I didn\'t get that. Tell me what you already have, i.e. "I already have eggs and 200g flour".');
+        }
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.updatePantry(state.user, this.getPantry(state).concat(items));
+            })
+            .then((user) => {
+                state.user = user;
+                return this.handleShowListMessage(state);
+            });
+    }
+
+    getPantry(state) {
+        const pantry = state.user && state.user.properties.pantry;
+        return (pantry ? JSON.parse(pantry[0].value) : []);
+    }
+
+    getShoppingList(state) {
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.findShoppingListRecipes(state.user);
+            })
+            .then((recipes) => {
+                return Promise.resolve(new ShoppingList(recipes, this.getPantry(state)));
+            });
+    }
+
+    // Meal plan
+    // Planned recipes are stored in the graph as dated planned edges from the user, the plan for the week starting
+    // today is built from them each time it is shown (see MealPlan).
+
+    /**
+     * Plans the recipe the user is cooking or picked last for a day and meal (i.e. "put it on Tuesday dinner").
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, the day and meal are in match[1]
+     * @returns {Promise.<TResult>}
+     */
+    handlePlanMessage(state, match) {
+        const lastRecipe = state.cooking || state.lastRecipe;
+        if (!lastRecipe) {
+            return Promise.resolve('You haven\'t picked a recipe yet! Say anything to me to find one...');
+        }
+        const slot = MealPlan.parseSlot(match[1], new Date());
+        if (!slot) {
+            return Promise.resolve('Sorry, I didn\'t get that. Tell me a day this week and a meal, i.e. "put it on Tuesday dinner".');
+        }
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.planRecipe(lastRecipe.id, state.user, slot.date, slot.meal);
+            })
+            .then((edge) => {
+                if (!edge) {
+                    return Promise.resolve('Sorry, I couldn\'t find that recipe.');
+                }
+                return Promise.resolve(`Ok, *${lastRecipe.title}* is planned for ${MealPlan.describeSlot(slot)}. Say "what's my plan this week" to see your plan.`);
+            });
+    }
+
+    handleShowPlanMessage(state) {
+        return this.getMealPlan(state)
+            .then((plan) => {
+                if (plan.entries.length == 0) {
+                    return Promise.resolve('You haven\'t planned anything this week. Say "put it on Tuesday dinner" after picking a recipe, or "fill my plan" and I\'ll plan your week for you.');
+                }
+                return Promise.resolve(plan.format());
+            });
+    }
+
+    /**
+     * Removes a day or meal from the user's plan (i.e. "remove Tuesday dinner from my plan" or "remove Friday from my plan").
+     * Every meal is removed when the user names a day without a meal.
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, the day and meal are in match[1]
+     * @returns {Promise.<TResult>}
+     */
+    handleRemovePlanMessage(state, match) {
+        const slot = MealPlan.parseSlot(match[1], new Date());
+        if (!slot) {
+            return Promise.resolve('Sorry, I didn\'t get that. Tell me the day to remove, i.e. "remove Tuesday dinner from my plan".');
+        }
+        const meal = (/\b(?:breakfast|lunch|dinner|supper|tonight)\b/i.test(match[1]) ? slot.meal : null);
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.removePlannedRecipes(state.user, slot.date, slot.date, meal);
+            })
+            .then((count) => {
+                const description = (meal ? MealPlan.describeSlot(slot) : MealPlan.describeSlot(slot).split(' ')[0]);
+                if (count == 0) {
+                    return Promise.resolve(`You don't have anything planned for ${description}.`);
+                }
+                return Promise.resolve(`Ok, I've removed ${description} from your plan.`);
+            });
+    }
+
+    handleClearPlanMessage(state) {
+        const dates = MealPlan.getPlanDates(new Date());
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.removePlannedRecipes(state.user, dates[0], dates[dates.length - 1]);
+            })
+            .then(() => {
+                return Promise.resolve('Ok, I\'ve cleared your plan for this week.');
+            });
+    }
+
+    /**
+     * Swaps the recipes planned for two meals (i.e. "swap Tuesday dinner and Thursday dinner"), or replaces the recipe
+     * planned for one meal with another of the user's favorites or recommendations (i.e. "swap Tuesday dinner").
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, the meals are in match[1] and match[2]
+     * @returns {Promise.<TResult>}
+     */
+    handleSwapPlanMessage(state, match) {
+        const today = new Date();
+        const slot = MealPlan.parseSlot(match[1], today);
+        const otherSlot = (match[2] ? MealPlan.parseSlot(match[2], today) : null);
+        if (!slot || (match[2] && !otherSlot)) {
+            return Promise.resolve('Sorry, I didn\'t get that. Tell me the meals to swap, i.e. "swap Tuesday dinner and Thursday dinner", or "swap Tuesday dinner" for something else.');
+        }
+        return this.getMealPlan(state)
+            .then((plan) => {
+                const entry = plan.getEntry(slot);
+                if (!otherSlot) {
+                    return this.replacePlannedRecipe(state, plan, slot);
+                }
+                const otherEntry = plan.getEntry(otherSlot);
+                if (!entry && !otherEntry) {
+                    return Promise.resolve(`You don't have anything planned for ${MealPlan.describeSlot(slot)} or ${MealPlan.describeSlot(otherSlot)}.`);
+                }
+                return this.recipeStore.removePlannedRecipes(state.user, slot.date, slot.date, slot.meal)
+                    .then(() => {
+                        return this.recipeStore.removePlannedRecipes(state.user, otherSlot.date, otherSlot.date, otherSlot.meal);
+                    })
+                    .then(() => {
+                        return (otherEntry ? this.recipeStore.planRecipe(otherEntry.id, state.user, slot.date, slot.meal) : Promise.resolve());
+                    })
+                    .then(() => {
+                        return (entry ? this.recipeStore.planRecipe(entry.id, state.user, otherSlot.date, otherSlot.meal) : Promise.resolve());
+                    })
+                    .then(() => {
+                        return Promise.resolve(`Ok, I've swapped ${MealPlan.describeSlot(slot)} and ${MealPlan.describeSlot(otherSlot)}.`);
+                    });
+            });
+    }
+
+    replacePlannedRecipe(state, plan, slot) {
+        return this.findPlanCandidates(state, plan, 1)
+            .then((recipes) => {
+                if (recipes.length == 0) {
+                    return Promise.resolve('Sorry, I don\'t have anything else to suggest yet. Pick a few more recipes and I\'ll learn what you like!');
+                }
+                return this.recipeStore.planRecipe(recipes[0].id, state.user, slot.date, slot.meal)
+                    .then(() => {
+                        return Promise.resolve(`Ok, ${MealPlan.describeSlot(slot)} is *${recipes[0].title}* now.`);
+                    });
+            });
+    }
+
+    /**
+     * Fills the empty meals in the user's plan for the week with the user's favorites, then with recommendations.
+     * @param state - The user's state
+     * @returns {Promise.<TResult>}
+     */
+    handleFillPlanMessage(state) {
+        let plan;
+        return this.getMealPlan(state)
+            .then((mealPlan) => {
+                plan = mealPlan;
+                const slots = plan.getEmptySlots();
+                if (slots.length == 0) {
+                    return Promise.resolve(0);
+                }
+                return this.findPlanCandidates(state, plan, slots.length)
+                    .then((recipes) => {
+                        let planned = [];
+                        for (let i = 0; i < Math.min(slots.length, recipes.length); i++) {
+                            planned.push(this.recipeStore.planRecipe(recipes[i].id, state.user, slots[i].date, slots[i].meal));
+                        }
+                        return Promise.all(planned);
+                    })
+                    .then((planned) => Promise.resolve(planned.length));
+            })
+            .then((count) => {
+                if (count == 0 && plan.getEmptySlots().length > 0) {
+                    return Promise.resolve('Sorry, I don\'t know enough about what you like to plan your week yet. Pick a few recipes and try again!');
+                }
+                return this.handleShowPlanMessage(state);
+            });
+    }
+
+    /**
+     * Finds recipes to plan: the user's favorites first, then the user's recommendations, leaving out the recipes
+     * that are already planned this week.
+     * @param state - The user's state
+     * @param plan - The user's plan for the week
+     * @param count - The max number of recipes to return
+     * @returns {Promise.<TResult>} - The recipes ({id, title})
+     */
+    findPlanCandidates(state, plan, count) {
+        let recipes = [];
+        let recipeIds = plan.entries.map((entry) => entry.id);
+        const addRecipes = (found) => {
+            for (let recipe of found) {
+                if (recipeIds.indexOf(recipe.id) < 0) {
+                    recipeIds.push(recipe.id);
+                    recipes.push({id: recipe.id, title: recipe.title});
+                }
+            }
+        };
+        return this.recipeStore.findFavoriteRecipesForUser(state.user, count + plan.entries.length)
+            .then((favorites) => {
+                addRecipes(favorites);
+                if (recipes.length >= count) {
+                    return Promise.resolve([]);
+                }
+                return this.recipeStore.findSuggestedRecipesForUser(state.user, count + plan.entries.length, state.profile);
+            })
+            .then((suggestions) => {
+                addRecipes(suggestions);
+                return Promise.resolve(recipes.slice(0, count));
+            });
+    }
+
+    getMealPlan(state) {
+        const today = new Date();
+        const dates = MealPlan.getPlanDates(today);
+        return this.getUser(state)
+            .then(() => {
+                return this.recipeStore.findPlannedRecipes(state.user, dates[0], dates[dates.length - 1]);
+            })
+            .then((entries) => {
+                return Promise.resolve(new MealPlan(entries, today));
+            });
+    }
+
+    // Nutrition
+
+    /**
+     * Answers a question about the nutrition of the recipe the user is cooking or picked last
+     * (i.e. "how many calories is that?" or "show me the nutrition").
+     * @param state - The user's state
+     * @param match - The result of matching the command pattern, match[1] is the nutrient asked about, if any
+     * @returns {Promise.<TResult>}
+     */
+    handleNutritionMessage(state, match) {
+        const lastRecipe = state.cooking || state.lastRecipe;
+        if (!lastRecipe) {
+            return Promise.resolve('You haven\'t picked a recipe yet! Say anything to me to find one...');
+        }
+        return this.findRecipeWith(lastRecipe.id, 'nutrients')
+            .then((recipe) => {
+                const nutrients = (recipe ? JSON.parse(recipe.properties.nutrients[0].value) : []);
+                if (nutrients.length == 0) {
+                    return Promise.resolve(`Sorry, I don't have nutrition information for *${lastRecipe.title}*.`);
+                }
+                if (!match[1]) {
+                    let reply = `Per serving, *${lastRecipe.title}* has:`;
+                    for (let nutrient of nutrients) {
+                        reply += `\n• ${this.formatNutrient(nutrient)}`;
+                    }
+                    return Promise.resolve(reply);
+                }
+                const name = NUTRIENT_NAMES[match[1].toLowerCase().replace(/\s+/g, ' ').replace(/s$/, '')];
+                const nutrient = nutrients.find((nutrient) => nutrient.name == name);
+                if (!nutrient) {
+                    return Promise.resolve(`Sorry, I don't know how much ${name.toLowerCase()} is in *${lastRecipe.title}*.`);
+                }
+                return Promise.resolve(`*${lastRecipe.title}* has ${this.formatNutrient(nutrient)} per serving.`);
+            });
+    }
+
+    formatNutrient(nutrient) {
+        let text = (nutrient.name == 'Calories' ? `${Math.round(nutrient.amount)} calories` : `${Math.round(nutrient.amount)}${nutrient.unit} of ${nutrient.name.toLowerCase()}`);
+        if (nutrient.percentOfDailyNeeds) {
+            text += ` (${Math.round(nutrient.percentOfDailyNeeds)}% of your daily needs)`;
+        }
+        return text;
+    }
+
+    /**
+     * Gets a line with the calories and main nutrients per serving stored on the recipe.
+     * @param recipe - The recipe vertex
+     * @returns {String} - The line, or null if the recipe's calories are not stored
+     */
+    getNutritionSummary(recipe) {
+        const amount = (key) => (recipe.properties[key] ? Math.round(recipe.properties[key][0].value) : null);
+        if (amount('calories') === null) {
+            return null;
+        }
+        let summary = `_Per serving_: ${amount('calories')} calories`;
+        const labels = {protein: 'protein', fat: 'fat', carbohydrates: 'carbs'};
+        for (let key of Object.keys(labels)) {
+            if (amount(key) !== null) {
+                summary += `, ${amount(key)}g ${labels[key]}`;
+            }
+        }
+        return summary;
+    }
+
+    handleRateMessage(state, match) {
+        if (!state.lastRecipe) {
+            return Promise.resolve('You haven\'t picked a recipe yet! Say anything to me to find one...');
+        }
+        let rating = this.getRating(match[1]);
+        if (!rating) {
+            return Promise.resolve('Sorry, I didn\'t get that. Rate your last recipe by saying "rate" followed by 1 to 5, "thumbs up" or "thumbs down".');
+        }
+        let recipe = state.lastRecipe;
+        return this.recipeStore.rateRecipe(recipe.id, state.user, rating)
+            .then((edge) => {
+                if (!edge) {
+                    return Promise.resolve('Sorry, I couldn\'t find your last recipe.');
+                }
+                this.snsClient.postRatingMessage(state, recipe.id, recipe.title, rating);
+                return Promise.resolve(`Thanks! You rated *${recipe.title}* ${rating}/5.`);
+            });
+    }
+
+    /**
+     * Gets the rating from 1 to 5 in the text following "rate" (i.e. "my last recipe 4" or "thumbs up").
+     * Thumbs up is a 5 and thumbs down is a 1.
+     * @param text - The text following "rate"
+     * @returns {number} - The rating, or 0 if the text does not contain a rating
+     */
+    getRating(text) {
+        if (/thumbs?\s*up|:\+1:|:thumbsup:|\bup\b/i.test(text)) {
+            return 5;
+        }
+        if (/thumbs?\s*down|:-1:|:thumbsdown:|\bdown\b/i.test(text)) {
+            return 1;
+        }
+        let match = /\b([1-5])\b/.exec(text);
+        return match ? parseInt(match[1]) : 0;
+    }
+
+    getRecipeDetail(recipeId) {
+        let recipeInfo;
+        return this.recipeProvider.getInfoById(recipeId)
+            .then((response) => {
+                recipeInfo = response;
+                return this.recipeProvider.getStepsById(recipeId);
+            })
+            .then((recipeSteps) => {
+                let ingredients = (recipeInfo['extendedIngredients'] || []).map((ingredient) => ingredient['name']);
+                return Promise.resolve({
+                    title: recipeInfo['title'],
+                    detail: this.getRecipeInstructionsResponse(recipeInfo, recipeSteps),
+                    ingredients: ingredients,
+                    dietaryInfo: {diets: DietaryProfile.getRecipeDiets(recipeInfo), allergens: DietaryProfile.getAllergens(ingredients)},
+                    steps: this.parseRecipeSteps(recipeSteps),
+                    readyInMinutes: recipeInfo['readyInMinutes'],
+                    nutrition: this.parseRecipeNutrition(recipeInfo),
+                    ingredientAmounts: ShoppingList.parseIngredients(recipeInfo['extendedIngredients'])
+                });
+            });
+    }
+
+    /**
+     * Gets the nutrition per serving to store on the recipe from the recipe information returned by Spoonacular.
+     * @param recipeInfo - The recipe information, including nutrition
+     * @returns {Object} - The nutrition ({calories, protein, fat, carbohydrates, nutrients}), or null if Spoonacular has none
+     */
+    parseRecipeNutrition(recipeInfo) {
+        const nutrients = (recipeInfo['nutrition'] && recipeInfo['nutrition']['nutrients']) || [];
+        if (nutrients.length == 0) {
+            return null;
+        }
+        // older responses name the nutrients in title
+        const find = (name) => nutrients.find((nutrient) => (nutrient['name'] || nutrient['title']) == name);
+        const amount = (name) => (find(name) ? find(name)['amount'] : undefined);
+        return {
+            calories: amount('Calories'),
+            protein: amount('Protein'),
+            fat: amount('Fat'),
+            carbohydrates: amount('Carbohydrates'),
+            nutrients: KEY_NUTRIENTS.filter((name) => find(name)).map((name) => {
+                const nutrient = find(name);
+                return {name: name, amount: nutrient['amount'], unit: nutrient['unit'], percentOfDailyNeeds: nutrient['percentOfDailyNeeds']};
+            })
+        };
+    }
+
+    /**
+     * Stores the steps, nutrition and ingredient amounts from the recipe detail on the recipe.
+     * @param recipe - The recipe vertex
+     * @param result - The recipe detail (see getRecipeDetail)
+     * @returns {Promise.<TResult>} - The updated recipe vertex
+     */
+    updateRecipeExtras(recipe, result) {
+        return this.recipeStore.updateRecipeSteps(recipe, result.steps, result.readyInMinutes)
+            .then((recipe) => {
+                return this.recipeStore.updateRecipeNutrition(recipe, result.nutrition);
+            })
+            .then((recipe) => {
+                return this.recipeStore.updateRecipeIngredientAmounts(recipe, result.ingredientAmounts);
+            });
+    }
+
+    /**
+     * Gets the steps to store on the recipe from the analyzed instructions returned by Spoonacular.
+     * @param recipeSteps - The steps from the analyzed instructions
+     * @returns {Array} - The steps ({number, step, equipment, ingredients, minutes})
+     */
+    parseRecipeSteps(recipeSteps) {
+        return (recipeSteps || []).map((recipeStep, i) => {
+            let minutes = null;
+            if (recipeStep['length'] && recipeStep['length']['number']) {
+                minutes = recipeStep['length']['number'] * (/^hour/i.test(recipeStep['length']['unit']) ? 60 : 1);
+            }
+            return {
+                number: i + 1,
+                step: recipeStep['step'],
+                equipment: (recipeStep['equipment'] || []).map((equipment) => equipment['name']),
+                ingredients: (recipeStep['ingredients'] || []).map((ingredient) => ingredient['name']),
+                minutes: minutes
+            };
+        });
+    }
+
+    /**
+     * Gets the names of the ingredients to link the recipe to in the graph.
+     * Spoonacular names ingredients more specifically than users do (i.e. "chicken breast" instead of "chicken"), so
+     * every ingredient the user searched for that appears in one of the recipe's ingredients is included as well.
+     * @param ingredientNames - The ingredient names from the recipe information
+     * @param listedRecipe - The recipe as it was listed in the search results
+     * @param ingredientCuisine - The ingredient set or cuisine vertex the recipe was found through
+     * @returns {Array}
+     */
+    getRecipeIngredientNames(ingredientNames, listedRecipe, ingredientCuisine) {
+        if (ingredientNames.length == 0 && listedRecipe['usedIngredients']) {
+            ingredientNames = listedRecipe['usedIngredients'].map((ingredient) => ingredient['name']);
+        }
+        ingredientNames = ingredientNames.map((name) => this.recipeStore.getUniqueIngredientName(name));
+        if (ingredientCuisine && ingredientCuisine.label == 'ingredientSet') {
+            // the name of the ingredient set ends with the dietary profile key (if any) after a semicolon
+            let ingredientsStr = ingredientCuisine.properties.name[0].value.split(';')[0];
+            for (let searched of this.recipeStore.getUniqueIngredientNames(ingredientsStr)) {
+                if (ingredientNames.indexOf(searched) < 0 && ingredientNames.some((name) => name.indexOf(searched) >= 0)) {
+                    ingredientNames.push(searched);
+                }
+            }
+        }
+        return ingredientNames;
+    }
+
+    // Cache
+
+    /**
+     * Returns true if the Spoonacular results cached on the vertex are older than the cache TTL.
+     * Vertices cached before fetchedAt was recorded are always stale.
+     * @param vertex - The ingredient, cuisine or recipe vertex
+     * @returns {boolean}
+     */
+    isCacheStale(vertex) {
+        if (!this.cacheTtl) {
+            return false;
+        }
+        let fetchedAt = vertex.properties.fetchedAt ? vertex.properties.fetchedAt[0].value : 0;
+        return Date.now() - fetchedAt > this.cacheTtl;
+    }
+
+    /**
+     * Fetches fresh results for the ingredient from Spoonacular and stores them on the ingredient vertex.
+     * Called without waiting for the result, so the user gets the stale results right away.
+     * @param ingredient - The ingredient vertex
+     * @param ingredientsStr - The ingredient or comma-separated list of ingredients
+     * @param profile - The DietaryProfile the cached results were searched for with
+     * @returns {Promise.<TResult>}
+     */
+    refreshIngredientInBackground(ingredient, ingredientsStr, profile) {
+        return this.refreshInBackground(ingredient, () => {
+            return this.recipeProvider.findByIngredients(ingredientsStr, profile, 0, this.pageSize)
+                .then((matchingRecipes) => {
+                    return this.recipeStore.updateIngredientDetail(ingredient, matchingRecipes);
+                });
+        });
+    }
+
+    refreshCuisineInBackground(cuisine, cuisineStr, profile) {
+        return this.refreshInBackground(cuisine, () => {
+            return this.recipeProvider.findByCuisine(cuisineStr, profile, 0, this.pageSize)
+                .then((matchingRecipes) => {
+                    return this.recipeStore.updateCuisineDetail(cuisine, matchingRecipes);
+                });
+        });
+    }
+
+    refreshSearchInBackground(search, query, profile) {
+        return this.refreshInBackground(search, () => {
+            return this.recipeProvider.findByQuery(query, profile, 0, this.pageSize)
+                .then((matchingRecipes) => {
+                    return this.recipeStore.updateSearchDetail(search, matchingRecipes);
+                });
+        });
+    }
+
+    refreshRecipeInBackground(recipe, recipeId) {
+        return this.refreshInBackground(recipe, () => {
+            return this.getRecipeDetail(recipeId)
+                .then((result) => {
+                    return this.recipeStore.updateRecipeDetail(recipe, result.title, result.detail, result.dietaryInfo)
+                        .then((recipe) => {
+                            return this.updateRecipeExtras(recipe, result);
+                        });
+                });
+        });
+    }
+
+    refreshInBackground(vertex, refresh) {
+        // only refresh each vertex once at a time
+        const key = `${vertex.label}:${vertex.id}`;
+        if (!this.refreshing[key]) {
+            console.log(`Cached ${vertex.label} ${vertex.id} is stale. Refreshing in the background.`);
+            this.refreshing[key] = refresh()
+                .catch((err) => {
+                    console.log(`Error refreshing ${vertex.label} ${vertex.id}: ${err}`);
+                })
+                .then(() => {
+                    delete this.refreshing[key];
+                });
+        }
+        return this.refreshing[key];
+    }
+
+    /**
+     * Fetches fresh results for the ingredient, cuisine, search or recipe from Spoonacular and waits for them to be stored.
+     * Ingredients, cuisines and searches are refreshed for every dietary profile they are cached for, each with the
+     * profile it was searched for with.
+     * @param type - ingredient, cuisine, search or recipe
+     * @param value - The ingredients, cuisine, search (i.e. "quick italian dinner with chicken") or recipe ID
+     * @returns {Promise.<TResult>} - The updated vertices, empty if nothing is cached for the value
+     */
+    forceRefresh(type, value) {
+        let verticesPromise;
+        let refresh;
+        if (type == 'ingredient') {
+            verticesPromise = this.recipeStore.findIngredientProfiles(value);
+            refresh = (ingredient, profile) => {
+                return this.recipeProvider.findByIngredients(value, profile, 0, this.pageSize)
+                    .then((matchingRecipes) => {
+                        return this.recipeStore.updateIngredientDetail(ingredient, matchingRecipes);
+                    });
+            };
+        }
+        else if (type == 'cuisine') {
+            verticesPromise = this.recipeStore.findCuisineProfiles(value);
+            refresh = (cuisine, profile) => {
+                return this.recipeProvider.findByCuisine(value, profile, 0, this.pageSize)
+                    .then((matchingRecipes) => {
+                        return this.recipeStore.updateCuisineDetail(cuisine, matchingRecipes);
+                    });
+            };
+        }
+        else if (type == 'search') {
+            const query = SearchQuery.parse(value);
+            verticesPromise = this.recipeStore.findSearchProfiles(query);
+            refresh = (search, profile) => {
+                return this.recipeProvider.findByQuery(query, profile, 0, this.pageSize)
+                    .then((matchingRecipes) => {
+                        return this.recipeStore.updateSearchDetail(search, matchingRecipes);
+                    });
+            };
+        }
+        else if (type == 'recipe') {
+            verticesPromise = this.recipeStore.findRecipe(value)
+                .then((recipe) => {
+                    return Promise.resolve(recipe ? [recipe] : []);
+                });
+            refresh = (recipe) => {
+                return this.getRecipeDetail(value)
+                    .then((result) => {
+                        return this.recipeStore.updateRecipeDetail(recipe, result.title, result.detail, result.dietaryInfo)
+                            .then((recipe) => {
+                                return this.updateRecipeExtras(recipe, result);
+                            });
+                    });
+            };
+        }
+        else {
+            return Promise.reject(new Error(`Unknown cache type '${type}'.`));
+        }
+        return verticesPromise
+            .then((vertices) => {
+                // one at a time, so a refresh does not use up the recipe provider's rate limit
+                let updatedVertices = [];
+                return vertices.reduce((previous, vertex) => {
+                    return previous
+                        .then(() => {
+                            return refresh(vertex, this.getCachedProfile(vertex));
+                        })
+                        .then((updatedVertex) => {
+                            updatedVertices.push(updatedVertex);
+                        });
+                }, Promise.resolve())
+                    .then(() => {
+                        return Promise.resolve(updatedVertices);
+                    });
+            });
+    }
+
+    /**
+     * Gets the dietary profile a cached ingredient, cuisine or search vertex was searched for with.
+     * @param vertex - The ingredient set, cuisine or search vertex
+     * @returns {DietaryProfile} - The profile, or null if it was searched for without one
+     */
+    getCachedProfile(vertex) {
+        const profile = vertex.properties.profile;
+        return (profile && profile[0].value ? DietaryProfile.fromKey(profile[0].value) : null);
+    }
+
+    /**
+     * Removes the cached Spoonacular results for the ingredient, cuisine, search or recipe so they are fetched on the next request.
+     * Ingredients, cuisines and searches are purged for every dietary profile they are cached for.
+     * @param type - ingredient, cuisine, search or recipe
+     * @param value - The ingredients, cuisine, search (i.e. "quick italian dinner with chicken") or recipe ID
+     * @returns {Promise.<TResult>} - The updated vertices, empty if nothing is cached for the value
+     */
+    purge(type, value) {
+        if (type == 'ingredient') {
+            return this.recipeStore.purgeIngredient(value);
+        }
+        else if (type == 'cuisine') {
+            return this.recipeStore.purgeCuisine(value);
+        }
+        else if (type == 'search') {
+            return this.recipeStore.purgeSearch(SearchQuery.parse(value));
+        }
+        else if (type == 'recipe') {
+            return this.recipeStore.purgeRecipe(value)
+                .then((recipe) => {
+                    return Promise.resolve(recipe ? [recipe] : []);
+                });
+        }
+        return Promise.reject(new Error(`Unknown cache type '${type}'.`));
+    }
+
+    /**
+     * Gets the reply to send when handling a message failed. When Spoonacular is busy or the daily quota is used up,
+     * the user can still search for anything that is cached.
+     * @param err - The error
+     * @returns {String}
+     */
+    getErrorReply(err) {
+        if (err instanceof RecipeServiceErrors.RecipeQuotaExceededError) {
+            return 'Sorry, I\'ve looked up all the new recipes I can for today! I can still show you recipes I\'ve already found - try a search you\'ve done before, or say "show me my favorite recipes".';
+        }
+        if (err instanceof RecipeServiceErrors.RecipeServiceBusyError) {
+            return 'Sorry, the recipe service is busy right now. Try again in a minute, or try a search you\'ve done before and I\'ll show you the results I already have. Say anything to me to start over...';
+        }
+        return 'Sorry, something went wrong! Say anything to me to start over...';
+    }
+
+    clearUserState(state) {
+        state.ingredientCuisine = null;
+        state.recipeCursor = null;
+        state.conversationContext = null;
+        state.conversationStarted = false;
+    }
+
+    /**
+     * Gets the reply to send when a search found no recipes, i.e. because none of them fit the user's diet.
+     * @param recipes - What was searched for (i.e. "recipes with chicken and rice")
+     * @param profile - The DietaryProfile the search was made with
+     * @returns {String}
+     */
+    getNoRecipesReply(recipes, profile) {
+        const diet = (profile.isEmpty() ? '' : ' that fit your diet');
+        return `Sorry, I couldn't find any ${recipes}${diet}. Say anything to me to start over...`;
+    }
+
+    /**
+     * Gets the reply listing the recipes, with a button to select each recipe for chat adapters that support blocks.
+     * @param matchingRecipes - The recipes
+     * @param canShowMore - True to include a button to show more results
+     * @param firstIndex - The number of recipes listed on earlier pages, the recipes are numbered after them
+     * @param intro - Optional text to list the recipes after, instead of saying the recipes were found
+     * @returns {Object} - The reply ({text, blocks})
+     */
+    getRecipeListReply(matchingRecipes, canShowMore, firstIndex, intro) {
+        intro = intro || (firstIndex > 0 ? 'Here are some more recipes:' : 'Let\'s see here...\nI\'ve found these recipes:');
+        let blocks = [{type: 'section', text: {type: 'mrkdwn', text: intro}}];
+        for (let i = 0; i < matchingRecipes.length; i++) {
+            let recipe = matchingRecipes[i];
+            let reason = this.getRecipeReason(recipe);
+            blocks.push({
+                type: 'section',
+                text: {type: 'mrkdwn', text: `*${firstIndex + i + 1}. ${recipe.title}*${this.getRecipeCalories(recipe)}` + (reason ? `\n_${reason}_` : '')},
+                accessory: {type: 'button', text: {type: 'plain_text', text: 'Cook this'}, action_id: 'select_recipe', value: `${recipe.id}`}
+            });
+        }
+        let buttons = [];
+        if (canShowMore) {
+            buttons.push({type: 'button', text: {type: 'plain_text', text: 'More results'}, action_id: 'more_results', value: 'more'});
+        }
+        buttons.push({type: 'button', text: {type: 'plain_text', text: 'Start over'}, action_id: 'start_over', value: 'start_over'});
+        blocks.push({type: 'actions', elements: buttons});
+        return {text: this.getRecipeListResponse(matchingRecipes, canShowMore, firstIndex, intro), blocks: blocks};
+    }
+
+    getRecipeListResponse(matchingRecipes, canShowMore, firstIndex, intro) {
+        let response = (intro ? `${intro} \n` : (firstIndex > 0 ? 'Here are some more recipes: \n' : 'Let\'s see here...\nI\'ve found these recipes: \n'));
+        for (let i = 0; i < matchingRecipes.length; i++) {
+            let recipe = matchingRecipes[i];
+            response += `${(firstIndex + i + 1)}.${recipe.title}${this.getRecipeCalories(recipe)}`;
+            let reason = this.getRecipeReason(recipe);
+            if (reason) {
+                response += ` *(${reason})`;
+            }
+            response += '\n';
+        }
+        response += '\nPlease enter the corresponding number of your choice';
+        response += (canShowMore ? ', or say "more" to see more recipes.' : '.');
+        return response;
+    }
+
+    getRecipeCalories(recipe) {
+        // searches with nutrient limits and recommended recipes have the calories per serving
+        if (!this.showCalories || typeof recipe.calories != 'number') {
+            return '';
+        }
+        return ` (${Math.round(recipe.calories)} calories)`;
+    }
+
+    getRecipeReason(recipe) {
+        if (recipe.recommended) {
+            let users = recipe.recommendedUserCount;
+            let s1 = (users==1?"":"s");
+            let s2 = (users==1?"s":"");
+            return `${users} other user${s1} like${s2} this`;
+        }
+        return recipe.reason || null;
+    }
+
+    /**
+     * Gets the reply with the recipe instructions, with buttons to save the recipe and start over for chat adapters
+     * that support blocks.
+     * @param recipeId - The ID of the recipe
+     * @param recipeDetail - The recipe instructions (see getRecipeInstructionsResponse)
+     * @param nutritionSummary - Optional line with the nutrition per serving (see getNutritionSummary)
+     * @returns {Object} - The reply ({text, blocks})
+     */
+    getRecipeReply(recipeId, recipeDetail, nutritionSummary) {
+        const ratingPrompt = 'Say "cook it" to go through the recipe one step at a time, or "add it to my list" to shop for it. How was it? Rate this recipe any time by saying "rate" followed by 1 to 5, "thumbs up" or "thumbs down".';
+        let blocks = [];
+        let remaining = recipeDetail;
+        while (remaining.length > 0) {
+            // split long instructions between steps where we can
+            let length = remaining.length;
+            if (length > MAX_BLOCK_TEXT_LENGTH) {
+                length = remaining.lastIndexOf('\n\n', MAX_BLOCK_TEXT_LENGTH);
+                if (length <= 0) {
+                    length = MAX_BLOCK_TEXT_LENGTH;
+                }
+            }
+            blocks.push({type: 'section', text: {type: 'mrkdwn', text: remaining.substring(0, length)}});
+            remaining = remaining.substring(length).replace(/^\n+/, '');
+        }
+        if (nutritionSummary) {
+            blocks.push({type: 'section', text: {type: 'mrkdwn', text: nutritionSummary}});
+        }
+        blocks.push({type: 'context', elements: [{type: 'mrkdwn', text: ratingPrompt}]});
+        blocks.push({
+            type: 'actions',
+            elements: [
+                {type: 'button', text: {type: 'plain_text', text: 'Cook step by step'}, action_id: 'start_cooking', value: `${recipeId}`, style: 'primary'},
+                {type: 'button', text: {type: 'plain_text', text: 'Save'}, action_id: 'save_recipe', value: `${recipeId}`},
+                {type: 'button', text: {type: 'plain_text', text: 'Add to shopping list'}, action_id: 'add_to_list', value: `${recipeId}`},
+                {type: 'button', text: {type: 'plain_text', text: 'Start over'}, action_id: 'start_over', value: 'start_over'}
+            ]
+        });
+        const text = (nutritionSummary ? `${recipeDetail}\n\n${nutritionSummary}\n\n${ratingPrompt}` : `${recipeDetail}\n\n${ratingPrompt}`);
+        return {text: text, blocks: blocks};
     }
 
     getRecipeInstructionsResponse(recipeInfo, recipeSteps) {
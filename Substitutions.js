@@ -0,0 +1,151 @@
+'use strict';
+
+const ShoppingList = require('./ShoppingList');
+
+// Common substitutions, used when Spoonacular can't be reached or doesn't know the ingredient.
+// Written the same way Spoonacular describes substitutes ("<amount> = <what to use instead>").
+const SUBSTITUTIONS = {
+    'buttermilk': [
+        '1 cup = 1 cup milk + 1 tbsp lemon juice or white vinegar (let it stand for 5 minutes)',
+        '1 cup = 3/4 cup plain yogurt + 1/4 cup milk',
+        '1 cup = 1 cup kefir'
+    ],
+    'butter': [
+        '1 cup = 7/8 cup vegetable oil',
+        '1 cup = 1 cup margarine',
+        '1 cup = 1 cup coconut oil'
+    ],
+    'egg': [
+        '1 egg = 1 tbsp ground flaxseed + 3 tbsp water (let it stand for 5 minutes)',
+        '1 egg = 1/4 cup applesauce',
+        '1 egg = 1/2 mashed banana'
+    ],
+    'milk': [
+        '1 cup = 1/2 cup evaporated milk + 1/2 cup water',
+        '1 cup = 1 cup soy milk',
+        '1 cup = 1 cup oat milk'
+    ],
+    'heavy cream': [
+        '1 cup = 3/4 cup milk + 1/4 cup melted butter',
+        '1 cup = 1 cup full-fat coconut milk'
+    ],
+    'sour cream': [
+        '1 cup = 1 cup plain greek yogurt',
+        '1 cup = 1 cup creme fraiche'
+    ],
+    'plain yogurt': [
+        '1 cup = 1 cup sour cream',
+        '1 cup = 1 cup buttermilk'
+    ],
+    'cake flour': [
+        '1 cup = 7/8 cup all purpose flour + 2 tbsp cornstarch'
+    ],
+    'self-rising flour': [
+        '1 cup = 1 cup all purpose flour + 1 1/2 tsp baking powder + 1/4 tsp salt'
+    ],
+    'baking powder': [
+        '1 tsp = 1/4 tsp baking soda + 1/2 tsp cream of tartar'
+    ],
+    'cornstarch': [
+        '1 tbsp = 2 tbsp all purpose flour',
+        '1 tbsp = 1 tbsp arrowroot powder'
+    ],
+    'brown sugar': [
+        '1 cup = 1 cup white sugar + 1 tbsp molasses'
+    ],
+    'honey': [
+        '1 cup = 1 cup maple syrup',
+        '1 cup = 1 1/4 cup sugar + 1/4 cup water'
+    ],
+    'lemon juice': [
+        '1 tsp = 1/2 tsp white vinegar',
+        '1 tsp = 1 tsp lime juice'
+    ],
+    'white wine': [
+        '1 cup = 1 cup chicken broth + 1 tbsp white wine vinegar',
+        '1 cup = 1 cup white grape juice'
+    ],
+    'red wine': [
+        '1 cup = 1 cup beef broth + 1 tbsp red wine vinegar',
+        '1 cup = 1 cup cranberry juice'
+    ],
+    'garlic': [
+        '1 clove = 1/8 tsp garlic powder'
+    ],
+    'onion': [
+        '1 onion = 1 tbsp onion powder'
+    ],
+    'shallot': [
+        '1 shallot = 1/2 onion + 1 clove garlic'
+    ],
+    'fresh herbs': [
+        '1 tbsp = 1 tsp dried herbs'
+    ],
+    'parmesan': [
+        '1 cup = 1 cup pecorino romano',
+        '1 cup = 1 cup grated asiago'
+    ],
+    'breadcrumbs': [
+        '1 cup = 1 cup crushed crackers',
+        '1 cup = 1 cup rolled oats'
+    ],
+    'soy sauce': [
+        '1 tbsp = 1 tbsp tamari',
+        '1 tbsp = 1 tbsp coconut aminos'
+    ],
+    'chicken broth': [
+        '1 cup = 1 cup vegetable broth',
+        '1 cup = 1 bouillon cube + 1 cup water'
+    ]
+};
+
+class Substitutions {
+
+    /**
+     * Finds the substitutes for an ingredient in the local table.
+     * @param ingredient - The name of the ingredient
+     * @returns {Array} - The substitutes ({name, description}), empty if the ingredient is not in the table
+     */
+    static find(ingredient) {
+        // "self rising flour" finds "self-rising flour"
+        const getKey = (name) => ShoppingList.getNameKey(name.replace(/-/g, ' '));
+        const name = Object.keys(SUBSTITUTIONS).find((name) => getKey(name) == getKey(ingredient));
+        return Substitutions.parse(name ? SUBSTITUTIONS[name] : []);
+    }
+
+    /**
+     * Gets the substitutes from their descriptions, as returned by Spoonacular (i.e. "1 cup = 1 cup plain yogurt").
+     * @param descriptions - The descriptions of the substitutes
+     * @returns {Array} - The substitutes ({name, description}), name is what to use instead (i.e. "plain yogurt")
+     */
+    static parse(descriptions) {
+        return (descriptions || [])
+            .filter((description) => description && description.trim().length > 0)
+            .map((description) => {
+                return {name: Substitutions.getSubstituteName(description), description: description.trim()};
+            });
+    }
+
+    /**
+     * Gets what to use instead from the description of a substitute, leaving out the amounts and any notes
+     * (i.e. "milk and lemon juice" for "1 cup = 1 cup milk + 1 tbsp lemon juice (let it stand for 5 minutes)").
+     * @param description - The description of the substitute
+     * @returns {string}
+     */
+    static getSubstituteName(description) {
+        let text = description.substring(description.indexOf('=') + 1).replace(/\([^)]*\)/g, '').replace(/^\s*(?:replace\s+(?:it\s+)?with|use)\s+/i, '');
+        let names = [];
+        for (let part of text.split(/\+|,|\band\b/)) {
+            // whole numbers before fractions (i.e. "1 1/2 tsp") are dropped here, parsePantryItems reads the fraction
+            part = part.trim().replace(/^\d+\s+(?=\d+\/\d+)/, '');
+            for (let item of ShoppingList.parsePantryItems(part)) {
+                if (item.name.length > 0 && names.indexOf(item.name) < 0) {
+                    names.push(item.name);
+                }
+            }
+        }
+        return (names.length > 0 ? names.join(' and ') : text.trim().toLowerCase());
+    }
+}
+
+module.exports = Substitutions;
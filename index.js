@@ -1,8 +1,12 @@
 'use strict';
 
 const dotenv = require('dotenv');
-const JanusGraphClient = require('./JanusGraphClient');
-const JanusGraphRecipeStore = require('./JanusGraphRecipeStore');
+const ConsoleAdapter = require('./ConsoleAdapter');
+const FileSessionStore = require('./FileSessionStore');
+const HttpAdapter = require('./HttpAdapter');
+const InMemorySessionStore = require('./InMemorySessionStore');
+const ServiceFactory = require('./ServiceFactory');
+const SlackAdapter = require('./SlackAdapter');
 const SnsClient = require('./SnsClient');
 const SousChef = require('./SousChef');
 
@@ -18,11 +22,47 @@ if (process.env.VCAP_SERVICES) {
 		config = vcapServices[graphService][0];
 	}
 }
-let graphClient = new JanusGraphClient(
-	process.env.JANUSGRAPH_URL,
-	process.env.JANUSGRAPH_USERNAME,
-	process.env.JANUSGRAPH_PASSWORD
-);
+
+// the recipe store and provider are created the same way for the bot and CacheAdmin
+const serviceFactory = new ServiceFactory();
+
+// create recipe store (RECIPE_STORE=memory runs without JanusGraph, optionally persisted to RECIPE_STORE_FILE)
+const recipeStore = serviceFactory.createRecipeStore();
+
+// create recipe provider (RECIPE_PROVIDER=local searches the recipes in RECIPE_CORPUS instead of Spoonacular,
+// local,spoonacular searches them first and falls back to Spoonacular)
+const recipeProvider = serviceFactory.createRecipeProvider();
+
+// create session store (SESSION_STORE=file keeps conversations in SESSION_STORE_DIR across restarts and bot processes)
+const sessionOptions = {
+	idleTimeout: (process.env.SESSION_IDLE_HOURS ? parseFloat(process.env.SESSION_IDLE_HOURS) * 60 * 60 * 1000 : undefined)
+};
+let sessionStore;
+if (process.env.SESSION_STORE == 'file') {
+	sessionStore = new FileSessionStore(process.env.SESSION_STORE_DIR || 'sessions', sessionOptions);
+}
+else {
+	sessionStore = new InMemorySessionStore(sessionOptions);
+}
+
+// create chat adapter (CHAT_ADAPTER=console to chat in the terminal, http to accept messages POSTed to /messages)
+let chatAdapter;
+if (process.env.CHAT_ADAPTER == 'console') {
+	chatAdapter = new ConsoleAdapter(process.env.CONSOLE_USER_ID);
+}
+else if (process.env.CHAT_ADAPTER == 'http') {
+	chatAdapter = new HttpAdapter(process.env.PORT || 3000, {
+		apiKey: process.env.HTTP_API_KEY,
+		getMetrics: () => sousChef.getMetrics()
+	});
+}
+else {
+	chatAdapter = new SlackAdapter(process.env.SLACK_BOT_TOKEN, {
+		botId: process.env.SLACK_BOT_ID,
+		signingSecret: process.env.SLACK_SIGNING_SECRET,
+		port: process.env.SLACK_INTERACTIVITY_PORT
+	});
+}
 
 const snsClient = new SnsClient(
     process.env.SNS_API_URL,
@@ -30,12 +70,21 @@ const snsClient = new SnsClient(
 );
 
 const sousChef = new SousChef(
-	new JanusGraphRecipeStore(graphClient, process.env.GRAPH_ID),
-	process.env.SLACK_BOT_TOKEN,
+	recipeStore,
+	chatAdapter,
 	process.env.SPOONACULAR_KEY,
 	process.env.CONVERSATION_USERNAME,
 	process.env.CONVERSATION_PASSWORD,
 	process.env.CONVERSATION_WORKSPACE_ID,
-    snsClient
+    snsClient,
+	{
+		cacheTtl: (process.env.CACHE_TTL_HOURS ? parseFloat(process.env.CACHE_TTL_HOURS) * 60 * 60 * 1000 : undefined),
+		sessionStore: sessionStore,
+		conversationEngine: process.env.CONVERSATION_ENGINE,
+		conversationTimeout: (process.env.CONVERSATION_TIMEOUT_SECONDS ? parseFloat(process.env.CONVERSATION_TIMEOUT_SECONDS) * 1000 : undefined),
+		pageSize: (process.env.RECIPES_PER_PAGE ? parseInt(process.env.RECIPES_PER_PAGE) : undefined),
+		showCalories: (process.env.SHOW_CALORIES == 'true'),
+		recipeProvider: recipeProvider
+	}
 );
 sousChef.run();
\ No newline at end of file
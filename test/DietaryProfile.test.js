@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert');
+const DietaryProfile = require('../DietaryProfile');
+
+describe('DietaryProfile', () => {
+    describe('getAllergens', () => {
+        it('finds the allergens in ingredients by whole words', () => {
+            assert.deepStrictEqual(DietaryProfile.getAllergens(['2 eggs', 'buttermilk']).sort(), ['dairy', 'egg']);
+            assert.deepStrictEqual(DietaryProfile.getAllergens(['anchovies', 'breadcrumbs']).filter((allergen) => ['gluten', 'seafood'].indexOf(allergen) >= 0).sort(), ['gluten', 'seafood']);
+        });
+
+        it('does not mistake ingredients that only contain an allergen\'s name', () => {
+            assert.deepStrictEqual(DietaryProfile.getAllergens(['eggplant', 'butternut squash', 'peppercorns']), []);
+        });
+
+        it('does not count plant-based milks and butters as dairy', () => {
+            assert.deepStrictEqual(DietaryProfile.getAllergens(['coconut milk', 'peanut butter', 'butter beans', 'cream of tartar']).filter((allergen) => allergen == 'dairy'), []);
+        });
+    });
+
+    describe('fromKey', () => {
+        it('creates the profile a cached search was made with from its key', () => {
+            const profile = new DietaryProfile('vegan', ['egg', 'dairy'], {maxCalories: 500, minProtein: 25});
+            assert.deepStrictEqual(DietaryProfile.fromKey(profile.getKey()), profile);
+            assert.ok(DietaryProfile.fromKey('').isEmpty());
+        });
+    });
+});
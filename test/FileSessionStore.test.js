@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileSessionStore = require('../FileSessionStore');
+const ChatHarness = require('./support/ChatHarness');
+
+describe('FileSessionStore', () => {
+    let dirPath;
+    let sessionStore;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    beforeEach(() => {
+        dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+        sessionStore = new FileSessionStore(dirPath, {idleTimeout: 60 * 1000});
+    });
+
+    afterEach(() => {
+        clearInterval(sessionStore.expiryTimer);
+        for (let fileName of fs.readdirSync(dirPath)) {
+            fs.unlinkSync(path.join(dirPath, fileName));
+        }
+        fs.rmdirSync(dirPath);
+    });
+
+    // Saves the session as if it was last saved the specified number of milliseconds ago
+    function saveSession(sessionKey, state, age) {
+        fs.writeFileSync(sessionStore.getFilePath(sessionKey), JSON.stringify({state: state, savedAt: Date.now() - age}));
+    }
+
+    it('keeps each session in its own file', () => {
+        return Promise.all([sessionStore.set('U1', {userId: 'U1'}), sessionStore.set('C1:T1:U1', {userId: 'U1', cooking: {id: 'local-3'}})])
+            .then(() => {
+                assert.deepStrictEqual(fs.readdirSync(dirPath).sort(), ['C1%3AT1%3AU1.json', 'U1.json']);
+                return Promise.all([sessionStore.get('U1'), sessionStore.get('C1:T1:U1'), sessionStore.get('U2')]);
+            })
+            .then((states) => {
+                assert.deepStrictEqual(states, [{userId: 'U1'}, {userId: 'U1', cooking: {id: 'local-3'}}, null]);
+            });
+    });
+
+    it('forgets a session that was idle for longer than the timeout', () => {
+        saveSession('U1', {userId: 'U1'}, 2 * 60 * 1000);
+        saveSession('U2', {userId: 'U2'}, 30 * 1000);
+        return Promise.all([sessionStore.get('U1'), sessionStore.get('U2')])
+            .then((states) => {
+                assert.deepStrictEqual(states, [null, {userId: 'U2'}]);
+                assert.deepStrictEqual(fs.readdirSync(dirPath), ['U2.json']);
+            });
+    });
+
+    it('removes expired sessions that are never asked for again', () => {
+        saveSession('U1', {userId: 'U1'}, 2 * 60 * 1000);
+        saveSession('U2', {userId: 'U2'}, 30 * 1000);
+        sessionStore.removeExpiredSessions();
+        return new Promise((resolve) => {
+            // the files are read and removed in the background
+            const timer = setInterval(() => {
+                if (fs.readdirSync(dirPath).length == 1) {
+                    clearInterval(timer);
+                    resolve();
+                }
+            }, 10);
+        })
+            .then(() => {
+                assert.deepStrictEqual(fs.readdirSync(dirPath), ['U2.json']);
+            });
+    });
+
+    it('treats a session that cannot be read as no session', () => {
+        fs.writeFileSync(sessionStore.getFilePath('U1'), '{"state":');
+        return sessionStore.get('U1')
+            .then((state) => {
+                assert.strictEqual(state, null);
+            });
+    });
+});
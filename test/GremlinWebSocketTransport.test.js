@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('assert');
+const WebSocket = require('ws');
+const GremlinWebSocketTransport = require('../GremlinWebSocketTransport');
+const ChatHarness = require('./support/ChatHarness');
+
+describe('GremlinWebSocketTransport', () => {
+    let server;
+    let transport;
+    let requests;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    // Starts a Gremlin Server stand-in that passes each request ({message, socket}) to onRequest
+    function startServer(onRequest) {
+        requests = [];
+        return new Promise((resolve) => {
+            server = new WebSocket.Server({port: 0}, resolve);
+            server.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    // each request is the length of the mime type, the mime type, then the JSON message
+                    const message = JSON.parse(data.slice(data[0] + 1).toString());
+                    requests.push(message);
+                    onRequest(message, socket);
+                });
+            });
+        })
+            .then(() => {
+                transport = new GremlinWebSocketTransport(`ws://localhost:${server.address().port}/gremlin`, 'admin', 'secret', {reconnectDelay: 10, requestTimeout: 2000});
+            });
+    }
+
+    function respond(socket, message, code, data) {
+        socket.send(JSON.stringify({requestId: message.requestId, status: {code: code, message: ''}, result: {data: data}}));
+    }
+
+    afterEach(() => {
+        return transport.close()
+            .then(() => {
+                return new Promise((resolve) => {
+                    server.close(resolve);
+                });
+            });
+    });
+
+    it('matches responses to the requests they answer', () => {
+        let pending = [];
+        return startServer((message, socket) => {
+            pending.push(message);
+            if (pending.length == 2) {
+                // answer the second request first
+                respond(socket, pending[1], 200, [pending[1].args.bindings.n]);
+                respond(socket, pending[0], 200, [pending[0].args.bindings.n]);
+            }
+        })
+            .then(() => {
+                return Promise.all([transport.submit('n', {n: 1}), transport.submit('n', {n: 2})]);
+            })
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map((response) => response.result.data), [[1], [2]]);
+                assert.strictEqual(responses[0].status.code, 200);
+            });
+    });
+
+    it('combines results streamed in batches and passes each batch to onData', () => {
+        let batches = [];
+        return startServer((message, socket) => {
+            respond(socket, message, 206, [1, 2]);
+            respond(socket, message, 206, [3]);
+            respond(socket, message, 200, [4]);
+        })
+            .then(() => {
+                return transport.submit('g.V()', {}, {onData: (data) => batches.push(data)});
+            })
+            .then((response) => {
+                assert.deepStrictEqual(batches, [[1, 2], [3], [4]]);
+                assert.deepStrictEqual(response.result.data, [1, 2, 3, 4]);
+            });
+    });
+
+    it('rejects the request when the server returns an error', () => {
+        return startServer((message, socket) => {
+            socket.send(JSON.stringify({requestId: message.requestId, status: {code: 597, message: 'Script evaluation failed'}}));
+        })
+            .then(() => {
+                return transport.submit('g.V(', {});
+            })
+            .then(() => {
+                assert.fail('Expected the request to be rejected');
+            }, (err) => {
+                assert.strictEqual(err.message, 'Server returned error 597: Script evaluation failed');
+            });
+    });
+
+    it('leaves committing scripts run in a session to the session', () => {
+        return startServer((message, socket) => {
+            respond(socket, message, 200, []);
+        })
+            .then(() => {
+                return transport.submit('g.V()', {}, {session: 'S1'});
+            })
+            .then(() => {
+                assert.strictEqual(requests[0].processor, 'session');
+                assert.strictEqual(requests[0].args.session, 'S1');
+                assert.strictEqual(requests[0].args.manageTransaction, undefined);
+            });
+    });
+
+    it('fails requests in flight when the socket closes and reconnects for the next request', () => {
+        return startServer((message, socket) => {
+            if (requests.length == 1) {
+                socket.terminate();
+            }
+            else {
+                respond(socket, message, 200, ['ok']);
+            }
+        })
+            .then(() => {
+                return transport.submit('g.V()', {});
+            })
+            .then(() => {
+                assert.fail('Expected the request to be rejected');
+            }, (err) => {
+                assert.strictEqual(err.message, 'WebSocket closed before response was received.');
+                return transport.submit('g.V()', {});
+            })
+            .then((response) => {
+                assert.deepStrictEqual(response.result.data, ['ok']);
+                assert.strictEqual(server.clients.size, 1);
+            });
+    });
+
+    it('retries opening the socket until the server is up', () => {
+        let port;
+        return startServer((message, socket) => {
+            respond(socket, message, 200, ['ok']);
+        })
+            .then(() => {
+                // stop the server and start it again on the same port while the transport is still retrying
+                port = server.address().port;
+                return new Promise((resolve) => {
+                    server.close(resolve);
+                });
+            })
+            .then(() => {
+                setTimeout(() => {
+                    server = new WebSocket.Server({port: port});
+                    server.on('connection', (socket) => {
+                        socket.on('message', (data) => {
+                            respond(socket, JSON.parse(data.slice(data[0] + 1).toString()), 200, ['ok']);
+                        });
+                    });
+                }, 30);
+                return transport.submit('g.V()', {});
+            })
+            .then((response) => {
+                assert.deepStrictEqual(response.result.data, ['ok']);
+            });
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const HttpAdapter = require('../HttpAdapter');
+const ChatHarness = require('./support/ChatHarness');
+
+const API_KEY = 'secret-key';
+
+describe('HttpAdapter', () => {
+    let adapter;
+    let messages;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    beforeEach(() => {
+        messages = [];
+        adapter = new HttpAdapter(0, {apiKey: API_KEY, getMetrics: () => ({requests: 3})});
+        return adapter.start((message) => {
+            messages.push(message);
+            adapter.sendReply(message, {text: `You said ${message.text}`, blocks: []});
+        });
+    });
+
+    afterEach(() => {
+        return adapter.close();
+    });
+
+    // Sends the request and resolves with the status code and the parsed response body
+    function request(method, path, body, authorization) {
+        return new Promise((resolve, reject) => {
+            const headers = (authorization === undefined ? {'Authorization': `Bearer ${API_KEY}`} : (authorization ? {'Authorization': authorization} : {}));
+            const req = http.request({port: adapter.server.address().port, method: method, path: path, headers: headers}, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    resolve({statusCode: res.statusCode, body: JSON.parse(data)});
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    it('answers a message with the text of the reply', () => {
+        return request('POST', '/messages', JSON.stringify({userId: 42, text: 'hi'}))
+            .then((response) => {
+                assert.deepStrictEqual(response, {statusCode: 200, body: {reply: 'You said hi'}});
+                assert.strictEqual(messages[0].userId, '42');
+                assert.strictEqual(messages[0].channelId, 'http');
+            });
+    });
+
+    it('refuses requests without the API key', () => {
+        return Promise.all([
+            request('POST', '/messages', JSON.stringify({userId: 'U1', text: 'hi'}), ''),
+            request('POST', '/messages', JSON.stringify({userId: 'U1', text: 'hi'}), 'Bearer secret-kez'),
+            request('POST', '/messages', JSON.stringify({userId: 'U1', text: 'hi'}), 'Bearer secret'),
+            request('GET', '/metrics', null, '')
+        ])
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map((response) => response.statusCode), [401, 401, 401, 401]);
+                assert.strictEqual(messages.length, 0);
+            });
+    });
+
+    it('serves the metrics', () => {
+        return request('GET', '/metrics')
+            .then((response) => {
+                assert.deepStrictEqual(response, {statusCode: 200, body: {requests: 3}});
+            });
+    });
+
+    it('answers 404 for anything but messages and metrics', () => {
+        return Promise.all([request('GET', '/messages'), request('POST', '/other', '{}')])
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map((response) => response.statusCode), [404, 404]);
+            });
+    });
+
+    it('answers 400 for bodies that are not a message', () => {
+        const bodies = ['{"userId":', 'null', '[]', '42', '"hi"', JSON.stringify({userId: 'U1'}), JSON.stringify({text: 'hi'})];
+        return Promise.all(bodies.map((body) => request('POST', '/messages', body)))
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map((response) => response.statusCode), [400, 400, 400, 400, 400, 400, 400]);
+                assert.deepStrictEqual(responses.slice(0, 3).map((response) => response.body.error), ['Invalid JSON', 'Body must be a JSON object', 'Body must be a JSON object']);
+                assert.strictEqual(messages.length, 0);
+            });
+    });
+
+    it('answers 413 for bodies that are too large', () => {
+        return request('POST', '/messages', JSON.stringify({userId: 'U1', text: 'x'.repeat(70 * 1024)}))
+            .then((response) => {
+                assert.strictEqual(response.statusCode, 413);
+            }, (err) => {
+                // the request may be cut off before the response is read
+                assert.strictEqual(err.code, 'ECONNRESET');
+            });
+    });
+
+    it('will not start without an API key', () => {
+        const anonymous = new HttpAdapter(0, {});
+        return anonymous.start(() => {})
+            .then(() => {
+                assert.fail('Expected start to be rejected');
+            }, (err) => {
+                assert.strictEqual(err.message, 'The http chat adapter requires an API key (set HTTP_API_KEY).');
+                assert.strictEqual(anonymous.server, null);
+            });
+    });
+});
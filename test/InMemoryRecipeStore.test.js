@@ -0,0 +1,259 @@
+'use strict';
+
+const assert = require('assert');
+const DietaryProfile = require('../DietaryProfile');
+const InMemoryRecipeStore = require('../InMemoryRecipeStore');
+const SearchQuery = require('../SearchQuery');
+const ChatHarness = require('./support/ChatHarness');
+
+describe('InMemoryRecipeStore', () => {
+    let store;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    beforeEach(() => {
+        store = new InMemoryRecipeStore();
+        return store.init();
+    });
+
+    // Selects the recipe as the user, as SousChef does when the user picks it from a list
+    function selectRecipe(userId, recipeId, title, ingredients, times) {
+        let user;
+        return store.addUser(userId)
+            .then((vertex) => {
+                user = vertex;
+                return store.addRecipe(recipeId, title, 'detail', null, user, ingredients);
+            })
+            .then((recipe) => {
+                let selections = Promise.resolve(recipe);
+                for (let i = 1; i < (times || 1); i++) {
+                    selections = selections.then(() => store.selectRecipe(recipeId, null, user));
+                }
+                return selections;
+            })
+            .then(() => {
+                return Promise.resolve(user);
+            });
+    }
+
+    describe('vertex shapes', () => {
+        it('returns vertices in the shape of the JanusGraph REST API', () => {
+            return store.addUser('U1')
+                .then((user) => {
+                    assert.strictEqual(user.label, 'person');
+                    assert.ok(user.id);
+                    assert.strictEqual(user.properties.name[0].value, 'U1');
+                    return store.addIngredient('Rice, chicken', [{id: 1, title: 'Chicken Rice'}], user);
+                })
+                .then((ingredientSet) => {
+                    assert.strictEqual(ingredientSet.label, 'ingredientSet');
+                    assert.strictEqual(ingredientSet.properties.name[0].value, 'chicken,rice');
+                    assert.deepStrictEqual(JSON.parse(ingredientSet.properties.detail[0].value), [{id: 1, title: 'Chicken Rice'}]);
+                    assert.ok(ingredientSet.properties.fetchedAt[0].value > 0);
+                });
+        });
+
+        it('does not create a second user with the same ID', () => {
+            let first;
+            return store.addUser('U1')
+                .then((user) => {
+                    first = user;
+                    return store.addUser('U1');
+                })
+                .then((user) => {
+                    assert.strictEqual(user.id, first.id);
+                });
+        });
+
+        it('returns the recipe vertex when a recipe is selected', () => {
+            let user;
+            return store.addUser('U1')
+                .then((vertex) => {
+                    user = vertex;
+                    return store.addRecipe('local-1', 'Spaghetti Aglio e Olio', 'detail', null, user, ['spaghetti', 'garlic']);
+                })
+                .then((recipe) => {
+                    assert.strictEqual(recipe.label, 'recipe');
+                    assert.strictEqual(recipe.properties.name[0].value, 'local-1');
+                    assert.strictEqual(recipe.properties.title[0].value, 'Spaghetti Aglio e Olio');
+                    return store.selectRecipe('LOCAL-1', null, user);
+                })
+                .then((recipe) => {
+                    assert.strictEqual(recipe.properties.name[0].value, 'local-1');
+                    return store.findFavoriteRecipesForUser(user, 5);
+                })
+                .then((recipes) => {
+                    assert.deepStrictEqual(recipes.map((recipe) => recipe.id), ['local-1']);
+                });
+        });
+
+        it('returns null for vertices that do not exist', () => {
+            return Promise.all([store.findRecipe('missing'), store.findCuisine('nordic'), store.findIngredient('saffron'), store.selectRecipe('missing', null, {id: 1})])
+                .then((results) => {
+                    assert.deepStrictEqual(results, [null, null, null, null]);
+                });
+        });
+    });
+
+    describe('cached searches', () => {
+        it('finds an ingredient set by its ingredients in any order', () => {
+            return store.addUser('U1')
+                .then((user) => store.addIngredient('chicken, rice', [], user))
+                .then(() => store.findIngredient(' Rice,CHICKEN '))
+                .then((ingredientSet) => {
+                    assert.strictEqual(ingredientSet.properties.name[0].value, 'chicken,rice');
+                });
+        });
+
+        it('only finds the ingredient set searched for with exactly the same ingredients', () => {
+            return store.addUser('U1')
+                .then((user) => store.addIngredient('chicken, rice', [{id: 5, title: 'Egg Fried Rice'}], user))
+                .then(() => store.findIngredient('chicken'))
+                .then((ingredientSet) => {
+                    assert.strictEqual(ingredientSet, null);
+                });
+        });
+
+        it('keeps searches made with different dietary profiles apart', () => {
+            const vegetarian = new DietaryProfile('vegetarian', []);
+            let user;
+            return store.addUser('U1')
+                .then((vertex) => {
+                    user = vertex;
+                    return store.addCuisine('Italian', [{id: 1}], user, vegetarian);
+                })
+                .then(() => store.addCuisine('italian', [{id: 1}, {id: 2}], user))
+                .then(() => Promise.all([store.findCuisine('italian', vegetarian), store.findCuisine('italian')]))
+                .then((cuisines) => {
+                    assert.strictEqual(cuisines[0].properties.name[0].value, 'italian;diet=vegetarian');
+                    assert.strictEqual(JSON.parse(cuisines[0].properties.detail[0].value).length, 1);
+                    assert.strictEqual(cuisines[1].properties.name[0].value, 'italian');
+                    assert.strictEqual(JSON.parse(cuisines[1].properties.detail[0].value).length, 2);
+                });
+        });
+
+        it('finds combined searches by their criteria however they were worded', () => {
+            return store.addUser('U1')
+                .then((user) => store.addSearch(SearchQuery.parse('quick italian dinner with chicken'), [{id: 2}], user))
+                .then(() => store.findSearch(SearchQuery.parse('chicken italian main course in 30 minutes')))
+                .then((search) => {
+                    assert.strictEqual(search.properties.name[0].value, 'cuisine=italian;ingredients=chicken;maxReadyTime=30;type=main course');
+                });
+        });
+
+        it('appends further pages without repeating recipes', () => {
+            return store.addUser('U1')
+                .then((user) => store.addCuisine('mexican', [{id: 3}, {id: 4}], user))
+                .then((cuisine) => store.appendCuisineDetail(cuisine, [{id: 4}, {id: 8}]))
+                .then((cuisine) => {
+                    assert.deepStrictEqual(JSON.parse(cuisine.properties.detail[0].value).map((recipe) => recipe.id), [3, 4, 8]);
+                });
+        });
+
+        it('purges the cached recipes but keeps the vertex', () => {
+            return store.addUser('U1')
+                .then((user) => store.addIngredient('chicken', [{id: 2}], user))
+                .then(() => store.purgeIngredient('chicken'))
+                .then((ingredientSets) => {
+                    assert.strictEqual(ingredientSets.length, 1);
+                    assert.strictEqual(ingredientSets[0].properties.name[0].value, 'chicken');
+                    assert.strictEqual(ingredientSets[0].properties.detail, undefined);
+                    return store.purgeIngredient('chicken, rice');
+                })
+                .then((ingredientSets) => {
+                    assert.deepStrictEqual(ingredientSets, []);
+                });
+        });
+
+        it('purges the searches made with every dietary profile and nothing else', () => {
+            let user;
+            return store.addUser('U1')
+                .then((vertex) => {
+                    user = vertex;
+                    return store.addSearch(SearchQuery.parse('italian with chicken'), [{id: 2}], user);
+                })
+                .then(() => store.addSearch(SearchQuery.parse('italian with chicken'), [{id: 2}], user, new DietaryProfile('vegetarian', ['egg'])))
+                .then(() => store.addSearch(SearchQuery.parse('italian with chicken under 30 minutes'), [{id: 2}], user))
+                .then(() => store.purgeSearch(SearchQuery.parse('italian with chicken')))
+                .then((searches) => {
+                    assert.deepStrictEqual(searches.map((search) => search.properties.name[0].value).sort(), [
+                        'cuisine=italian;ingredients=chicken',
+                        'cuisine=italian;ingredients=chicken;diet=vegetarian;intolerances=egg'
+                    ]);
+                    return store.findSearch(SearchQuery.parse('italian with chicken under 30 minutes'));
+                })
+                .then((search) => {
+                    assert.ok(search.properties.detail);
+                });
+        });
+    });
+
+    describe('recommendations', () => {
+        it('recommends recipes other users liked that use any of the ingredients', () => {
+            return selectRecipe('U1', 'local-2', 'Chicken Cacciatore', ['chicken thighs', 'garlic'], 2)
+                .then(() => selectRecipe('U2', 'local-1', 'Spaghetti Aglio e Olio', ['spaghetti', 'garlic'], 3))
+                .then(() => store.addUser('U3'))
+                .then((user) => store.findRecommendedRecipesForIngredient('garlic, onion', user, 5))
+                .then((recipes) => {
+                    assert.deepStrictEqual(recipes.map((recipe) => recipe.id), ['local-1', 'local-2']);
+                    assert.strictEqual(recipes[0].title, 'Spaghetti Aglio e Olio');
+                    assert.strictEqual(recipes[0].recommendedUserCount, 1);
+                });
+        });
+
+        it('does not recommend recipes the user only selected once or rated low', () => {
+            return selectRecipe('U1', 'local-2', 'Chicken Cacciatore', ['garlic'])
+                .then(() => selectRecipe('U2', 'local-1', 'Spaghetti Aglio e Olio', ['garlic'], 2))
+                .then((user) => store.rateRecipe('local-1', user, 1))
+                .then(() => store.addUser('U3'))
+                .then((user) => store.findRecommendedRecipesForIngredient('garlic', user, 5))
+                .then((recipes) => {
+                    assert.deepStrictEqual(recipes, []);
+                });
+        });
+
+        it('does not recommend the user\'s own selections', () => {
+            return selectRecipe('U1', 'local-1', 'Spaghetti Aglio e Olio', ['garlic'], 3)
+                .then((user) => store.findRecommendedRecipesForIngredient('garlic', user, 5))
+                .then((recipes) => {
+                    assert.deepStrictEqual(recipes, []);
+                });
+        });
+
+        it('suggests recipes cooked by people who cooked the same recipes', () => {
+            return selectRecipe('U1', 'local-1', 'Spaghetti Aglio e Olio', [])
+                .then(() => selectRecipe('U2', 'local-1', 'Spaghetti Aglio e Olio', []))
+                .then(() => selectRecipe('U2', 'local-6', 'Chana Masala', [], 2))
+                .then(() => store.addUser('U1'))
+                .then((user) => store.findSuggestedRecipesForUser(user, 5))
+                .then((recipes) => {
+                    assert.strictEqual(recipes.length, 1);
+                    assert.strictEqual(recipes[0].id, 'local-6');
+                    assert.strictEqual(recipes[0].sharedRecipeTitle, 'Spaghetti Aglio e Olio');
+                });
+        });
+
+        it('lists favorites with saved recipes first, then by selections', () => {
+            let user;
+            return selectRecipe('U1', 'local-1', 'Spaghetti Aglio e Olio', [], 3)
+                .then(() => selectRecipe('U1', 'local-6', 'Chana Masala', []))
+                .then((vertex) => {
+                    user = vertex;
+                    return store.saveRecipe('local-6', user);
+                })
+                .then(() => store.findFavoriteRecipesForUser(user, 5))
+                .then((recipes) => {
+                    assert.deepStrictEqual(recipes, [
+                        {id: 'local-6', title: 'Chana Masala', rating: undefined, saved: true},
+                        {id: 'local-1', title: 'Spaghetti Aglio e Olio', rating: undefined, saved: false}
+                    ]);
+                });
+        });
+    });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('assert');
+const JanusGraphClient = require('../JanusGraphClient');
+
+describe('JanusGraphClient', () => {
+    describe('sessions', () => {
+        it('rejects sessions on the HTTP transport', () => {
+            const client = new JanusGraphClient('https://localhost:8182', 'admin', 'secret');
+            return Promise.all([
+                client.createSession().then(() => assert.fail('Expected createSession to reject'), (err) => err.message),
+                client.closeSession('S1').then(() => assert.fail('Expected closeSession to reject'), (err) => err.message),
+                client.runGremlinQuery('recipebot', 'g.V()', {}, {session: 'S1'}).then(() => assert.fail('Expected runGremlinQuery to reject'), (err) => err.message)
+            ])
+                .then((messages) => {
+                    assert.deepStrictEqual(messages, [
+                        'Sessions are only supported on the websocket transport.',
+                        'Sessions are only supported on the websocket transport.',
+                        'Sessions are only supported on the websocket transport.'
+                    ]);
+                });
+        });
+
+        it('commits the session in a script run in the session', () => {
+            const client = new JanusGraphClient('https://localhost:8182', 'admin', 'secret', {transport: 'websocket'});
+            let submitted;
+            client.transport.submit = (gremlin, bindings, options) => {
+                submitted = {gremlin: gremlin, bindings: bindings, options: options};
+                return Promise.resolve({status: {code: 200}, result: {data: [0]}});
+            };
+            return client.commitSession('recipebot', 'S1')
+                .then(() => {
+                    assert.ok(submitted.gremlin.endsWith('graph.tx().commit();0;'));
+                    assert.strictEqual(submitted.bindings.graphId, 'recipebot');
+                    assert.deepStrictEqual(submitted.options, {session: 'S1'});
+                });
+        });
+    });
+});
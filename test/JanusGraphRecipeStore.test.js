@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('assert');
+const JanusGraphRecipeStore = require('../JanusGraphRecipeStore');
+const ChatHarness = require('./support/ChatHarness');
+
+describe('JanusGraphRecipeStore', () => {
+    let queries;
+    let responses;
+    let recipeStore;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    // Answers each query with the next of the responses (an Error rejects the query), recording the queries
+    beforeEach(() => {
+        queries = [];
+        responses = [];
+        const graphClient = {
+            getOrCreateGraph: () => Promise.resolve(true),
+            runGremlinQuery: (graphId, query, bindings) => {
+                queries.push({query: query, bindings: bindings});
+                const response = responses.shift();
+                return (response instanceof Error ? Promise.reject(response) : Promise.resolve({status: {code: 200}, result: {data: response || []}}));
+            }
+        };
+        recipeStore = new JanusGraphRecipeStore(graphClient, 'recipebot', {maxRetries: 2});
+    });
+
+    describe('createSchema', () => {
+        it('locks the single-edge labels and the selection count', () => {
+            return recipeStore.init()
+                .then(() => {
+                    const bindings = queries[0].bindings;
+                    assert.ok(queries[0].query.indexOf('ConsistencyModifier.LOCK') > 0);
+                    assert.strictEqual(bindings.propertyKeys.count.consistency, 'LOCK');
+                    assert.strictEqual(bindings.edgeLabels.selects, 'SIMPLE');
+                    assert.strictEqual(bindings.edgeLabels.planned, 'MULTI');
+                });
+        });
+    });
+
+    describe('addUpdateEdge', () => {
+        it('retries the increment when another process holds the lock', () => {
+            const edge = {id: 'e1', label: 'selects', properties: {count: 2}};
+            responses.push(new Error('Server returned error 500: PermanentLockingException: Local lock contention'), [edge]);
+            return recipeStore.addUpdateEdge({label: 'selects', outV: 1, inV: 2})
+                .then((result) => {
+                    assert.deepStrictEqual(result, edge);
+                    assert.strictEqual(queries.length, 2);
+                    assert.strictEqual(queries[1].query, queries[0].query);
+                });
+        });
+
+        it('gives up after the maximum number of retries', () => {
+            for (let i = 0; i < 3; i++) {
+                responses.push(new Error('Server returned error 500: Lock expired'));
+            }
+            return recipeStore.addUpdateEdge({label: 'selects', outV: 1, inV: 2})
+                .then(() => {
+                    assert.fail('Expected the upsert to be rejected');
+                }, (err) => {
+                    assert.strictEqual(err.message, 'Server returned error 500: Lock expired');
+                    assert.strictEqual(queries.length, 3);
+                });
+        });
+
+        it('does not retry errors that are not conflicts', () => {
+            responses.push(new Error('Server returned error 597: Script evaluation failed'));
+            return recipeStore.addUpdateEdge({label: 'selects', outV: 1, inV: 2})
+                .then(() => {
+                    assert.fail('Expected the upsert to be rejected');
+                }, () => {
+                    assert.strictEqual(queries.length, 1);
+                });
+        });
+    });
+
+    describe('mergeDuplicates', () => {
+        it('merges planned edges by date and meal instead of by recipe', () => {
+            responses.push([{vertices: 1, edges: 2}]);
+            return recipeStore.mergeDuplicates()
+                .then((merged) => {
+                    assert.deepStrictEqual(merged, {vertices: 1, edges: 2});
+                    assert.strictEqual(queries[0].bindings.edgeLabels.planned, 'MULTI');
+                    assert.ok(queries[0].query.indexOf('[edge.label(), edge.property(\'date\').orElse(null), edge.property(\'meal\').orElse(null)]') > 0);
+                    assert.ok(queries[0].query.indexOf('if (edgeLabels[edge.label()] == \'MULTI\') { return null }') > 0);
+                });
+        });
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const LocalConversation = require('../LocalConversation');
+const workspace = require('../workspace.json');
+
+describe('LocalConversation', () => {
+    let conversation;
+    let context;
+
+    beforeEach(() => {
+        conversation = new LocalConversation(workspace);
+        context = {};
+    });
+
+    // Sends the message with the context from the last response, and returns the response
+    function send(text, contextChanges) {
+        const response = conversation.respond({input: {text: text}, context: Object.assign(context, contextChanges || {})});
+        context = response.context;
+        return response;
+    }
+
+    it('greets the user at the start of the conversation', () => {
+        const response = send('');
+        assert.deepStrictEqual(response.output.text, ['Hi, I\'m the Watson RecipeBot. I know a lot about recipes. How can I help you?']);
+        assert.strictEqual(response.context.system.dialog_turn_counter, 1);
+        assert.ok(response.context.conversation_id);
+    });
+
+    it('sets is_favorites and then the selection for favorite recipes', () => {
+        send('');
+        let response = send('Show me my favorite recipes');
+        assert.deepStrictEqual(response.intents.map((intent) => intent.intent), ['favorite_recipes']);
+        assert.strictEqual(response.context.is_favorites, true);
+        response = send('2');
+        assert.strictEqual(response.context.is_favorites, false);
+        assert.strictEqual(response.context.is_selection, true);
+        assert.strictEqual(response.context.selection, '2');
+    });
+
+    it('sets is_ingredients for a list of ingredients', () => {
+        send('');
+        send('give me a recipe');
+        let response = send('yes');
+        assert.strictEqual(response.context.get_recipes, true);
+        assert.strictEqual(response.context.is_ingredients, undefined);
+        response = send('onions, beef');
+        assert.strictEqual(response.context.is_ingredients, true);
+        response = send('1');
+        assert.strictEqual(response.context.is_ingredients, false);
+        assert.strictEqual(response.context.is_selection, true);
+        assert.strictEqual(response.context.selection, '1');
+    });
+
+    it('finds the cuisine entity and asks again for a cuisine it does not know', () => {
+        send('');
+        send('give me a recipe');
+        send('no');
+        let response = send('pizza');
+        assert.deepStrictEqual(response.entities, []);
+        assert.strictEqual(response.output.text[0], 'Sorry, I don\'t recognize the cuisine. Try another type.');
+        response = send('Something Italian please');
+        assert.deepStrictEqual(response.entities, [{entity: 'cuisine', value: 'italian', location: [10, 17]}]);
+        response = send('3');
+        assert.strictEqual(response.context.is_selection, true);
+        assert.strictEqual(response.context.selection, '3');
+    });
+
+    it('clears is_selection for a valid selection and asks again for an invalid one', () => {
+        send('');
+        send('Show me my favorite recipes');
+        send('2');
+        let response = send('7', {selection_valid: false});
+        assert.strictEqual(response.context.get_recipes, false);
+        assert.strictEqual(response.context.is_ingredients, true);
+        response = send('1');
+        assert.strictEqual(response.context.is_selection, true);
+        assert.strictEqual(response.context.selection, '1');
+        response = send('1', {selection_valid: true});
+        assert.strictEqual(response.context.is_selection, false);
+        assert.deepStrictEqual(response.context.system.dialog_stack, [{dialog_node: 'node_1_1470199483860'}]);
+    });
+
+    it('answers messages it does not understand and goes back to the top', () => {
+        send('');
+        const response = send('hello there');
+        assert.deepStrictEqual(response.intents, []);
+        assert.strictEqual(response.output.text[0], 'I\'m sorry, I\'m only interested in recipes.  I hear Siri likes to banter.');
+        assert.strictEqual(response.context.is_favorites, undefined);
+        assert.strictEqual(response.context.is_ingredients, undefined);
+    });
+
+    it('continues a dialog stack in the format older Watson versions used', () => {
+        const response = send('Show me my favorite recipes', {system: {dialog_stack: ['node_1_1470199483860'], dialog_turn_counter: 1}});
+        assert.strictEqual(response.context.is_favorites, true);
+        assert.strictEqual(response.context.system.dialog_turn_counter, 2);
+    });
+
+    it('passes errors in the workspace to the callback', (done) => {
+        conversation = new LocalConversation({dialog_nodes: [
+            {dialog_node: 'a', conditions: 'conversation_start', go_to: {selector: 'body', dialog_node: 'missing'}}
+        ]});
+        conversation.message({input: {text: ''}, context: {}}, (err, response) => {
+            assert.strictEqual(err.message, 'Dialog node a jumps to unknown node missing.');
+            assert.strictEqual(response, undefined);
+            done();
+        });
+    });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const assert = require('assert');
+const DietaryProfile = require('../DietaryProfile');
+const SearchQuery = require('../SearchQuery');
+const ChatHarness = require('./support/ChatHarness');
+
+describe('LocalRecipeProvider', () => {
+    let recipeProvider;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+        recipeProvider = ChatHarness.createRecipeProvider();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    function getIds(recipes) {
+        return recipes.map((recipe) => recipe.id);
+    }
+
+    describe('findByIngredients', () => {
+        it('ranks the recipes that use the most of the ingredients first', () => {
+            return recipeProvider.findByIngredients('garlic, chicken')
+                .then((recipes) => {
+                    assert.deepStrictEqual(getIds(recipes), ['local-2', 'local-1', 'local-3', 'local-6']);
+                    assert.strictEqual(recipes[0].title, 'Chicken Cacciatore');
+                    assert.strictEqual(recipes[0].readyInMinutes, 60);
+                    assert.strictEqual(recipes[0].usedIngredientCount, 2);
+                    assert.strictEqual(recipes[0].missedIngredientCount, 4);
+                });
+        });
+
+        it('returns the page of recipes at the offset', () => {
+            return Promise.all([recipeProvider.findByIngredients('garlic'), recipeProvider.findByIngredients('garlic', null, 0, 2), recipeProvider.findByIngredients('garlic', null, 2, 2)])
+                .then((pages) => {
+                    assert.strictEqual(pages[1].length, 2);
+                    assert.deepStrictEqual(getIds(pages[1].concat(pages[2])), getIds(pages[0]));
+                });
+        });
+
+        it('leaves out recipes with the user\'s intolerances', () => {
+            return recipeProvider.findByIngredients('rice', new DietaryProfile(null, ['egg']))
+                .then((recipes) => {
+                    assert.deepStrictEqual(recipes, []);
+                });
+        });
+    });
+
+    describe('findByCuisine', () => {
+        it('finds the recipes for the cuisine in any case', () => {
+            return recipeProvider.findByCuisine('Italian')
+                .then((recipes) => {
+                    assert.deepStrictEqual(getIds(recipes), ['local-1', 'local-2']);
+                    assert.strictEqual(recipes[0].usedIngredientCount, undefined);
+                });
+        });
+
+        it('leaves out recipes that do not fit the user\'s diet', () => {
+            return recipeProvider.findByCuisine('italian', new DietaryProfile('vegan', []))
+                .then((recipes) => {
+                    assert.deepStrictEqual(getIds(recipes), ['local-1']);
+                });
+        });
+    });
+
+    describe('findByQuery', () => {
+        it('finds the recipes that match all of the criteria', () => {
+            return recipeProvider.findByQuery(SearchQuery.parse('quick dinner with chicken under 40 minutes'))
+                .then((recipes) => {
+                    assert.deepStrictEqual(getIds(recipes), ['local-3']);
+                });
+        });
+    });
+
+    describe('getInfoById and getStepsById', () => {
+        it('returns the recipe information in the shape of the Spoonacular API', () => {
+            return recipeProvider.getInfoById('local-1')
+                .then((recipe) => {
+                    assert.strictEqual(recipe.title, 'Spaghetti Aglio e Olio');
+                    assert.deepStrictEqual(recipe.extendedIngredients[0], {name: 'spaghetti', amount: 200, unit: 'g', aisle: 'Pasta and Rice'});
+                    assert.strictEqual(recipe.analyzedInstructions[0].steps.length, 3);
+                });
+        });
+
+        it('returns the steps of the recipe', () => {
+            return recipeProvider.getStepsById('local-3')
+                .then((steps) => {
+                    assert.deepStrictEqual(steps.map((step) => step.number), [1, 2, 3]);
+                    assert.deepStrictEqual(steps[1].equipment, [{name: 'frying pan'}, {name: 'blender'}]);
+                });
+        });
+
+        it('returns null for recipes that are not in the corpus', () => {
+            return Promise.all([recipeProvider.getInfoById('missing'), recipeProvider.getStepsById('missing')])
+                .then((results) => {
+                    assert.deepStrictEqual(results, [null, null]);
+                });
+        });
+    });
+});
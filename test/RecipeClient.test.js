@@ -0,0 +1,183 @@
+'use strict';
+
+const assert = require('assert');
+const RecipeClient = require('../RecipeClient');
+const RecipeServiceErrors = require('../RecipeServiceError');
+const ChatHarness = require('./support/ChatHarness');
+
+const RecipeServiceError = RecipeServiceErrors.RecipeServiceError;
+const RecipeServiceBusyError = RecipeServiceErrors.RecipeServiceBusyError;
+const RecipeQuotaExceededError = RecipeServiceErrors.RecipeQuotaExceededError;
+
+describe('RecipeClient', () => {
+    let client;
+    let responses;
+    let paths;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    // Answers each request with the next of the responses (an Error rejects the request) instead of calling Spoonacular
+    beforeEach(() => {
+        responses = [];
+        paths = [];
+        client = new RecipeClient('key', {maxRetries: 2, retryDelay: 1, failureThreshold: 2, resetTimeout: 50});
+        client.send = (path) => {
+            client.metrics.requests++;
+            paths.push(path);
+            const response = responses.shift();
+            return (response instanceof Error ? Promise.reject(response) : Promise.resolve(response));
+        };
+    });
+
+    function expectRejection(promise) {
+        return promise.then(() => {
+            assert.fail('Expected the request to be rejected');
+        }, (err) => err);
+    }
+
+    describe('retries', () => {
+        it('retries requests that failed with a 5xx or timed out', () => {
+            responses.push(new RecipeServiceBusyError('Spoonacular returned 503.', 503), new RecipeServiceBusyError('Spoonacular did not respond within 10ms.'), [{id: 1}]);
+            return client.get('/recipes/1/information')
+                .then((response) => {
+                    assert.deepStrictEqual(response, [{id: 1}]);
+                    assert.deepStrictEqual(paths, ['/recipes/1/information', '/recipes/1/information', '/recipes/1/information']);
+                    const metrics = client.getMetrics();
+                    assert.deepStrictEqual([metrics.requests, metrics.retries, metrics.succeeded, metrics.failed], [3, 2, 1, 0]);
+                });
+        });
+
+        it('gives up after the maximum number of retries', () => {
+            for (let i = 0; i < 3; i++) {
+                responses.push(new RecipeServiceBusyError('Spoonacular returned 500.', 500));
+            }
+            return expectRejection(client.get('/recipes/1/information'))
+                .then((err) => {
+                    assert.ok(err instanceof RecipeServiceBusyError);
+                    assert.strictEqual(paths.length, 3);
+                    assert.strictEqual(client.getMetrics().failed, 1);
+                });
+        });
+
+        it('does not retry requests Spoonacular refused', () => {
+            responses.push(new RecipeServiceError('Spoonacular returned 404.', 404));
+            return expectRejection(client.get('/recipes/1/information'))
+                .then((err) => {
+                    assert.strictEqual(err.statusCode, 404);
+                    assert.strictEqual(paths.length, 1);
+                    assert.strictEqual(client.getCircuitState(), 'closed');
+                });
+        });
+
+        it('waits as long as a rate limited response asks before retrying', () => {
+            client.retryDelay = 0;
+            responses.push(new RecipeServiceBusyError('Spoonacular rate limited the request.', 429, 40), {results: []});
+            const start = Date.now();
+            return client.get('/recipes/search')
+                .then((response) => {
+                    assert.deepStrictEqual(response, {results: []});
+                    assert.ok(Date.now() - start >= 35);
+                });
+        });
+    });
+
+    describe('circuit breaker', () => {
+        function failRequest() {
+            for (let i = 0; i < 3; i++) {
+                responses.push(new RecipeServiceBusyError('Spoonacular returned 502.', 502));
+            }
+            return expectRejection(client.get('/recipes/search'));
+        }
+
+        it('stops calling Spoonacular after too many requests in a row failed', () => {
+            return failRequest()
+                .then(() => {
+                    assert.strictEqual(client.getCircuitState(), 'closed');
+                    return failRequest();
+                })
+                .then(() => {
+                    assert.strictEqual(client.getCircuitState(), 'open');
+                    responses = [];
+                    return expectRejection(client.get('/recipes/search'));
+                })
+                .then((err) => {
+                    assert.ok(err instanceof RecipeServiceBusyError);
+                    assert.strictEqual(err.message, 'Not calling Spoonacular, too many requests failed.');
+                    assert.ok(err.retryAfter > 0 && err.retryAfter <= 50);
+                    assert.strictEqual(paths.length, 6);
+                    assert.strictEqual(client.getMetrics().rejected, 1);
+                });
+        });
+
+        it('closes again when a request succeeds after the reset timeout', () => {
+            return failRequest()
+                .then(() => failRequest())
+                .then(() => {
+                    return new Promise((resolve) => {
+                        setTimeout(resolve, 60);
+                    });
+                })
+                .then(() => {
+                    assert.strictEqual(client.getCircuitState(), 'half-open');
+                    responses.push({results: []});
+                    return client.get('/recipes/search');
+                })
+                .then(() => {
+                    assert.strictEqual(client.getCircuitState(), 'closed');
+                });
+        });
+
+        it('opens again when the request after the reset timeout fails', () => {
+            return failRequest()
+                .then(() => failRequest())
+                .then(() => {
+                    return new Promise((resolve) => {
+                        setTimeout(resolve, 60);
+                    });
+                })
+                .then(() => failRequest())
+                .then(() => {
+                    assert.strictEqual(client.getMetrics().circuit, 'open');
+                });
+        });
+    });
+
+    describe('responses', () => {
+        it('turns status codes into errors', () => {
+            const rateLimited = client.getStatusError({statusCode: 429, headers: {'retry-after': '2'}});
+            assert.ok(rateLimited instanceof RecipeServiceBusyError);
+            assert.strictEqual(rateLimited.retryAfter, 2000);
+            assert.ok(client.getStatusError({statusCode: 503, headers: {}}) instanceof RecipeServiceBusyError);
+            const notFound = client.getStatusError({statusCode: 404, headers: {}});
+            assert.ok(!(notFound instanceof RecipeServiceBusyError));
+            assert.strictEqual(notFound.message, 'Spoonacular returned 404.');
+            assert.strictEqual(client.getMetrics().rateLimited, 1);
+        });
+
+        it('stops calling Spoonacular until midnight UTC when the daily quota is used up', () => {
+            const quotaExceeded = client.getStatusError({statusCode: 402, headers: {}});
+            assert.ok(quotaExceeded instanceof RecipeQuotaExceededError);
+            assert.strictEqual(quotaExceeded.resetsAt.getUTCHours(), 0);
+            assert.ok(quotaExceeded.resetsAt.getTime() > Date.now());
+            return expectRejection(client.get('/recipes/search'))
+                .then((err) => {
+                    assert.ok(err instanceof RecipeQuotaExceededError);
+                    assert.strictEqual(paths.length, 0);
+                    assert.strictEqual(client.getMetrics().quota.exceededUntil, quotaExceeded.resetsAt.toISOString());
+                });
+        });
+
+        it('records the quota reported in the response headers', () => {
+            client.updateQuota({'x-api-quota-request': '1.5', 'x-api-quota-used': '42', 'x-api-quota-left': '108', 'x-ratelimit-requests-remaining': '9', 'content-type': 'application/json'});
+            const quota = client.getMetrics().quota;
+            assert.deepStrictEqual([quota.requestPoints, quota.usedPoints, quota.leftPoints, quota.requestsRemaining, quota.requestsLimit], [1.5, 42, 108, 9, undefined]);
+            assert.ok(quota.updatedAt);
+        });
+    });
+});
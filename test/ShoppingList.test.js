@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const ShoppingList = require('../ShoppingList');
+
+describe('ShoppingList', () => {
+
+    function recipe(id, ingredients) {
+        return {id: id, title: `Recipe ${id}`, ingredients: ingredients.map((ingredient) => Object.assign({aisle: 'Produce'}, ingredient))};
+    }
+
+    describe('getItems', () => {
+        it('adds up the amounts of an ingredient in the same unit', () => {
+            const list = new ShoppingList([
+                recipe('1', [{name: 'onion', amount: 1, unit: ''}]),
+                recipe('2', [{name: 'onions', amount: 2, unit: ''}])
+            ]);
+            assert.deepStrictEqual(list.getItems(), [{name: 'onion', aisle: 'Produce', quantities: [{amount: 3, unit: ''}]}]);
+        });
+
+        it('converts compatible units into the unit the ingredient was first listed in', () => {
+            const list = new ShoppingList([
+                recipe('1', [{name: 'butter', amount: 100, unit: 'g'}, {name: 'milk', amount: 1, unit: 'cup'}]),
+                recipe('2', [{name: 'butter', amount: 1, unit: 'lb'}, {name: 'milk', amount: 2, unit: 'Tbsp'}]),
+                recipe('3', [{name: 'milk', amount: 1, unit: 'T'}, {name: 'butter', amount: 0.5, unit: 'kilograms'}])
+            ]);
+            const items = list.getItems();
+            assert.deepStrictEqual(items.map((item) => item.quantities.map((quantity) => quantity.unit)), [['g'], ['cup']]);
+            assert.strictEqual(Math.round(items[0].quantities[0].amount), 1054);
+            assert.strictEqual(items[1].quantities[0].amount.toFixed(3), (1 + 3 * 14.79 / 236.59).toFixed(3));
+        });
+
+        it('lists amounts in units that can\'t be converted separately', () => {
+            const list = new ShoppingList([
+                recipe('1', [{name: 'garlic', amount: 2, unit: 'cloves'}]),
+                recipe('2', [{name: 'garlic', amount: 1, unit: 'tsp'}, {name: 'flour', amount: 200, unit: 'g'}]),
+                recipe('3', [{name: 'garlic', amount: 1, unit: 'clove'}, {name: 'flour', amount: 1, unit: 'cup'}])
+            ]);
+            assert.deepStrictEqual(list.getItems().map((item) => item.quantities), [
+                [{amount: 200, unit: 'g'}, {amount: 1, unit: 'cup'}],
+                [{amount: 3, unit: 'cloves'}, {amount: 1, unit: 'tsp'}]
+            ]);
+        });
+
+        it('takes away what the user already has', () => {
+            const list = new ShoppingList([
+                recipe('1', [{name: 'eggs', amount: 4, unit: ''}, {name: 'butter', amount: 250, unit: 'g'}, {name: 'flour', amount: 2, unit: 'cups'}, {name: 'salt', amount: 1, unit: 'tsp'}])
+            ], ShoppingList.parsePantryItems('2 eggs, 1/2 lb of butter, some flour and 1 cup salt'));
+            assert.deepStrictEqual(list.getItems().map((item) => `${item.name}: ${item.quantities.map((quantity) => `${quantity.amount.toFixed(2)} ${quantity.unit}`).join(' + ')}`), [
+                'butter: 23.21 g',
+                'eggs: 2.00 '
+            ]);
+        });
+
+        it('sorts the items by aisle and name', () => {
+            const list = new ShoppingList([recipe('1', [
+                {name: 'tomato', amount: 1, unit: '', aisle: 'Produce'},
+                {name: 'milk', amount: 1, unit: 'cup', aisle: 'Milk, Eggs, Other Dairy'},
+                {name: 'basil', amount: 1, unit: 'bunch', aisle: 'Produce'},
+                {name: 'saffron', amount: 1, unit: 'pinch', aisle: undefined}
+            ])]);
+            assert.deepStrictEqual(list.getItems().map((item) => `${item.aisle}/${item.name}`), ['Milk, Eggs, Other Dairy/milk', 'Other/saffron', 'Produce/basil', 'Produce/tomato']);
+        });
+    });
+
+    describe('parsePantryItems', () => {
+        it('finds the amounts, units and names', () => {
+            assert.deepStrictEqual(ShoppingList.parsePantryItems('2 eggs, 200g butter, 1.5 fl oz cream and a lemon.'), [
+                {name: 'eggs', amount: 2, unit: ''},
+                {name: 'butter', amount: 200, unit: 'g'},
+                {name: 'cream', amount: 1.5, unit: 'fl oz'},
+                {name: 'lemon', amount: null, unit: ''}
+            ]);
+        });
+    });
+
+    describe('parseIngredients', () => {
+        it('uses the first aisle an ingredient is found in', () => {
+            assert.deepStrictEqual(ShoppingList.parseIngredients([
+                {name: 'Baking Soda', amount: 1, unit: 'tsp ', aisle: 'Baking;Spices and Seasonings'},
+                {name: 'water'},
+                {amount: 1}
+            ]), [
+                {name: 'baking soda', amount: 1, unit: 'tsp', aisle: 'Baking'},
+                {name: 'water', amount: 0, unit: '', aisle: 'Other'}
+            ]);
+        });
+    });
+
+    describe('format', () => {
+        const list = new ShoppingList([
+            recipe('1', [{name: 'lemon', amount: 1, unit: ''}, {name: 'sugar', amount: 0.333333, unit: 'cup', aisle: 'Baking'}]),
+            recipe('2', [{name: 'lemons', amount: 1, unit: ''}, {name: 'salt', amount: 0, unit: '', aisle: 'Spices'}])
+        ]);
+
+        it('formats a Markdown checklist grouped by aisle', () => {
+            assert.strictEqual(list.format('markdown'), '# Shopping list\n\n_For: Recipe 1, Recipe 2_\n\n## Baking\n- [ ] 0.33 cup sugar\n\n## Produce\n- [ ] 2 lemon\n\n## Spices\n- [ ] salt');
+        });
+
+        it('formats plain text grouped by aisle', () => {
+            assert.strictEqual(list.format('text'), 'Shopping list for Recipe 1, Recipe 2\n\nBaking:\n- 0.33 cup sugar\n\nProduce:\n- 2 lemon\n\nSpices:\n- salt');
+        });
+    });
+});
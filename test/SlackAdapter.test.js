@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const querystring = require('querystring');
+const SlackAdapter = require('../SlackAdapter');
+
+const SIGNING_SECRET = 'signing-secret';
+
+describe('SlackAdapter', () => {
+    let adapter;
+
+    // Returns the signature Slack would send for the body at the time (in seconds)
+    function sign(timestamp, body, secret) {
+        const hmac = crypto.createHmac('sha256', secret || SIGNING_SECRET);
+        hmac.update(`v0:${timestamp}:${body}`);
+        return `v0=${hmac.digest('hex')}`;
+    }
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    beforeEach(() => {
+        adapter = new SlackAdapter('xoxb-token', {botId: 'UBOT', signingSecret: SIGNING_SECRET});
+    });
+
+    describe('isSignatureValid', () => {
+        const body = 'payload=%7B%7D';
+
+        it('accepts a recent request signed with the signing secret', () => {
+            const timestamp = now();
+            assert.strictEqual(adapter.isSignatureValid({'x-slack-request-timestamp': `${timestamp}`, 'x-slack-signature': sign(timestamp, body)}, body), true);
+        });
+
+        it('rejects requests without a signature or a timestamp', () => {
+            assert.strictEqual(adapter.isSignatureValid({'x-slack-request-timestamp': `${now()}`}, body), false);
+            assert.strictEqual(adapter.isSignatureValid({'x-slack-signature': sign(now(), body)}, body), false);
+        });
+
+        it('rejects requests signed with another secret or for another body', () => {
+            const timestamp = now();
+            const headers = {'x-slack-request-timestamp': `${timestamp}`, 'x-slack-signature': sign(timestamp, body, 'other-secret')};
+            assert.strictEqual(adapter.isSignatureValid(headers, body), false);
+            headers['x-slack-signature'] = sign(timestamp, body);
+            assert.strictEqual(adapter.isSignatureValid(headers, `${body}x`), false);
+            headers['x-slack-signature'] = 'v0=short';
+            assert.strictEqual(adapter.isSignatureValid(headers, body), false);
+        });
+
+        it('rejects requests signed more than 5 minutes ago', () => {
+            const timestamp = now() - 6 * 60;
+            assert.strictEqual(adapter.isSignatureValid({'x-slack-request-timestamp': `${timestamp}`, 'x-slack-signature': sign(timestamp, body)}, body), false);
+        });
+    });
+
+    describe('actions endpoint', () => {
+        let server;
+        let messages;
+
+        beforeEach(() => {
+            messages = [];
+            server = http.createServer((req, res) => {
+                adapter.handleRequest(req, res, (message) => messages.push(message));
+            });
+            return new Promise((resolve) => {
+                server.listen(0, resolve);
+            });
+        });
+
+        afterEach(() => {
+            return new Promise((resolve) => {
+                server.close(resolve);
+            });
+        });
+
+        // Posts the body to the endpoint with the headers and resolves with the status code
+        function post(path, body, headers) {
+            return new Promise((resolve, reject) => {
+                const req = http.request({port: server.address().port, method: 'POST', path: path, headers: headers}, (res) => {
+                    res.resume();
+                    res.on('end', () => {
+                        resolve(res.statusCode);
+                    });
+                });
+                req.on('error', reject);
+                req.end(body);
+            });
+        }
+
+        function signedHeaders(body) {
+            const timestamp = now();
+            return {'X-Slack-Request-Timestamp': `${timestamp}`, 'X-Slack-Signature': sign(timestamp, body)};
+        }
+
+        it('passes a signed button click on as a message with an action', () => {
+            const payload = {
+                type: 'block_actions',
+                user: {id: 'U1'},
+                channel: {id: 'C1'},
+                message: {thread_ts: '1700000000.000100'},
+                actions: [{action_id: 'recipe', value: '2'}]
+            };
+            const body = querystring.stringify({payload: JSON.stringify(payload)});
+            return post('/slack/actions', body, signedHeaders(body))
+                .then((statusCode) => {
+                    assert.strictEqual(statusCode, 200);
+                    assert.deepStrictEqual(messages, [{userId: 'U1', channelId: 'C1', threadId: '1700000000.000100', text: '2', action: {id: 'recipe', value: '2'}}]);
+                });
+        });
+
+        it('refuses clicks that are not signed with the signing secret', () => {
+            const body = querystring.stringify({payload: JSON.stringify({type: 'block_actions', user: {id: 'U1'}, channel: {id: 'C1'}, actions: [{action_id: 'recipe', value: '1'}]})});
+            const timestamp = now();
+            return Promise.all([
+                post('/slack/actions', body, {}),
+                post('/slack/actions', body, {'X-Slack-Request-Timestamp': `${timestamp}`, 'X-Slack-Signature': sign(timestamp, body, 'other-secret')})
+            ])
+                .then((statusCodes) => {
+                    assert.deepStrictEqual(statusCodes, [401, 401]);
+                    assert.strictEqual(messages.length, 0);
+                });
+        });
+
+        it('answers 400 for a signed request without a payload and 404 for other paths', () => {
+            const body = 'payload=%7B';
+            return Promise.all([post('/slack/actions', body, signedHeaders(body)), post('/other', body, signedHeaders(body))])
+                .then((statusCodes) => {
+                    assert.deepStrictEqual(statusCodes, [400, 404]);
+                    assert.strictEqual(messages.length, 0);
+                });
+        });
+    });
+});
@@ -0,0 +1,258 @@
+'use strict';
+
+const assert = require('assert');
+const SearchQuery = require('../SearchQuery');
+const ChatHarness = require('./support/ChatHarness');
+
+describe('SousChef', () => {
+    let chat;
+
+    before(() => {
+        ChatHarness.silenceLogs();
+    });
+
+    after(() => {
+        ChatHarness.restoreLogs();
+    });
+
+    beforeEach(() => {
+        chat = new ChatHarness({pageSize: 2});
+        return chat.init();
+    });
+
+    describe('searching', () => {
+        it('lists the recipes with the ingredients and shows the one picked', () => {
+            return chat.searchIngredients('U1', 'chicken')
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Let\'s see here...\nI\'ve found these recipes: \n1.Chicken Tinga Tacos\n2.Chicken Cacciatore\n\nPlease enter the corresponding number of your choice, or say "more" to see more recipes.');
+                    return chat.say('U1', '1');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Ok, it takes *35* minutes to make *4* servings of *Chicken Tinga Tacos*.'));
+                    return chat.recipeStore.findRecipe('local-3');
+                })
+                .then((recipe) => {
+                    assert.strictEqual(recipe.properties.title[0].value, 'Chicken Tinga Tacos');
+                });
+        });
+
+        it('numbers further pages after the recipes already listed', () => {
+            return chat.searchIngredients('U1', 'garlic')
+                .then(() => chat.say('U1', 'more'))
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Here are some more recipes: \n3.Chana Masala\n\nPlease enter the corresponding number of your choice, or say "more" to see more recipes.');
+                    return chat.say('U1', 'more');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('That\'s all the recipes I have for that!'));
+                    return chat.say('U1', '3');
+                })
+                .then((reply) => {
+                    assert.ok(reply.indexOf('*Chana Masala*') > 0);
+                });
+        });
+
+        it('lists the recipes for the cuisine', () => {
+            return chat.searchCuisine('U1', 'mexican')
+                .then((reply) => {
+                    assert.ok(reply.indexOf('1.Chicken Tinga Tacos\n2.Black Bean Quesadillas\n') > 0);
+                });
+        });
+
+        it('searches for recipes by several criteria at once', () => {
+            return chat.searchIngredients('U1', 'quick dinner with garlic or chicken under 40 minutes')
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Let\'s see here...\nI\'ve found these main course recipes with chicken and garlic, ready in 40 minutes or less: \n1.Spaghetti Aglio e Olio\n2.Chicken Tinga Tacos\n'));
+                    return chat.recipeStore.findSearch(SearchQuery.parse('chicken and garlic main course in 40 minutes'));
+                })
+                .then((search) => {
+                    assert.strictEqual(search.properties.name[0].value, 'ingredients=chicken,garlic;maxReadyTime=40;type=main course');
+                });
+        });
+
+        it('puts recipes other users liked first', () => {
+            return chat.searchIngredients('U1', 'garlic')
+                .then(() => chat.say('U1', 'more', '3', 'rate 5'))
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Thanks! You rated *Chana Masala* 5/5.');
+                    return chat.searchIngredients('U2', 'garlic');
+                })
+                .then((reply) => {
+                    assert.ok(reply.indexOf('1.Chana Masala *(1 other user likes this)\n2.Spaghetti Aglio e Olio\n') > 0);
+                });
+        });
+    });
+
+    describe('diet', () => {
+        it('only lists recipes that fit the user\'s diet', () => {
+            return chat.say('U1', 'I\'m vegan')
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Got it! I\'ve got it down that your diet is *vegan*.'));
+                    return chat.searchCuisine('U1', 'italian');
+                })
+                .then((reply) => {
+                    assert.ok(reply.indexOf('1.Spaghetti Aglio e Olio\n\n') > 0);
+                });
+        });
+
+        it('uses a diet set in a direct message in the user\'s existing thread conversations', () => {
+            const thread = {userId: 'U1', channelId: 'C1', threadId: 'T1'};
+            return chat.searchCuisine(thread, 'italian')
+                .then((reply) => {
+                    assert.ok(reply.indexOf('1.Spaghetti Aglio e Olio\n2.Chicken Cacciatore\n') > 0);
+                    return chat.say('U1', 'I\'m vegan');
+                })
+                .then(() => chat.searchCuisine(thread, 'italian'))
+                .then((reply) => {
+                    assert.ok(reply.indexOf('1.Spaghetti Aglio e Olio\n\n') > 0);
+                });
+        });
+
+        it('says so when no recipes fit the user\'s diet', () => {
+            return chat.say('U1', 'I\'m allergic to milk')
+                .then(() => chat.searchCuisine('U1', 'american'))
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Sorry, I couldn\'t find any american recipes that fit your diet. Say anything to me to start over...');
+                    return chat.searchIngredients('U1', 'flour');
+                })
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Sorry, I couldn\'t find any recipes with flour that fit your diet. Say anything to me to start over...');
+                });
+        });
+    });
+
+    describe('after picking a recipe', () => {
+        beforeEach(() => {
+            return chat.searchIngredients('U1', 'chicken')
+                .then(() => chat.say('U1', '1'));
+        });
+
+        it('adds the recipe to the shopping list', () => {
+            return chat.say('U1', 'add it to my list')
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Added *Chicken Tinga Tacos* to your shopping list, it has 5 items now.'));
+                    return chat.say('U1', 'show my list');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Here\'s your shopping list for *Chicken Tinga Tacos*:'));
+                    assert.ok(reply.indexOf('*Meat*\n• 500 g chicken breast') > 0);
+                });
+        });
+
+        it('plans the recipe for a day of the week', () => {
+            return chat.say('U1', 'put it on monday dinner')
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Ok, *Chicken Tinga Tacos* is planned for Monday dinner.'));
+                    return chat.say('U1', 'show my plan');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Here\'s your plan for this week:'));
+                    assert.ok(reply.indexOf('• Dinner: Chicken Tinga Tacos') > 0);
+                });
+        });
+
+        it('suggests substitutes for an ingredient and remembers the one used', () => {
+            return chat.say('U1', 'what can I use instead of garlic')
+                .then((reply) => {
+                    assert.ok(reply.indexOf('1. 1 clove = 1/8 tsp garlic powder') > 0);
+                    return chat.say('U1', 'use the first one');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Ok, garlic powder instead of garlic it is!'));
+                });
+        });
+
+        it('goes through the recipe one step at a time', () => {
+            return chat.say('U1', 'cook it')
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Let\'s cook *Chicken Tinga Tacos*!'));
+                    assert.ok(reply.indexOf('*Step 1 of 3*') > 0);
+                    return chat.say('U1', 'next');
+                })
+                .then((reply) => {
+                    assert.ok(reply.indexOf('*Step 2 of 3*') >= 0);
+                    return chat.say('U1', 'back');
+                })
+                .then((reply) => {
+                    assert.ok(reply.indexOf('*Step 1 of 3*') >= 0);
+                    return chat.say('U1', 'what equipment');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('For the whole recipe you need: pot, frying pan, blender.'));
+                    return chat.say('U1', 'stop cooking');
+                })
+                .then((reply) => {
+                    assert.ok(reply.startsWith('Ok, I\'ve stopped cooking *Chicken Tinga Tacos*.'));
+                });
+        });
+
+        it('stops cooking when the recipe is no longer in the store', () => {
+            return chat.say('U1', 'cook it')
+                .then(() => {
+                    chat.recipeStore.findRecipe = () => Promise.resolve(null);
+                    return chat.say('U1', 'next');
+                })
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Sorry, I don\'t have step by step instructions for *Chicken Tinga Tacos* anymore, so I\'ve stopped cooking it.');
+                    return chat.say('U1', 'cook it');
+                })
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Sorry, I don\'t have step by step instructions for that recipe.');
+                });
+        });
+
+        it('stops cooking when the purged recipe comes back without steps', () => {
+            return chat.say('U1', 'cook it')
+                .then(() => {
+                    chat.recipeProvider.getStepsById = () => Promise.resolve([]);
+                    return chat.sousChef.purge('recipe', 'local-3');
+                })
+                .then(() => {
+                    return chat.say('U1', 'what equipment');
+                })
+                .then((reply) => {
+                    assert.strictEqual(reply, 'Sorry, I don\'t have step by step instructions for *Chicken Tinga Tacos* anymore, so I\'ve stopped cooking it.');
+                    return chat.say('U1', 'how long left');
+                })
+                .then((reply) => {
+                    assert.ok(reply.indexOf('You have') < 0);
+                });
+        });
+    });
+
+    describe('cache administration', () => {
+        beforeEach(() => {
+            return chat.say('U1', 'I\'m vegan')
+                .then(() => chat.searchCuisine('U1', 'italian'))
+                .then(() => chat.searchCuisine('U2', 'italian'));
+        });
+
+        it('refreshes a cuisine for every dietary profile it was searched for with', () => {
+            let profiles = [];
+            const findByCuisine = chat.recipeProvider.findByCuisine.bind(chat.recipeProvider);
+            chat.recipeProvider.findByCuisine = (cuisine, profile, offset, number) => {
+                profiles.push(profile ? profile.getKey() : '');
+                return findByCuisine(cuisine, profile, offset, number);
+            };
+            return chat.sousChef.forceRefresh('cuisine', 'Italian')
+                .then((cuisines) => {
+                    assert.deepStrictEqual(profiles.sort(), ['', 'diet=vegan']);
+                    const recipes = cuisines.map((cuisine) => {
+                        return `${cuisine.properties.name[0].value}: ${JSON.parse(cuisine.properties.detail[0].value).map((recipe) => recipe.id).join(',')}`;
+                    });
+                    assert.deepStrictEqual(recipes.sort(), ['italian: local-1,local-2', 'italian;diet=vegan: local-1']);
+                });
+        });
+
+        it('purges a cuisine for every dietary profile it was searched for with', () => {
+            return chat.sousChef.purge('cuisine', 'italian')
+                .then((cuisines) => {
+                    assert.strictEqual(cuisines.length, 2);
+                    return Promise.all(cuisines.map((cuisine) => chat.recipeStore.findCuisine('italian', chat.sousChef.getCachedProfile(cuisine))));
+                })
+                .then((cuisines) => {
+                    assert.deepStrictEqual(cuisines.map((cuisine) => cuisine.properties.detail), [undefined, undefined]);
+                });
+        });
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const path = require('path');
+const InMemoryRecipeStore = require('../../InMemoryRecipeStore');
+const LocalRecipeProvider = require('../../LocalRecipeProvider');
+const SnsClient = require('../../SnsClient');
+const SousChef = require('../../SousChef');
+
+const SAMPLE_RECIPES = path.join(__dirname, '..', '..', 'sample-recipes.jsonl');
+
+class ChatHarness {
+
+    /**
+     * Creates a new instance of ChatHarness.
+     * Runs SousChef against an InMemoryRecipeStore, the sample recipes and the local dialog, and keeps the replies
+     * instead of sending them anywhere, so conversations can be tested without JanusGraph, Spoonacular or Watson.
+     * @param {Object} options - Optional SousChef settings (i.e. pageSize)
+     */
+    constructor(options) {
+        this.recipeStore = new InMemoryRecipeStore();
+        this.recipeProvider = new LocalRecipeProvider(SAMPLE_RECIPES);
+        this.replies = [];
+        this.sousChef = new SousChef(this.recipeStore, this, null, null, null, null, new SnsClient(), Object.assign({
+            conversationEngine: 'local',
+            recipeProvider: this.recipeProvider
+        }, options));
+    }
+
+    /**
+     * Creates a new LocalRecipeProvider for the sample recipes.
+     * @returns {LocalRecipeProvider}
+     */
+    static createRecipeProvider() {
+        return new LocalRecipeProvider(SAMPLE_RECIPES);
+    }
+
+    /**
+     * Stops the bot's logging for the rest of the tests in the suite (call from before, and restoreLogs from after).
+     */
+    static silenceLogs() {
+        ChatHarness.log = console.log;
+        console.log = () => {};
+    }
+
+    static restoreLogs() {
+        console.log = ChatHarness.log;
+    }
+
+    init() {
+        return this.recipeStore.init();
+    }
+
+    /**
+     * Sends the messages to the bot one after another as the user.
+     * @param sender - The ID of the user, or the user in a channel thread ({userId, channelId, threadId})
+     * @param messages - The messages
+     * @returns {Promise.<TResult>} - The text of the reply to the last message
+     */
+    say(sender, ...messages) {
+        return messages.reduce((previous, text) => {
+            return previous.then(() => {
+                return this.sousChef.processMessage(this.getMessage(sender, {text: text}));
+            });
+        }, Promise.resolve())
+            .then(() => {
+                return Promise.resolve(this.getLastReply());
+            });
+    }
+
+    /**
+     * Clicks a button in a reply as the user.
+     * @param sender - The ID of the user, or the user in a channel thread ({userId, channelId, threadId})
+     * @param id - The action ID of the button (i.e. select_recipe)
+     * @param value - The value of the button
+     * @returns {Promise.<TResult>} - The text of the reply
+     */
+    click(sender, id, value) {
+        return this.sousChef.processMessage(this.getMessage(sender, {text: '', action: {id: id, value: value}}))
+            .then(() => {
+                return Promise.resolve(this.getLastReply());
+            });
+    }
+
+    getMessage(sender, message) {
+        return Object.assign({}, (typeof sender == 'string' ? {userId: sender} : sender), message);
+    }
+
+    /**
+     * Searches for recipes with the ingredients as the user, starting a new conversation.
+     * @param sender - The ID of the user, or the user in a channel thread ({userId, channelId, threadId})
+     * @param ingredients - The ingredients (i.e. "chicken, rice")
+     * @returns {Promise.<TResult>} - The text of the reply listing the recipes
+     */
+    searchIngredients(sender, ingredients) {
+        return this.say(sender, 'hi', 'let\'s cook', 'yes', ingredients);
+    }
+
+    /**
+     * Searches for recipes for the cuisine as the user, starting a new conversation.
+     * @param sender - The ID of the user, or the user in a channel thread ({userId, channelId, threadId})
+     * @param cuisine - The cuisine (i.e. "italian")
+     * @returns {Promise.<TResult>} - The text of the reply listing the recipes
+     */
+    searchCuisine(sender, cuisine) {
+        return this.say(sender, 'hi', 'let\'s cook', 'no', cuisine);
+    }
+
+    getSession(userId) {
+        return this.sousChef.sessionStore.get(userId);
+    }
+
+    getLastReply() {
+        const reply = this.replies[this.replies.length - 1];
+        return (typeof reply == 'string' ? reply : reply.text);
+    }
+
+    // The chat adapter SousChef replies through
+
+    sendReply(message, reply) {
+        this.replies.push(reply);
+        return Promise.resolve();
+    }
+}
+
+module.exports = ChatHarness;